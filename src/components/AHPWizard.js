@@ -0,0 +1,276 @@
+import { MCDA_METHODS, MAX_CONSISTENCY_RATIO } from '../utils/MCDA.js';
+
+// Saaty scale: slider positions -8..8 map to 1/9..9 (negative favours the right-hand criterion)
+const SLIDER_MAX = 8;
+
+/**
+ * AHPWizard - Pairwise-comparison wizard for Site Finder weights and ranking method
+ * Steps through the category matrix and one matrix per category, showing the derived weights and
+ * consistency ratio live. Weights are only applied when every matrix has CR ≤ 0.10.
+ */
+export class AHPWizard {
+    constructor(siteFinder) {
+        this.siteFinder = siteFinder;
+        this.modal = null;
+        this.step = 0;
+        this.judgments = {};
+        this.method = null;
+        this.parameters = {};
+    }
+
+    /**
+     * Wire the Info Panel header button
+     */
+    initialize() {
+        const weightsBtn = document.getElementById('site-finder-weights-btn');
+        if (weightsBtn) {
+            weightsBtn.addEventListener('click', () => this.open());
+        }
+        console.log('✅ AHP Wizard initialized');
+    }
+
+    /**
+     * Open the wizard, starting from the saved judgments or, failing those, the current weights
+     */
+    open() {
+        const { mcda, criteria } = this.siteFinder;
+        this.step = 0;
+        this.method = mcda.method;
+        this.parameters = { ...(MCDA_METHODS[mcda.method].parameters || {}), ...mcda.parameters };
+        this.judgments = mcda.ahp?.judgments
+            ? JSON.parse(JSON.stringify(mcda.ahp.judgments))
+            : this.judgmentsFromWeights(criteria);
+
+        this.close();
+        this.modal = document.createElement('div');
+        this.modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+        document.body.appendChild(this.modal);
+        this.render();
+    }
+
+    close() {
+        this.modal?.remove();
+        this.modal = null;
+    }
+
+    /**
+     * Comparison groups: the four categories, then each category's sub-criteria
+     */
+    get groups() {
+        const criteria = this.siteFinder.criteria;
+        return [
+            { id: 'categories', title: 'Criteria categories', keys: Object.keys(criteria) },
+            ...Object.entries(criteria).map(([category, { subCriteria }]) => ({
+                id: category,
+                title: `${this.label(category)} sub-criteria`,
+                keys: Object.keys(subCriteria)
+            }))
+        ];
+    }
+
+    render() {
+        if (!this.modal) return;
+
+        const groups = this.groups;
+        const group = groups[this.step];
+        const { groups: derived, consistent } = this.siteFinder.deriveAHPWeights(this.judgments);
+        const current = derived[group.id];
+        const ratio = current.consistencyRatio;
+        const pairs = group.keys.flatMap((a, i) => group.keys.slice(i + 1).map(b => [a, b]));
+
+        this.modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-xl font-bold text-gray-800">⚖️ Site Finder Weights (AHP)</h3>
+                    <button class="ahp-close text-gray-500 hover:text-gray-700">✕</button>
+                </div>
+
+                <div class="mb-4 bg-gray-50 p-3 rounded-lg">
+                    <h4 class="font-semibold text-gray-700 mb-2">Ranking method</h4>
+                    ${Object.entries(MCDA_METHODS).map(([id, method]) => `
+                        <label class="flex items-start space-x-2 text-sm mb-1">
+                            <input type="radio" name="ahp-method" value="${id}" ${id === this.method ? 'checked' : ''} class="mt-1">
+                            <span><strong>${method.label}</strong> <span class="text-gray-500">${method.description}</span></span>
+                        </label>
+                    `).join('')}
+                    ${this.method === 'electre' ? `
+                        <div class="grid grid-cols-2 gap-3 mt-2 text-sm">
+                            <label>Concordance threshold
+                                <input type="number" min="0.5" max="1" step="0.05" value="${this.parameters.concordance}" data-parameter="concordance" class="ahp-parameter w-full border rounded px-2 py-1">
+                            </label>
+                            <label>Discordance threshold
+                                <input type="number" min="0" max="1" step="0.05" value="${this.parameters.discordance}" data-parameter="discordance" class="ahp-parameter w-full border rounded px-2 py-1">
+                            </label>
+                        </div>
+                    ` : ''}
+                </div>
+
+                <div class="flex items-center justify-between mb-2">
+                    <h4 class="font-semibold text-gray-700">Step ${this.step + 1} of ${groups.length}: ${group.title}</h4>
+                    <span class="text-xs px-2 py-1 rounded-full ${ratio <= MAX_CONSISTENCY_RATIO ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}">
+                        CR ${ratio.toFixed(3)}${ratio <= MAX_CONSISTENCY_RATIO ? ' ✓' : ' – revise'}
+                    </span>
+                </div>
+                <p class="text-xs text-gray-500 mb-3">For each pair, move the slider towards the more important criterion (1 = equal, 9 = extremely more important).</p>
+
+                <div class="space-y-3">
+                    ${pairs.map(([a, b]) => {
+                        const position = this.sliderPosition(this.judgments[group.id]?.[`${a}|${b}`] ?? 1);
+                        return `
+                            <div class="text-sm">
+                                <div class="flex justify-between text-gray-700">
+                                    <span>${this.label(a)}</span>
+                                    <span class="ahp-pair-text text-gray-500" data-pair="${a}|${b}">${this.describeJudgment(position, a, b)}</span>
+                                    <span>${this.label(b)}</span>
+                                </div>
+                                <input type="range" min="${-SLIDER_MAX}" max="${SLIDER_MAX}" step="1" value="${-position}"
+                                    class="ahp-slider w-full" data-pair="${a}|${b}">
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+
+                <div class="mt-4 bg-blue-50 p-3 rounded-lg">
+                    <h4 class="font-semibold text-blue-800 mb-2 text-sm">Derived weights</h4>
+                    ${group.keys.map((key, i) => `
+                        <div class="flex items-center text-xs mb-1">
+                            <span class="w-40 text-gray-700">${this.label(key)}</span>
+                            <div class="flex-1 bg-white rounded h-3 mr-2">
+                                <div class="bg-blue-500 h-3 rounded" style="width: ${(current.weights[i] * 100).toFixed(1)}%"></div>
+                            </div>
+                            <span class="w-12 text-right font-medium">${(current.weights[i] * 100).toFixed(1)}%</span>
+                        </div>
+                    `).join('')}
+                </div>
+
+                ${consistent ? '' : `
+                    <p class="mt-3 text-xs text-red-700">Weights can be applied once every matrix has a consistency ratio of ${MAX_CONSISTENCY_RATIO} or less: ${Object.entries(derived).filter(([, g]) => g.consistencyRatio > MAX_CONSISTENCY_RATIO).map(([id]) => id === 'categories' ? 'categories' : this.label(id)).join(', ')}.</p>
+                `}
+
+                <div class="mt-6 flex justify-between">
+                    <button class="ahp-back px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200" ${this.step === 0 ? 'disabled' : ''}>← Back</button>
+                    <div class="space-x-2">
+                        ${this.step < groups.length - 1 ? `
+                            <button class="ahp-next px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">Next →</button>
+                        ` : ''}
+                        <button class="ahp-apply px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50" ${consistent ? '' : 'disabled'}>Apply</button>
+                        <button class="ahp-apply-run px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50 disabled:opacity-50" ${consistent ? '' : 'disabled'}>Apply &amp; Run</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.attachEventListeners(group);
+    }
+
+    attachEventListeners(group) {
+        const query = (selector) => this.modal.querySelector(selector);
+
+        query('.ahp-close')?.addEventListener('click', () => this.close());
+        query('.ahp-back')?.addEventListener('click', () => {
+            this.step = Math.max(0, this.step - 1);
+            this.render();
+        });
+        query('.ahp-next')?.addEventListener('click', () => {
+            this.step = Math.min(this.groups.length - 1, this.step + 1);
+            this.render();
+        });
+        query('.ahp-apply')?.addEventListener('click', () => this.apply(false));
+        query('.ahp-apply-run')?.addEventListener('click', () => this.apply(true));
+
+        this.modal.querySelectorAll('input[name="ahp-method"]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.method = input.value;
+                this.parameters = { ...(MCDA_METHODS[input.value].parameters || {}) };
+                this.render();
+            });
+        });
+        this.modal.querySelectorAll('.ahp-parameter').forEach(input => {
+            input.addEventListener('change', () => {
+                this.parameters[input.dataset.parameter] = Number(input.value);
+            });
+        });
+
+        // Slider right of centre favours the right-hand criterion, so the stored judgment uses the negated position
+        this.modal.querySelectorAll('.ahp-slider').forEach(slider => {
+            slider.addEventListener('change', () => {
+                this.judgments[group.id] = {
+                    ...this.judgments[group.id],
+                    [slider.dataset.pair]: this.judgmentValue(-Number(slider.value))
+                };
+                this.render();
+            });
+            slider.addEventListener('input', () => {
+                const [a, b] = slider.dataset.pair.split('|');
+                const text = this.modal.querySelector(`.ahp-pair-text[data-pair="${slider.dataset.pair}"]`);
+                if (text) text.textContent = this.describeJudgment(-Number(slider.value), a, b);
+            });
+        });
+    }
+
+    /**
+     * Apply the weights and method to Site Finder, optionally re-running the analysis
+     */
+    apply(run) {
+        try {
+            this.siteFinder.applyAHPWeights(this.judgments);
+            this.siteFinder.setMCDAMethod(this.method, this.parameters);
+            this.close();
+
+            if (run) {
+                document.getElementById('site-finder-btn')?.click();
+            }
+        } catch (error) {
+            console.error('❌ Failed to apply AHP weights:', error);
+            window.APP_STATE?.errorHandler?.handleError(error, 'Site Finder weights');
+        }
+    }
+
+    /**
+     * Starting judgments from existing weights: each pair's weight ratio rounded onto the 1-9 scale
+     */
+    judgmentsFromWeights(criteria) {
+        const fromWeights = (entries) => {
+            const judgments = {};
+            entries.forEach(([a, weightA], i) => {
+                entries.slice(i + 1).forEach(([b, weightB]) => {
+                    judgments[`${a}|${b}`] = this.judgmentValue(this.sliderPosition(weightA / weightB));
+                });
+            });
+            return judgments;
+        };
+
+        return {
+            categories: fromWeights(Object.entries(criteria).map(([key, { weight }]) => [key, weight])),
+            ...Object.fromEntries(Object.entries(criteria).map(([category, { subCriteria }]) => [
+                category,
+                fromWeights(Object.entries(subCriteria).map(([key, { weight }]) => [key, weight]))
+            ]))
+        };
+    }
+
+    /**
+     * Judgment (1/9..9) for a slider position (-8..8), and back
+     */
+    judgmentValue(position) {
+        return position >= 0 ? position + 1 : 1 / (1 - position);
+    }
+
+    sliderPosition(value) {
+        const position = value >= 1 ? Math.round(value) - 1 : 1 - Math.round(1 / value);
+        return Math.max(-SLIDER_MAX, Math.min(SLIDER_MAX, position));
+    }
+
+    describeJudgment(position, a, b) {
+        if (position === 0) return 'Equal';
+        return `${this.label(position > 0 ? a : b)} ${Math.abs(position) + 1}×`;
+    }
+
+    label(key) {
+        const text = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
@@ -1,3 +1,6 @@
+import { plantEnergyProfile } from '../utils/EnergyModel.js';
+import { plantGhg, aggregateGhg } from '../utils/GhgModel.js';
+
 /**
  * AnalyticsManager - Advanced analytics and reporting for UK AD Mapping Application
  * Features: Statistical analysis, custom reports, data visualization, trend analysis
@@ -17,48 +20,25 @@ export class AnalyticsManager {
      */
     async initialize() {
         try {
-            // Load data from global state - use available data sources
+            // Reports run on the shared AD plant dataset loaded by DataManager
+            const dataManager = window.APP_STATE?.dataManager;
             this.data = {
-                adPlants: window.APP_STATE?.siteFinder?.getSuitableSites() || [],
-                // Add other data sources as they become available
+                adPlants: dataManager ? dataManager.getADPlantRecords() : []
             };
+            console.log('📊 Loaded data from DataManager:', this.data.adPlants.length, 'plants');
             
-            // Wait a bit for data to be available
-            setTimeout(async () => {
-                try {
-                    // Try to get data from SiteFinder first
-                    if (window.APP_STATE?.siteFinder?.getSuitableSites) {
-                        this.data.adPlants = window.APP_STATE.siteFinder.getSuitableSites() || [];
-                    }
-                    
-                    // If no data from SiteFinder, try DataManager
-                    if (this.data.adPlants.length === 0 && window.APP_STATE?.dataManager) {
-                        try {
-                            const adPlantsData = await window.APP_STATE.dataManager.getData('adPlants');
-                            if (adPlantsData && adPlantsData.length > 0) {
-                                this.data.adPlants = adPlantsData;
-                                console.log('📊 Loaded data from DataManager:', adPlantsData.length, 'plants');
-                            }
-                        } catch (dataError) {
-                            console.warn('⚠️ Could not load data from DataManager:', dataError.message);
-                        }
-                    }
-                    
-                    // If still no data, generate sample data for demonstration
-                    if (this.data.adPlants.length === 0) {
-                        this.data.adPlants = this.generateSampleData();
-                    }
-                    
-                    // Initialize default reports
-                    this.generateDefaultReports();
-                    
-                    // Set up analytics UI
-                    this.setupAnalyticsUI();
-                    
-                } catch (timeoutError) {
-                    console.error('❌ Error in Analytics Manager timeout:', timeoutError);
-                }
-            }, 1000);
+            // Keep reports in step with reloads of the plant dataset
+            this.unsubscribeDatasets = dataManager?.subscribe('adPlants', ({ version }) => {
+                this.data.adPlants = dataManager.getADPlantRecords();
+                this.analysisCache.clear();
+                console.log(`🔄 Analytics data updated to adPlants v${version}`);
+            });
+            
+            // Initialize default reports
+            this.generateDefaultReports();
+            
+            // Set up analytics UI
+            this.setupAnalyticsUI();
             
         } catch (error) {
             console.error('❌ Error initializing Analytics Manager:', error);
@@ -93,7 +73,7 @@ export class AnalyticsManager {
             },
             'environmental-impact': {
                 name: 'Environmental Impact Report',
-                description: 'Carbon savings and environmental benefits analysis',
+                description: 'Lifecycle GHG balance by plant, local authority and region',
                 template: () => this.generateEnvironmentalImpactTemplate()
             }
         };
@@ -131,7 +111,7 @@ export class AnalyticsManager {
             {
                 id: 'environmental-impact',
                 name: 'Environmental Impact Report',
-                description: 'Carbon savings and environmental benefits analysis',
+                description: 'Lifecycle GHG balance by plant, local authority and region',
                 type: 'default'
             }
         ];
@@ -158,6 +138,7 @@ export class AnalyticsManager {
                 <div class="analytics-item cursor-pointer hover:bg-blue-50 hover:text-blue-700 px-2 py-1 rounded transition-colors duration-200" data-report="status-overview">🔄 Status Overview</div>
                 <div class="analytics-item cursor-pointer hover:bg-blue-50 hover:text-blue-700 px-2 py-1 rounded transition-colors duration-200" data-report="technology-analysis">⚙️ Technology Analysis</div>
                 <div class="analytics-item cursor-pointer hover:bg-blue-50 hover:text-blue-700 px-2 py-1 rounded transition-colors duration-200" data-report="environmental-impact">🌱 Environmental Impact</div>
+                <div class="analytics-item cursor-pointer hover:bg-blue-50 hover:text-blue-700 px-2 py-1 rounded transition-colors duration-200" data-report="ghg-factors">🌍 GHG Emission Factors</div>
                 <div class="analytics-item cursor-pointer hover:bg-blue-50 hover:text-blue-700 px-2 py-1 rounded transition-colors duration-200" data-report="custom">✏️ Custom Report</div>
                 <div class="analytics-item cursor-pointer hover:bg-green-50 hover:text-green-700 px-2 py-1 rounded transition-colors duration-200" data-report="test">🧪 Test System</div>
             </div>
@@ -268,6 +249,11 @@ export class AnalyticsManager {
                 return;
             }
             
+            if (reportType === 'ghg-factors') {
+                window.APP_STATE?.carbonCalculator?.openForPortfolio();
+                return;
+            }
+            
             if (reportType === 'test') {
                 this.testAnalyticsSystem();
                 return;
@@ -287,7 +273,7 @@ export class AnalyticsManager {
 
             // Check if we have data
             if (!this.data?.adPlants || this.data.adPlants.length === 0) {
-                this.showReportError('No data available. Please run Site Finder first to generate data.');
+                this.showReportError('No AD plant data available. Check that the AD plants dataset has loaded.');
                 return;
             }
 
@@ -320,14 +306,14 @@ export class AnalyticsManager {
                     type: 'stats',
                     data: [
                         { label: 'Status', value: 'No Data', unit: '' },
-                        { label: 'Message', value: 'Please run Site Finder first', unit: '' }
+                        { label: 'Message', value: 'AD plant dataset not loaded', unit: '' }
                     ]
                 }]
             };
         }
         
         // Calculate capacity statistics
-        const capacities = plants.map(p => this.extractCapacity(p.capacity));
+        const capacities = plants.map(p => this.plantCapacityKwe(p));
         const validCapacities = capacities.filter(c => c > 0);
         
         const stats = {
@@ -348,10 +334,10 @@ export class AnalyticsManager {
                     type: 'stats',
                     data: [
                         { label: 'Total Plants', value: stats.total, unit: 'plants' },
-                        { label: 'Average Capacity', value: stats.average.toLocaleString(), unit: 'tonnes/year' },
-                        { label: 'Median Capacity', value: stats.median.toLocaleString(), unit: 'tonnes/year' },
-                        { label: 'Min Capacity', value: stats.min.toLocaleString(), unit: 'tonnes/year' },
-                        { label: 'Max Capacity', value: stats.max.toLocaleString(), unit: 'tonnes/year' }
+                        { label: 'Average Capacity', value: stats.average.toLocaleString(), unit: 'kWe' },
+                        { label: 'Median Capacity', value: stats.median.toLocaleString(), unit: 'kWe' },
+                        { label: 'Min Capacity', value: stats.min.toLocaleString(), unit: 'kWe' },
+                        { label: 'Max Capacity', value: stats.max.toLocaleString(), unit: 'kWe' }
                     ]
                 },
                 {
@@ -363,15 +349,15 @@ export class AnalyticsManager {
                 {
                     title: '🔍 Top 10 Plants by Capacity',
                     type: 'table',
-                    headers: ['Plant Name', 'Location', 'Capacity (tonnes/year)', 'Status'],
+                    headers: ['Plant Name', 'Location', 'Capacity (kWe)', 'Status'],
                     data: plants
-                        .filter(p => this.extractCapacity(p.capacity) > 0)
-                        .sort((a, b) => this.extractCapacity(b.capacity) - this.extractCapacity(a.capacity))
+                        .filter(p => this.plantCapacityKwe(p) > 0)
+                        .sort((a, b) => this.plantCapacityKwe(b) - this.plantCapacityKwe(a))
                         .slice(0, 10)
                         .map(p => [
                             p.name,
                             p.location,
-                            this.extractCapacity(p.capacity).toLocaleString(),
+                            this.plantCapacityKwe(p).toLocaleString(),
                             p.status
                         ])
                 }
@@ -400,13 +386,14 @@ export class AnalyticsManager {
             }
             
             regionalData[region].count++;
-            regionalData[region].totalCapacity += this.extractCapacity(plant.capacity);
+            regionalData[region].totalCapacity += this.plantCapacityKwe(plant);
             
-            if (plant.status) {
-                const status = plant.status.toLowerCase();
-                if (regionalData[region][status] !== undefined) {
-                    regionalData[region][status]++;
-                }
+            if (plant.status === 'Operational') {
+                regionalData[region].operational++;
+            } else if (plant.status === 'Under Construction') {
+                regionalData[region].construction++;
+            } else if (plant.status && plant.status.startsWith('Planning')) {
+                regionalData[region].planning++;
             }
         });
 
@@ -456,7 +443,7 @@ export class AnalyticsManager {
 
         // Calculate operational metrics
         const operationalPlants = plants.filter(p => p.status === 'Operational');
-        const totalCapacity = operationalPlants.reduce((sum, p) => sum + this.extractCapacity(p.capacity), 0);
+        const totalCapacity = operationalPlants.reduce((sum, p) => sum + this.plantCapacityKwe(p), 0);
 
         return {
             title: 'Status Overview Report',
@@ -478,7 +465,7 @@ export class AnalyticsManager {
                         { label: 'Total Plants', value: plants.length, unit: 'plants' },
                         { label: 'Operational Plants', value: operationalPlants.length, unit: 'plants' },
                         { label: 'Operational Rate', value: ((operationalPlants.length / plants.length) * 100).toFixed(1), unit: '%' },
-                        { label: 'Total Operational Capacity', value: totalCapacity.toLocaleString(), unit: 'tonnes/year' }
+                        { label: 'Total Operational Capacity', value: totalCapacity.toLocaleString(), unit: 'kWe' }
                     ]
                 }
             ]
@@ -504,7 +491,7 @@ export class AnalyticsManager {
             }
             
             technologyData[tech].count++;
-            technologyData[tech].totalCapacity += this.extractCapacity(plant.capacity);
+            technologyData[tech].totalCapacity += this.plantCapacityKwe(plant);
         });
 
         // Calculate average capacity for each technology
@@ -542,50 +529,90 @@ export class AnalyticsManager {
     }
 
     /**
-     * Generate environmental impact report
+     * Generate environmental impact report from the GHG lifecycle model (GhgModel)
      */
     async generateEnvironmentalImpactTemplate() {
         const plants = this.data.adPlants || [];
-        
-        // Calculate environmental metrics
         const operationalPlants = plants.filter(p => p.status === 'Operational');
-        const totalCarbonSavings = operationalPlants.reduce((sum, p) => {
-            const savings = this.extractCarbonSavings(p.carbonSavings);
-            return sum + savings;
-        }, 0);
 
-        const totalEnergyOutput = operationalPlants.reduce((sum, p) => {
-            const energy = this.extractEnergyOutput(p.energyOutput);
-            return sum + energy;
-        }, 0);
+        const rows = operationalPlants
+            .map(plant => ({ plant, ghg: this.plantGhg(plant) }))
+            .filter(row => row.ghg);
+        const partialCount = rows.filter(row => row.ghg.partial).length;
+        const total = (key) => rows.reduce((sum, row) => sum + row.ghg.totals[key], 0);
+        const part = (group, key) => rows.reduce((sum, row) => sum + row.ghg[group][key], 0);
+        const tonnes = (value) => `${Math.round(value).toLocaleString()} t CO2e`;
+
+        const totalNet = total('net');
+        const totalEnergyOutput = operationalPlants.reduce((sum, p) => sum + this.plantEnergyMWh(p), 0);
+        const byRegion = aggregateGhg(rows, plant => plant.region);
+        const byLad = aggregateGhg(rows, plant => plant.ladName);
+        const { year, intensity } = rows[0]?.ghg ? { year: rows[0].ghg.year, intensity: rows[0].ghg.gridIntensity } : {};
+        const groupRow = (group) => [group.key, group.plants, tonnes(group.avoided), tonnes(group.emitted), tonnes(group.net)];
 
         return {
             title: 'Environmental Impact Report',
-            subtitle: 'Carbon Savings and Environmental Benefits',
+            subtitle: `Lifecycle GHG balance of operational plants${year ? ` · grid ${year} (${intensity} kg CO2e/kWh)` : ''}`,
             sections: [
                 {
                     title: '🌱 Environmental Impact',
                     type: 'stats',
                     data: [
-                        { label: 'Operational Plants', value: operationalPlants.length, unit: 'plants' },
-                        { label: 'Total Carbon Savings', value: totalCarbonSavings.toLocaleString(), unit: 'tonnes CO2/year' },
-                        { label: 'Total Energy Output', value: totalEnergyOutput.toLocaleString(), unit: 'MW' },
-                        { label: 'Avg Carbon Savings/Plant', value: (totalCarbonSavings / operationalPlants.length).toLocaleString(), unit: 'tonnes CO2/year' }
+                        { label: 'Plants Accounted', value: `${rows.length} / ${operationalPlants.length}`, unit: `operational (${partialCount} displacement only)` },
+                        { label: 'Net GHG Savings', value: Math.round(totalNet).toLocaleString(), unit: 'tonnes CO2e/year' },
+                        { label: 'Avoided Emissions', value: Math.round(total('avoided')).toLocaleString(), unit: 'tonnes CO2e/year' },
+                        { label: 'Lifecycle Emissions', value: Math.round(total('emitted')).toLocaleString(), unit: 'tonnes CO2e/year' },
+                        { label: 'Total Energy Output', value: Math.round(totalEnergyOutput).toLocaleString(), unit: 'MWh/year' },
+                        { label: 'Avg Net Savings/Plant', value: rows.length > 0 ? Math.round(totalNet / rows.length).toLocaleString() : 'N/A', unit: 'tonnes CO2e/year' }
+                    ]
+                },
+                {
+                    title: '⚖️ Savings and Emissions by Source',
+                    type: 'table',
+                    headers: ['Source', 'Type', 'tCO2e/year'],
+                    data: [
+                        ['Manure storage methane avoided', 'Avoided', tonnes(part('avoided', 'manureMethane'))],
+                        ['Grid electricity displaced', 'Avoided', tonnes(part('avoided', 'electricity'))],
+                        ['Boiler heat displaced', 'Avoided', tonnes(part('avoided', 'heat'))],
+                        ['Natural gas displaced', 'Avoided', tonnes(part('avoided', 'naturalGas'))],
+                        ['Fugitive methane', 'Emitted', tonnes(part('emitted', 'fugitiveMethane'))],
+                        ['CHP methane slip', 'Emitted', tonnes(part('emitted', 'chpSlip'))],
+                        ['Upgrading methane loss', 'Emitted', tonnes(part('emitted', 'upgradingLoss'))],
+                        ['Feedstock & digestate haulage', 'Emitted', tonnes(part('emitted', 'transport'))],
+                        ['Imported electricity (upgrading)', 'Emitted', tonnes(part('emitted', 'importedElectricity'))]
                     ]
                 },
                 {
-                    title: '📈 Top Carbon Savers',
+                    title: '🗺️ Net Savings by Region',
+                    type: 'chart',
+                    data: byRegion.map(group => ({ region: group.key, value: Math.round(group.net) })),
+                    chartType: 'bar',
+                    label: 'Net tCO2e/year'
+                },
+                {
+                    title: '📍 Regional Balance',
+                    type: 'table',
+                    headers: ['Region', 'Plants', 'Avoided', 'Emitted', 'Net'],
+                    data: byRegion.map(groupRow)
+                },
+                {
+                    title: '🏛️ Local Authority Balance',
+                    type: 'table',
+                    headers: ['Local Authority', 'Plants', 'Avoided', 'Emitted', 'Net'],
+                    data: byLad.map(groupRow)
+                },
+                {
+                    title: '📈 Top Carbon Savers (* output only, no feedstock data)',
                     type: 'table',
-                    headers: ['Plant Name', 'Carbon Savings', 'Energy Output', 'Capacity'],
-                    data: operationalPlants
-                        .filter(p => this.extractCarbonSavings(p.carbonSavings) > 0)
-                        .sort((a, b) => this.extractCarbonSavings(b.carbonSavings) - this.extractCarbonSavings(a.carbonSavings))
+                    headers: ['Plant Name', 'Net Savings', 'Energy Output', 'Capacity'],
+                    data: [...rows]
+                        .sort((a, b) => b.ghg.totals.net - a.ghg.totals.net)
                         .slice(0, 10)
-                        .map(p => [
-                            p.name,
-                            this.extractCarbonSavings(p.carbonSavings).toLocaleString() + ' tonnes CO2/year',
-                            p.energyOutput || 'N/A',
-                            p.capacity || 'N/A'
+                        .map(({ plant, ghg }) => [
+                            `${plant.name}${ghg.partial ? ' *' : ''}`,
+                            `${tonnes(ghg.totals.net)}/year`,
+                            this.plantEnergyMWh(plant) > 0 ? `${Math.round(this.plantEnergyMWh(plant)).toLocaleString()} MWh/year` : 'N/A',
+                            this.plantCapacityKwe(plant) > 0 ? `${this.plantCapacityKwe(plant).toLocaleString()} kWe` : 'N/A'
                         ])
                 }
             ]
@@ -853,26 +880,35 @@ export class AnalyticsManager {
     }
 
     /**
-     * Utility methods for data extraction
+     * Published or modelled plant figures (EnergyModel), using the user's saved yields and assumptions.
+     * The capacity and energy helpers return 0 when neither is known.
      */
-    extractCapacity(capacityStr) {
-        if (!capacityStr) return 0;
-        const match = capacityStr.toString().match(/(\d+(?:,\d+)*)/);
-        return match ? parseInt(match[1].replace(/,/g, '')) : 0;
+    plantEnergy(plant) {
+        return plantEnergyProfile(plant, window.APP_STATE?.energyModel?.settings);
+    }
+
+    plantCapacityKwe(plant) {
+        return Math.round(this.plantEnergy(plant).electricalKwe || 0);
     }
 
-    extractCarbonSavings(carbonStr) {
-        if (!carbonStr) return 0;
-        const match = carbonStr.toString().match(/(\d+(?:,\d+)*)/);
-        return match ? parseInt(match[1].replace(/,/g, '')) : 0;
+    plantEnergyMWh(plant) {
+        return this.plantEnergy(plant).energyMWh || 0;
     }
 
-    extractEnergyOutput(energyStr) {
-        if (!energyStr) return 0;
-        const match = energyStr.toString().match(/(\d+(?:\.\d+)?)/);
-        return match ? parseFloat(match[1]) : 0;
+    /**
+     * GHG balance of a plant (GhgModel) with the user's saved energy and emission factor settings; null when
+     * the plant publishes neither feedstock nor output
+     */
+    plantGhg(plant) {
+        return plantGhg(plant, {
+            energySettings: window.APP_STATE?.energyModel?.settings,
+            ghgSettings: window.APP_STATE?.carbonCalculator?.settings
+        });
     }
 
+    /**
+     * Utility methods for data extraction
+     */
     calculateMedian(numbers) {
         if (numbers.length === 0) return 0;
         const sorted = numbers.sort((a, b) => a - b);
@@ -882,11 +918,11 @@ export class AnalyticsManager {
 
     calculateCapacityDistribution(capacities) {
         const ranges = [
-            { min: 0, max: 25000, label: '0-25k' },
-            { min: 25000, max: 50000, label: '25k-50k' },
-            { min: 50000, max: 100000, label: '50k-100k' },
-            { min: 100000, max: 200000, label: '100k-200k' },
-            { min: 200000, max: Infinity, label: '200k+' }
+            { min: 0, max: 250, label: '0-250 kWe' },
+            { min: 250, max: 500, label: '250-500 kWe' },
+            { min: 500, max: 1000, label: '500 kWe-1 MWe' },
+            { min: 1000, max: 2000, label: '1-2 MWe' },
+            { min: 2000, max: Infinity, label: '2 MWe+' }
         ];
         
         return ranges.map(range => ({
@@ -948,136 +984,6 @@ export class AnalyticsManager {
         };
     }
     
-    /**
-     * Generate sample data for demonstration when no real data is available
-     */
-    generateSampleData() {
-        const samplePlants = [
-            {
-                id: 'SAMPLE001',
-                name: 'Sample AD Plant 1',
-                location: 'Manchester, Greater Manchester',
-                region: 'North West England',
-                coordinates: [-2.2426, 53.4808],
-                capacity: '50,000 tonnes/year',
-                status: 'Operational',
-                technology: 'Mesophilic',
-                carbonSavings: '25,000 tonnes CO2/year',
-                energyOutput: '2.5 MW',
-                area: 15,
-                soilType: 'Clay Loam',
-                landUse: 'Agricultural',
-                elevation: 45,
-                slope: 3,
-                floodRisk: 'Low',
-                roadDistance: 800,
-                gridDistance: 3000,
-                gasDistance: 1500,
-                residentialDistance: 1200,
-                landCost: 15000,
-                developmentCost: 2500000
-            },
-            {
-                id: 'SAMPLE002',
-                name: 'Sample AD Plant 2',
-                location: 'Birmingham, West Midlands',
-                region: 'West Midlands',
-                coordinates: [-1.8904, 52.4862],
-                capacity: '75,000 tonnes/year',
-                status: 'Planning',
-                technology: 'Thermophilic',
-                carbonSavings: '35,000 tonnes CO2/year',
-                energyOutput: '3.8 MW',
-                area: 22,
-                soilType: 'Sandy Loam',
-                landUse: 'Mixed Use',
-                elevation: 120,
-                slope: 5,
-                floodRisk: 'Medium',
-                roadDistance: 1200,
-                gridDistance: 4500,
-                gasDistance: 2800,
-                residentialDistance: 1800,
-                landCost: 18000,
-                developmentCost: 3200000
-            },
-            {
-                id: 'SAMPLE003',
-                name: 'Sample AD Plant 3',
-                location: 'Leeds, West Yorkshire',
-                region: 'Yorkshire and the Humber',
-                coordinates: [-1.5491, 53.8008],
-                capacity: '100,000 tonnes/year',
-                status: 'Construction',
-                technology: 'Mesophilic',
-                carbonSavings: '45,000 tonnes CO2/year',
-                energyOutput: '5.2 MW',
-                area: 30,
-                soilType: 'Silt Loam',
-                landUse: 'Industrial',
-                elevation: 85,
-                slope: 2,
-                floodRisk: 'Low',
-                roadDistance: 600,
-                gridDistance: 2200,
-                gasDistance: 1200,
-                residentialDistance: 900,
-                landCost: 22000,
-                developmentCost: 4200000
-            },
-            {
-                id: 'SAMPLE004',
-                name: 'Sample AD Plant 4',
-                location: 'Glasgow, Scotland',
-                region: 'Scotland',
-                coordinates: [-4.2518, 55.8642],
-                capacity: '60,000 tonnes/year',
-                status: 'Operational',
-                technology: 'Thermophilic',
-                carbonSavings: '28,000 tonnes CO2/year',
-                energyOutput: '3.1 MW',
-                area: 18,
-                soilType: 'Peat',
-                landUse: 'Agricultural',
-                elevation: 65,
-                slope: 4,
-                floodRisk: 'Medium',
-                roadDistance: 1000,
-                gridDistance: 3800,
-                gasDistance: 2000,
-                residentialDistance: 1500,
-                landCost: 12000,
-                developmentCost: 2800000
-            },
-            {
-                id: 'SAMPLE005',
-                name: 'Sample AD Plant 5',
-                location: 'Cardiff, Wales',
-                region: 'Wales',
-                coordinates: [-3.1791, 51.4816],
-                capacity: '40,000 tonnes/year',
-                status: 'Operational',
-                technology: 'Mesophilic',
-                carbonSavings: '20,000 tonnes CO2/year',
-                energyOutput: '2.1 MW',
-                area: 12,
-                soilType: 'Clay',
-                landUse: 'Mixed Use',
-                elevation: 25,
-                slope: 1,
-                floodRisk: 'High',
-                roadDistance: 1500,
-                gridDistance: 5000,
-                gasDistance: 3200,
-                residentialDistance: 2000,
-                landCost: 25000,
-                developmentCost: 1800000
-            }
-        ];
-        
-        return samplePlants;
-    }
-
     /**
      * Test the analytics system
      */
@@ -1113,7 +1019,7 @@ export class AnalyticsManager {
                 const canvas = document.querySelector(`#${chartId}`);
                 
                 if (canvas) {
-                    this.createChart(canvas, section.data, section.chartType);
+                    this.createChart(canvas, section.data, section.chartType, section.label);
                 }
             }
         });
@@ -1122,7 +1028,7 @@ export class AnalyticsManager {
     /**
      * Create a Chart.js chart
      */
-    createChart(canvas, data, chartType) {
+    createChart(canvas, data, chartType, label = 'Count') {
         try {
             if (!window.Chart) {
                 return;
@@ -1145,8 +1051,8 @@ export class AnalyticsManager {
             } else if (chartType === 'bar') {
                 labels = data.map(item => item.range || item.region || item.technology || 'Unknown');
                 datasets = [{
-                    label: 'Count',
-                    data: data.map(item => item.count || item.plants || item.capacity || 0),
+                    label,
+                    data: data.map(item => item.count || item.plants || item.capacity || item.value || 0),
                     backgroundColor: '#3B82F6',
                     borderColor: '#1D4ED8',
                     borderWidth: 1
@@ -0,0 +1,280 @@
+import { AREA_OF_INTEREST_SOURCE } from '../data/parcelSources.js';
+import { areaHectares } from '../utils/GeometryMetrics.js';
+
+const STORAGE_KEY = 'siteFinder_areasOfInterest';
+const DRAW_SOURCE = 'source-aoi-draw';
+const DRAW_LAYERS = ['layer-aoi-draw-fill', 'layer-aoi-draw-line', 'layer-aoi-draw-vertices'];
+
+/**
+ * AreaOfInterestManager - User-drawn polygons that Site Finder treats as candidate parcels
+ * Click to add vertices, double-click or Enter to finish, Escape to cancel. Areas are kept in
+ * localStorage and published as the areasOfInterest dataset, so Site Finder results go stale when they change.
+ */
+export class AreaOfInterestManager {
+    constructor(map, dataManager) {
+        this.map = map;
+        this.dataManager = dataManager;
+        this.areas = new Map();
+        this.areaCount = 0;
+        this.drawing = null;
+        this.color = '#7c3aed';
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleDoubleClick = this.handleDoubleClick.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * Restore saved areas to the map and wire the sidebar draw button
+     */
+    initialize() {
+        this.loadAreas().forEach(feature => this.addArea(feature, { save: false }));
+        this.publish();
+
+        const drawBtn = document.getElementById('draw-aoi-btn');
+        if (drawBtn) {
+            drawBtn.addEventListener('click', () => this.isDrawing ? this.cancelDrawing() : this.startDrawing());
+        }
+
+        console.log(`✅ Area of Interest Manager initialized (${this.areas.size} saved areas)`);
+    }
+
+    get isDrawing() {
+        return Boolean(this.drawing);
+    }
+
+    /**
+     * Start drawing a polygon on the map
+     */
+    startDrawing() {
+        if (!this.map || this.drawing) return;
+
+        this.drawing = { vertices: [], cursor: null };
+        this.map.doubleClickZoom.disable();
+        this.map.getCanvas().style.cursor = 'crosshair';
+        this.map.on('click', this.handleClick);
+        this.map.on('dblclick', this.handleDoubleClick);
+        this.map.on('mousemove', this.handleMouseMove);
+        document.addEventListener('keydown', this.handleKeyDown);
+        this.setDrawButtonLabel('✖️ Cancel drawing');
+        this.renderDrawing();
+        console.log('✏️ Drawing area of interest: click to add points, double-click or Enter to finish, Escape to cancel');
+    }
+
+    /**
+     * Close the ring and save the area; fewer than three points cancels
+     */
+    finishDrawing() {
+        if (!this.drawing) return null;
+
+        const vertices = this.drawing.vertices;
+        this.stopDrawing();
+        if (vertices.length < 3) {
+            console.warn('⚠️ An area of interest needs at least three points');
+            return null;
+        }
+
+        const geometry = { type: 'Polygon', coordinates: [[...vertices, vertices[0]]] };
+        return this.addArea({
+            type: 'Feature',
+            geometry,
+            properties: {
+                name: `Area of interest ${this.areaCount + 1}`,
+                drawnAt: new Date().toISOString()
+            }
+        });
+    }
+
+    cancelDrawing() {
+        this.stopDrawing();
+        console.log('✏️ Area drawing cancelled');
+    }
+
+    stopDrawing() {
+        this.drawing = null;
+        this.map.off('click', this.handleClick);
+        this.map.off('dblclick', this.handleDoubleClick);
+        this.map.off('mousemove', this.handleMouseMove);
+        document.removeEventListener('keydown', this.handleKeyDown);
+        this.map.getCanvas().style.cursor = '';
+        this.setDrawButtonLabel('✏️ Draw Area of Interest');
+
+        DRAW_LAYERS.forEach(layerId => {
+            if (this.map.getLayer(layerId)) {
+                this.map.removeLayer(layerId);
+            }
+        });
+        if (this.map.getSource(DRAW_SOURCE)) {
+            this.map.removeSource(DRAW_SOURCE);
+        }
+        // Re-enable after the second click of a finishing double-click has been handled
+        setTimeout(() => this.map.doubleClickZoom.enable(), 0);
+    }
+
+    handleClick(event) {
+        const vertex = [event.lngLat.lng, event.lngLat.lat];
+        const last = this.drawing.vertices[this.drawing.vertices.length - 1];
+        // The two clicks of a double-click land on the same point; add it once
+        if (!last || last[0] !== vertex[0] || last[1] !== vertex[1]) {
+            this.drawing.vertices.push(vertex);
+        }
+        this.renderDrawing();
+    }
+
+    handleDoubleClick(event) {
+        event.preventDefault();
+        this.finishDrawing();
+    }
+
+    handleMouseMove(event) {
+        this.drawing.cursor = [event.lngLat.lng, event.lngLat.lat];
+        this.renderDrawing();
+    }
+
+    handleKeyDown(event) {
+        if (event.key === 'Escape') {
+            this.cancelDrawing();
+        } else if (event.key === 'Enter') {
+            this.finishDrawing();
+        }
+    }
+
+    /**
+     * Draw the polygon in progress, closing it back to the first vertex through the cursor
+     */
+    renderDrawing() {
+        const { vertices, cursor } = this.drawing;
+        const ring = cursor ? [...vertices, cursor] : [...vertices];
+        const features = vertices.map(vertex => ({ type: 'Feature', geometry: { type: 'Point', coordinates: vertex }, properties: {} }));
+        if (ring.length >= 3) {
+            features.push({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] }, properties: {} });
+        } else if (ring.length === 2) {
+            features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: ring }, properties: {} });
+        }
+        const data = { type: 'FeatureCollection', features };
+
+        const source = this.map.getSource(DRAW_SOURCE);
+        if (source) {
+            source.setData(data);
+            return;
+        }
+
+        this.map.addSource(DRAW_SOURCE, { type: 'geojson', data });
+        this.map.addLayer({
+            id: 'layer-aoi-draw-fill',
+            type: 'fill',
+            source: DRAW_SOURCE,
+            filter: ['==', ['geometry-type'], 'Polygon'],
+            paint: { 'fill-color': this.color, 'fill-opacity': 0.15 }
+        });
+        this.map.addLayer({
+            id: 'layer-aoi-draw-line',
+            type: 'line',
+            source: DRAW_SOURCE,
+            filter: ['match', ['geometry-type'], ['Polygon', 'LineString'], true, false],
+            paint: { 'line-color': this.color, 'line-width': 2, 'line-dasharray': [2, 1] }
+        });
+        this.map.addLayer({
+            id: 'layer-aoi-draw-vertices',
+            type: 'circle',
+            source: DRAW_SOURCE,
+            filter: ['==', ['geometry-type'], 'Point'],
+            paint: { 'circle-radius': 4, 'circle-color': '#ffffff', 'circle-stroke-color': this.color, 'circle-stroke-width': 2 }
+        });
+    }
+
+    /**
+     * Add an area to the map, the User Data list and the areasOfInterest dataset
+     */
+    addArea(feature, { save = true } = {}) {
+        const { layerManager, sidebarManager } = window.APP_STATE || {};
+
+        this.areaCount++;
+        const id = feature.properties?.id || `aoi-${this.areaCount}`;
+        const area = {
+            ...feature,
+            properties: {
+                ...feature.properties,
+                id,
+                area_hectares: Math.round(areaHectares(feature.geometry) * 100) / 100
+            }
+        };
+        this.areas.set(id, area);
+
+        try {
+            layerManager?.addUserLayer(id, { type: 'FeatureCollection', features: [area] }, { color: this.color });
+            sidebarManager?.addUserLayerItem(id, `${area.properties.name} (${area.properties.area_hectares} ha)`, {
+                onRemove: (layerId) => this.removeArea(layerId)
+            });
+        } catch (error) {
+            console.error(`❌ Failed to show area of interest ${id}:`, error);
+        }
+
+        if (save) {
+            this.saveAreas();
+            this.publish();
+        }
+        return area;
+    }
+
+    /**
+     * Remove an area from the map and from Site Finder's candidates
+     */
+    removeArea(id) {
+        const { layerManager, sidebarManager } = window.APP_STATE || {};
+
+        layerManager?.removeUserLayer(id);
+        sidebarManager?.removeUserLayerItem(id);
+        this.areas.delete(id);
+        this.saveAreas();
+        this.publish();
+    }
+
+    getAreas() {
+        return Array.from(this.areas.values());
+    }
+
+    /**
+     * Publish the areas as the areasOfInterest dataset (bumps its version for Site Finder)
+     */
+    publish() {
+        this.dataManager?.setDataset('areasOfInterest', { type: 'FeatureCollection', features: this.getAreas() }, {
+            label: AREA_OF_INTEREST_SOURCE.label,
+            meta: { publisher: AREA_OF_INTEREST_SOURCE.publisher }
+        });
+    }
+
+    loadAreas() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            const features = saved ? JSON.parse(saved) : [];
+            // Keep ids unique across reloads
+            features.forEach(feature => {
+                const number = Number(String(feature.properties?.id || '').replace('aoi-', ''));
+                if (Number.isFinite(number)) {
+                    this.areaCount = Math.max(this.areaCount, number);
+                }
+            });
+            return features;
+        } catch (error) {
+            console.warn('Could not load areas of interest:', error);
+            return [];
+        }
+    }
+
+    saveAreas() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.getAreas()));
+        } catch (error) {
+            console.warn('Could not save areas of interest to localStorage:', error);
+        }
+    }
+
+    setDrawButtonLabel(label) {
+        const drawBtn = document.getElementById('draw-aoi-btn');
+        if (drawBtn) {
+            drawBtn.textContent = label;
+        }
+    }
+}
@@ -0,0 +1,261 @@
+import { GHG_FACTORS, GRID_INTENSITY } from '../data/emissionFactors.js';
+import { plantGhg, resolveGhgSettings } from '../utils/GhgModel.js';
+
+const STORAGE_KEY = 'ghgModel_settings';
+
+const AVOIDED_LABELS = {
+    manureMethane: 'Manure storage methane avoided',
+    electricity: 'Grid electricity displaced',
+    heat: 'Boiler heat displaced',
+    naturalGas: 'Natural gas displaced'
+};
+
+const EMITTED_LABELS = {
+    fugitiveMethane: 'Fugitive methane',
+    chpSlip: 'CHP methane slip',
+    upgradingLoss: 'Upgrading methane loss',
+    transport: 'Feedstock & digestate haulage',
+    importedElectricity: 'Imported electricity (upgrading)'
+};
+
+const formatTonnes = (value) => Math.round(value).toLocaleString();
+
+/**
+ * CarbonCalculator - Lifecycle GHG balance of an AD plant or of all operational plants
+ * Emission factors, the reporting year and its grid intensity can be edited; overrides saved as defaults
+ * are kept in localStorage and used by the environmental impact report.
+ */
+export class CarbonCalculator {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.settings = { year: null, factors: {}, gridIntensity: {} };
+        this.draft = null;
+        this.subject = null;
+        this.modal = null;
+    }
+
+    initialize() {
+        this.load();
+        console.log('✅ Carbon calculator initialized');
+    }
+
+    /**
+     * Balance of one AD plant
+     */
+    openForPlant(plantName) {
+        const plant = this.dataManager.getADPlantRecords().find(record => record.name === plantName);
+        if (!plant) {
+            console.warn(`⚠️ AD plant not found: ${plantName}`);
+            return;
+        }
+        this.open({ name: plant.displayName || plant.name, plants: [plant] });
+    }
+
+    /**
+     * Balance of every operational plant, as in the environmental impact report
+     */
+    openForPortfolio() {
+        const plants = this.dataManager.getADPlantRecords().filter(plant => plant.status === 'Operational');
+        this.open({ name: 'Operational plants', plants });
+    }
+
+    open(subject) {
+        this.subject = subject;
+        this.draft = JSON.parse(JSON.stringify(this.settings));
+
+        this.close();
+        this.modal = document.createElement('div');
+        this.modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+        document.body.appendChild(this.modal);
+        this.render();
+    }
+
+    close() {
+        this.modal?.remove();
+        this.modal = null;
+    }
+
+    /**
+     * Sum the subject's plant balances with the draft settings
+     */
+    calculate() {
+        const energySettings = window.APP_STATE?.energyModel?.settings || {};
+        const balances = this.subject.plants
+            .map(plant => plantGhg(plant, { energySettings, ghgSettings: this.draft }))
+            .filter(Boolean);
+
+        const total = (part) => Object.fromEntries(Object.keys(part === 'avoided' ? AVOIDED_LABELS : EMITTED_LABELS)
+            .map(key => [key, balances.reduce((sum, balance) => sum + balance[part][key], 0)]));
+        return {
+            accounted: balances.length,
+            partial: balances.filter(balance => balance.partial).length,
+            avoided: total('avoided'),
+            emitted: total('emitted'),
+            net: balances.reduce((sum, balance) => sum + balance.totals.net, 0),
+            settings: resolveGhgSettings(this.draft)
+        };
+    }
+
+    render() {
+        if (!this.modal) return;
+
+        const resolved = resolveGhgSettings(this.draft);
+        const years = Object.keys(resolved.gridIntensity).map(Number).sort((a, b) => b - a);
+
+        this.modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                <div class="flex justify-between items-center mb-1">
+                    <h3 class="text-xl font-bold text-gray-800">🌍 GHG Balance · ${this.subject.name}</h3>
+                    <button class="carbon-close text-gray-500 hover:text-gray-700">✕</button>
+                </div>
+                <p class="text-sm text-gray-600 mb-4">Lifecycle emissions and savings in t CO2e per year, from the energy model's outputs</p>
+
+                <div class="grid grid-cols-2 gap-6">
+                    <div>
+                        <div class="grid grid-cols-2 gap-2 mb-4">
+                            <label class="text-xs text-gray-700">Reporting year
+                                <select class="carbon-year w-full border rounded px-2 py-1 text-sm">
+                                    ${years.map(year => `<option value="${year}" ${year === resolved.year ? 'selected' : ''}>${year}</option>`).join('')}
+                                </select>
+                            </label>
+                            <label class="text-xs text-gray-700">Grid intensity ${resolved.year} (kg CO2e/kWh)
+                                <input type="number" min="0" step="any" value="${this.draft.gridIntensity[resolved.year] ?? ''}" placeholder="${GRID_INTENSITY[resolved.year] ?? ''}" class="carbon-intensity w-full border rounded px-2 py-1 text-sm">
+                            </label>
+                        </div>
+
+                        <h4 class="font-semibold text-gray-800 mb-2">Emission factors</h4>
+                        <div class="grid grid-cols-2 gap-2">
+                            ${Object.entries(GHG_FACTORS).map(([key, definition]) => `
+                                <label class="text-xs text-gray-700">${definition.label} (${definition.unit})
+                                    <input type="number" step="any" value="${this.draft.factors[key] ?? ''}" placeholder="${definition.value}" data-factor="${key}" class="carbon-factor w-full border rounded px-2 py-1 text-sm">
+                                </label>
+                            `).join('')}
+                        </div>
+                        <p class="text-xs text-gray-500 mt-2">Blank values use the DESNZ conversion factor defaults (src/data/emissionFactors.js).</p>
+                    </div>
+
+                    <div class="carbon-results"></div>
+                </div>
+
+                <div class="mt-6 flex justify-between">
+                    <button class="carbon-reset px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200">Reset to defaults</button>
+                    <button class="carbon-save px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">Save as my defaults</button>
+                </div>
+            </div>
+        `;
+
+        this.attachEventListeners();
+        this.renderResults();
+    }
+
+    /**
+     * Results column; redrawn on every edit without touching the inputs, so they keep focus
+     */
+    renderResults() {
+        const container = this.modal?.querySelector('.carbon-results');
+        if (!container) return;
+
+        const result = this.calculate();
+        if (result.accounted === 0) {
+            container.innerHTML = '<div class="bg-gray-50 p-4 rounded-lg text-sm text-gray-600">No feedstock tonnages or energy output published, so there is nothing to account for.</div>';
+            return;
+        }
+
+        const rows = (values, labels, sign) => Object.entries(labels).filter(([key]) => values[key] !== 0).map(([key, label]) => `
+            <tr class="border-b border-gray-100"><td class="py-1 text-gray-700">${label}</td><td class="py-1 text-right">${sign}${formatTonnes(values[key])}</td></tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="space-y-4">
+                <div class="p-3 rounded-lg border ${result.net >= 0 ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}">
+                    <div class="text-sm text-gray-600">Net saving</div>
+                    <div class="text-2xl font-bold ${result.net >= 0 ? 'text-green-700' : 'text-red-700'}">${formatTonnes(result.net)} t CO2e/yr</div>
+                    <div class="text-xs text-gray-500">Grid ${result.settings.year}: ${result.settings.intensity} kg CO2e/kWh</div>
+                </div>
+
+                <table class="w-full text-sm">
+                    <tbody>
+                        <tr><td colspan="2" class="pt-1 text-xs font-medium text-gray-500">Avoided</td></tr>
+                        ${rows(result.avoided, AVOIDED_LABELS, '')}
+                        <tr><td colspan="2" class="pt-3 text-xs font-medium text-gray-500">Emitted</td></tr>
+                        ${rows(result.emitted, EMITTED_LABELS, '−') || '<tr><td colspan="2" class="py-1 text-xs text-gray-500">Not modelled</td></tr>'}
+                    </tbody>
+                </table>
+
+                ${this.subject.plants.length > 1 || result.partial > 0 ? `
+                    <p class="text-xs text-gray-500">
+                        ${this.subject.plants.length > 1 ? `${result.accounted} of ${this.subject.plants.length} plants accounted for; the rest publish neither feedstock nor output. ` : ''}
+                        ${result.partial > 0 ? `${result.partial} plant(s) publish output but no feedstock tonnages, so only the energy they displace is counted.` : ''}
+                    </p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    attachEventListeners() {
+        const query = (selector) => this.modal.querySelector(selector);
+        const numberOrNull = (input) => input.value === '' ? null : Number(input.value);
+
+        query('.carbon-close')?.addEventListener('click', () => this.close());
+        query('.carbon-reset')?.addEventListener('click', () => {
+            this.draft = { year: null, factors: {}, gridIntensity: {} };
+            this.render();
+        });
+        query('.carbon-save')?.addEventListener('click', () => this.saveDefaults());
+        query('.carbon-year')?.addEventListener('change', (e) => {
+            this.draft.year = Number(e.target.value);
+            this.render();
+        });
+        query('.carbon-intensity')?.addEventListener('input', (e) => {
+            const year = resolveGhgSettings(this.draft).year;
+            this.draft.gridIntensity[year] = numberOrNull(e.target);
+            this.renderResults();
+        });
+        this.modal.querySelectorAll('.carbon-factor').forEach(input => {
+            input.addEventListener('input', () => {
+                this.draft.factors[input.dataset.factor] = numberOrNull(input);
+                this.renderResults();
+            });
+        });
+    }
+
+    /**
+     * Keep the draft overrides (only values that differ from the defaults) for future balances and reports
+     */
+    saveDefaults() {
+        const defaults = resolveGhgSettings();
+        const resolved = resolveGhgSettings(this.draft);
+        const changed = (values, base) => Object.fromEntries(Object.entries(values).filter(([key, value]) => value !== base[key]));
+
+        this.settings = {
+            year: this.draft.year ? resolved.year : null,
+            factors: changed(resolved.factors, defaults.factors),
+            gridIntensity: changed(resolved.gridIntensity, defaults.gridIntensity)
+        };
+        this.save();
+        window.APP_STATE?.errorHandler?.showSuccessNotification('GHG factors saved', 'GHG balance');
+        console.log('🌍 GHG factors saved');
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved) {
+                this.settings = { year: saved.year ?? null, factors: saved.factors || {}, gridIntensity: saved.gridIntensity || {} };
+            }
+        } catch (error) {
+            console.warn('Could not load GHG settings:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Could not save GHG settings to localStorage:', error);
+        }
+    }
+}
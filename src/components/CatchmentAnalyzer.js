@@ -0,0 +1,245 @@
+import { MANURE_CATEGORIES, manureProperties } from '../data/manureSchema.js';
+
+/**
+ * CatchmentAnalyzer - Feedstock catchment around an AD plant or candidate site
+ * Sums manure tonnage and biomethane potential by livestock type within a radius or drive-time band,
+ * less what competing plants in the overlap are likely already taking. The heavy lifting runs in
+ * spatialAnalysisWorker (CATCHMENT_ANALYSIS).
+ */
+export class CatchmentAnalyzer {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.hexIndex = null;
+        this.lastRequest = null;
+        this.lastResult = null;
+
+        this.radiusOptions = [5, 10, 15, 20, 30]; // km
+        this.driveBands = [15, 30, 60]; // minutes
+        this.defaultRadiusKm = 15;
+
+        // Plants assumed to be drawing manure already; they are taken to source from the same radius
+        this.competitorStatuses = ['Operational', 'Under Construction'];
+
+        // Drive-time bands use road-network isochrones (RoutingManager); without a network they fall back
+        // to a radius from average rural haulage speed and road circuity, which also sizes competitors' supply areas
+        this.driveSpeedKmh = 50;
+        this.roadCircuity = 1.3;
+    }
+
+    /**
+     * Run a catchment analysis and show it in the InfoPanel and on the map
+     * request: { name, coordinates: [lng, lat], plantId?, radiusKm?, driveMinutes?, catchment? }
+     */
+    async analyzeAndShow(request) {
+        const errorHandler = window.APP_STATE?.errorHandler;
+        const infoPanel = window.APP_STATE?.infoPanel;
+
+        try {
+            infoPanel?.showLoading(`Analysing feedstock around ${request.name || 'site'}...`);
+            const result = await this.analyze(request);
+
+            window.APP_STATE?.layerManager?.showCatchmentOverlay(result.catchment, result.competitors);
+            infoPanel?.showCatchmentAnalysis(result);
+            return result;
+
+        } catch (error) {
+            console.error('❌ Catchment analysis failed:', error);
+            infoPanel?.showError(`Catchment analysis failed: ${error.message}`);
+            if (errorHandler) {
+                errorHandler.handleError(error, 'Catchment Analysis');
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Re-run the last analysis with a different radius or drive band
+     */
+    rerun(changes = {}) {
+        if (!this.lastRequest) return null;
+
+        const { radiusKm, driveMinutes, catchment, ...rest } = this.lastRequest;
+        return this.analyzeAndShow({ ...rest, ...changes });
+    }
+
+    /**
+     * Compute the catchment breakdown; request.quiet skips the summary log line (batch callers log their own)
+     */
+    async analyze(request) {
+        const { name, coordinates, plantId = null } = request;
+        if (!Array.isArray(coordinates) || coordinates.length < 2) {
+            throw new Error(`${name || 'Site'} has no coordinates`);
+        }
+
+        const performanceManager = window.APP_STATE?.performanceManager;
+        if (!performanceManager || !performanceManager.isWorkerAvailable('spatialAnalysis')) {
+            throw new Error('Spatial analysis worker is not available');
+        }
+
+        const manure = await this.dataManager.loadManureData();
+        if (!manure?.collection) {
+            throw new Error('Manure volume data is not available');
+        }
+
+        const driveMinutes = request.driveMinutes || null;
+        const radiusKm = driveMinutes ? this.driveMinutesToRadius(driveMinutes) : (request.radiusKm || this.defaultRadiusKm);
+        let catchment = request.catchment || null;
+        let isochrone = false;
+
+        if (driveMinutes && !catchment) {
+            catchment = await this.getDriveTimeCatchment(coordinates, driveMinutes);
+            isochrone = Boolean(catchment);
+        }
+        const reachKm = catchment ? Math.max(radiusKm, this.polygonReachKm(coordinates, catchment.geometry)) : radiusKm;
+
+        // Competitors within reach + their own radius can overlap; their hexes reach one radius further still
+        const competitors = this.getCompetitors(coordinates, radiusKm, { name, plantId }, reachKm);
+        const hexes = this.selectHexes(manure.collection, coordinates, reachKm + radiusKm * 2);
+
+        const startTime = performance.now();
+        const results = await performanceManager.runTask('spatialAnalysis', 'CATCHMENT_ANALYSIS', {
+            origin: coordinates,
+            radiusKm,
+            catchment,
+            hexes,
+            categories: MANURE_CATEGORIES.map(({ id, biogasYield, methaneContent }) => ({ id, biogasYield, methaneContent })),
+            competitors: competitors.known
+        });
+
+        this.lastRequest = { ...request, radiusKm, driveMinutes, catchment: request.catchment || null };
+        this.lastResult = {
+            ...results,
+            name: name || 'Selected site',
+            origin: coordinates,
+            radiusKm,
+            driveMinutes,
+            mode: driveMinutes && !request.catchment ? 'drive' : catchment ? 'polygon' : 'radius',
+            isochrone,
+            unknownDemandPlants: competitors.unknown,
+            categories: MANURE_CATEGORIES.map(({ id, name: label, color }) => ({ id, name: label, color })),
+            datasetVersions: this.dataManager.getDatasetVersions(isochrone ? ['manureVolumes', 'adPlants', 'roadNetwork'] : ['manureVolumes', 'adPlants']),
+            analysisDate: new Date().toISOString()
+        };
+
+        if (!request.quiet) console.log(`🌾 Catchment for ${this.lastResult.name}: ${Math.round(results.totals.netTonnes).toLocaleString()} t/yr available from ${results.hexCount} hexes (${(performance.now() - startTime).toFixed(0)}ms)`);
+        return this.lastResult;
+    }
+
+    /**
+     * Drive-time isochrone polygon from the road network, or null to fall back on the radius approximation
+     */
+    async getDriveTimeCatchment(coordinates, driveMinutes) {
+        const routingManager = window.APP_STATE?.routingManager;
+        if (!routingManager) return null;
+
+        try {
+            const band = await routingManager.getIsochrone(coordinates, driveMinutes);
+            return { type: 'Feature', geometry: band.geometry, properties: { ...band.properties } };
+        } catch (error) {
+            console.warn(`⚠️ No road-network isochrone, approximating ${driveMinutes} min drive band:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Furthest polygon vertex from the origin (km)
+     */
+    polygonReachKm(origin, geometry) {
+        const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+        return polygons.reduce((reach, polygon) =>
+            polygon[0].reduce((max, vertex) => Math.max(max, this.haversineKm(origin, vertex)), reach), 0);
+    }
+
+    /**
+     * Straight-line radius equivalent to a drive time, allowing for road circuity
+     */
+    driveMinutesToRadius(minutes) {
+        return (minutes / 60) * this.driveSpeedKmh / this.roadCircuity;
+    }
+
+    /**
+     * Hex centroids and per-category tonnage, rebuilt only when the manure dataset changes
+     */
+    getHexIndex(collection) {
+        if (this.hexIndex && this.hexIndex.source === collection) {
+            return this.hexIndex.hexes;
+        }
+
+        const keys = MANURE_CATEGORIES.map(category => [category.id, manureProperties(category.id).tonnes]);
+        const hexes = collection.features
+            .filter(hex => hex.properties.total_tonnes > 0)
+            .map(hex => {
+                const polygon = hex.geometry.type === 'MultiPolygon' ? hex.geometry.coordinates[0] : hex.geometry.coordinates;
+                const ring = polygon[0];
+                const centroid = ring.reduce((sum, [x, y]) => [sum[0] + x / ring.length, sum[1] + y / ring.length], [0, 0]);
+                return {
+                    id: hex.id ?? hex.properties.hexId,
+                    centroid,
+                    tonnes: Object.fromEntries(keys.map(([id, key]) => [id, hex.properties[key] || 0]))
+                };
+            });
+
+        this.hexIndex = { source: collection, hexes };
+        return hexes;
+    }
+
+    /**
+     * Hexes whose centroid lies within reachKm of the origin's bounding box
+     */
+    selectHexes(collection, [lng, lat], reachKm) {
+        const latDelta = reachKm / 111.32;
+        const lngDelta = reachKm / (111.32 * Math.cos(lat * Math.PI / 180));
+
+        return this.getHexIndex(collection).filter(({ centroid: [x, y] }) =>
+            x >= lng - lngDelta && x <= lng + lngDelta && y >= lat - latDelta && y <= lat + latDelta
+        );
+    }
+
+    /**
+     * Competing AD plants whose supply radius overlaps the catchment, excluding the plant analysed.
+     * Plants without a manure/slurry tonnage cannot be deducted and are returned separately.
+     */
+    getCompetitors(origin, radiusKm, exclude = {}, reachKm = radiusKm) {
+        const known = [];
+        const unknown = [];
+
+        this.dataManager.getADPlantRecords().forEach(plant => {
+            if (!this.competitorStatuses.includes(plant.status)) return;
+            if ((exclude.plantId && plant.plantId === exclude.plantId) || (exclude.name && plant.name === exclude.name)) return;
+
+            const distanceKm = this.haversineKm(origin, plant.coordinates);
+            if (distanceKm > reachKm + radiusKm || distanceKm < 0.05) return;
+
+            if (plant.manureTpa > 0) {
+                known.push({
+                    id: plant.plantId || plant.name,
+                    name: plant.name,
+                    status: plant.status,
+                    coordinates: plant.coordinates,
+                    demandTonnes: plant.manureTpa,
+                    radiusKm
+                });
+            } else if (plant.manureTpa === null || plant.manureTpa === undefined) {
+                unknown.push({ name: plant.name, status: plant.status, distanceKm });
+            }
+        });
+
+        return { known, unknown };
+    }
+
+    haversineKm([lng1, lat1], [lng2, lat2]) {
+        const toRadians = (degrees) => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLng = toRadians(lng2 - lng1);
+        const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    /**
+     * Remove the catchment overlay from the map
+     */
+    clear() {
+        window.APP_STATE?.layerManager?.clearCatchmentOverlay();
+        this.lastResult = null;
+    }
+}
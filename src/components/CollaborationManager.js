@@ -8,6 +8,7 @@ export class CollaborationManager {
         this.currentWorkspace = null;
         this.users = new Map();
         this.annotations = new Map();
+        this.shortlist = new Map();
         this.collaborationSocket = null;
         this.isCollaborating = false;
         this.userId = this.generateUserId();
@@ -749,6 +750,7 @@ export class CollaborationManager {
             workspace: this.currentWorkspace,
             annotations: Array.from(this.annotations.values())
                 .filter(ann => ann.workspaceId === this.currentWorkspace.id),
+            shortlist: this.getWorkspaceShortlist(),
             exportDate: new Date().toISOString(),
             exportedBy: this.userName
         };
@@ -769,6 +771,9 @@ export class CollaborationManager {
      * Update collaboration status in UI
      */
     updateCollaborationStatus() {
+        // Workspace-scoped components (e.g. the shared shortlist) reload on this
+        document.dispatchEvent(new CustomEvent('workspaceChanged', { detail: this.currentWorkspace }));
+        
         const statusElement = document.querySelector('#collaboration-status');
         if (!statusElement) return;
         
@@ -830,6 +835,7 @@ export class CollaborationManager {
             const data = {
                 workspaces: Array.from(this.workspaces.entries()),
                 annotations: Array.from(this.annotations.entries()),
+                shortlist: Array.from(this.shortlist.entries()),
                 currentWorkspace: this.currentWorkspace?.id || null,
                 userId: this.userId,
                 userName: this.userName
@@ -855,6 +861,9 @@ export class CollaborationManager {
                 // Restore annotations
                 this.annotations = new Map(parsed.annotations || []);
                 
+                // Restore shared shortlist entries
+                this.shortlist = new Map(parsed.shortlist || []);
+                
                 // Restore current workspace
                 if (parsed.currentWorkspace) {
                     this.currentWorkspace = this.workspaces.get(parsed.currentWorkspace);
@@ -887,6 +896,28 @@ export class CollaborationManager {
             .filter(ann => ann.workspaceId === this.currentWorkspace.id);
     }
 
+    /**
+     * Get shortlisted sites shared with the current workspace
+     */
+    getWorkspaceShortlist() {
+        if (!this.currentWorkspace) return [];
+        return Array.from(this.shortlist.values())
+            .filter(entry => entry.workspaceId === this.currentWorkspace.id);
+    }
+
+    /**
+     * Add or update a shared shortlist entry (entry.workspaceId names its workspace)
+     */
+    saveShortlistEntry(entry) {
+        this.shortlist.set(entry.id, entry);
+        this.saveCollaborationData();
+    }
+
+    removeShortlistEntry(entryId) {
+        this.shortlist.delete(entryId);
+        this.saveCollaborationData();
+    }
+
     /**
      * Check if user is in a workspace
      */
@@ -0,0 +1,254 @@
+import { scoreSiteSet, criteriaColumns } from '../utils/SiteScoring.js';
+
+export const MAX_COMPARISON_ITEMS = 5;
+
+const kilometres = (value) => `${(value / 1000).toFixed(1)} km`;
+const tonnes = (value) => `${Math.round(value).toLocaleString()} t/yr`;
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+const pounds = (value) => `£${Math.round(value).toLocaleString()}`;
+
+/**
+ * Comparison table rows. better: 'higher' | 'lower' picks the value highlighted in each row (null: no highlight).
+ * value(item) reads a scored item and returns a number, or null when unknown.
+ */
+export const COMPARISON_ROWS = [
+    { section: 'Scores', key: 'weightedSum', label: 'Weighted score', better: 'higher', format: percent, value: (item) => item.scores?.weightedSum ?? null },
+    { section: 'Scores', key: 'environmental', label: 'Environmental', better: 'higher', format: percent, value: (item) => item.scores?.environmental ?? null },
+    { section: 'Scores', key: 'infrastructure', label: 'Infrastructure', better: 'higher', format: percent, value: (item) => item.scores?.infrastructure ?? null },
+    { section: 'Scores', key: 'economic', label: 'Economic', better: 'higher', format: percent, value: (item) => item.scores?.economic ?? null },
+    { section: 'Scores', key: 'social', label: 'Social', better: 'higher', format: percent, value: (item) => item.scores?.social ?? null },
+    { section: 'Scores', key: 'runRank', label: 'Rank in its run', better: 'lower', format: (value) => `#${value}`, value: (item) => item.rank ?? null },
+
+    { section: 'Constraints', key: 'area', label: 'Area', better: null, format: (value) => `${value.toFixed(1)} ha`, value: (item) => item.properties.area ?? null },
+    { section: 'Constraints', key: 'floodRisk', label: 'Flood risk (1-10)', better: 'lower', format: (value) => `${value}`, value: (item) => item.properties.floodRisk ?? null },
+    { section: 'Constraints', key: 'roadDistance', label: 'Road', better: 'lower', format: kilometres, value: (item) => item.properties.roadDistance ?? null },
+    { section: 'Constraints', key: 'gridDistance', label: 'Grid connection', better: 'lower', format: kilometres, value: (item) => item.properties.gridDistance ?? null },
+    { section: 'Constraints', key: 'gasDistance', label: 'Gas network', better: 'lower', format: kilometres, value: (item) => item.properties.gasDistance ?? null },
+    { section: 'Constraints', key: 'gasConnectionLength', label: 'Gas connection pipe', better: 'lower', format: kilometres, value: (item) => item.properties.gasConnectionLength ?? null },
+    { section: 'Constraints', key: 'residentialDistance', label: 'Nearest housing', better: 'higher', format: kilometres, value: (item) => item.properties.residentialDistance ?? null },
+    { section: 'Constraints', key: 'sssiDistance', label: 'SSSI', better: 'higher', format: kilometres, value: (item) => item.properties.sssiDistance ?? null },
+    { section: 'Constraints', key: 'aonbDistance', label: 'AONB', better: 'higher', format: kilometres, value: (item) => item.properties.aonbDistance ?? null },
+    { section: 'Constraints', key: 'nationalParkDistance', label: 'National park', better: 'higher', format: kilometres, value: (item) => item.properties.nationalParkDistance ?? null },
+
+    { section: 'Feedstock catchment', key: 'netTonnes', label: 'Available manure', better: 'higher', format: tonnes, value: (item) => item.catchment?.totals?.netTonnes ?? null },
+    { section: 'Feedstock catchment', key: 'competingTonnes', label: 'Taken by competitors', better: 'lower', format: tonnes, value: (item) => item.catchment?.totals?.competingTonnes ?? null },
+    { section: 'Feedstock catchment', key: 'netBiomethane', label: 'Biomethane potential', better: 'higher', format: (value) => `${Math.round(value).toLocaleString()} m³/yr`, value: (item) => item.catchment?.totals?.netBiomethane ?? null },
+
+    { section: 'Costs', key: 'landCost', label: 'Land cost', better: 'lower', format: (value) => `${pounds(value)}/ha`, value: (item) => item.properties.landCost ?? null },
+    { section: 'Costs', key: 'developmentCost', label: 'Development cost', better: 'lower', format: pounds, value: (item) => item.properties.developmentCost ?? null },
+    { section: 'Costs', key: 'gasConnectionCost', label: 'Gas connection', better: 'lower', format: pounds, value: (item) => item.properties.gasConnectionCost ?? null },
+    { section: 'Costs', key: 'operationalCostScore', label: 'Operational cost score (0-10)', better: 'higher', format: (value) => value.toFixed(1), value: (item) => item.subScores?.operationalCost ?? null }
+];
+
+/**
+ * ComparisonWorkspace - Up to five Site Finder sites or AD plants pinned for side-by-side comparison
+ * Pinned items are snapshots, so they survive new Site Finder runs. Every item is re-scored together with
+ * the current criteria and curves (weighted sum), so scores compare like with like whichever run they came from.
+ */
+export class ComparisonWorkspace {
+    constructor(siteFinder, catchmentAnalyzer) {
+        this.siteFinder = siteFinder;
+        this.catchmentAnalyzer = catchmentAnalyzer;
+        this.items = [];
+    }
+
+    /**
+     * Wire the header button
+     */
+    initialize() {
+        this.button = document.getElementById('comparison-btn');
+        if (this.button) {
+            this.button.addEventListener('click', () => this.show());
+        }
+        this.updateButton();
+        console.log('✅ Comparison workspace initialized');
+    }
+
+    show() {
+        window.APP_STATE?.infoPanel?.showComparison(this);
+    }
+
+    has(kind, id) {
+        return this.items.some(item => item.kind === kind && item.id === id);
+    }
+
+    /**
+     * Pin a site from the current Site Finder results
+     */
+    pinSite(siteId) {
+        const results = this.siteFinder.analysisResults;
+        const site = results?.results?.find(result => result.id === siteId);
+        if (!site) {
+            console.warn(`⚠️ Site not found in current results: ${siteId}`);
+            return false;
+        }
+
+        return this.pin({
+            kind: 'site',
+            id: site.id,
+            name: `Site #${site.rank || site.id}`,
+            coordinates: site.coordinates,
+            properties: { ...site.properties },
+            rank: site.rank ?? null,
+            runId: results.manifest?.id || null
+        });
+    }
+
+    /**
+     * Pin an AD plant; its location is sampled for the same constraints as candidate sites
+     */
+    async pinPlant(plantName) {
+        const plant = this.siteFinder.dataManager.getADPlantRecords().find(record => record.name === plantName);
+        if (!plant) {
+            console.warn(`⚠️ AD plant not found: ${plantName}`);
+            return false;
+        }
+        if (!this.canPin('plant', plant.name)) return false;
+
+        try {
+            const [sampled] = await this.siteFinder.constraintSampler.sampleSites([{
+                coordinates: plant.coordinates,
+                properties: { landCost: null, developmentCost: null },
+                provenance: {}
+            }]);
+
+            return this.pin({
+                kind: 'plant',
+                id: plant.name,
+                name: plant.displayName || plant.name,
+                coordinates: plant.coordinates,
+                properties: sampled.properties,
+                rank: null,
+                runId: null
+            });
+        } catch (error) {
+            console.error('❌ Failed to pin AD plant:', error);
+            window.APP_STATE?.errorHandler?.handleError(error, 'Site comparison');
+            return false;
+        }
+    }
+
+    canPin(kind, id) {
+        const errorHandler = window.APP_STATE?.errorHandler;
+        if (this.has(kind, id)) {
+            errorHandler?.showWarningNotification('Already pinned for comparison', 'Site comparison');
+            return false;
+        }
+        if (this.items.length >= MAX_COMPARISON_ITEMS) {
+            errorHandler?.showWarningNotification(`Up to ${MAX_COMPARISON_ITEMS} sites can be compared; unpin one first`, 'Site comparison');
+            return false;
+        }
+        return true;
+    }
+
+    pin(item) {
+        if (!this.canPin(item.kind, item.id)) return false;
+
+        this.items.push({ ...item, key: `${item.kind}:${item.id}`, catchment: null });
+        this.updateButton();
+        window.APP_STATE?.errorHandler?.showSuccessNotification(`${item.name} pinned (${this.items.length}/${MAX_COMPARISON_ITEMS})`, 'Site comparison');
+        console.log(`📌 Pinned ${item.name} for comparison`);
+        return true;
+    }
+
+    unpin(key) {
+        this.items = this.items.filter(item => item.key !== key);
+        this.updateButton();
+    }
+
+    clear() {
+        this.items = [];
+        this.updateButton();
+    }
+
+    updateButton() {
+        if (!this.button) return;
+        this.button.textContent = `📊 Compare (${this.items.length})`;
+    }
+
+    /**
+     * Feedstock catchment (default radius) for every pinned item that has none yet. Runs one at a time in the
+     * spatial analysis worker; the analyzer's own last analysis is kept so its radius buttons still work.
+     */
+    async loadCatchments(onProgress = null) {
+        const analyzer = this.catchmentAnalyzer;
+        if (!analyzer) return;
+
+        const { lastRequest, lastResult } = analyzer;
+        const pending = this.items.filter(item => !item.catchment);
+        try {
+            for (const [index, item] of pending.entries()) {
+                try {
+                    const result = await analyzer.analyze({
+                        name: item.name,
+                        coordinates: item.coordinates,
+                        plantId: item.kind === 'plant' ? item.id : null
+                    });
+                    item.catchment = { totals: result.totals, radiusKm: result.radiusKm };
+                } catch (error) {
+                    console.warn(`⚠️ Catchment unavailable for ${item.name}:`, error.message);
+                    item.catchment = { totals: null, error: error.message };
+                }
+                if (onProgress) onProgress(index + 1, pending.length);
+            }
+        } finally {
+            analyzer.lastRequest = lastRequest;
+            analyzer.lastResult = lastResult;
+        }
+    }
+
+    /**
+     * Pinned items re-scored together with the current criteria and scoring curves
+     */
+    scoredItems() {
+        if (this.items.length === 0) return [];
+        return scoreSiteSet(this.items, this.siteFinder.criteria, { method: 'weightedSum', curves: this.siteFinder.mcda.curves });
+    }
+
+    /**
+     * Sub-criterion keys for the radar chart, in criteria order
+     */
+    radarAxes() {
+        return criteriaColumns(this.siteFinder.criteria).map(column => column.key);
+    }
+
+    /**
+     * Table rows with each item's value and the indexes of the best value(s)
+     */
+    buildRows(items = this.scoredItems()) {
+        return COMPARISON_ROWS.map(row => {
+            const values = items.map(item => {
+                const value = row.value(item);
+                return Number.isFinite(value) ? value : null;
+            });
+            const known = values.filter(value => value !== null);
+            let best = [];
+            if (row.better && known.length > 1) {
+                const target = row.better === 'lower' ? Math.min(...known) : Math.max(...known);
+                best = values.map((value, i) => value === target ? i : -1).filter(i => i >= 0);
+                if (best.length === known.length) best = [];
+            }
+            return { ...row, values, best };
+        });
+    }
+
+    /**
+     * CSV of the comparison table: raw values, with the best item(s) in the last column
+     */
+    exportCSV() {
+        const items = this.scoredItems();
+        const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+        const lines = [
+            ['Section', 'Measure', ...items.map(item => item.name), 'Best'].map(escape).join(','),
+            ['Overview', 'Type', ...items.map(item => item.kind === 'plant' ? 'AD plant' : 'Candidate site'), ''].map(escape).join(','),
+            ['Overview', 'Coordinates', ...items.map(item => `${item.coordinates[0].toFixed(6)} ${item.coordinates[1].toFixed(6)}`), ''].map(escape).join(','),
+            ...this.buildRows(items).map(row => [
+                row.section,
+                row.label,
+                ...row.values.map(value => value === null ? '' : Math.round(value * 10000) / 10000),
+                row.best.map(i => items[i].name).join('; ')
+            ].map(escape).join(','))
+        ];
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,398 @@
+import {
+    CONSTRAINT_SOURCES,
+    DEM_SOURCE,
+    ALC_SUITABILITY,
+    FLOOD_ZONE_RISK,
+    HABITAT_CLEAR_DISTANCE,
+    normalizeAlcGrade,
+    normalizeFloodZone,
+    readSourceField
+} from '../data/constraintSources.js';
+import { PRESSURE_TIERS, GAS_INJECTION_DEFAULTS, readPressureTier } from '../data/gasNetwork.js';
+import { buildFeatureIndex, featuresContaining, nearestFeature } from '../utils/FeatureIndex.js';
+import { assessGasInjection } from '../utils/GasInjection.js';
+import { TerrainSampler } from '../utils/TerrainSampler.js';
+
+/**
+ * ConstraintSampler - Site attributes sampled from constraint layers instead of generated
+ * ALC grade, flood zone, NVZ, distances to SSSI/AONB and DNO substations, the gas network connection, elevation and slope.
+ * Every value carries provenance ({ source, version }) so a score can be traced to the data that produced it;
+ * a value is null, with a null source, when its layer is not available.
+ */
+export class ConstraintSampler {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.indexes = new Map(); // dataset name -> { version, index }
+        this.terrain = null;
+        this.terrainInfo = null;
+        this.terrainChecked = false;
+
+        // Beyond these distances a feature is reported as "at least" the search limit
+        this.maxSearchKm = {
+            sssi: 20,
+            aonb: 20,
+            nationalParks: 20,
+            residentialAreas: 10,
+            ntsPipelines: 50,
+            gasMains: 20,
+            dnoAssets: 50
+        };
+    }
+
+    /**
+     * Load the constraint layers and DEM tile set description, rebuilding indexes whose dataset changed
+     */
+    async prepare() {
+        const layers = await this.dataManager.loadConstraintLayers();
+
+        Object.entries(layers).forEach(([name, collection]) => {
+            const version = this.dataManager.getDatasetVersions([name])[name];
+            if (!collection?.features?.length) {
+                this.indexes.delete(name);
+                return;
+            }
+            if (this.indexes.get(name)?.version !== version) {
+                this.indexes.set(name, { version, index: buildFeatureIndex(collection) });
+            }
+        });
+
+        if (!this.terrainChecked) {
+            this.terrainChecked = true;
+            this.terrainInfo = await this.loadTerrainInfo();
+            this.terrain = this.terrainInfo ? new TerrainSampler({ tiles: this.terrainInfo.tiles, zoom: this.terrainInfo.zoom }) : null;
+        }
+
+        const missing = Object.keys(CONSTRAINT_SOURCES).filter(name => !this.indexes.has(name));
+        if (missing.length > 0) {
+            console.warn(`⚠️ Constraint layers unavailable, values left unknown: ${missing.join(', ')}`);
+        }
+        return this.describeSources();
+    }
+
+    /**
+     * Read the DEM TileJSON (tile URL, zoom, bounds, version). Without it terrain is not sampled, rather than
+     * requesting tiles that may not exist for every site.
+     */
+    async loadTerrainInfo() {
+        try {
+            const response = await fetch(DEM_SOURCE.tilejson);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const tilejson = await response.json();
+            return {
+                tiles: tilejson.tiles?.[0] ? new URL(tilejson.tiles[0], new URL(DEM_SOURCE.tilejson, window.location.href)).href : DEM_SOURCE.tiles,
+                zoom: Math.min(tilejson.maxzoom ?? DEM_SOURCE.zoom, DEM_SOURCE.zoom),
+                bounds: tilejson.bounds || null,
+                version: tilejson.version || null,
+                attribution: tilejson.attribution || DEM_SOURCE.publisher
+            };
+        } catch (error) {
+            console.warn('⚠️ DEM TileJSON unavailable, elevation and slope left unknown:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Sample all attributes for each site; returns the sites with properties and provenance filled in
+     */
+    async sampleSites(sites) {
+        const startTime = performance.now();
+        await this.prepare();
+
+        const sampled = [];
+        for (const site of sites) {
+            const { values, provenance } = await this.sample(site.coordinates);
+            sampled.push({
+                ...site,
+                properties: { ...site.properties, ...values },
+                provenance: { ...site.provenance, ...provenance }
+            });
+        }
+
+        console.log(`🧭 Sampled constraints for ${sites.length} sites (${(performance.now() - startTime).toFixed(0)}ms)`);
+        return sampled;
+    }
+
+    /**
+     * Sample every attribute at a point: { values, provenance }. The gas connection is sized for the design
+     * flow; sampleGasAttributes re-sizes it once a site's flow is modelled.
+     */
+    async sample(coordinates) {
+        const values = {};
+        const provenance = {};
+        const record = this.recorder(values, provenance);
+
+        // ALC grade and the development suitability it implies
+        const alcGrade = this.sampleAlcGrade(coordinates);
+        record('alcGrade', alcGrade, 'alc');
+        record('soilQuality', alcGrade ? ALC_SUITABILITY[alcGrade] ?? null : null, 'alc');
+
+        // Flood zone (zone 1 where the layer is loaded but no zone 2/3 polygon contains the site)
+        const floodZone = this.sampleFloodZone(coordinates);
+        record('floodZone', floodZone, 'floodZones');
+        record('floodRisk', floodZone ? FLOOD_ZONE_RISK[floodZone] : null, 'floodZones');
+
+        // Nitrate Vulnerable Zone (limits digestate spread on the land around the site)
+        const nvz = this.sampleNvz(coordinates);
+        record('inNvz', nvz?.inside ?? null, 'nvz', nvz?.detail);
+
+        // Designated sites
+        const sssi = this.nearest('sssi', coordinates);
+        const aonb = this.nearest('aonb', coordinates);
+        const nationalPark = this.nearest('nationalParks', coordinates);
+        record('sssiDistance', sssi?.distance ?? null, 'sssi', sssi?.detail);
+        record('aonbDistance', aonb?.distance ?? null, 'aonb', aonb?.detail);
+        record('nationalParkDistance', nationalPark?.distance ?? null, 'nationalParks', nationalPark?.detail);
+        const protectedArea = [
+            sssi && { ...sssi, source: 'sssi' },
+            aonb && { ...aonb, source: 'aonb' },
+            nationalPark && { ...nationalPark, source: 'nationalParks' }
+        ]
+            .filter(Boolean)
+            .sort((a, b) => a.distance - b.distance)[0];
+        record('protectedAreaDistance', protectedArea?.distance ?? null, protectedArea?.source, protectedArea?.detail);
+        record('biodiversity', sssi ? this.habitatScore(sssi.distance) : null, 'sssi');
+
+        // Nearest housing
+        const residential = this.nearest('residentialAreas', coordinates);
+        record('residentialDistance', residential?.distance ?? null, 'residentialAreas', residential?.detail);
+        
+        // Energy infrastructure
+        const gas = this.sampleGasAttributes(coordinates);
+        Object.assign(values, gas.values);
+        Object.assign(provenance, gas.provenance);
+
+        const grid = this.nearest('dnoAssets', coordinates);
+        record('gridDistance', grid?.distance ?? null, 'dnoAssets', grid?.detail);
+
+        // Road network (RoutingManager's nearest-road index)
+        const roadDistance = window.APP_STATE?.routingManager?.getRoadDistance(coordinates) ?? null;
+        record('roadDistance', roadDistance, 'roadNetwork');
+
+        // Terrain
+        const terrain = this.withinTerrain(coordinates) ? await this.terrain.sample(coordinates).catch(() => null) : null;
+        record('elevation', terrain?.elevation ?? null, 'dem', terrain ? { resolutionM: terrain.resolutionM } : {});
+        record('slope', terrain?.slope ?? null, 'dem', terrain ? { resolutionM: terrain.resolutionM } : {});
+
+        return { values, provenance };
+    }
+
+    /**
+     * record(attribute, value, source, detail) writing a sampled value and its provenance
+     */
+    recorder(values, provenance) {
+        return (attribute, value, source, detail = {}) => {
+            values[attribute] = value;
+            provenance[attribute] = value === null ? { source: null } : { source, version: this.versionOf(source), ...detail };
+        };
+    }
+
+    /**
+     * Gas connection attributes at a point: { values, provenance }. The connection is the cheapest main that can
+     * take the entry flow, a modelled flow ({ flowNm3h, source, note }) or, without one, the design flow, which
+     * every gas value's provenance then marks as assumed. With no main in range it is reported at the search
+     * limit, as for a layer with no feature in range.
+     */
+    sampleGasAttributes(coordinates, flow = null) {
+        const values = {};
+        const provenance = {};
+        const record = this.recorder(values, provenance);
+
+        const flowModelled = Number.isFinite(flow?.flowNm3h);
+        const flowNm3h = flowModelled ? flow.flowNm3h : GAS_INJECTION_DEFAULTS.designFlowNm3h;
+        const flowDetail = { flowNm3h: Math.round(flowNm3h), flowAssumed: !flowModelled };
+        values.gasFlowNm3h = flowDetail.flowNm3h;
+        provenance.gasFlowNm3h = flowModelled
+            ? { source: flow.source, version: this.versionOf(flow.source), feature: flow.note || null, ...flowDetail }
+            : { source: null, assumption: `Design flow of ${flowDetail.flowNm3h} Nm³/h (no feedstock model for this run)`, ...flowDetail };
+
+        const gas = this.sampleGasConnection(coordinates, flowNm3h);
+        const connection = gas?.connection;
+        const gasSource = connection?.source ?? (this.indexes.has('gasMains') ? 'gasMains' : 'ntsPipelines');
+        const gasDetail = {
+            ...(connection ? { ...this.featureDetail(gasSource, connection.feature), pressureTier: connection.tier } : { beyondSearchLimit: true }),
+            ...flowDetail
+        };
+        const gasDistance = gas ? connection?.distance ?? Math.max(this.maxSearchKm.ntsPipelines, this.maxSearchKm.gasMains) * 1000 : null;
+        record('gasDistance', gasDistance, gasSource, gasDetail);
+        record('gasConnectionLength', gas ? Math.round(gasDistance * GAS_INJECTION_DEFAULTS.pipeRouteFactor) : null, gasSource, gasDetail);
+        record('gasPressureTier', gas ? connection?.tier ?? 'none' : null, gasSource, gasDetail);
+        record('gasConnectionCost', connection ? Math.round(connection.cost) : null, gasSource, gasDetail);
+
+        return { values, provenance };
+    }
+
+    /**
+     * Index of the features behind an exclusion mask (all of a layer, or those its `where` keeps),
+     * rebuilt when the layer's dataset version changes; null when the layer is unavailable
+     */
+    exclusionIndex(name, mask) {
+        const entry = this.indexes.get(mask.dataset);
+        if (!entry) return null;
+        if (!mask.where) return entry.index;
+
+        const key = `mask:${name}`;
+        if (this.indexes.get(key)?.version !== entry.version) {
+            const features = this.dataManager.getData(mask.dataset).features.filter(feature => mask.where(feature.properties || {}));
+            this.indexes.set(key, { version: entry.version, index: buildFeatureIndex({ features }) });
+        }
+        return this.indexes.get(key).index;
+    }
+
+    /**
+     * Point index of a loaded constraint layer (call prepare() first), or null when it is unavailable
+     */
+    layerIndex(name) {
+        return this.indexes.get(name)?.index || null;
+    }
+
+    sampleAlcGrade(coordinates) {
+        const entry = this.indexes.get('alc');
+        if (!entry) return null;
+
+        const feature = featuresContaining(entry.index, coordinates)[0];
+        return feature ? normalizeAlcGrade(readSourceField(CONSTRAINT_SOURCES.alc, feature.properties)) : null;
+    }
+
+    sampleFloodZone(coordinates) {
+        const entry = this.indexes.get('floodZones');
+        if (!entry) return null;
+
+        const zones = featuresContaining(entry.index, coordinates)
+            .map(feature => normalizeFloodZone(readSourceField(CONSTRAINT_SOURCES.floodZones, feature.properties)))
+            .filter(Boolean);
+        return zones.length > 0 ? zones.sort().pop() : '1';
+    }
+
+    /**
+     * Whether the point lies in a Nitrate Vulnerable Zone: { inside, detail }, or null without the layer
+     */
+    sampleNvz(coordinates) {
+        const entry = this.indexes.get('nvz');
+        if (!entry) return null;
+
+        const zone = featuresContaining(entry.index, coordinates)[0];
+        const zoneName = zone ? readSourceField(CONSTRAINT_SOURCES.nvz, zone.properties) : null;
+        return { inside: Boolean(zone), detail: zoneName ? { feature: String(zoneName) } : {} };
+    }
+
+    /**
+     * Gas injection feasibility at a point for an entry flow (Nm³/h), by default the design flow assumed for
+     * sites without a modelled output; null when neither gas layer is available
+     */
+    sampleGasConnection(coordinates, flowNm3h = GAS_INJECTION_DEFAULTS.designFlowNm3h, assumptions = {}) {
+        const connections = this.gasConnections(coordinates);
+        return connections ? assessGasInjection({ connections, flowNm3h, assumptions }) : null;
+    }
+
+    /**
+     * Nearest NTS pipeline and nearest distribution main of each pressure tier within the search limits:
+     * [{ tier, distance (m), feature, source }], or null when neither gas layer is available
+     */
+    gasConnections(coordinates) {
+        if (!this.indexes.has('ntsPipelines') && !this.indexes.has('gasMains')) return null;
+
+        const connections = [];
+        const add = (index, tier, source) => {
+            const found = index ? nearestFeature(index, coordinates, this.maxSearchKm[source]) : null;
+            if (found) {
+                connections.push({ tier, distance: Math.round(found.km * 1000), feature: found.feature, source });
+            }
+        };
+        add(this.layerIndex('ntsPipelines'), 'nts', 'ntsPipelines');
+        Object.keys(PRESSURE_TIERS).forEach(tier => add(this.gasTierIndex(tier), tier, 'gasMains'));
+        return connections;
+    }
+
+    /**
+     * Index of the distribution mains of one pressure tier, rebuilt when the mains dataset version changes
+     */
+    gasTierIndex(tier) {
+        const entry = this.indexes.get('gasMains');
+        if (!entry) return null;
+
+        const key = `gasMains:${tier}`;
+        if (this.indexes.get(key)?.version !== entry.version) {
+            const features = this.dataManager.getData('gasMains').features.filter(feature => readPressureTier(feature.properties) === tier);
+            this.indexes.set(key, { version: entry.version, index: features.length > 0 ? buildFeatureIndex({ features }) : null });
+        }
+        return this.indexes.get(key).index;
+    }
+
+    /**
+     * Distance (m) to the nearest feature of a layer, capped at the layer's search limit
+     */
+    nearest(name, coordinates) {
+        const entry = this.indexes.get(name);
+        if (!entry) return null;
+
+        const maxKm = this.maxSearchKm[name];
+        const found = nearestFeature(entry.index, coordinates, maxKm);
+        if (!found) {
+            return { distance: maxKm * 1000, detail: { beyondSearchLimit: true } };
+        }
+
+        return {
+            distance: Math.round(found.km * 1000),
+            detail: this.featureDetail(name, found.feature)
+        };
+    }
+
+    /**
+     * Provenance detail naming the feature a value was measured to, where the layer has a name field
+     */
+    featureDetail(name, feature) {
+        const featureName = readSourceField(CONSTRAINT_SOURCES[name], feature.properties || {});
+        return featureName ? { feature: String(featureName) } : {};
+    }
+
+    /**
+     * Biodiversity impact (1-10, higher is better): 1 inside designated habitat, 10 beyond HABITAT_CLEAR_DISTANCE
+     */
+    habitatScore(distance) {
+        return Math.round((1 + 9 * Math.min(distance, HABITAT_CLEAR_DISTANCE) / HABITAT_CLEAR_DISTANCE) * 10) / 10;
+    }
+
+    withinTerrain([lng, lat]) {
+        if (!this.terrain) return false;
+        const bounds = this.terrainInfo.bounds;
+        return !bounds || (lng >= bounds[0] && lat >= bounds[1] && lng <= bounds[2] && lat <= bounds[3]);
+    }
+
+    versionOf(source) {
+        if (source === 'dem') {
+            return this.terrainInfo?.version || null;
+        }
+        return this.dataManager.getDatasetVersions([source])[source] || null;
+    }
+
+    /**
+     * Label, publisher, version and update time of every source the sampler reads, plus any other
+     * datasets the caller drew values from (e.g. the parcel layers sites were built from)
+     */
+    describeSources(otherDatasets = []) {
+        const sources = {};
+        [...Object.keys(CONSTRAINT_SOURCES), 'roadNetwork', 'manureVolumes', ...otherDatasets].forEach(name => {
+            const dataset = this.dataManager.getDataset(name);
+            if (!dataset) return;
+            sources[name] = {
+                label: dataset.label,
+                publisher: dataset.meta.publisher || null,
+                version: dataset.version,
+                available: dataset.state === 'ready',
+                updatedAt: dataset.updatedAt
+            };
+        });
+
+        sources.dem = {
+            label: DEM_SOURCE.label,
+            publisher: this.terrainInfo?.attribution || DEM_SOURCE.publisher,
+            version: this.terrainInfo?.version || null,
+            available: Boolean(this.terrain),
+            tiles: this.terrainInfo?.tiles || DEM_SOURCE.tiles,
+            zoom: this.terrainInfo?.zoom || DEM_SOURCE.zoom
+        };
+        return sources;
+    }
+}
@@ -0,0 +1,225 @@
+import { POSTCODE_API_URL } from '../data/datasets.js';
+import { UK_BOUNDS } from '../data/adPlantSchema.js';
+import { escapeHtml } from '../utils/Html.js';
+
+/**
+ * DataImportManager - Imports user files dropped on the map or picked from the sidebar
+ * Files are parsed, validated and cleaned in the data processing worker, then registered
+ * as DataManager datasets and shown as user layers
+ */
+export class DataImportManager {
+    constructor() {
+        this.imports = new Map();
+        this.importCount = 0;
+        this.dragDepth = 0;
+        this.overlay = null;
+        this.fileInput = null;
+        this.layerColors = ['#db2777', '#0891b2', '#65a30d', '#7c3aed', '#ea580c', '#0f766e'];
+        
+        // Extensions accepted for import; kmz/zip are read as binary
+        this.acceptedExtensions = ['csv', 'tsv', 'txt', 'geojson', 'json', 'kml', 'kmz', 'zip'];
+        this.binaryExtensions = ['kmz', 'zip'];
+    }
+
+    /**
+     * Initialize drag-and-drop and the sidebar import button
+     */
+    initialize() {
+        this.overlay = document.getElementById('import-drop-overlay');
+        this.fileInput = document.getElementById('import-file-input');
+
+        if (this.fileInput) {
+            this.fileInput.accept = this.acceptedExtensions.map(ext => `.${ext}`).join(',');
+            this.fileInput.addEventListener('change', async () => {
+                await this.importFiles(this.fileInput.files);
+                this.fileInput.value = '';
+            });
+        }
+
+        const importBtn = document.getElementById('import-data-btn');
+        if (importBtn && this.fileInput) {
+            importBtn.addEventListener('click', () => this.fileInput.click());
+        }
+
+        this.setupDragAndDrop();
+        console.log('✅ Data Import Manager initialized');
+    }
+
+    /**
+     * Show the drop overlay while files are dragged over the window
+     */
+    setupDragAndDrop() {
+        const isFileDrag = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+        window.addEventListener('dragenter', (event) => {
+            if (!isFileDrag(event)) return;
+            event.preventDefault();
+            this.dragDepth++;
+            this.overlay?.classList.remove('hidden');
+        });
+
+        window.addEventListener('dragover', (event) => {
+            if (!isFileDrag(event)) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+        });
+
+        window.addEventListener('dragleave', (event) => {
+            if (!isFileDrag(event)) return;
+            this.dragDepth = Math.max(0, this.dragDepth - 1);
+            if (this.dragDepth === 0) {
+                this.overlay?.classList.add('hidden');
+            }
+        });
+
+        window.addEventListener('drop', (event) => {
+            if (!isFileDrag(event)) return;
+            event.preventDefault();
+            this.dragDepth = 0;
+            this.overlay?.classList.add('hidden');
+            this.importFiles(event.dataTransfer.files);
+        });
+    }
+
+    /**
+     * Import files one at a time (the data processing worker runs one task at a time)
+     */
+    async importFiles(fileList) {
+        const results = [];
+        for (const file of Array.from(fileList || [])) {
+            const result = await this.importFile(file);
+            if (result) results.push(result);
+        }
+        return results;
+    }
+
+    /**
+     * Import a single file as a dataset and user layer
+     */
+    async importFile(file) {
+        const errorHandler = window.APP_STATE?.errorHandler;
+        // Notifications are rendered as markup, so the file name goes into their messages escaped
+        const displayName = escapeHtml(file.name);
+
+        try {
+            const extension = (file.name.split('.').pop() || '').toLowerCase();
+            if (!this.acceptedExtensions.includes(extension)) {
+                throw new Error(`${displayName}: unsupported file type. Use CSV, GeoJSON, KML/KMZ or a zipped Shapefile.`);
+            }
+
+            console.log(`📥 Importing ${file.name}...`);
+            const content = this.binaryExtensions.includes(extension)
+                ? await file.arrayBuffer()
+                : await file.text();
+
+            const { collection, report } = await this.runImport(file.name, content);
+            if (collection.features.length === 0) {
+                console.warn(`⚠️ No features imported from ${file.name}`, report.errors);
+                throw new Error(`${displayName}: none of the ${report.totalRows} row(s) could be placed on the map`);
+            }
+
+            const imported = this.addImport(file.name, collection, report);
+
+            console.log(`✅ Imported ${report.validRows}/${report.totalRows} feature(s) from ${file.name}`);
+            if (report.errors.length > 0) {
+                console.warn(`⚠️ ${file.name} has ${report.errors.length} row issue(s)`, report.errors);
+                window.APP_STATE?.dataManager?.emit('dataQualityIssues', { type: displayName, report });
+            }
+            if (errorHandler) {
+                errorHandler.showSuccessNotification(`Imported ${report.validRows} feature(s) from ${displayName}`, 'Import');
+            }
+
+            return imported;
+
+        } catch (error) {
+            console.error(`❌ Failed to import ${file.name}:`, error);
+            if (errorHandler) {
+                errorHandler.handleError(error, 'Data Import');
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Parse, validate and clean file content in the data processing worker
+     */
+    async runImport(fileName, content) {
+        const performanceManager = window.APP_STATE?.performanceManager;
+        if (!performanceManager || !performanceManager.isWorkerAvailable('dataProcessing')) {
+            throw new Error('Data processing worker is not available');
+        }
+
+        return performanceManager.runTask('dataProcessing', 'IMPORT_DATA', {
+            fileName,
+            content,
+            bounds: UK_BOUNDS,
+            postcodeApiUrl: POSTCODE_API_URL
+        });
+    }
+
+    /**
+     * Register an imported collection with DataManager, LayerManager and the sidebar
+     */
+    addImport(fileName, collection, report) {
+        const { dataManager, layerManager, sidebarManager, mapManager } = window.APP_STATE || {};
+
+        this.importCount++;
+        const layerId = `user-${this.importCount}`;
+        const color = this.layerColors[(this.importCount - 1) % this.layerColors.length];
+
+        dataManager?.setDataset(layerId, collection, {
+            label: fileName,
+            meta: {
+                quality: report,
+                userImported: true,
+                fileName,
+                format: report.format,
+                sourceCrs: report.sourceCrs,
+                importedAt: new Date().toISOString()
+            }
+        });
+
+        layerManager?.addUserLayer(layerId, collection, { color });
+        sidebarManager?.addUserLayerItem(layerId, fileName, {
+            featureCount: collection.features.length,
+            onRemove: (id) => this.removeImport(id)
+        });
+
+        if (mapManager?.map && collection.bbox) {
+            const [minX, minY, maxX, maxY] = collection.bbox;
+            mapManager.map.fitBounds([[minX, minY], [maxX, maxY]], { padding: 60, maxZoom: 14 });
+        }
+
+        const imported = {
+            layerId,
+            fileName,
+            color,
+            format: report.format,
+            featureCount: collection.features.length,
+            report
+        };
+        this.imports.set(layerId, imported);
+        return imported;
+    }
+
+    /**
+     * Remove an imported dataset and its layer
+     */
+    removeImport(layerId) {
+        const { dataManager, layerManager, sidebarManager } = window.APP_STATE || {};
+
+        layerManager?.removeUserLayer(layerId);
+        sidebarManager?.removeUserLayerItem(layerId);
+        dataManager?.removeDataset(layerId);
+        this.imports.delete(layerId);
+
+        console.log(`🗑️ Removed imported layer: ${layerId}`);
+    }
+
+    /**
+     * List imported datasets
+     */
+    getImports() {
+        return Array.from(this.imports.values());
+    }
+}
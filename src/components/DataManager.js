@@ -1,3 +1,18 @@
+import { DATASET_URLS, BOUNDARY_LEVELS } from '../data/datasets.js';
+import { PersistentCache } from '../utils/PersistentCache.js';
+import { fingerprint } from '../utils/Fingerprint.js';
+import { normalizeRoadClass } from '../utils/RoadGraph.js';
+import { CONSTRAINT_SOURCES } from '../data/constraintSources.js';
+import { PARCEL_SOURCES } from '../data/parcelSources.js';
+import { TITLE_REGISTER_SOURCE, normalizeTitleRow, normalizeTitleNumber } from '../data/titleSources.js';
+import { osgbToWgs84, describeBNG, formatGridReference, isOnGrid } from '../utils/BritishNationalGrid.js';
+import {
+    AD_PLANT_COLUMNS,
+    AD_PLANT_CAPACITY_KEYS,
+    UK_BOUNDS,
+    normalizeADPlantStatus
+} from '../data/adPlantSchema.js';
+
 /**
  * DataManager - Handles data loading, caching, and management
  * Manages AD plant data, boundary data, and other geospatial datasets
@@ -5,17 +20,75 @@
 export class DataManager {
     constructor() {
         this.cache = new Map();
-        this.dataSources = {
-            adPlants: null,
-            boundaries: null,
-            landRegistry: null
-        };
-        this.loadingStates = {
-            adPlants: false,
-            boundaries: false,
-            landRegistry: false
-        };
+        this.persistentCache = new PersistentCache();
+        this.datasets = new Map();
+        this.adPlantRecords = null;
+        this.titleIndex = new Map();
+        this.boundaryIndex = {};
+        this.boundaryWorker = null;
+        this.boundaryTasks = new Map();
+        this.boundaryTaskCounter = 0;
         this.eventListeners = new Map();
+        
+        // Built-in datasets; further datasets (e.g. user imports) register at runtime
+        this.registerDataset('boundaries', {
+            label: 'LAD/LPA boundaries',
+            loader: (previous) => this.fetchBoundaryData(previous),
+            prepare: (data) => this.indexBoundaries(data),
+            persist: true,
+            cacheVersion: 1
+        });
+        this.registerDataset('adPlants', {
+            label: 'AD plants',
+            loader: (previous) => this.fetchADPlantData(previous),
+            persist: true,
+            cacheVersion: 2
+        });
+        // Manure hex grid is large, so it loads on demand (first time a manure layer is shown)
+        this.registerDataset('manureVolumes', {
+            label: 'Manure volumes',
+            loader: (previous) => this.fetchManureData(previous),
+            persist: true,
+            cacheVersion: 1
+        });
+        // Road network for the roads layer and drive-time routing, also loaded on demand
+        this.registerDataset('roadNetwork', {
+            label: 'Road network',
+            loader: (previous) => this.fetchRoadNetwork(previous),
+            persist: true,
+            cacheVersion: 1
+        });
+        // Constraint layers sampled by Site Finder (ALC, flood zones, SSSI, AONB, NTS, gas mains, DNO), loaded on demand
+        Object.entries(CONSTRAINT_SOURCES).forEach(([name, source]) => {
+            this.registerDataset(name, {
+                label: source.label,
+                loader: (previous) => this.fetchFeatureLayer(source, previous),
+                persist: true,
+                cacheVersion: 1,
+                meta: { publisher: source.publisher, url: source.url }
+            });
+        });
+        // Parcel layers Site Finder builds candidate sites from (freehold titles, brownfield register)
+        Object.entries(PARCEL_SOURCES).forEach(([name, source]) => {
+            this.registerDataset(name, {
+                label: source.label,
+                loader: (previous) => this.fetchFeatureLayer(source, previous),
+                persist: true,
+                cacheVersion: 1,
+                meta: { publisher: source.publisher, url: source.url }
+            });
+        });
+        // Title register extract for landowner lookups, loaded on the first lookup
+        this.registerDataset('titleRegister', {
+            label: TITLE_REGISTER_SOURCE.label,
+            loader: (previous) => this.fetchTitleRegister(previous),
+            prepare: (records) => {
+                this.titleIndex = new Map(records.map(record => [record.titleNumber, record]));
+            },
+            persist: true,
+            cacheVersion: 1,
+            meta: { publisher: TITLE_REGISTER_SOURCE.publisher, url: TITLE_REGISTER_SOURCE.url }
+        });
     }
 
     /**
@@ -44,134 +117,978 @@ export class DataManager {
      * Load boundary data (Local Authority Districts and Local Planning Authorities)
      */
     async loadBoundaryData() {
-        if (this.loadingStates.boundaries) return;
+        return this.loadDataset('boundaries');
+    }
+
+    /**
+     * Fetch LAD/LPA boundaries. TopoJSON is fetched and decoded once in boundaryWorker;
+     * LayerManager reuses the decoded GeoJSON through the registry.
+     * Returns null when neither file has changed since the cached copy.
+     */
+    async fetchBoundaryData({ data: previous = null, validators = {}, meta = {} } = {}) {
+        const levels = Object.entries(BOUNDARY_LEVELS);
+        const decoded = await Promise.all(levels.map(([key, config]) =>
+            this.runBoundaryWorker('DECODE_TOPOLOGY', {
+                url: config.url,
+                level: config.level,
+                validators: previous ? validators[key] : null
+            })
+        ));
         
-        this.loadingStates.boundaries = true;
-        this.emit('loadingStateChanged', { type: 'boundaries', loading: true });
+        if (decoded.every(result => result.notModified)) {
+            return null;
+        }
         
-        try {
-            // For now, create placeholder boundary data
-            // In production, this would load from actual GeoJSON files or API
-            const boundaryData = {
-                type: 'FeatureCollection',
-                features: [
-                    {
-                        type: 'Feature',
-                        properties: {
-                            name: 'Sample LAD',
-                            type: 'LAD',
-                            code: 'E12345678'
-                        },
-                        geometry: {
-                            type: 'Polygon',
-                            coordinates: [[
-                                [-2.0, 53.0],
-                                [-2.0, 53.1],
-                                [-1.9, 53.1],
-                                [-1.9, 53.0],
-                                [-2.0, 53.0]
-                            ]]
-                        }
-                    }
-                ]
-            };
+        const boundaryData = {};
+        const report = {};
+        const nextValidators = {};
+        
+        levels.forEach(([key, config], index) => {
+            const result = decoded[index];
+            if (result.notModified) {
+                boundaryData[key] = previous[key];
+                report[key] = meta.quality?.[key];
+                nextValidators[key] = validators[key];
+                return;
+            }
             
-            this.dataSources.boundaries = boundaryData;
-            this.cache.set('boundaries', boundaryData);
+            boundaryData[key] = result.collection;
+            nextValidators[key] = result.validators;
+            report[key] = {
+                features: result.collection.features.length,
+                expectedCount: config.expectedCount,
+                skipped: result.skipped
+            };
             
-            console.log('Boundary data loaded successfully');
-            this.emit('dataLoaded', { type: 'boundaries', data: boundaryData });
+            if (result.collection.features.length !== config.expectedCount) {
+                console.warn(`⚠️ ${config.label}: expected ${config.expectedCount} boundaries, decoded ${result.collection.features.length}`);
+            }
+            if (result.skipped.length > 0) {
+                console.warn(`⚠️ ${config.label}: ${result.skipped.length} feature(s) without a code or geometry skipped`, result.skipped);
+            }
+        });
+        
+        console.log(`✅ Boundary data loaded: ${boundaryData.lad.features.length} LAD, ${boundaryData.lpa.features.length} LPA`);
+        return { data: boundaryData, validators: nextValidators, meta: { quality: report } };
+    }
+
+    /**
+     * Load the manure volume hex grid: { collection, breaks, totals }
+     */
+    async loadManureData() {
+        return this.loadDataset('manureVolumes');
+    }
+
+    /**
+     * Fetch the manure hex grid; tonnage, biomethane potential and class breaks are derived in boundaryWorker.
+     * Returns null when the file has not changed since the cached copy.
+     */
+    async fetchManureData({ data: previous = null, validators = {} } = {}) {
+        const result = await this.runBoundaryWorker('DECODE_MANURE', {
+            url: DATASET_URLS.manureVolumes,
+            validators: previous ? validators : null
+        });
+        
+        if (result.notModified) {
+            return null;
+        }
+        if (result.skipped > 0) {
+            console.warn(`⚠️ Manure volumes: ${result.skipped} hex(es) without geometry skipped`);
+        }
+        
+        const { collection, breaks, totals } = result;
+        console.log(`✅ Manure volumes loaded: ${collection.features.length} hexes`);
+        return {
+            data: { collection, breaks, totals },
+            validators: result.validators,
+            meta: { quality: { features: collection.features.length, skipped: result.skipped } }
+        };
+    }
+
+    /**
+     * Load the road network (FeatureCollection of LineStrings with road_class M/A/B/Minor)
+     */
+    async loadRoadNetwork() {
+        return this.loadDataset('roadNetwork');
+    }
+
+    /**
+     * Fetch the road network GeoJSON and normalise each road's class; only line features are kept.
+     * Returns null when the file has not changed since the cached copy.
+     */
+    async fetchRoadNetwork({ data: previous = null, validators = {} } = {}) {
+        const response = await this.fetchResource(DATASET_URLS.roadNetwork, previous ? validators : null);
+        if (response.notModified) {
+            return null;
+        }
+        
+        const parsed = JSON.parse(response.text);
+        const features = parsed.type === 'FeatureCollection' ? parsed.features : [];
+        let skipped = 0;
+        
+        const collection = {
+            type: 'FeatureCollection',
+            features: features.filter(feature => {
+                const type = feature.geometry?.type;
+                if (type !== 'LineString' && type !== 'MultiLineString') {
+                    skipped++;
+                    return false;
+                }
+                return true;
+            }).map((feature, index) => {
+                const properties = feature.properties || {};
+                return {
+                    type: 'Feature',
+                    id: index,
+                    geometry: feature.geometry,
+                    properties: {
+                        road_class: normalizeRoadClass(properties),
+                        road_name: properties.road_name || properties.roadNumber || properties.name1 || properties.name || null,
+                        surface: properties.surface || null
+                    }
+                };
+            })
+        };
+        
+        if (skipped > 0) {
+            console.warn(`⚠️ Road network: ${skipped} non-line feature(s) skipped`);
+        }
+        console.log(`✅ Road network loaded: ${collection.features.length} roads`);
+        return { data: collection, validators: response.validators, meta: { quality: { features: collection.features.length, skipped } } };
+    }
+
+    /**
+     * Load constraint layers; a layer that fails to load resolves to null rather than rejecting
+     */
+    async loadConstraintLayers(names = Object.keys(CONSTRAINT_SOURCES)) {
+        const layers = await Promise.all(names.map(name => this.loadDataset(name).catch(() => null)));
+        return Object.fromEntries(names.map((name, index) => [name, layers[index]]));
+    }
+
+    /**
+     * Load parcel layers; a layer that fails to load resolves to null rather than rejecting
+     */
+    async loadParcelLayers(names = Object.keys(PARCEL_SOURCES)) {
+        const layers = await Promise.all(names.map(name => this.loadDataset(name).catch(() => null)));
+        return Object.fromEntries(names.map((name, index) => [name, layers[index]]));
+    }
+
+    /**
+     * Fetch a constraint or parcel layer (GeoJSON FeatureCollection in WGS84); features without geometry
+     * are dropped. Returns null when the file has not changed since the cached copy.
+     */
+    async fetchFeatureLayer(source, { data: previous = null, validators = {} } = {}) {
+        const response = await this.fetchResource(source.url, previous ? validators : null);
+        if (response.notModified) {
+            return null;
+        }
+        
+        const parsed = JSON.parse(response.text);
+        if (parsed.type !== 'FeatureCollection') {
+            throw new Error(`${source.label} is not a GeoJSON FeatureCollection`);
+        }
+        
+        const features = parsed.features.filter(feature => feature.geometry);
+        const skipped = parsed.features.length - features.length;
+        if (skipped > 0) {
+            console.warn(`⚠️ ${source.label}: ${skipped} feature(s) without geometry skipped`);
+        }
+        
+        console.log(`✅ ${source.label} loaded: ${features.length} features`);
+        return {
+            data: { type: 'FeatureCollection', features },
+            validators: response.validators,
+            meta: { publisher: source.publisher, url: source.url, quality: { features: features.length, skipped } }
+        };
+    }
+
+    /**
+     * Fetch the title register CSV as title records (see titleSources.js); rows without a title number are skipped.
+     * Returns null when the file has not changed since the cached copy.
+     */
+    async fetchTitleRegister({ data: previous = null, validators = {} } = {}) {
+        const response = await this.fetchResource(TITLE_REGISTER_SOURCE.url, previous ? validators : null);
+        if (response.notModified) {
+            return null;
+        }
+        
+        const parsed = this.parseCSV(response.text);
+        const records = parsed.data.map(row => normalizeTitleRow(row)).filter(Boolean);
+        const skipped = parsed.data.length - records.length;
+        
+        console.log(`✅ ${TITLE_REGISTER_SOURCE.label} loaded: ${records.length} titles`);
+        return {
+            data: records,
+            validators: response.validators,
+            meta: { publisher: TITLE_REGISTER_SOURCE.publisher, url: TITLE_REGISTER_SOURCE.url, quality: { titles: records.length, skipped } }
+        };
+    }
+
+    /**
+     * Title record for a title number from the local register extract, or null when it is not in the extract.
+     * Rejects when the extract could not be loaded, so a missing register is not reported as a missing title.
+     */
+    async findTitle(titleNumber) {
+        const records = await this.loadDataset('titleRegister');
+        if (!records) {
+            const dataset = this.datasets.get('titleRegister');
+            throw new Error(`${dataset.label} is unavailable${dataset.error ? `: ${dataset.error.message}` : ''}`);
+        }
+        return this.titleIndex.get(normalizeTitleNumber(titleNumber)) || null;
+    }
+
+    /**
+     * Build the code/name lookups for decoded boundaries (also run when restoring from cache)
+     */
+    indexBoundaries(boundaryData) {
+        Object.entries(boundaryData).forEach(([key, collection]) => {
+            const byCode = new Map(collection.features.map(boundary => [boundary.properties.code, boundary]));
+            this.boundaryIndex[key] = {
+                codes: Array.from(byCode.values())
+                    .map(boundary => ({ code: boundary.properties.code, name: boundary.properties.name }))
+                    .sort((a, b) => a.name.localeCompare(b.name)),
+                byCode
+            };
+        });
+    }
+
+    /**
+     * Send a task to the boundary worker and resolve with its results
+     */
+    runBoundaryWorker(type, data) {
+        if (!this.boundaryWorker) {
+            this.boundaryWorker = new Worker(new URL('../workers/boundaryWorker.js', import.meta.url), { type: 'module' });
+            this.boundaryWorker.onmessage = (event) => {
+                const { id, results, error } = event.data;
+                const task = this.boundaryTasks.get(id);
+                if (!task) return;
+                
+                this.boundaryTasks.delete(id);
+                if (event.data.type === 'ERROR') {
+                    task.reject(new Error(error));
+                } else {
+                    task.resolve(results);
+                }
+            };
+            this.boundaryWorker.onerror = (event) => {
+                this.boundaryTasks.forEach(task => task.reject(new Error(event.message || 'Boundary worker failed')));
+                this.boundaryTasks.clear();
+            };
+        }
+        
+        const id = `boundary_${++this.boundaryTaskCounter}`;
+        return new Promise((resolve, reject) => {
+            this.boundaryTasks.set(id, { resolve, reject });
+            this.boundaryWorker.postMessage({ type, data, id });
+        });
+    }
+
+    /**
+     * Get the list of boundary codes and names for a level ('lad' or 'lpa'), sorted by name
+     */
+    getBoundaryCodes(level) {
+        return this.boundaryIndex[level]?.codes || [];
+    }
+
+    /**
+     * Get a boundary feature by its code (e.g. E06000001)
+     */
+    getBoundaryFeature(level, code) {
+        return this.boundaryIndex[level]?.byCode.get(code) || null;
+    }
+
+    /**
+     * Find the boundary containing a [lng, lat] point and return its properties (code, name, type)
+     */
+    findBoundaryAt(level, coordinates) {
+        const index = this.boundaryIndex[level];
+        if (!index) return null;
+        
+        const [x, y] = coordinates;
+        for (const boundary of index.byCode.values()) {
+            const [minX, minY, maxX, maxY] = boundary.bbox || [-Infinity, -Infinity, Infinity, Infinity];
+            if (x < minX || x > maxX || y < minY || y > maxY) continue;
             
-        } catch (error) {
-            console.error('Error loading boundary data:', error);
-            this.emit('error', { type: 'boundaries', error });
-        } finally {
-            this.loadingStates.boundaries = false;
-            this.emit('loadingStateChanged', { type: 'boundaries', loading: false });
+            const polygons = boundary.geometry.type === 'MultiPolygon'
+                ? boundary.geometry.coordinates
+                : [boundary.geometry.coordinates];
+            if (polygons.some(polygon => this.pointInPolygon(coordinates, polygon))) {
+                return boundary.properties;
+            }
         }
+        return null;
+    }
+
+    /**
+     * Ray-casting point in polygon test (outer ring minus holes)
+     */
+    pointInPolygon(point, rings) {
+        const inRing = (ring) => {
+            const [x, y] = point;
+            let inside = false;
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i];
+                const [xj, yj] = ring[j];
+                if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        };
+        
+        return inRing(rings[0]) && !rings.slice(1).some(inRing);
     }
 
     /**
      * Load AD plant data
      */
     async loadADPlantData() {
-        if (this.loadingStates.adPlants) return;
+        return this.loadDataset('adPlants');
+    }
+
+    /**
+     * Fetch the AD plants CSV and normalise it into a typed FeatureCollection.
+     * Returns null when the CSV has not changed since the cached copy.
+     */
+    async fetchADPlantData({ data: previous = null, validators = {} } = {}) {
+        const response = await this.fetchResource(DATASET_URLS.adPlants, previous ? validators : null);
+        if (response.notModified) {
+            return null;
+        }
         
-        this.loadingStates.adPlants = true;
-        this.emit('loadingStateChanged', { type: 'adPlants', loading: true });
+        const parsed = this.parseCSV(response.text);
+        const { collection, report } = this.normalizeADPlantRows(parsed.data, parsed.meta.fields || []);
         
-        try {
-            // For now, create placeholder AD plant data
-            // In production, this would load from actual database or API
-            const adPlantData = {
-                type: 'FeatureCollection',
-                features: [
-                    {
-                        type: 'Feature',
-                        properties: {
-                            name: 'Sample AD Plant',
-                            developer: 'Sample Developer Ltd',
-                            location: 'Sample Location',
-                            technology: 'Anaerobic Digestion',
-                            status: 'Operational',
-                            capacity: '50,000 tonnes/year',
-                            feedstock: 'Food waste, agricultural waste',
-                            energyOutput: '2.5 MW',
-                            commissioningDate: '2023-01-01'
-                        },
-                        geometry: {
-                            type: 'Point',
-                            coordinates: [-1.95, 53.05]
-                        }
-                    }
-                ]
-            };
+        // CSV-level parse errors (unbalanced quotes, wrong field counts) are row issues too
+        parsed.errors.forEach(parseError => {
+            report.errors.push({
+                row: typeof parseError.row === 'number' ? parseError.row + 2 : null,
+                name: null,
+                field: null,
+                value: null,
+                reason: `CSV parse error: ${parseError.message}`,
+                severity: 'warning'
+            });
+        });
+        
+        this.joinBoundaryCodes(collection);
+        
+        console.log(`✅ AD plant data loaded: ${report.validRows}/${report.totalRows} rows mapped`);
+        if (report.errors.length > 0) {
+            console.warn(`⚠️ AD plant data has ${report.errors.length} row issue(s)`, report.errors);
+            this.emit('dataQualityIssues', { type: 'adPlants', report });
+        }
+        
+        return { data: collection, validators: response.validators, meta: { quality: report } };
+    }
+
+    /**
+     * Fill in missing LAD/LPA codes and names on point features from the loaded boundaries
+     */
+    joinBoundaryCodes(collection) {
+        collection.features.forEach(plant => {
+            const properties = plant.properties;
+            if (!properties.ladCode) {
+                const lad = this.findBoundaryAt('lad', plant.geometry.coordinates);
+                if (lad) {
+                    properties.ladCode = lad.code;
+                    properties.ladName = properties.ladName || lad.name;
+                }
+            }
+            if (!properties.lpaCode) {
+                const lpa = this.findBoundaryAt('lpa', plant.geometry.coordinates);
+                if (lpa) {
+                    properties.lpaCode = lpa.code;
+                    properties.lpaName = properties.lpaName || lpa.name;
+                }
+            }
+        });
+    }
+
+    /**
+     * Fetch a text resource, failing on non-2xx responses. With validators from a cached copy
+     * the request is conditional and resolves { notModified: true } on 304.
+     */
+    async fetchResource(url, validators = null) {
+        const headers = {};
+        if (validators?.etag) headers['If-None-Match'] = validators.etag;
+        if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+        
+        const response = await fetch(url, { headers });
+        if (response.status === 304) {
+            return { notModified: true };
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+        }
+        
+        return {
+            notModified: false,
+            text: await response.text(),
+            validators: {
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified')
+            }
+        };
+    }
+
+    /**
+     * Parse CSV text with Papa Parse (header row, all values kept as strings)
+     */
+    parseCSV(csvText) {
+        if (typeof Papa === 'undefined') {
+            throw new Error('Papa Parse is not available');
+        }
+        
+        return Papa.parse(csvText, {
+            header: true,
+            skipEmptyLines: 'greedy',
+            dynamicTyping: false,
+            transformHeader: header => header.trim()
+        });
+    }
+
+    /**
+     * Normalise AD plant CSV rows against AD_PLANT_COLUMNS.
+     * Rows with missing or out-of-range coordinates are excluded; rows with
+     * unparseable capacities are kept with a null value. Both are reported.
+     */
+    normalizeADPlantRows(rows, fields) {
+        const headers = this.resolveSchemaHeaders(AD_PLANT_COLUMNS, fields);
+        const features = [];
+        const errors = [];
+        
+        const missingColumns = AD_PLANT_COLUMNS
+            .filter(def => !headers.has(def.key))
+            .map(def => def.column);
+        
+        rows.forEach((row, index) => {
+            const rowNumber = index + 2; // Line 1 is the header
+            const properties = {};
+            const rowErrors = [];
             
-            this.dataSources.adPlants = adPlantData;
-            this.cache.set('adPlants', adPlantData);
+            AD_PLANT_COLUMNS.forEach(def => {
+                const header = headers.get(def.key);
+                const raw = header ? row[header] : undefined;
+                const { value, valid } = this.coerceValue(raw, def.type);
+                properties[def.key] = value;
+                
+                if (!valid) {
+                    rowErrors.push({
+                        field: def.column,
+                        value: raw,
+                        reason: AD_PLANT_CAPACITY_KEYS.includes(def.key) ? 'Unparseable capacity' : `Invalid ${def.type} value`,
+                        severity: 'warning'
+                    });
+                }
+            });
             
-            console.log('AD plant data loaded successfully');
-            this.emit('dataLoaded', { type: 'adPlants', data: adPlantData });
+            // Rows that only carry a National Grid position are placed from their easting/northing
+            if (!(Number.isFinite(properties.latitude) && Number.isFinite(properties.longitude)) &&
+                isOnGrid(properties.easting, properties.northing)) {
+                [properties.longitude, properties.latitude] = osgbToWgs84(properties.easting, properties.northing);
+            }
             
-        } catch (error) {
-            console.error('Error loading AD plant data:', error);
-            this.emit('error', { type: 'adPlants', error });
-        } finally {
-            this.loadingStates.adPlants = false;
-            this.emit('loadingStateChanged', { type: 'adPlants', loading: false });
+            const { latitude, longitude } = properties;
+            const hasCoordinates = Number.isFinite(latitude) && Number.isFinite(longitude);
+            const inBounds = hasCoordinates &&
+                longitude >= UK_BOUNDS.minLon && longitude <= UK_BOUNDS.maxLon &&
+                latitude >= UK_BOUNDS.minLat && latitude <= UK_BOUNDS.maxLat;
+            
+            if (!inBounds) {
+                rowErrors.push({
+                    field: 'Latitude/Longitude',
+                    value: `${row[headers.get('latitude')] ?? ''}, ${row[headers.get('longitude')] ?? ''}`,
+                    reason: hasCoordinates ? 'Coordinates outside UK bounds' : 'Missing or invalid coordinates',
+                    severity: 'error'
+                });
+            }
+            
+            rowErrors.forEach(rowError => {
+                errors.push({ row: rowNumber, name: properties.name, ...rowError });
+            });
+            
+            if (!inBounds) return;
+            
+            properties.id = properties.plantId || `adp-${rowNumber}`;
+            properties.status = normalizeADPlantStatus(properties.group || properties.statusDetail);
+            properties.location = [properties.address, properties.county].filter(Boolean).join(', ') || properties.postcode || '';
+            properties.coordinates = [longitude, latitude];
+            
+            if (!isOnGrid(properties.easting, properties.northing)) {
+                const bng = describeBNG(longitude, latitude);
+                properties.easting = bng.easting;
+                properties.northing = bng.northing;
+            }
+            properties.gridReference = formatGridReference(properties.easting, properties.northing);
+            
+            features.push({
+                type: 'Feature',
+                id: features.length,
+                properties,
+                geometry: {
+                    type: 'Point',
+                    coordinates: [longitude, latitude]
+                }
+            });
+        });
+        
+        return {
+            collection: { type: 'FeatureCollection', features },
+            report: {
+                totalRows: rows.length,
+                validRows: features.length,
+                excludedRows: rows.length - features.length,
+                missingColumns,
+                errors
+            }
+        };
+    }
+
+    /**
+     * Resolve schema keys to the actual CSV headers (case and whitespace insensitive, with aliases)
+     */
+    resolveSchemaHeaders(schema, fields) {
+        const canonical = header => String(header).toLowerCase().replace(/\s+/g, '');
+        const lookup = new Map(fields.map(field => [canonical(field), field]));
+        const headers = new Map();
+        
+        schema.forEach(def => {
+            const candidates = [def.column, ...(def.aliases || [])];
+            const match = candidates.map(canonical).find(candidate => lookup.has(candidate));
+            if (match) {
+                headers.set(def.key, lookup.get(match));
+            }
+        });
+        
+        return headers;
+    }
+
+    /**
+     * Coerce a raw CSV string to a schema type. Blank values become null and are valid.
+     */
+    coerceValue(raw, type) {
+        const text = raw === undefined || raw === null ? '' : String(raw).trim();
+        if (text === '' || /^(n\/a|na|-)$/i.test(text)) {
+            return { value: null, valid: true };
+        }
+        
+        switch (type) {
+            case 'number':
+            case 'integer': {
+                const number = Number(text.replace(/[,\s£]/g, ''));
+                if (!Number.isFinite(number)) return { value: null, valid: false };
+                return { value: type === 'integer' ? Math.round(number) : number, valid: true };
+            }
+            case 'boolean': {
+                if (/^(y|yes|true|1)$/i.test(text)) return { value: true, valid: true };
+                if (/^(n|no|false|0)$/i.test(text)) return { value: false, valid: true };
+                return { value: null, valid: false };
+            }
+            case 'date': {
+                // Completion dates are often just a year or quarter; keep those as written
+                const timestamp = /^\d{4}-\d{2}-\d{2}/.test(text) ? Date.parse(text) : NaN;
+                return { value: Number.isNaN(timestamp) ? text : new Date(timestamp).toISOString().split('T')[0], valid: true };
+            }
+            default:
+                return { value: text, valid: true };
+        }
+    }
+
+    /**
+     * Get AD plants as flat records (one object per plant, with coordinates and display strings)
+     * for components that work with lists rather than GeoJSON
+     */
+    getADPlantRecords() {
+        const collection = this.getData('adPlants');
+        if (!collection || !Array.isArray(collection.features)) return [];
+        
+        if (this.adPlantRecords && this.adPlantRecords.source === collection) {
+            return this.adPlantRecords.records;
+        }
+        
+        const records = collection.features.map(feature => {
+            const properties = feature.properties;
+            return {
+                ...properties,
+                coordinates: feature.geometry.coordinates,
+                capacity: properties.capacityKwe !== null ? `${properties.capacityKwe.toLocaleString()} kWe` : 'N/A',
+                energyOutput: properties.capacityKwe !== null ? `${(properties.capacityKwe / 1000).toFixed(2)} MW` : null,
+                commissioningDate: properties.completion
+            };
+        });
+        
+        this.adPlantRecords = { source: collection, records };
+        return records;
+    }
+
+    /**
+     * Get the data quality report (row errors, missing columns) for a data type
+     */
+    getDataQualityReport(type) {
+        return this.datasets.get(type)?.meta.quality || null;
+    }
+
+    /**
+     * Register a named dataset. A loader is an async function that receives the current copy
+     * ({ data, validators, meta }) and returns { data, validators, meta }, or null when the source
+     * is unchanged. Datasets without a loader (e.g. user imports) are filled with setDataset().
+     * persist: keep the dataset in the IndexedDB cache; bump cacheVersion when its shape changes.
+     * prepare: rebuild derived state (indexes) whenever new data is committed.
+     */
+    registerDataset(name, { label = name, loader = null, prepare = null, persist = false, cacheVersion = 1, data = null, meta = {} } = {}) {
+        if (this.datasets.has(name)) {
+            throw new Error(`Dataset already registered: ${name}`);
+        }
+        
+        const dataset = {
+            name,
+            label,
+            loader,
+            prepare,
+            persist,
+            cacheVersion,
+            data: null,
+            validators: {},
+            state: 'idle',
+            refreshing: false,
+            version: 0,
+            updatedAt: null,
+            error: null,
+            meta: { ...meta },
+            fingerprint: null,
+            pending: null
+        };
+        this.datasets.set(name, dataset);
+        this.emit('datasetRegistered', this.describeDataset(dataset));
+        
+        if (data) {
+            this.commitDataset(dataset, data);
+        }
+        return this.describeDataset(dataset);
+    }
+
+    /**
+     * Load a registered dataset. Persisted datasets start instantly from the IndexedDB cache
+     * and are revalidated against the source in the background. Concurrent calls share one
+     * load; a ready dataset is only refetched when force is set.
+     */
+    async loadDataset(name, { force = false } = {}) {
+        const dataset = this.datasets.get(name);
+        if (!dataset) {
+            throw new Error(`Unknown dataset: ${name}`);
+        }
+        if (dataset.pending) return dataset.pending;
+        if (!dataset.loader || (dataset.state === 'ready' && !force)) return dataset.data;
+        
+        if (dataset.persist && dataset.state === 'idle' && await this.restoreFromCache(dataset)) {
+            this.refreshDataset(dataset);
+            return dataset.data;
+        }
+        
+        return this.refreshDataset(dataset);
+    }
+
+    /**
+     * Restore a dataset from the persistent cache; returns false on a miss or stale cache version
+     */
+    async restoreFromCache(dataset) {
+        const entry = await this.persistentCache.get(dataset.name);
+        if (!entry) return false;
+        
+        if (entry.cacheVersion !== dataset.cacheVersion) {
+            await this.persistentCache.delete(dataset.name);
+            return false;
+        }
+        
+        dataset.validators = entry.validators || {};
+        this.commitDataset(dataset, entry.data, {
+            ...entry.meta,
+            source: 'cache',
+            cachedAt: new Date(entry.storedAt).toISOString()
+        });
+        console.log(`⚡ ${dataset.label} restored from cache (v${dataset.version})`);
+        return true;
+    }
+
+    /**
+     * Fetch a dataset from its source. When data is already shown this runs as a background
+     * refresh: failures are logged and the current copy is kept.
+     */
+    refreshDataset(dataset) {
+        if (dataset.pending) return dataset.pending;
+        
+        const background = dataset.state === 'ready';
+        if (background) {
+            dataset.refreshing = true;
+            this.emit('datasetStateChanged', { name: dataset.name, state: dataset.state, refreshing: true, version: dataset.version });
+        } else {
+            this.setDatasetState(dataset, 'loading');
+        }
+        
+        dataset.pending = (async () => {
+            try {
+                const result = await dataset.loader({
+                    data: dataset.data,
+                    validators: dataset.validators,
+                    meta: dataset.meta
+                });
+                
+                if (result) {
+                    dataset.validators = result.validators || {};
+                    this.commitDataset(dataset, result.data, { ...result.meta, source: 'network', cachedAt: null });
+                    this.persistDataset(dataset);
+                } else {
+                    console.log(`✅ ${dataset.label} is up to date`);
+                    dataset.meta.validatedAt = new Date().toISOString();
+                    if (dataset.state !== 'ready') {
+                        this.setDatasetState(dataset, 'ready');
+                    }
+                }
+                return dataset.data;
+            } catch (error) {
+                if (background) {
+                    console.warn(`⚠️ Background refresh of ${dataset.label} failed, keeping cached copy:`, error);
+                    return dataset.data;
+                }
+                console.error(`Error loading ${dataset.label}:`, error);
+                dataset.error = error;
+                this.setDatasetState(dataset, 'error');
+                this.emit('error', { type: dataset.name, error });
+                return dataset.data;
+            } finally {
+                dataset.pending = null;
+                if (dataset.refreshing) {
+                    dataset.refreshing = false;
+                    this.emit('datasetStateChanged', { name: dataset.name, state: dataset.state, refreshing: false, version: dataset.version });
+                }
+            }
+        })();
+        
+        return dataset.pending;
+    }
+
+    /**
+     * Write a dataset to the persistent cache (fire and forget; failures only disable persistence)
+     */
+    persistDataset(dataset) {
+        if (!dataset.persist) return;
+        
+        const { source, cachedAt, ...meta } = dataset.meta;
+        this.persistentCache.set(dataset.name, dataset.data, {
+            validators: dataset.validators,
+            cacheVersion: dataset.cacheVersion,
+            meta
+        });
+    }
+
+    /**
+     * Reload a dataset; every subscriber (map, search, reports, Site Finder) receives the new version
+     */
+    reloadDataset(name) {
+        return this.loadDataset(name, { force: true });
+    }
+
+    /**
+     * Replace a dataset's data directly, registering it if needed
+     */
+    setDataset(name, data, { label, meta } = {}) {
+        if (!this.datasets.has(name)) {
+            return this.registerDataset(name, { label, data, meta });
+        }
+        
+        const dataset = this.datasets.get(name);
+        if (label) dataset.label = label;
+        this.commitDataset(dataset, data, meta);
+        return this.describeDataset(dataset);
+    }
+
+    /**
+     * Remove a dataset from the registry
+     */
+    removeDataset(name) {
+        const dataset = this.datasets.get(name);
+        if (!dataset) return false;
+        
+        this.datasets.delete(name);
+        this.cache.delete(name);
+        if (dataset.persist) {
+            this.persistentCache.delete(name);
+        }
+        this.emit('datasetRemoved', { name });
+        return true;
+    }
+
+    /**
+     * Store new data for a dataset, bump its version and notify subscribers
+     */
+    commitDataset(dataset, data, meta = {}) {
+        if (dataset.prepare) {
+            dataset.prepare(data);
+        }
+        
+        dataset.data = data;
+        dataset.version += 1;
+        dataset.updatedAt = new Date().toISOString();
+        dataset.error = null;
+        Object.assign(dataset.meta, meta);
+        this.cache.set(dataset.name, data);
+        
+        this.setDatasetState(dataset, 'ready');
+        this.emit('dataLoaded', { type: dataset.name, data });
+        this.emit('datasetChanged', { name: dataset.name, version: dataset.version, data, meta: dataset.meta });
+    }
+
+    /**
+     * Update a dataset's loading state
+     */
+    setDatasetState(dataset, state) {
+        dataset.state = state;
+        this.emit('loadingStateChanged', { type: dataset.name, loading: state === 'loading' });
+        this.emit('datasetStateChanged', { name: dataset.name, state, version: dataset.version });
+    }
+
+    /**
+     * Subscribe to changes of one or more datasets. Returns an unsubscribe function.
+     * With immediate set, the callback also runs for datasets that are already loaded.
+     */
+    subscribe(names, callback, { immediate = false } = {}) {
+        const watched = Array.isArray(names) ? names : [names];
+        const handler = (change) => {
+            if (watched.includes(change.name)) {
+                callback(change);
+            }
+        };
+        this.on('datasetChanged', handler);
+        
+        if (immediate) {
+            watched.forEach(name => {
+                const dataset = this.datasets.get(name);
+                if (dataset && dataset.state === 'ready') {
+                    callback({ name, version: dataset.version, data: dataset.data, meta: dataset.meta });
+                }
+            });
         }
+        
+        return () => this.off('datasetChanged', handler);
+    }
+
+    /**
+     * Public description of a dataset (without its data)
+     */
+    describeDataset(dataset) {
+        return {
+            name: dataset.name,
+            label: dataset.label,
+            state: dataset.state,
+            refreshing: dataset.refreshing,
+            version: dataset.version,
+            updatedAt: dataset.updatedAt,
+            error: dataset.error ? dataset.error.message : null,
+            meta: dataset.meta
+        };
+    }
+
+    /**
+     * Get the registry entry for a dataset
+     */
+    getDataset(name) {
+        const dataset = this.datasets.get(name);
+        return dataset ? this.describeDataset(dataset) : null;
+    }
+
+    /**
+     * List all registered datasets
+     */
+    listDatasets() {
+        return Array.from(this.datasets.values()).map(dataset => this.describeDataset(dataset));
+    }
+
+    /**
+     * Current version of each named dataset (all datasets when no names are given)
+     */
+    getDatasetVersions(names) {
+        const selected = names || Array.from(this.datasets.keys());
+        return Object.fromEntries(selected.map(name => [name, this.datasets.get(name)?.version || 0]));
+    }
+
+    /**
+     * Version details of each named dataset for run manifests: session version plus what identifies the
+     * contents across sessions (content fingerprint, feature count, HTTP validators, load time and source).
+     * The fingerprint is computed once per dataset version.
+     */
+    describeDatasetVersions(names) {
+        return Object.fromEntries(names.map(name => {
+            const dataset = this.datasets.get(name);
+            if (!dataset || dataset.data == null) {
+                return [name, { version: 0, fingerprint: null, features: null }];
+            }
+            
+            if (dataset.fingerprint?.version !== dataset.version) {
+                dataset.fingerprint = { version: dataset.version, value: fingerprint(dataset.data) };
+            }
+            return [name, {
+                version: dataset.version,
+                fingerprint: dataset.fingerprint.value,
+                features: Array.isArray(dataset.data.features) ? dataset.data.features.length : null,
+                updatedAt: dataset.updatedAt,
+                source: dataset.meta.source || null,
+                etag: dataset.validators?.etag || null,
+                lastModified: dataset.validators?.lastModified || null
+            }];
+        }));
     }
 
     /**
      * Get data by type
      */
     getData(type) {
-        return this.dataSources[type] || this.cache.get(type);
+        return this.datasets.get(type)?.data || this.cache.get(type);
     }
 
     /**
      * Get loading state for a data type
      */
     isLoading(type) {
-        return this.loadingStates[type] || false;
+        return this.datasets.get(type)?.state === 'loading';
     }
 
     /**
      * Check if all required data is loaded
      */
     isDataReady() {
-        return this.dataSources.boundaries && this.dataSources.adPlants;
+        return ['boundaries', 'adPlants'].every(name => this.datasets.get(name)?.state === 'ready');
     }
 
     /**
-     * Clear cache for a specific data type
+     * Clear cache for a specific data type (or everything), in memory and in IndexedDB.
+     * Cleared datasets lose their validators so the next load is unconditional.
      */
-    clearCache(type) {
+    async clearCache(type) {
         if (type) {
             this.cache.delete(type);
+            await this.persistentCache.delete(type);
         } else {
             this.cache.clear();
+            await this.persistentCache.clear();
         }
+        
+        this.datasets.forEach(dataset => {
+            if (!type || dataset.name === type) {
+                dataset.validators = {};
+            }
+        });
+        console.log(`🧹 Cache cleared: ${type || 'all datasets'}`);
+    }
+
+    /**
+     * Cache size accounting: in-memory entries plus the persistent store usage
+     */
+    async getCacheUsage() {
+        return {
+            memoryEntries: this.cache.size,
+            persistent: await this.persistentCache.getUsage()
+        };
     }
 
     /**
@@ -0,0 +1,333 @@
+import { FEEDSTOCK_TYPES, ENERGY_ASSUMPTIONS } from '../data/feedstockYields.js';
+import { modelEnergy, plantFeedstockMix, plantEnergyProfile, catchmentFeedstockMix, resolveEnergySettings } from '../utils/EnergyModel.js';
+import { escapeHtml } from '../utils/Html.js';
+
+const STORAGE_KEY = 'energyModel_settings';
+
+const formatNumber = (value, digits = 0) => value === null || value === undefined || !Number.isFinite(value)
+    ? '—'
+    : value.toLocaleString(undefined, { maximumFractionDigits: digits });
+
+/**
+ * EnergyModelCalculator - Biogas, CHP and grid-injection outputs for an AD plant, a shortlisted site or a
+ * hypothetical plant, from tonnes per year of each feedstock
+ * Existing plants start from their published feedstock tonnages and shortlisted sites from the manure
+ * available in their catchment; every tonnage, yield and conversion assumption can be edited. Overrides
+ * saved as defaults are kept in localStorage and also used by the analytics reports.
+ */
+export class EnergyModelCalculator {
+    constructor(dataManager, catchmentAnalyzer) {
+        this.dataManager = dataManager;
+        this.catchmentAnalyzer = catchmentAnalyzer;
+        this.settings = { assumptions: {}, yields: {} };
+        this.draft = null;
+        this.subject = null;
+        this.modal = null;
+    }
+
+    initialize() {
+        this.load();
+
+        const button = document.getElementById('energy-model-btn');
+        if (button) {
+            button.addEventListener('click', () => this.openHypothetical());
+        }
+        console.log('✅ Energy model calculator initialized');
+    }
+
+    openHypothetical() {
+        this.open({ kind: 'hypothetical', name: 'Hypothetical plant', mix: {} });
+    }
+
+    /**
+     * Model an AD plant from its published feedstock tonnages, shown next to its published capacity
+     */
+    openForPlant(plantName) {
+        const plant = this.dataManager.getADPlantRecords().find(record => record.name === plantName);
+        if (!plant) {
+            console.warn(`⚠️ AD plant not found: ${plantName}`);
+            return;
+        }
+
+        const mix = plantFeedstockMix(plant);
+        this.open({
+            kind: 'plant',
+            name: plant.displayName || plant.name,
+            mix,
+            note: Object.keys(mix).length > 0 ? 'Published feedstock tonnages' : 'No feedstock tonnages published for this plant; enter a mix to model it',
+            reported: {
+                electricalKwe: Number.isFinite(plant.capacityKwe) ? plant.capacityKwe : null,
+                biomethaneNm3h: Number.isFinite(plant.biomethaneNm3h) ? plant.biomethaneNm3h : null,
+                energyMWh: Number.isFinite(plant.gwh) ? plant.gwh * 1000 : null,
+                route: plantEnergyProfile(plant, this.settings).route
+            }
+        });
+    }
+
+    /**
+     * Model a shortlisted site fed by the manure available in its catchment
+     */
+    async openForShortlistEntry(entryId) {
+        const entry = window.APP_STATE?.shortlistManager?.getEntry(entryId);
+        if (!entry) {
+            console.warn(`⚠️ Shortlist entry not found: ${entryId}`);
+            return;
+        }
+
+        window.APP_STATE?.infoPanel?.showLoading(`Analysing feedstock around ${entry.name}...`);
+        const { mix, note } = await this.catchmentMix(entry.name, entry.coordinates);
+        window.APP_STATE?.infoPanel?.showShortlistEntry(entryId);
+
+        this.open({ kind: 'shortlist', name: entry.name, mix, note });
+    }
+
+    /**
+     * Feedstock mix from the manure available in a location's default-radius catchment, with a note on
+     * where it came from. The analyzer's own last analysis is kept so its radius buttons still work.
+     * options.quiet skips the per-call logging, for callers modelling many sites.
+     */
+    async catchmentMix(name, coordinates, { quiet = false } = {}) {
+        const analyzer = this.catchmentAnalyzer;
+        if (!analyzer) {
+            return { mix: {}, note: 'Enter a feedstock mix to model this site', radiusKm: null };
+        }
+
+        const { lastRequest, lastResult } = analyzer;
+        try {
+            const result = await analyzer.analyze({ name, coordinates, quiet });
+            return {
+                mix: catchmentFeedstockMix(result),
+                note: `Manure available within ${result.radiusKm} km (after competing plants)`,
+                radiusKm: result.radiusKm
+            };
+        } catch (error) {
+            if (!quiet) console.warn(`⚠️ Catchment unavailable for ${name}:`, error.message);
+            return { mix: {}, note: `Catchment unavailable (${error.message}); enter a feedstock mix to model this site`, radiusKm: null };
+        } finally {
+            analyzer.lastRequest = lastRequest;
+            analyzer.lastResult = lastResult;
+        }
+    }
+
+    open(subject) {
+        this.subject = { ...subject, mix: { ...subject.mix } };
+        this.draft = JSON.parse(JSON.stringify(this.settings));
+
+        this.close();
+        this.modal = document.createElement('div');
+        this.modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+        document.body.appendChild(this.modal);
+        this.render();
+    }
+
+    close() {
+        this.modal?.remove();
+        this.modal = null;
+    }
+
+    /**
+     * Model the current subject with the draft settings
+     */
+    calculate() {
+        return modelEnergy(this.subject.mix, this.draft);
+    }
+
+    render() {
+        if (!this.modal) return;
+
+        const defaults = resolveEnergySettings();
+        const groups = [...new Set(FEEDSTOCK_TYPES.map(type => type.group))];
+
+        this.modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                <div class="flex justify-between items-center mb-1">
+                    <h3 class="text-xl font-bold text-gray-800">⚡ Energy Model · ${escapeHtml(this.subject.name)}</h3>
+                    <button class="energy-close text-gray-500 hover:text-gray-700">✕</button>
+                </div>
+                <p class="text-sm text-gray-600 mb-4">${escapeHtml(this.subject.note || 'Enter tonnes per year of each feedstock')}</p>
+
+                <div class="grid grid-cols-2 gap-6">
+                    <div>
+                        <h4 class="font-semibold text-gray-800 mb-2">Feedstock (t/yr)</h4>
+                        <table class="w-full text-sm">
+                            <thead>
+                                <tr class="text-left text-xs text-gray-500">
+                                    <th>Feedstock</th><th class="text-right">t/yr</th><th class="text-right">m³/t</th><th class="text-right">CH₄</th>
+                                </tr>
+                            </thead>
+                            ${groups.map(group => `
+                                <tbody>
+                                    <tr><td colspan="4" class="pt-2 text-xs font-medium text-gray-500">${group}</td></tr>
+                                    ${FEEDSTOCK_TYPES.filter(type => type.group === group).map(type => `
+                                        <tr>
+                                            <td class="pr-2 text-gray-700">${type.label}</td>
+                                            <td class="pr-1"><input type="number" min="0" step="any" value="${this.subject.mix[type.id] ? Math.round(this.subject.mix[type.id]) : ''}" data-feedstock="${type.id}" class="energy-tonnes w-24 border rounded px-1 py-0.5 text-right"></td>
+                                            <td class="pr-1"><input type="number" min="0" step="any" value="${this.draft.yields[type.id]?.biogasYield ?? ''}" placeholder="${defaults.yields[type.id].biogasYield}" data-feedstock="${type.id}" data-yield="biogasYield" class="energy-yield w-16 border rounded px-1 py-0.5 text-right"></td>
+                                            <td><input type="number" min="0" max="1" step="0.01" value="${this.draft.yields[type.id]?.methaneContent ?? ''}" placeholder="${defaults.yields[type.id].methaneContent}" data-feedstock="${type.id}" data-yield="methaneContent" class="energy-yield w-16 border rounded px-1 py-0.5 text-right"></td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            `).join('')}
+                        </table>
+                        <p class="text-xs text-gray-500 mt-2">Blank yields use the defaults shown (NNFCC/ADBA typical values).</p>
+
+                        <h4 class="font-semibold text-gray-800 mt-4 mb-2">Assumptions</h4>
+                        <div class="grid grid-cols-2 gap-2">
+                            ${Object.entries(ENERGY_ASSUMPTIONS).map(([key, definition]) => `
+                                <label class="text-xs text-gray-700">${definition.label} (${definition.unit})
+                                    <input type="number" step="any" value="${this.draft.assumptions[key] ?? ''}" placeholder="${definition.value}" data-assumption="${key}" class="energy-assumption w-full border rounded px-2 py-1 text-sm">
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+
+                    <div class="energy-results"></div>
+                </div>
+
+                <div class="mt-6 flex justify-between">
+                    <button class="energy-reset px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200">Reset to defaults</button>
+                    <button class="energy-save px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">Save as my defaults</button>
+                </div>
+            </div>
+        `;
+
+        this.attachEventListeners();
+        this.renderResults();
+    }
+
+    /**
+     * Results column; redrawn on every edit without touching the inputs, so they keep focus
+     */
+    renderResults() {
+        const container = this.modal?.querySelector('.energy-results');
+        if (!container) return;
+
+        const result = this.calculate();
+        const reported = this.subject.reported;
+        const stat = (label, value, unit, published = null) => `
+            <div class="flex justify-between text-sm py-1 border-b border-gray-100">
+                <span class="text-gray-600">${label}</span>
+                <span class="text-gray-900 font-medium">${value} ${unit}${published !== null ? `<span class="block text-xs text-gray-500 font-normal text-right">published ${formatNumber(published)} ${unit}</span>` : ''}</span>
+            </div>
+        `;
+
+        container.innerHTML = result.totals.tonnes === 0 ? `
+            <div class="bg-gray-50 p-4 rounded-lg text-sm text-gray-600">Enter feedstock tonnages to see biogas, CHP and grid-injection outputs.</div>
+        ` : `
+            <div class="space-y-4">
+                <div class="bg-green-50 p-3 rounded-lg border border-green-200">
+                    <h4 class="font-semibold text-green-900 mb-1">🫧 Biogas</h4>
+                    ${stat('Feedstock', formatNumber(result.totals.tonnes), 't/yr')}
+                    ${stat('Biogas', formatNumber(result.totals.biogasM3), 'm³/yr')}
+                    ${stat('Methane', formatNumber(result.totals.methaneM3), 'm³/yr')}
+                    ${stat('Methane content', formatNumber(result.totals.methaneContent * 100, 1), '%')}
+                    ${stat('Fuel energy', formatNumber(result.totals.fuelMWh), 'MWh/yr')}
+                </div>
+
+                <div class="p-3 rounded-lg border ${reported?.route === 'chp' ? 'bg-yellow-50 border-yellow-300' : 'bg-gray-50 border-gray-200'}">
+                    <h4 class="font-semibold text-gray-900 mb-1">🔌 CHP</h4>
+                    ${stat('Electrical capacity', formatNumber(result.chp.electricalKwe), 'kWe', reported?.route === 'chp' ? reported.electricalKwe : null)}
+                    ${stat('Electricity', formatNumber(result.chp.electricityMWh), 'MWh/yr', reported?.route === 'chp' ? reported.energyMWh : null)}
+                    ${stat('Electricity exported', formatNumber(result.chp.exportElectricityMWh), 'MWh/yr')}
+                    ${stat('Heat', formatNumber(result.chp.heatMWh), 'MWh/yr')}
+                    ${stat('Surplus heat', formatNumber(result.chp.surplusHeatMWh), 'MWh/yr')}
+                </div>
+
+                <div class="p-3 rounded-lg border ${reported?.route === 'gridInjection' ? 'bg-yellow-50 border-yellow-300' : 'bg-gray-50 border-gray-200'}">
+                    <h4 class="font-semibold text-gray-900 mb-1">🔥 Grid injection</h4>
+                    ${stat('Injection capacity', formatNumber(result.gridInjection.capacityNm3h, 1), 'Nm³/h', reported?.route === 'gridInjection' ? reported.biomethaneNm3h : null)}
+                    ${stat('Biomethane', formatNumber(result.gridInjection.biomethaneM3), 'm³/yr')}
+                    ${stat('Energy injected', formatNumber(result.gridInjection.energyMWh), 'MWh/yr', reported?.route === 'gridInjection' ? reported.energyMWh : null)}
+                    ${stat('Upgrading electricity', formatNumber(result.gridInjection.upgradingElectricityMWh), 'MWh/yr')}
+                </div>
+
+                <table class="w-full text-xs">
+                    <thead><tr class="text-left text-gray-500"><th>Feedstock</th><th class="text-right">t/yr</th><th class="text-right">CH₄ m³/yr</th></tr></thead>
+                    <tbody>
+                        ${result.feedstocks.map(row => `
+                            <tr><td class="text-gray-700">${row.label}</td><td class="text-right">${formatNumber(row.tonnes)}</td><td class="text-right">${formatNumber(row.methaneM3)}</td></tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    attachEventListeners() {
+        const query = (selector) => this.modal.querySelector(selector);
+        const numberOrNull = (input) => input.value === '' ? null : Number(input.value);
+
+        query('.energy-close')?.addEventListener('click', () => this.close());
+        query('.energy-reset')?.addEventListener('click', () => {
+            this.draft = { assumptions: {}, yields: {} };
+            this.render();
+        });
+        query('.energy-save')?.addEventListener('click', () => this.saveDefaults());
+
+        this.modal.querySelectorAll('.energy-tonnes').forEach(input => {
+            input.addEventListener('input', () => {
+                const tonnes = numberOrNull(input);
+                if (tonnes) {
+                    this.subject.mix[input.dataset.feedstock] = tonnes;
+                } else {
+                    delete this.subject.mix[input.dataset.feedstock];
+                }
+                this.renderResults();
+            });
+        });
+        this.modal.querySelectorAll('.energy-yield').forEach(input => {
+            input.addEventListener('input', () => {
+                const id = input.dataset.feedstock;
+                this.draft.yields[id] = { ...this.draft.yields[id], [input.dataset.yield]: numberOrNull(input) };
+                this.renderResults();
+            });
+        });
+        this.modal.querySelectorAll('.energy-assumption').forEach(input => {
+            input.addEventListener('input', () => {
+                this.draft.assumptions[input.dataset.assumption] = numberOrNull(input);
+                this.renderResults();
+            });
+        });
+    }
+
+    /**
+     * Keep the draft overrides (only values that differ from the defaults) for future models and reports
+     */
+    saveDefaults() {
+        const defaults = resolveEnergySettings();
+        const resolved = resolveEnergySettings(this.draft);
+        const changed = (values, base) => Object.fromEntries(Object.entries(values).filter(([key, value]) => value !== base[key]));
+
+        this.settings = {
+            assumptions: changed(resolved.assumptions, defaults.assumptions),
+            yields: Object.fromEntries(Object.entries(resolved.yields)
+                .map(([id, values]) => [id, changed(values, defaults.yields[id])])
+                .filter(([, values]) => Object.keys(values).length > 0))
+        };
+        this.save();
+        window.APP_STATE?.errorHandler?.showSuccessNotification('Energy model defaults saved', 'Energy model');
+        console.log('⚡ Energy model defaults saved');
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved) {
+                this.settings = { assumptions: saved.assumptions || {}, yields: saved.yields || {} };
+            }
+        } catch (error) {
+            console.warn('Could not load energy model settings:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Could not save energy model settings to localStorage:', error);
+        }
+    }
+}
@@ -0,0 +1,501 @@
+import { FEEDSTOCK_TYPES } from '../data/feedstockYields.js';
+import { FINANCIAL_GROUPS, FINANCIAL_ASSUMPTIONS, DEFAULT_HAUL_DISTANCE_KM } from '../data/financialAssumptions.js';
+import { modelEnergy } from '../utils/EnergyModel.js';
+import { appraiseProject, resolveFinancialAssumptions } from '../utils/FinancialAppraisal.js';
+
+const ROUTES = [
+    { id: 'chp', label: 'CHP (electricity & heat)' },
+    { id: 'gridInjection', label: 'Biomethane to grid' }
+];
+
+const CAPEX_LABELS = {
+    digester: 'Digester',
+    balanceOfPlant: 'Reception, storage & civils',
+    conversion: 'CHP / upgrading',
+    connection: 'Grid / gas connection',
+    land: 'Land',
+    development: 'Development',
+    contingency: 'Contingency'
+};
+
+const OPEX_LABELS = {
+    maintenance: 'Maintenance',
+    staff: 'Staff',
+    insurance: 'Insurance & rates',
+    feedstockPurchase: 'Crop purchase',
+    importedElectricity: 'Imported electricity',
+    digestateHandling: 'Digestate handling',
+    haulage: 'Haulage'
+};
+
+const REVENUE_LABELS = {
+    electricity: 'Electricity',
+    heat: 'Heat',
+    biomethane: 'Biomethane',
+    support: 'Green Gas Support Scheme',
+    gateFees: 'Gate fees',
+    digestate: 'Digestate'
+};
+
+const formatMoney = (value) => {
+    if (value === null || value === undefined || !Number.isFinite(value)) return '—';
+    const sign = value < 0 ? '−' : '';
+    const amount = Math.abs(value);
+    return amount >= 1e6 ? `${sign}£${(amount / 1e6).toFixed(2)}M` : `${sign}£${Math.round(amount).toLocaleString()}`;
+};
+
+const formatPercent = (value) => value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`;
+
+/**
+ * FinancialAppraisalManager - Capex, opex, revenues, NPV, IRR, payback and a cash-flow table for a candidate site
+ * Energy comes from the energy model (catchment manure by default), connection costs from the site's
+ * sampled grid and gas distances and haulage from the catchment radius. The route, feedstock mix, haul
+ * distance and any edited assumptions are saved with the shortlist entry; a Site Finder result is
+ * shortlisted first so the appraisal has somewhere to live.
+ */
+export class FinancialAppraisalManager {
+    constructor(siteFinder, shortlistManager, energyModel) {
+        this.siteFinder = siteFinder;
+        this.shortlistManager = shortlistManager;
+        this.energyModel = energyModel;
+        this.subject = null;
+        this.draft = null;
+        this.modal = null;
+        this.chart = null;
+    }
+
+    initialize() {
+        console.log('✅ Financial appraisal initialized');
+    }
+
+    /**
+     * Appraise a Site Finder result; a site already on the shortlist opens its saved appraisal
+     */
+    async openForSite(siteId) {
+        const entry = this.shortlistManager.getEntries().find(candidate => candidate.siteId === siteId);
+        if (entry) {
+            return this.openForShortlistEntry(entry.id);
+        }
+
+        const site = this.siteFinder.analysisResults?.results?.find(result => result.id === siteId);
+        if (!site) {
+            console.warn(`⚠️ Site not found in current results: ${siteId}`);
+            return;
+        }
+
+        await this.open({
+            siteId: site.id,
+            entryId: null,
+            name: `Site #${site.rank || site.id}`,
+            coordinates: site.coordinates,
+            properties: site.properties
+        });
+    }
+
+    async openForShortlistEntry(entryId) {
+        const entry = this.shortlistManager.getEntry(entryId);
+        if (!entry) {
+            console.warn(`⚠️ Shortlist entry not found: ${entryId}`);
+            return;
+        }
+
+        await this.open({
+            siteId: entry.siteId,
+            entryId: entry.id,
+            name: entry.name,
+            coordinates: entry.coordinates,
+            properties: entry.properties,
+            saved: entry.appraisal || null,
+            fromShortlist: true
+        });
+    }
+
+    /**
+     * Start from the saved appraisal, otherwise from the catchment: its manure as feedstock, a haul
+     * distance of the mean distance across the catchment by road, and whichever route has the better NPV
+     */
+    async open(subject) {
+        this.close();
+        this.subject = subject;
+        this.modal = document.createElement('div');
+        this.modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+        document.body.appendChild(this.modal);
+
+        const saved = subject.saved;
+        if (saved) {
+            this.draft = {
+                route: saved.route,
+                mix: { ...saved.mix },
+                haulDistanceKm: saved.haulDistanceKm,
+                assumptions: { ...saved.assumptions },
+                note: `Saved ${new Date(saved.savedAt).toLocaleString()}${saved.savedBy ? ` by ${saved.savedBy}` : ''}`
+            };
+        } else {
+            this.modal.innerHTML = `<div class="bg-white rounded-lg p-6 text-gray-700">⏳ Analysing feedstock around ${subject.name}...</div>`;
+            const { mix, note, radiusKm } = await this.energyModel.catchmentMix(subject.name, subject.coordinates);
+            if (this.subject !== subject) return;
+
+            const circuity = this.energyModel.catchmentAnalyzer?.roadCircuity ?? 1;
+            this.draft = {
+                route: 'chp',
+                mix,
+                haulDistanceKm: radiusKm ? Math.round(radiusKm * 2 / 3 * circuity * 10) / 10 : DEFAULT_HAUL_DISTANCE_KM,
+                assumptions: {},
+                note
+            };
+            const npv = (route) => this.calculate({ ...this.draft, route })?.npv ?? -Infinity;
+            this.draft.route = npv('gridInjection') > npv('chp') ? 'gridInjection' : 'chp';
+        }
+        this.render();
+    }
+
+    close() {
+        this.subject = null;
+        this.chart?.destroy();
+        this.chart = null;
+        this.modal?.remove();
+        this.modal = null;
+    }
+
+    /**
+     * Appraise the draft (or a variant of it); null without any feedstock
+     */
+    calculate(draft = this.draft) {
+        const energy = modelEnergy(draft.mix, this.energyModel.settings);
+        if (energy.totals.tonnes === 0) return null;
+
+        const { area = null, gridDistance = null, gasDistance = null } = this.subject?.properties || {};
+        return appraiseProject({
+            energy,
+            route: draft.route,
+            areaHa: area,
+            gridDistance,
+            gasDistance,
+            haulDistanceKm: draft.haulDistanceKm ?? DEFAULT_HAUL_DISTANCE_KM,
+            assumptions: draft.assumptions
+        });
+    }
+
+    render() {
+        if (!this.modal) return;
+
+        const groups = [...new Set(FEEDSTOCK_TYPES.map(type => type.group))];
+
+        this.modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-6xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                <div class="flex justify-between items-center mb-1">
+                    <h3 class="text-xl font-bold text-gray-800">💷 Financial Appraisal · ${this.subject.name}</h3>
+                    <button class="appraisal-close text-gray-500 hover:text-gray-700">✕</button>
+                </div>
+                <p class="text-sm text-gray-600 mb-4">${this.draft.note || 'Enter tonnes per year of each feedstock'}</p>
+
+                <div class="grid grid-cols-3 gap-6">
+                    <div class="space-y-4">
+                        <div class="grid grid-cols-2 gap-2">
+                            <label class="text-xs text-gray-700">Route
+                                <select class="appraisal-route w-full border rounded px-2 py-1 text-sm">
+                                    ${ROUTES.map(route => `<option value="${route.id}" ${route.id === this.draft.route ? 'selected' : ''}>${route.label}</option>`).join('')}
+                                </select>
+                            </label>
+                            <label class="text-xs text-gray-700">Average haul (km)
+                                <input type="number" min="0" step="any" value="${this.draft.haulDistanceKm ?? ''}" placeholder="${DEFAULT_HAUL_DISTANCE_KM}" class="appraisal-haul w-full border rounded px-2 py-1 text-sm">
+                            </label>
+                        </div>
+
+                        <div>
+                            <h4 class="font-semibold text-gray-800 mb-1">Feedstock (t/yr)</h4>
+                            <table class="w-full text-sm">
+                                ${groups.map(group => `
+                                    <tbody>
+                                        <tr><td colspan="2" class="pt-2 text-xs font-medium text-gray-500">${group}</td></tr>
+                                        ${FEEDSTOCK_TYPES.filter(type => type.group === group).map(type => `
+                                            <tr>
+                                                <td class="pr-2 text-gray-700">${type.label}</td>
+                                                <td><input type="number" min="0" step="any" value="${this.draft.mix[type.id] ? Math.round(this.draft.mix[type.id]) : ''}" data-feedstock="${type.id}" class="appraisal-tonnes w-24 border rounded px-1 py-0.5 text-right"></td>
+                                            </tr>
+                                        `).join('')}
+                                    </tbody>
+                                `).join('')}
+                            </table>
+                            <p class="text-xs text-gray-500 mt-2">Yields and conversion efficiencies are the energy model's (⚡ Energy Model).</p>
+                        </div>
+
+                        <div>
+                            <h4 class="font-semibold text-gray-800 mb-1">Assumptions</h4>
+                            ${FINANCIAL_GROUPS.map(group => `
+                                <details class="mb-1" ${group.id === 'capex' ? 'open' : ''}>
+                                    <summary class="cursor-pointer text-sm text-gray-700">${group.label}</summary>
+                                    <div class="grid grid-cols-1 gap-1 mt-1">
+                                        ${Object.entries(FINANCIAL_ASSUMPTIONS).filter(([, definition]) => definition.group === group.id).map(([key, definition]) => `
+                                            <label class="text-xs text-gray-700">${definition.label} (${definition.unit})
+                                                <input type="number" step="any" value="${this.draft.assumptions[key] ?? ''}" placeholder="${definition.value}" data-assumption="${key}" class="appraisal-assumption w-full border rounded px-2 py-1 text-sm">
+                                            </label>
+                                        `).join('')}
+                                    </div>
+                                </details>
+                            `).join('')}
+                        </div>
+                    </div>
+
+                    <div class="appraisal-results col-span-2"></div>
+                </div>
+
+                <div class="mt-6 flex justify-between">
+                    <button class="appraisal-reset px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200">Reset assumptions</button>
+                    <div class="space-x-2">
+                        <button class="appraisal-export px-4 py-2 bg-white text-gray-700 border border-gray-400 rounded-lg hover:bg-gray-50">📥 Cash flow CSV</button>
+                        <button class="appraisal-save px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">${this.subject.entryId ? 'Save with site' : '⭐ Shortlist & save'}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.attachEventListeners();
+        this.renderResults();
+    }
+
+    /**
+     * Results column; redrawn on every edit without touching the inputs, so they keep focus
+     */
+    renderResults() {
+        const container = this.modal?.querySelector('.appraisal-results');
+        if (!container) return;
+
+        this.chart?.destroy();
+        this.chart = null;
+
+        const result = this.calculate();
+        if (!result) {
+            container.innerHTML = '<div class="bg-gray-50 p-4 rounded-lg text-sm text-gray-600">Enter feedstock tonnages to appraise the project.</div>';
+            return;
+        }
+
+        const kpi = (label, value, positive) => `
+            <div class="p-3 rounded-lg border ${positive ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}">
+                <div class="text-xs text-gray-600">${label}</div>
+                <div class="text-xl font-bold ${positive ? 'text-green-700' : 'text-red-700'}">${value}</div>
+            </div>
+        `;
+        const breakdown = (title, values, labels) => `
+            <div>
+                <h4 class="font-semibold text-gray-800 mb-1 text-sm">${title}</h4>
+                <table class="w-full text-xs">
+                    ${Object.entries(labels).filter(([key]) => values[key] !== 0).map(([key, label]) => `
+                        <tr class="border-b border-gray-100"><td class="text-gray-600">${label}</td><td class="text-right">${formatMoney(values[key])}</td></tr>
+                    `).join('')}
+                    <tr class="font-semibold"><td>Total</td><td class="text-right">${formatMoney(values.total)}</td></tr>
+                </table>
+            </div>
+        `;
+        const { inputs, assumptions } = result;
+
+        container.innerHTML = `
+            <div class="space-y-4">
+                <div class="grid grid-cols-4 gap-2">
+                    ${kpi(`NPV @ ${formatPercent(assumptions.discountRate)}`, formatMoney(result.npv), result.npv >= 0)}
+                    ${kpi('IRR', formatPercent(result.irr), result.irr !== null && result.irr >= assumptions.discountRate)}
+                    ${kpi('Payback', result.paybackYears === null ? 'Never' : `${result.paybackYears.toFixed(1)} yrs`, result.paybackYears !== null)}
+                    ${kpi('Capex', formatMoney(result.capex.total), true)}
+                </div>
+
+                <p class="text-xs text-gray-500">
+                    ${Math.round(inputs.tonnes).toLocaleString()} t/yr · ${result.sizing.throughputTpd.toFixed(0)} t/day · digester ${Math.round(result.sizing.digesterVolumeM3).toLocaleString()} m³ ·
+                    ${result.route === 'chp' ? 'grid' : 'gas'} connection ${(inputs.connectionDistance / 1000).toFixed(1)} km${inputs.connectionDistanceAssumed ? ' (not sampled; assumed)' : ''} ·
+                    ${inputs.areaHa !== null ? `${inputs.areaHa.toFixed(1)} ha` : 'area unknown'}
+                </p>
+
+                <div class="grid grid-cols-3 gap-4">
+                    ${breakdown('Capital costs', result.capex, CAPEX_LABELS)}
+                    ${breakdown('Operating costs (year 1)', result.opex, OPEX_LABELS)}
+                    ${breakdown('Revenue (year 1)', result.revenue, REVENUE_LABELS)}
+                </div>
+
+                <div class="h-56"><canvas class="appraisal-chart"></canvas></div>
+
+                <details>
+                    <summary class="cursor-pointer text-sm font-semibold text-gray-800">${assumptions.projectYears}-year cash flow</summary>
+                    <table class="w-full text-xs mt-1">
+                        <thead>
+                            <tr class="text-left text-gray-500">
+                                <th>Year</th><th class="text-right">Capex</th><th class="text-right">Revenue</th><th class="text-right">Opex</th>
+                                <th class="text-right">Net</th><th class="text-right">Cumulative</th><th class="text-right">Discounted</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${result.cashFlow.map(row => `
+                                <tr class="border-b border-gray-100">
+                                    <td>${row.year}</td>
+                                    <td class="text-right">${formatMoney(row.capex)}</td>
+                                    <td class="text-right">${formatMoney(row.revenue)}</td>
+                                    <td class="text-right">${formatMoney(row.opex)}</td>
+                                    <td class="text-right ${row.net < 0 ? 'text-red-600' : ''}">${formatMoney(row.net)}</td>
+                                    <td class="text-right ${row.cumulative < 0 ? 'text-red-600' : ''}">${formatMoney(row.cumulative)}</td>
+                                    <td class="text-right">${formatMoney(row.cumulativeDiscounted)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </details>
+            </div>
+        `;
+
+        this.renderChart(result);
+    }
+
+    renderChart(result) {
+        const canvas = this.modal?.querySelector('.appraisal-chart');
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        try {
+            this.chart = new Chart(canvas, {
+                type: 'bar',
+                data: {
+                    labels: result.cashFlow.map(row => row.year),
+                    datasets: [
+                        {
+                            type: 'line',
+                            label: 'Cumulative',
+                            data: result.cashFlow.map(row => row.cumulative),
+                            borderColor: '#2563eb',
+                            pointRadius: 0
+                        },
+                        {
+                            type: 'line',
+                            label: 'Cumulative (discounted)',
+                            data: result.cashFlow.map(row => row.cumulativeDiscounted),
+                            borderColor: '#7c3aed',
+                            borderDash: [4, 4],
+                            pointRadius: 0
+                        },
+                        {
+                            label: 'Net cash flow',
+                            data: result.cashFlow.map(row => row.net),
+                            backgroundColor: result.cashFlow.map(row => row.net < 0 ? '#fca5a5' : '#86efac')
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    plugins: { legend: { position: 'bottom', labels: { font: { size: 11 }, boxWidth: 12 } } },
+                    scales: {
+                        x: { title: { display: true, text: 'Year' } },
+                        y: { ticks: { callback: (value) => formatMoney(value) } }
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('❌ Failed to render cash flow chart:', error);
+        }
+    }
+
+    attachEventListeners() {
+        const query = (selector) => this.modal.querySelector(selector);
+        const numberOrNull = (input) => input.value === '' ? null : Number(input.value);
+
+        query('.appraisal-close')?.addEventListener('click', () => this.close());
+        query('.appraisal-reset')?.addEventListener('click', () => {
+            this.draft.assumptions = {};
+            this.render();
+        });
+        query('.appraisal-export')?.addEventListener('click', () => this.exportCashFlow());
+        query('.appraisal-save')?.addEventListener('click', () => this.save());
+        query('.appraisal-route')?.addEventListener('change', (e) => {
+            this.draft.route = e.target.value;
+            this.renderResults();
+        });
+        query('.appraisal-haul')?.addEventListener('input', (e) => {
+            this.draft.haulDistanceKm = numberOrNull(e.target);
+            this.renderResults();
+        });
+
+        this.modal.querySelectorAll('.appraisal-tonnes').forEach(input => {
+            input.addEventListener('input', () => {
+                const tonnes = numberOrNull(input);
+                if (tonnes) {
+                    this.draft.mix[input.dataset.feedstock] = tonnes;
+                } else {
+                    delete this.draft.mix[input.dataset.feedstock];
+                }
+                this.renderResults();
+            });
+        });
+        this.modal.querySelectorAll('.appraisal-assumption').forEach(input => {
+            input.addEventListener('input', () => {
+                this.draft.assumptions[input.dataset.assumption] = numberOrNull(input);
+                this.renderResults();
+            });
+        });
+    }
+
+    /**
+     * Save the appraisal inputs (only assumptions that differ from the defaults) and headline figures
+     * with the shortlist entry, shortlisting a Site Finder result first
+     */
+    save() {
+        const errorHandler = window.APP_STATE?.errorHandler;
+        try {
+            if (!this.subject.entryId) {
+                const entry = this.shortlistManager.promote(this.subject.siteId);
+                if (!entry) return;
+                this.subject.entryId = entry.id;
+            }
+
+            const result = this.calculate();
+            const defaults = resolveFinancialAssumptions();
+            const resolved = resolveFinancialAssumptions(this.draft.assumptions);
+            const appraisal = {
+                route: this.draft.route,
+                mix: { ...this.draft.mix },
+                haulDistanceKm: this.draft.haulDistanceKm,
+                assumptions: Object.fromEntries(Object.entries(resolved).filter(([key, value]) => value !== defaults[key])),
+                summary: result ? {
+                    npv: result.npv,
+                    irr: result.irr,
+                    paybackYears: result.paybackYears,
+                    capex: result.capex.total
+                } : null,
+                savedAt: new Date().toISOString(),
+                savedBy: this.shortlistManager.currentUser()
+            };
+
+            this.shortlistManager.update(this.subject.entryId, entry => {
+                entry.appraisal = appraisal;
+            });
+            this.draft.note = `Saved ${new Date(appraisal.savedAt).toLocaleString()} by ${appraisal.savedBy}`;
+            this.render();
+            if (this.subject.fromShortlist) {
+                window.APP_STATE?.infoPanel?.showShortlistEntry(this.subject.entryId);
+            }
+            errorHandler?.showSuccessNotification(`Appraisal saved with ${this.subject.name}`, 'Financial appraisal');
+            console.log(`💷 Appraisal saved for ${this.subject.name}`);
+        } catch (error) {
+            console.error('❌ Failed to save appraisal:', error);
+            errorHandler?.showErrorNotification(`Could not save the appraisal: ${error.message}`, 'Financial appraisal');
+        }
+    }
+
+    exportCashFlow() {
+        const result = this.calculate();
+        if (!result) return;
+
+        const header = ['year', 'capex', 'revenue', 'opex', 'net', 'cumulative', 'discounted', 'cumulative_discounted'];
+        const rows = result.cashFlow.map(row => [row.year, row.capex, row.revenue, row.opex, row.net, row.cumulative, row.discounted, row.cumulativeDiscounted]
+            .map(value => typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : value));
+        const csv = [header, ...rows].map(row => row.join(',')).join('\n');
+
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `appraisal-${this.subject.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${new Date().toISOString().split('T')[0]}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,121 @@
+import { GAS_INJECTION_DEFAULTS } from '../data/gasNetwork.js';
+import { modelEnergy } from '../utils/EnergyModel.js';
+
+/**
+ * GasInjectionAnalyzer - Whether a site's modelled biomethane output can be injected into the gas network
+ * The entry flow is the grid-injection capacity the energy model gives for the site's feedstock mix (a saved
+ * appraisal's mix or the manure in its catchment); the connections come from the NTS and distribution
+ * mains layers that Site Finder's ConstraintSampler loads. Results are summarised in the InfoPanel.
+ */
+export class GasInjectionAnalyzer {
+    constructor(dataManager, constraintSampler) {
+        this.dataManager = dataManager;
+        this.constraintSampler = constraintSampler;
+        this.lastRequest = null;
+        this.lastResult = null;
+    }
+
+    /**
+     * Run the check and show it in the InfoPanel
+     * request: { name, coordinates: [lng, lat], mix, mixNote?, flowNm3h?, assumptions? }
+     */
+    async analyzeAndShow(request) {
+        const errorHandler = window.APP_STATE?.errorHandler;
+        const infoPanel = window.APP_STATE?.infoPanel;
+
+        try {
+            infoPanel?.showLoading(`Checking gas injection for ${request.name || 'site'}...`);
+            const result = await this.analyze(request);
+
+            infoPanel?.showGasInjectionFeasibility(result);
+            return result;
+
+        } catch (error) {
+            console.error('❌ Gas injection check failed:', error);
+            infoPanel?.showError(`Gas injection check failed: ${error.message}`);
+            if (errorHandler) {
+                errorHandler.handleError(error, 'Gas Injection Feasibility');
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Re-run the last check with a different entry flow
+     */
+    rerun(changes = {}) {
+        if (!this.lastRequest) return null;
+        return this.analyzeAndShow({ ...this.lastRequest, ...changes });
+    }
+
+    async analyze(request) {
+        const { name, coordinates, mix = {}, assumptions = {} } = request;
+        if (!Array.isArray(coordinates) || coordinates.length < 2) {
+            throw new Error(`${name || 'Site'} has no coordinates`);
+        }
+
+        await this.constraintSampler.prepare();
+        const energy = modelEnergy(mix, window.APP_STATE?.energyModel?.settings);
+        const modelledFlowNm3h = energy.gridInjection.capacityNm3h;
+        const flowNm3h = request.flowNm3h ?? (modelledFlowNm3h > 0 ? modelledFlowNm3h : GAS_INJECTION_DEFAULTS.designFlowNm3h);
+
+        const assessment = this.constraintSampler.sampleGasConnection(coordinates, flowNm3h, assumptions);
+        if (!assessment) {
+            throw new Error('Neither the NTS pipelines nor the gas distribution mains layer is available');
+        }
+
+        this.lastRequest = { ...request };
+        this.lastResult = {
+            name: name || 'Selected site',
+            origin: coordinates,
+            mixNote: request.mixNote || null,
+            modelledFlowNm3h,
+            flowSource: request.flowNm3h !== undefined ? 'entered' : modelledFlowNm3h > 0 ? 'modelled' : 'design',
+            biomethaneM3: energy.gridInjection.biomethaneM3,
+            ...assessment,
+            datasetVersions: this.dataManager.getDatasetVersions(['ntsPipelines', 'gasMains']),
+            analysisDate: new Date().toISOString()
+        };
+
+        const { connection } = assessment;
+        console.log(`⛽ Gas injection for ${this.lastResult.name} at ${Math.round(flowNm3h)} Nm³/h: ${connection ? `${connection.label}, ${(connection.pipeLengthM / 1000).toFixed(1)} km pipe, £${Math.round(connection.cost).toLocaleString()}` : 'no feasible connection'}`);
+        return this.lastResult;
+    }
+
+    /**
+     * A Site Finder result, fed by the manure in its catchment
+     */
+    async analyzeSite(siteId) {
+        const site = window.APP_STATE?.siteFinder?.analysisResults?.results?.find(result => result.id === siteId);
+        if (!site) {
+            console.warn(`⚠️ Site not found in current results: ${siteId}`);
+            return null;
+        }
+
+        const name = `Site #${site.rank || site.id}`;
+        return this.analyzeAndShow({ name, coordinates: site.coordinates, ...await this.catchmentFeedstock(name, site.coordinates) });
+    }
+
+    /**
+     * A shortlisted site, fed by the mix of its saved financial appraisal (with its cost assumptions) or else its catchment
+     */
+    async analyzeShortlistEntry(entryId) {
+        const entry = window.APP_STATE?.shortlistManager?.getEntry(entryId);
+        if (!entry) {
+            console.warn(`⚠️ Shortlist entry not found: ${entryId}`);
+            return null;
+        }
+
+        const feedstock = entry.appraisal?.mix
+            ? { mix: entry.appraisal.mix, mixNote: 'Feedstock mix of the saved financial appraisal', assumptions: entry.appraisal.assumptions || {} }
+            : await this.catchmentFeedstock(entry.name, entry.coordinates);
+        return this.analyzeAndShow({ name: entry.name, coordinates: entry.coordinates, ...feedstock });
+    }
+
+    async catchmentFeedstock(name, coordinates) {
+        window.APP_STATE?.infoPanel?.showLoading(`Analysing feedstock around ${name}...`);
+        const energyModel = window.APP_STATE?.energyModel;
+        const { mix, note } = energyModel ? await energyModel.catchmentMix(name, coordinates) : { mix: {}, note: null };
+        return { mix, mixNote: note };
+    }
+}
@@ -1,3 +1,16 @@
+import { MANURE_CATEGORIES, manureProperties } from '../data/manureSchema.js';
+import { PARCEL_SOURCES, AREA_OF_INTEREST_SOURCE } from '../data/parcelSources.js';
+import { PRESSURE_TIERS, GAS_INJECTION_DEFAULTS } from '../data/gasNetwork.js';
+import { geometryBBox } from '../utils/FeatureIndex.js';
+import { escapeHtml } from '../utils/Html.js';
+import { SENSITIVITY_DEFAULTS } from '../utils/Sensitivity.js';
+import { CURVE_CRITERIA, CURVE_TYPES } from '../utils/ScoringCurves.js';
+import { MAX_COMPARISON_ITEMS } from './ComparisonWorkspace.js';
+import { SHORTLIST_STATUSES, safeAttachmentUrl } from './ShortlistManager.js';
+
+// Outline colours for pinned items in the comparison view
+const COMPARISON_COLORS = ['#2563eb', '#16a34a', '#ea580c', '#9333ea', '#dc2626'];
+
 /**
  * InfoPanel - Manages the right-side information display panel
  * Shows feature information, search results, and site finder results
@@ -12,6 +25,8 @@ export class InfoPanel {
         this.reopenContainer = null;
         this.isCollapsed = false;
         this.tempMarker = null;
+        this.catchmentChart = null;
+        this.comparisonChart = null;
     }
 
     initialize() {
@@ -226,7 +241,11 @@ export class InfoPanel {
                         
                         <div class="bg-gray-50 p-3 rounded-lg">
                             <label class="text-sm font-medium text-gray-700">Registered Owner</label>
-                            <p class="text-gray-900">${properties.registered_owner || 'Private'}</p>
+                            <div id="parcel-title-result" class="text-gray-900">
+                                ${properties.title_no ? `
+                                    <button class="title-lookup-btn mt-1 px-3 py-1 text-sm bg-white text-blue-700 border border-blue-600 rounded hover:bg-blue-50">🔎 Look up landowner (premium)</button>
+                                ` : '<p class="text-sm text-gray-500">No title number for this parcel</p>'}
+                            </div>
                         </div>
                         
                         <div class="bg-gray-50 p-3 rounded-lg">
@@ -259,6 +278,15 @@ export class InfoPanel {
             </div>
         `;
         
+        const result = this.content.querySelector('#parcel-title-result');
+        if (properties.title_no && result) {
+            // Show a cached lookup straight away; new lookups are billable, so they wait for the button
+            window.APP_STATE?.titleLookupService?.getCached(properties.title_no).then(record => {
+                if (record && result.isConnected) result.innerHTML = this.renderTitleRecord(record);
+            });
+            this.setupTitleLookup(result, properties.title_no);
+        }
+        
         this.show();
     }
 
@@ -268,14 +296,15 @@ export class InfoPanel {
     showFeatureInfo(feature) {
         if (!this.content) return;
         
+        // Properties of imported (user-data) features are arbitrary text, so everything is escaped
         const properties = feature.properties || {};
         
         this.content.innerHTML = `
             <div class="p-4">
-                <h3 class="text-lg font-semibold mb-3">${properties.name || 'Feature Information'}</h3>
+                <h3 class="text-lg font-semibold mb-3">${escapeHtml(properties.name || 'Feature Information')}</h3>
                 <div class="space-y-2">
                     ${Object.entries(properties).map(([key, value]) => 
-                        `<p><strong>${key.charAt(0).toUpperCase() + key.slice(1)}:</strong> ${value}</p>`
+                        `<p class="whitespace-pre-line"><strong>${escapeHtml(key.charAt(0).toUpperCase() + key.slice(1))}:</strong> ${escapeHtml(value)}</p>`
                     ).join('')}
                 </div>
             </div>
@@ -352,13 +381,697 @@ export class InfoPanel {
                             <p class="text-gray-900">${properties.postcode}</p>
                         </div>
                         ` : ''}
+                        
+                        ${properties.gridReference ? `
+                        <div class="bg-gray-50 p-3 rounded-lg">
+                            <label class="text-sm font-medium text-gray-700">Grid Reference</label>
+                            <p class="text-gray-900 font-mono">${properties.gridReference}</p>
+                            <p class="text-xs text-gray-500">E ${properties.easting} N ${properties.northing}</p>
+                        </div>
+                        ` : ''}
                     </div>
                     
-                    <div class="mt-4 pt-3 border-t border-gray-200">
+                    <div class="mt-4 pt-3 border-t border-gray-200 space-y-2">
                         <button onclick="window.APP_STATE.siteFinder?.analyzeNearbyResources('${properties.name}')"
                                 class="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors">
                             🌾 Analyze Nearby Resources
                         </button>
+                        <button onclick="window.APP_STATE.siteFinder?.showPlantDriveTimes('${properties.name}')"
+                                class="w-full px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50 transition-colors">
+                            🚚 Drive-time Isochrones
+                        </button>
+                        <button onclick="window.APP_STATE.comparisonWorkspace?.pinPlant('${properties.name}')"
+                                class="w-full px-4 py-2 bg-white text-purple-700 border border-purple-600 rounded-lg hover:bg-purple-50 transition-colors">
+                            📌 Pin for Comparison
+                        </button>
+                        <button onclick="window.APP_STATE.energyModel?.openForPlant('${properties.name}')"
+                                class="w-full px-4 py-2 bg-white text-yellow-700 border border-yellow-500 rounded-lg hover:bg-yellow-50 transition-colors">
+                            ⚡ Energy Model
+                        </button>
+                        <button onclick="window.APP_STATE.landBankAnalyzer?.analyzePlant('${properties.name}')"
+                                class="w-full px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50 transition-colors">
+                            🌱 Digestate Land Bank
+                        </button>
+                        <button onclick="window.APP_STATE.carbonCalculator?.openForPlant('${properties.name}')"
+                                class="w-full px-4 py-2 bg-white text-teal-700 border border-teal-600 rounded-lg hover:bg-teal-50 transition-colors">
+                            🌍 Carbon Balance
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        this.show();
+    }
+
+    /**
+     * ALC grade for display ('3a' -> 'Grade 3a')
+     */
+    formatAlcGrade(grade) {
+        if (!grade) return 'Unknown';
+        if (grade === 'non-agricultural') return 'Non-agricultural';
+        if (grade === 'urban') return 'Urban';
+        return `Grade ${grade}`;
+    }
+
+    /**
+     * Ranking method, the AHP consistency ratios when AHP weights are used, and any non-default scoring curves
+     */
+    renderMethodSummary(results) {
+        const method = results.method;
+        if (!method) return '';
+
+        const ratios = method.ahp ? Object.values(method.ahp.consistencyRatios || {}) : [];
+        const weighting = method.ahp
+            ? `AHP pairwise weights (max CR ${Math.max(0, ...ratios).toFixed(3)})`
+            : 'Manual weights';
+        const parameters = Object.entries(method.parameters || {})
+            .map(([name, value]) => `${name} ${value}`)
+            .join(', ');
+        const customCurves = Object.entries(method.curves || {})
+            .filter(([key, curve]) => CURVE_CRITERIA[key] && JSON.stringify(curve) !== JSON.stringify(CURVE_CRITERIA[key].defaultCurve))
+            .map(([key, curve]) => `${this.formatCriterionName({ key })} (${CURVE_TYPES[curve.type]?.label || curve.type})`);
+
+        return `
+            <div class="bg-gray-50 rounded-lg p-3 text-sm text-gray-700 flex justify-between items-center">
+                <span>⚖️ <strong>${method.label}</strong>${parameters ? ` <span class="text-gray-500">(${parameters})</span>` : ''}</span>
+                <span class="text-xs text-gray-500">${weighting}</span>
+            </div>
+            ${customCurves.length > 0 ? `<p class="text-xs text-gray-500 -mt-2 px-3">📈 Custom scoring curves: ${customCurves.join(', ')}</p>` : ''}
+            ${results.gasFlow?.basis === 'design' ? `
+                <p class="text-xs text-amber-700 -mt-2 px-3">⛽ Gas connections sized for an assumed ${results.gasFlow.designFlowNm3h} Nm³/h at every site: ${escapeHtml(results.gasFlow.reason)}</p>
+            ` : ''}
+            ${results.manifest ? `
+                <p class="text-xs text-gray-500 -mt-2 px-3 flex justify-between">
+                    <span>🧾 ${results.manifest.id} · seed ${results.manifest.seed} · v${results.manifest.appVersion}</span>
+                    <button id="export-site-finder-manifest" class="text-blue-600 hover:text-blue-800">Manifest</button>
+                </p>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Stored Site Finder runs with re-run, manifest download, delete and a diff of any two
+     */
+    async showRunHistory() {
+        const siteFinder = window.APP_STATE?.siteFinder;
+        if (!this.content || !siteFinder) return;
+
+        const runs = await siteFinder.listRuns();
+        this.content.innerHTML = `
+            <div class="p-4 space-y-4">
+                <div class="flex justify-between items-center">
+                    <h3 class="text-xl font-bold text-gray-800">🧾 Site Finder Runs</h3>
+                    <button class="back-to-sites-btn px-3 py-1 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm" ${this.lastSitesData ? '' : 'disabled'}>← Results</button>
+                </div>
+                <p class="text-xs text-gray-500">Each run stores its manifest: seed, dataset versions and fingerprints, constraints, criteria, method, scoring curves and app version. Re-running repeats it exactly when the datasets are unchanged. Tick two runs to compare them.</p>
+                ${runs.length === 0 ? '<p class="text-gray-500 text-sm">No stored runs yet.</p>' : `
+                    <div class="space-y-2">
+                        ${runs.map(run => `
+                            <div class="border rounded-lg p-3 text-sm bg-white">
+                                <div class="flex justify-between items-center">
+                                    <label class="flex items-center space-x-2">
+                                        <input type="checkbox" class="run-select" value="${run.id}">
+                                        <span class="font-medium text-gray-800">${new Date(run.createdAt).toLocaleString()}</span>
+                                    </label>
+                                    <span class="text-xs text-gray-500">${run.method || ''} · seed ${run.seed}</span>
+                                </div>
+                                <div class="text-xs text-gray-500 mt-1">${run.id} · ${run.suitableSites} sites · results ${run.resultsFingerprint}</div>
+                                <div class="flex space-x-3 mt-2 text-xs">
+                                    <button class="run-rerun text-blue-600 hover:text-blue-800" data-run-id="${run.id}">🔁 Re-run</button>
+                                    <button class="run-manifest text-blue-600 hover:text-blue-800" data-run-id="${run.id}">⬇️ Manifest</button>
+                                    <button class="run-delete text-red-600 hover:text-red-800" data-run-id="${run.id}">🗑️ Delete</button>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <button id="compare-runs" class="px-3 py-1 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm disabled:opacity-50" disabled>Compare selected</button>
+                `}
+                <div id="run-comparison"></div>
+            </div>
+        `;
+
+        this.content.querySelector('.back-to-sites-btn')?.addEventListener('click', () => this.goBackToSitesList());
+
+        const selected = () => Array.from(this.content.querySelectorAll('.run-select:checked')).map(input => input.value);
+        const compareBtn = this.content.querySelector('#compare-runs');
+        this.content.querySelectorAll('.run-select').forEach(input => {
+            input.addEventListener('change', () => {
+                compareBtn.disabled = selected().length !== 2;
+            });
+        });
+        compareBtn?.addEventListener('click', async () => {
+            // Runs are listed newest first, so the later tick is the older run
+            const [after, before] = selected();
+            try {
+                const comparison = await siteFinder.compareRuns(before, after);
+                this.content.querySelector('#run-comparison').innerHTML = this.renderRunComparison(comparison);
+            } catch (error) {
+                console.error('❌ Run comparison failed:', error);
+                this.showError(`Comparison failed: ${error.message}`);
+            }
+        });
+
+        this.content.querySelectorAll('.run-rerun').forEach(button => {
+            button.addEventListener('click', async () => {
+                try {
+                    this.showLoading(`Re-running ${button.dataset.runId}...`);
+                    const results = await siteFinder.rerunAnalysis(button.dataset.runId);
+                    this.showSiteFinderResults(results);
+                } catch (error) {
+                    console.error('❌ Re-run failed:', error);
+                    this.showError(`Re-run failed: ${error.message}`);
+                }
+            });
+        });
+        this.content.querySelectorAll('.run-manifest').forEach(button => {
+            button.addEventListener('click', async () => {
+                const run = await siteFinder.getRun(button.dataset.runId);
+                if (!run) return;
+                const url = window.URL.createObjectURL(new Blob([JSON.stringify(run.manifest, null, 2)], { type: 'application/json' }));
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `site-finder-manifest-${run.manifest.id}.json`;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                window.URL.revokeObjectURL(url);
+            });
+        });
+        this.content.querySelectorAll('.run-delete').forEach(button => {
+            button.addEventListener('click', async () => {
+                await siteFinder.deleteRun(button.dataset.runId);
+                this.showRunHistory();
+            });
+        });
+
+        this.show();
+    }
+
+    /**
+     * Inputs that changed between two runs, and the sites that entered, left or moved
+     */
+    renderRunComparison(comparison) {
+        const { ranking, inputChanges } = comparison;
+        const format = (value) => {
+            const text = value === null || value === undefined ? '–' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+        };
+        const siteName = (site) => site.parcelRef || site.id;
+        const list = (sites, render) => sites.length === 0 ? '<span class="text-gray-400">none</span>' : `
+            <ul class="space-y-0.5">${sites.slice(0, 15).map(site => `<li>${render(site)}</li>`).join('')}</ul>
+            ${sites.length > 15 ? `<p class="text-gray-400">…and ${sites.length - 15} more</p>` : ''}
+        `;
+
+        return `
+            <div class="border rounded-lg p-3 text-xs ${comparison.identical ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'}">
+                <h4 class="font-semibold text-sm mb-1 ${comparison.identical ? 'text-green-800' : 'text-yellow-800'}">
+                    ${comparison.identical ? '✅ Identical results' : '🔀 Results differ'}: ${comparison.before} → ${comparison.after}
+                </h4>
+                ${inputChanges.length > 0 ? `
+                    <details class="mb-2" ${comparison.identical ? '' : 'open'}>
+                        <summary class="cursor-pointer text-gray-700">${inputChanges.length} input change${inputChanges.length === 1 ? '' : 's'}</summary>
+                        <table class="w-full mt-1">
+                            ${inputChanges.slice(0, 30).map(change => `
+                                <tr class="border-t border-gray-200">
+                                    <td class="py-0.5 pr-2 text-gray-700">${change.field}</td>
+                                    <td class="pr-2 text-red-700">${format(change.before)}</td>
+                                    <td class="text-green-700">${format(change.after)}</td>
+                                </tr>
+                            `).join('')}
+                        </table>
+                    </details>
+                ` : '<p class="text-gray-600 mb-2">Same inputs.</p>'}
+                ${comparison.identical ? '' : `
+                    <div class="grid grid-cols-3 gap-2">
+                        <div>
+                            <p class="font-semibold text-green-700">Entered (${ranking.entered.length})</p>
+                            ${list(ranking.entered, site => `#${site.rank} ${siteName(site)}`)}
+                        </div>
+                        <div>
+                            <p class="font-semibold text-red-700">Left (${ranking.left.length})</p>
+                            ${list(ranking.left, site => `was #${site.rank} ${siteName(site)}`)}
+                        </div>
+                        <div>
+                            <p class="font-semibold text-gray-700">Moved (${ranking.moved.length})</p>
+                            ${list(ranking.moved, site => `${siteName(site)} #${site.previousRank} → #${site.rank}`)}
+                        </div>
+                    </div>
+                    ${ranking.rescored > 0 ? `<p class="mt-1 text-gray-600">${ranking.rescored} sites kept their rank with a different score.</p>` : ''}
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Weight sensitivity controls and, once run, tornado, rank-probability and rank-reversal results
+     */
+    renderSensitivityPanel(results) {
+        const sensitivity = results.sensitivity;
+        const options = { ...SENSITIVITY_DEFAULTS, ...(sensitivity?.options || {}) };
+        const sites = results.results || [];
+        if (sites.length < 2) return '';
+
+        return `
+            <details class="bg-indigo-50 rounded-lg p-3 text-sm" ${sensitivity ? 'open' : ''}>
+                <summary class="font-semibold text-indigo-800 cursor-pointer">🎲 Ranking robustness</summary>
+                <p class="text-xs text-indigo-700 mt-2">Perturbs each criterion weight by ±${Math.round(options.range * 100)}% and draws random weights to test how stable the ranking is. The top ${Math.min(options.maxSites, sites.length)} sites are analysed.</p>
+                <div class="grid grid-cols-3 gap-2 mt-2 text-xs">
+                    <label>Weight uncertainty ±%
+                        <input id="sensitivity-spread" type="number" min="5" max="90" step="5" value="${Math.round(options.spread * 100)}" class="w-full border rounded px-2 py-1">
+                    </label>
+                    <label>Draws
+                        <input id="sensitivity-iterations" type="number" min="100" max="5000" step="100" value="${options.iterations}" class="w-full border rounded px-2 py-1">
+                    </label>
+                    <label>Top N
+                        <input id="sensitivity-top-n" type="number" min="1" max="10" step="1" value="${options.topN}" class="w-full border rounded px-2 py-1">
+                    </label>
+                </div>
+                <button id="run-sensitivity" class="mt-2 px-3 py-1 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 text-xs">
+                    ${sensitivity ? '🔄 Re-run' : '▶️ Run'} sensitivity analysis
+                </button>
+                ${sensitivity ? this.renderSensitivityResults(sensitivity, sites) : ''}
+            </details>
+        `;
+    }
+
+    renderSensitivityResults(sensitivity, sites) {
+        const siteLabel = (index) => this.sensitivitySiteLabel(sensitivity, sites, index);
+        const topN = sensitivity.options.topN;
+        const tracked = sensitivity.factors[0]?.reversals || [];
+        const summary = tracked.map(({ site }, position) => {
+            const nearest = this.siteReversals(sensitivity, position)[0];
+            const stats = sensitivity.monteCarlo[site];
+            return `
+                <tr class="border-t border-gray-100">
+                    <td class="py-1 pr-2 text-gray-700">${siteLabel(site)}</td>
+                    <td class="pr-2">${Math.round(stats.topN * 100)}%</td>
+                    <td class="pr-2">${stats.meanRank.toFixed(1)}</td>
+                    <td>${nearest ? `${this.formatCriterionName(nearest.factor)}: ${nearest.direction === 'decrease' ? 'lower' : 'raise'} to ${this.formatReversal(nearest.reversal, siteLabel)}` : '<span class="text-gray-400">stable</span>'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="mt-3 space-y-3">
+                <div class="bg-white rounded p-2">
+                    <div class="flex justify-between items-center mb-1">
+                        <h5 class="font-semibold text-gray-700 text-xs">Tornado: rank change at ±${Math.round(sensitivity.options.range * 100)}% weight</h5>
+                        <select id="sensitivity-site" class="text-xs border rounded px-1 py-0.5">
+                            ${sensitivity.siteIds.slice(0, 20).map((id, index) => `<option value="${index}">${siteLabel(index)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="h-64"><canvas id="sensitivity-tornado"></canvas></div>
+                </div>
+                <div class="bg-white rounded p-2">
+                    <h5 class="font-semibold text-gray-700 text-xs mb-1">Probability of ranking in the top ${topN} (${sensitivity.options.iterations} draws, ±${Math.round(sensitivity.options.spread * 100)}% weights)</h5>
+                    <div class="h-64"><canvas id="sensitivity-rank-probability"></canvas></div>
+                    ${tracked.length > 0 ? `
+                        <table class="w-full text-xs mt-2">
+                            <thead><tr class="text-left text-gray-500"><th class="py-1">Site</th><th>Top ${topN}</th><th>Mean rank</th><th>Nearest rank reversal</th></tr></thead>
+                            <tbody>${summary}</tbody>
+                        </table>
+                    ` : ''}
+                </div>
+                <div class="bg-white rounded p-2">
+                    <div class="flex justify-between items-center mb-1">
+                        <h5 class="font-semibold text-gray-700 text-xs">Rank reversal: weight share at which a site leaves its rank</h5>
+                        <select id="sensitivity-reversal-site" class="text-xs border rounded px-1 py-0.5">
+                            ${tracked.map(({ site }, position) => `<option value="${position}">${siteLabel(site)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div id="sensitivity-reversals">${this.renderReversalTable(sensitivity, sites, 0)}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    sensitivitySiteLabel(sensitivity, sites, index) {
+        const site = sites.find(candidate => candidate.id === sensitivity.siteIds[index]);
+        return `Site ${sensitivity.siteRanks[index]}${site?.properties?.parcelName ? ` · ${site.properties.parcelName}` : ''}`;
+    }
+
+    /**
+     * Rank reversals of the position-th tracked site across all factors, nearest (smallest relative weight change) first
+     */
+    siteReversals(sensitivity, position) {
+        return sensitivity.factors
+            .flatMap(factor => ['decrease', 'increase']
+                .map(direction => ({ factor, direction, reversal: factor.reversals?.[position]?.[direction] }))
+                .filter(({ reversal }) => reversal))
+            .sort((a, b) => Math.abs(a.reversal.change ?? Infinity) - Math.abs(b.reversal.change ?? Infinity));
+    }
+
+    formatReversal(reversal, siteLabel) {
+        return reversal
+            ? `${(reversal.share * 100).toFixed(0)}% <span class="text-gray-500">(${reversal.change > 0 ? '+' : ''}${Math.round(reversal.change * 100)}%) → #${reversal.newRank}, ${siteLabel(reversal.takenBy)} takes its place</span>`
+            : '<span class="text-gray-400">never</span>';
+    }
+
+    /**
+     * Criteria whose weight change moves the position-th tracked site from its rank, nearest first
+     */
+    renderReversalTable(sensitivity, sites, position) {
+        const siteLabel = (index) => this.sensitivitySiteLabel(sensitivity, sites, index);
+        const factors = [...new Set(this.siteReversals(sensitivity, position).map(({ factor }) => factor))].slice(0, 8);
+        if (factors.length === 0) {
+            return '<p class="text-xs text-gray-600">No single weight change moves this site from its rank.</p>';
+        }
+
+        return `
+            <table class="w-full text-xs">
+                <thead><tr class="text-left text-gray-500"><th class="py-1">Criterion</th><th>Now</th><th>Lower to</th><th>Raise to</th></tr></thead>
+                <tbody>
+                    ${factors.map(factor => `
+                        <tr class="border-t border-gray-100">
+                            <td class="py-1 pr-2 text-gray-700">${this.formatCriterionName(factor)}</td>
+                            <td class="pr-2">${(factor.share * 100).toFixed(0)}%</td>
+                            <td class="pr-2">${this.formatReversal(factor.reversals[position].decrease, siteLabel)}</td>
+                            <td>${this.formatReversal(factor.reversals[position].increase, siteLabel)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Run the sensitivity analysis for the displayed results and redraw the robustness panel
+     */
+    async runSensitivityAnalysis(results) {
+        const container = this.content?.querySelector('#site-finder-sensitivity');
+        const button = container?.querySelector('#run-sensitivity');
+        const siteFinder = window.APP_STATE?.siteFinder;
+        if (!container || !siteFinder) return;
+
+        const readNumber = (selector, fallback) => {
+            const value = Number(container.querySelector(selector)?.value);
+            return Number.isFinite(value) && value > 0 ? value : fallback;
+        };
+        const options = {
+            spread: readNumber('#sensitivity-spread', SENSITIVITY_DEFAULTS.spread * 100) / 100,
+            iterations: Math.round(readNumber('#sensitivity-iterations', SENSITIVITY_DEFAULTS.iterations)),
+            topN: Math.round(readNumber('#sensitivity-top-n', SENSITIVITY_DEFAULTS.topN))
+        };
+
+        try {
+            button.disabled = true;
+            await siteFinder.analyzeSensitivity(options, (progress) => {
+                button.textContent = `⏳ Running… ${Math.round(progress)}%`;
+            });
+            container.innerHTML = this.renderSensitivityPanel(results);
+            this.setupSensitivityEventListeners(results);
+        } catch (error) {
+            console.error('❌ Sensitivity analysis failed:', error);
+            button.disabled = false;
+            button.textContent = '⚠️ Failed – retry';
+        }
+    }
+
+    setupSensitivityEventListeners(results) {
+        const container = this.content?.querySelector('#site-finder-sensitivity');
+        if (!container) return;
+
+        container.querySelector('#run-sensitivity')?.addEventListener('click', () => this.runSensitivityAnalysis(results));
+        const siteSelect = container.querySelector('#sensitivity-site');
+        siteSelect?.addEventListener('change', () => this.renderSensitivityCharts(results.sensitivity, Number(siteSelect.value)));
+        const reversalSelect = container.querySelector('#sensitivity-reversal-site');
+        reversalSelect?.addEventListener('change', () => {
+            container.querySelector('#sensitivity-reversals').innerHTML = this.renderReversalTable(results.sensitivity, results.results || [], Number(reversalSelect.value));
+        });
+
+        if (results.sensitivity) {
+            this.renderSensitivityCharts(results.sensitivity, 0);
+        }
+    }
+
+    /**
+     * Tornado chart for one site and stacked rank-probability chart for the most robust sites
+     */
+    renderSensitivityCharts(sensitivity, siteIndex) {
+        (this.sensitivityCharts || []).forEach(chart => chart.destroy());
+        this.sensitivityCharts = [];
+        if (!window.Chart || !sensitivity) return;
+
+        const lastStep = sensitivity.factors[0].steps.length - 1;
+        const base = sensitivity.baseRanks[siteIndex];
+        const bars = sensitivity.factors
+            .map(factor => ({
+                label: this.formatCriterionName(factor),
+                low: base - factor.steps[0].ranks[siteIndex],
+                high: base - factor.steps[lastStep].ranks[siteIndex]
+            }))
+            .sort((a, b) => Math.max(Math.abs(b.low), Math.abs(b.high)) - Math.max(Math.abs(a.low), Math.abs(a.high)))
+            .slice(0, 10);
+        const range = Math.round(sensitivity.options.range * 100);
+
+        const tornadoCanvas = this.content?.querySelector('#sensitivity-tornado');
+        const probabilityCanvas = this.content?.querySelector('#sensitivity-rank-probability');
+
+        try {
+            if (tornadoCanvas) {
+                this.sensitivityCharts.push(new Chart(tornadoCanvas, {
+                    type: 'bar',
+                    data: {
+                        labels: bars.map(bar => bar.label),
+                        datasets: [
+                            { label: `Weight −${range}%`, data: bars.map(bar => bar.low), backgroundColor: 'rgba(220, 38, 38, 0.6)' },
+                            { label: `Weight +${range}%`, data: bars.map(bar => bar.high), backgroundColor: 'rgba(37, 99, 235, 0.6)' }
+                        ]
+                    },
+                    options: {
+                        indexAxis: 'y',
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        plugins: {
+                            legend: { position: 'bottom', labels: { font: { size: 11 }, boxWidth: 12 } },
+                            tooltip: {
+                                callbacks: {
+                                    label: (context) => `${context.dataset.label}: rank ${base - context.parsed.x} (${context.parsed.x >= 0 ? '+' : ''}${context.parsed.x} places)`
+                                }
+                            }
+                        },
+                        scales: {
+                            x: { title: { display: true, text: 'Places gained (+) or lost (−)' }, ticks: { precision: 0 } },
+                            y: { stacked: true }
+                        }
+                    }
+                }));
+            }
+
+            if (probabilityCanvas) {
+                const topN = sensitivity.options.topN;
+                const sites = sensitivity.monteCarlo
+                    .map((stats, index) => ({ ...stats, index }))
+                    .filter(stats => stats.topN > 0)
+                    .sort((a, b) => b.topN - a.topN || a.meanRank - b.meanRank)
+                    .slice(0, 10);
+                const colors = ['#065f46', '#059669', '#34d399', '#a7f3d0', '#d1fae5', '#ecfdf5'];
+
+                this.sensitivityCharts.push(new Chart(probabilityCanvas, {
+                    type: 'bar',
+                    data: {
+                        labels: sites.map(stats => `Site ${sensitivity.siteRanks[stats.index]}`),
+                        datasets: Array.from({ length: topN }, (_, rank) => ({
+                            label: `Rank ${rank + 1}`,
+                            data: sites.map(stats => Math.round(stats.rankProbabilities[rank] * 1000) / 10),
+                            backgroundColor: colors[Math.min(rank, colors.length - 1)]
+                        }))
+                    },
+                    options: {
+                        indexAxis: 'y',
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        plugins: {
+                            legend: { position: 'bottom', labels: { font: { size: 11 }, boxWidth: 12 } },
+                            tooltip: {
+                                callbacks: {
+                                    afterBody: (items) => {
+                                        const stats = sites[items[0].dataIndex];
+                                        return `Mean rank ${stats.meanRank.toFixed(1)} (90% within ${stats.p5}–${stats.p95})`;
+                                    }
+                                }
+                            }
+                        },
+                        scales: {
+                            x: { stacked: true, min: 0, max: 100, title: { display: true, text: '% of draws' } },
+                            y: { stacked: true }
+                        }
+                    }
+                }));
+            }
+        } catch (error) {
+            console.error('❌ Failed to render sensitivity charts:', error);
+        }
+    }
+
+    formatCriterionName(factor) {
+        const text = factor.key.replace(/([A-Z])/g, ' $1').toLowerCase();
+        const name = text.charAt(0).toUpperCase() + text.slice(1);
+        return factor.level === 'category' ? `${name} (category)` : name;
+    }
+
+    /**
+     * Parcels removed by exclusion masks and limits, per constraint, with an "excluded because" list
+     */
+    renderExclusionSummary(results) {
+        const excluded = results.excluded || [];
+        const summary = Object.values(results.exclusionSummary || {});
+        if (excluded.length === 0 && summary.length === 0) return '';
+        
+        const maskRows = summary.map(mask => `
+            <tr class="border-b border-gray-100">
+                <td class="py-1 pr-2 text-gray-700">${mask.label}</td>
+                <td class="py-1 pr-2 text-gray-500">${mask.available ? `${mask.bufferM} m buffer` : 'layer unavailable'}</td>
+                <td class="py-1 text-right font-medium ${mask.available ? 'text-gray-900' : 'text-gray-400'}">${mask.available ? mask.excluded : '–'}</td>
+            </tr>
+        `).join('');
+        const siteRows = excluded.slice(0, 50).map(site => `
+            <li class="py-1 border-b border-gray-100">
+                <span class="font-medium text-gray-700">${site.parcelRef || site.id}</span>
+                <span class="text-gray-500">(${site.area} ha)</span>
+                <span class="block text-gray-600">${site.reasons.map(reason => reason.message).join('; ')}</span>
+            </li>
+        `).join('');
+        
+        return `
+            <details class="bg-red-50 border border-red-100 rounded-lg p-3 text-xs">
+                <summary class="font-semibold text-red-800 cursor-pointer">🚫 ${excluded.length} parcels excluded</summary>
+                <table class="w-full mt-2">
+                    <tbody>${maskRows}</tbody>
+                </table>
+                ${excluded.length > 0 ? `
+                    <ul class="mt-3 max-h-48 overflow-y-auto">${siteRows}</ul>
+                    ${excluded.length > 50 ? `<p class="mt-1 text-gray-500">Showing 50 of ${excluded.length}; export for the full list.</p>` : ''}
+                    <button id="export-site-finder-exclusions" class="mt-2 px-3 py-1 bg-white text-red-700 border border-red-300 rounded-lg hover:bg-red-100 text-xs">
+                        📥 Export exclusions (CSV)
+                    </button>
+                ` : ''}
+            </details>
+        `;
+    }
+
+    /**
+     * Parcel a Site Finder result was built from: "Freehold title parcels · 12345678"
+     */
+    formatParcelSource(site) {
+        const { parcelSource, parcelRef, parcelName, geometryApproximate } = site.properties || {};
+        if (!parcelSource) return 'Unknown parcel';
+        
+        const label = parcelSource === 'areasOfInterest' ? AREA_OF_INTEREST_SOURCE.label : PARCEL_SOURCES[parcelSource]?.label || parcelSource;
+        const reference = parcelName && parcelName !== parcelRef ? `${parcelRef} (${parcelName})` : parcelRef;
+        return [label, reference, geometryApproximate ? 'approximate boundary' : null].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Table of which source and version produced each sampled site attribute
+     */
+    renderSiteProvenance(site) {
+        if (!site.provenance) return '';
+        
+        const sources = window.APP_STATE?.siteFinder?.getAnalysisResults()?.sources || {};
+        const rows = Object.entries(site.provenance).map(([attribute, { source, version, feature, beyondSearchLimit, assumption, flowNm3h, flowAssumed }]) => {
+            const label = source ? (sources[source]?.label || source) : assumption ? 'Assumption' : 'No data source';
+            const detail = [
+                version !== null && version !== undefined ? `v${version}` : null,
+                feature || null,
+                assumption || null,
+                beyondSearchLimit ? 'none within search limit' : null,
+                flowNm3h !== undefined && attribute !== 'gasFlowNm3h' ? `at ${flowNm3h} Nm³/h${flowAssumed ? ' (assumed)' : ''}` : null
+            ].filter(Boolean).join(' · ');
+            return `
+                <tr class="border-b border-gray-100">
+                    <td class="py-1 pr-2 text-gray-700">${attribute}</td>
+                    <td class="py-1 pr-2 ${source ? 'text-gray-900' : 'text-gray-400'}">${label}</td>
+                    <td class="py-1 text-gray-500">${detail}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        return `
+            <details class="mt-4 bg-gray-50 p-3 rounded-lg">
+                <summary class="font-semibold text-gray-700 cursor-pointer">📚 Data Sources</summary>
+                <table class="w-full text-xs mt-2">
+                    <tbody>${rows}</tbody>
+                </table>
+            </details>
+        `;
+    }
+
+    /**
+     * Show Road details
+     */
+    showRoadDetails(properties) {
+        if (!this.content) return;
+        
+        this.content.innerHTML = `
+            <div class="p-4">
+                <h3 class="text-lg font-semibold mb-3 flex items-center">
+                    🛣️ ${properties.displayName || properties.road_name || 'Road'}
+                </h3>
+                <div class="space-y-3">
+                    <div class="grid grid-cols-1 gap-2">
+                        <div class="bg-gray-50 p-3 rounded-lg">
+                            <label class="text-sm font-medium text-gray-700">Road Class</label>
+                            <p class="text-gray-900">${properties.road_class || 'Unknown'}</p>
+                        </div>
+                        
+                        <div class="bg-gray-50 p-3 rounded-lg">
+                            <label class="text-sm font-medium text-gray-700">Surface</label>
+                            <p class="text-gray-900">${properties.surface || 'Unknown'}</p>
+                        </div>
+                        
+                        <div class="bg-gray-50 p-3 rounded-lg">
+                            <label class="text-sm font-medium text-gray-700">Access</label>
+                            <p class="text-gray-900">${properties.access || 'Public'}</p>
+                        </div>
+                    </div>
+                    
+                    <div class="mt-4 pt-3 border-t border-gray-200">
+                        <p class="text-sm text-gray-600">
+                            💡 This road classification affects AD plant accessibility for feedstock delivery and maintenance.
+                        </p>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        this.show();
+    }
+
+    /**
+     * Show Infrastructure details
+     */
+    showInfrastructureDetails(properties) {
+        if (!this.content) return;
+        
+        this.content.innerHTML = `
+            <div class="p-4">
+                <h3 class="text-lg font-semibold mb-3 flex items-center">
+                    ⚡ ${properties.displayName || properties.name || 'Infrastructure'}
+                </h3>
+                <div class="space-y-3">
+                    <div class="grid grid-cols-1 gap-2">
+                        <div class="bg-gray-50 p-3 rounded-lg">
+                            <label class="text-sm font-medium text-gray-700">Type</label>
+                            <p class="text-gray-900">${properties.category || 'Infrastructure'}</p>
+                        </div>
+                        
+                        ${Object.entries(properties).filter(([key, value]) => 
+                            key !== 'displayName' && key !== 'name' && key !== 'category' && 
+                            value && typeof value === 'string'
+                        ).map(([key, value]) => `
+                            <div class="bg-gray-50 p-3 rounded-lg">
+                                <label class="text-sm font-medium text-gray-700">${key.charAt(0).toUpperCase() + key.slice(1).replace(/([A-Z])/g, ' $1')}</label>
+                                <p class="text-gray-900">${value}</p>
+                            </div>
+                        `).join('')}
+                    </div>
+                    
+                    <div class="mt-4 pt-3 border-t border-gray-200">
+                        <p class="text-sm text-gray-600">
+                            💡 Infrastructure proximity is crucial for AD plant viability and connection costs.
+                        </p>
                     </div>
                 </div>
             </div>
@@ -368,127 +1081,1109 @@ export class InfoPanel {
     }
 
     /**
-     * Show Road details
+     * Show Environmental details
+     */
+    showEnvironmentalDetails(properties) {
+        if (!this.content) return;
+        
+        this.content.innerHTML = `
+            <div class="p-4">
+                <h3 class="text-lg font-semibold mb-3 flex items-center">
+                    🌿 ${properties.displayName || properties.name || 'Environmental Area'}
+                </h3>
+                <div class="space-y-3">
+                    <div class="grid grid-cols-1 gap-2">
+                        <div class="bg-green-50 p-3 rounded-lg border border-green-200">
+                            <label class="text-sm font-medium text-green-800">Protection Status</label>
+                            <p class="text-green-900">${properties.category || 'Protected Area'}</p>
+                        </div>
+                        
+                        ${Object.entries(properties).filter(([key, value]) => 
+                            key !== 'displayName' && key !== 'name' && key !== 'category' && 
+                            value && typeof value === 'string'
+                        ).map(([key, value]) => `
+                            <div class="bg-gray-50 p-3 rounded-lg">
+                                <label class="text-sm font-medium text-gray-700">${key.charAt(0).toUpperCase() + key.slice(1).replace(/([A-Z])/g, ' $1')}</label>
+                                <p class="text-gray-900">${value}</p>
+                            </div>
+                        `).join('')}
+                    </div>
+                    
+                    <div class="mt-4 pt-3 border-t border-gray-200">
+                        <div class="bg-red-50 p-3 rounded-lg border border-red-200">
+                            <p class="text-sm text-red-800">
+                                ⚠️ <strong>Planning Constraint:</strong> This environmental designation may restrict or prohibit AD plant development.
+                            </p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        this.show();
+    }
+
+    /**
+     * Show manure tonnage and biomethane potential for a clicked hex
+     */
+    showManureHexDetails(properties) {
+        if (!this.content) return;
+        
+        const layerManager = window.APP_STATE?.layerManager;
+        const formatNumber = (value) => Math.round(Number(value) || 0).toLocaleString();
+        const rows = MANURE_CATEGORIES.map(category => {
+            const keys = manureProperties(category.id);
+            const tonnes = Number(properties[keys.tonnes]) || 0;
+            const legend = layerManager?.getManureLegend(category.id) || [];
+            const band = legend.find(item => tonnes >= item.min && tonnes < item.max);
+            return {
+                category,
+                tonnes,
+                grazing: Number(properties[keys.grazing]) || 0,
+                biomethane: Number(properties[keys.biomethane]) || 0,
+                swatch: band?.color || category.color,
+                selected: category.id === properties.selectedCategory
+            };
+        }).filter(row => row.tonnes > 0 || row.grazing > 0 || row.selected);
+        const grazingTotal = rows.reduce((sum, row) => sum + row.grazing, 0);
+        
+        this.content.innerHTML = `
+            <div class="p-4">
+                <h3 class="text-lg font-semibold mb-3 flex items-center">
+                    🌾 ${properties.displayName || 'Manure Hex'}
+                </h3>
+                <div class="space-y-3">
+                    <div class="grid grid-cols-2 gap-2">
+                        <div class="bg-yellow-50 p-3 rounded-lg border border-yellow-200">
+                            <label class="text-sm font-medium text-yellow-800">Collectable Manure</label>
+                            <p class="text-lg font-semibold text-yellow-900">${formatNumber(properties.total_tonnes)} t/yr</p>
+                        </div>
+                        <div class="bg-green-50 p-3 rounded-lg border border-green-200">
+                            <label class="text-sm font-medium text-green-800">Biomethane Potential</label>
+                            <p class="text-lg font-semibold text-green-900">${formatNumber(properties.biomethane_m3)} m³/yr</p>
+                        </div>
+                    </div>
+                    
+                    <table class="w-full text-sm">
+                        <thead>
+                            <tr class="text-left text-gray-600 border-b border-gray-200">
+                                <th class="py-1">Livestock</th>
+                                <th class="py-1 text-right">Tonnes/yr</th>
+                                <th class="py-1 text-right">CH₄ m³/yr</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                                <tr class="border-b border-gray-100 ${row.selected ? 'bg-gray-50 font-medium' : ''}">
+                                    <td class="py-1">
+                                        <span class="inline-block w-3 h-3 rounded-sm mr-1 align-middle" style="background-color: ${row.swatch}"></span>
+                                        ${row.category.name}
+                                    </td>
+                                    <td class="py-1 text-right">${formatNumber(row.tonnes)}</td>
+                                    <td class="py-1 text-right">${formatNumber(row.biomethane)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    
+                    <div class="mt-4 pt-3 border-t border-gray-200 space-y-1">
+                        ${grazingTotal > 0 ? `
+                            <p class="text-sm text-gray-600">
+                                🐑 ${formatNumber(grazingTotal)} t/yr deposited while grazing is not collectable and is excluded.
+                            </p>
+                        ` : ''}
+                        <p class="text-xs text-gray-500">
+                            Potential uses typical biogas yields per tonne and methane content for each livestock type.
+                        </p>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        this.show();
+    }
+
+    /**
+     * Show a feedstock catchment: available manure and biomethane by livestock type after competing plants
+     */
+    showCatchmentAnalysis(result) {
+        if (!this.content) return;
+        
+        const analyzer = window.APP_STATE?.catchmentAnalyzer;
+        const formatNumber = (value) => Math.round(Number(value) || 0).toLocaleString();
+        const rows = result.categories
+            .map(category => ({ ...category, ...result.breakdown[category.id] }))
+            .filter(row => row.grossTonnes > 0);
+        const extentLabel = result.mode === 'drive'
+            ? (result.isochrone ? `${result.driveMinutes} min drive (road network)` : `${result.driveMinutes} min drive (≈${result.radiusKm.toFixed(1)} km)`)
+            : result.mode === 'polygon' ? 'Custom catchment' : `${result.radiusKm} km radius`;
+        
+        this.content.innerHTML = `
+            <div class="p-4">
+                <h3 class="text-lg font-semibold mb-1">🌾 Feedstock Catchment</h3>
+                <p class="text-sm text-gray-600 mb-3">${result.name} · ${extentLabel}</p>
+                
+                <div class="flex flex-wrap gap-1 mb-3">
+                    ${(analyzer?.radiusOptions || []).map(km => `
+                        <button class="catchment-option px-2 py-1 text-xs rounded ${result.mode === 'radius' && result.radiusKm === km ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}" data-radius="${km}">${km} km</button>
+                    `).join('')}
+                    ${(analyzer?.driveBands || []).map(minutes => `
+                        <button class="catchment-option px-2 py-1 text-xs rounded ${result.mode === 'drive' && result.driveMinutes === minutes ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}" data-drive="${minutes}">🚚 ${minutes} min</button>
+                    `).join('')}
+                </div>
+                
+                <div class="space-y-3">
+                    <div class="grid grid-cols-2 gap-2">
+                        <div class="bg-yellow-50 p-3 rounded-lg border border-yellow-200">
+                            <label class="text-sm font-medium text-yellow-800">Available Manure</label>
+                            <p class="text-lg font-semibold text-yellow-900">${formatNumber(result.totals.netTonnes)} t/yr</p>
+                            <p class="text-xs text-yellow-700">of ${formatNumber(result.totals.grossTonnes)} t/yr in ${result.hexCount} hexes</p>
+                        </div>
+                        <div class="bg-green-50 p-3 rounded-lg border border-green-200">
+                            <label class="text-sm font-medium text-green-800">Biomethane Potential</label>
+                            <p class="text-lg font-semibold text-green-900">${formatNumber(result.totals.netBiomethane)} m³/yr</p>
+                            <p class="text-xs text-green-700">of ${formatNumber(result.totals.grossBiomethane)} m³/yr gross</p>
+                        </div>
+                    </div>
+                    
+                    ${rows.length > 0 ? `
+                        <div class="bg-white border border-gray-200 rounded-lg p-2" style="height: ${Math.max(140, rows.length * 34 + 60)}px">
+                            <canvas id="catchment-chart"></canvas>
+                        </div>
+                        
+                        <table class="w-full text-sm">
+                            <thead>
+                                <tr class="text-left text-gray-600 border-b border-gray-200">
+                                    <th class="py-1">Livestock</th>
+                                    <th class="py-1 text-right">Available t/yr</th>
+                                    <th class="py-1 text-right">Competing t/yr</th>
+                                    <th class="py-1 text-right">CH₄ m³/yr</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${rows.map(row => `
+                                    <tr class="border-b border-gray-100">
+                                        <td class="py-1">
+                                            <span class="inline-block w-3 h-3 rounded-sm mr-1 align-middle" style="background-color: ${row.color}"></span>
+                                            ${row.name}
+                                        </td>
+                                        <td class="py-1 text-right">${formatNumber(row.netTonnes)}</td>
+                                        <td class="py-1 text-right text-red-700">${formatNumber(row.competingTonnes)}</td>
+                                        <td class="py-1 text-right">${formatNumber(row.netBiomethane)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    ` : `
+                        <div class="text-gray-500 text-center py-4">No manure recorded in this catchment</div>
+                    `}
+                    
+                    <div class="bg-gray-50 p-3 rounded-lg">
+                        <h4 class="font-medium mb-2">Competing Plants (${result.competitors.length})</h4>
+                        ${result.competitors.length > 0 ? `
+                            <ul class="text-sm space-y-1">
+                                ${result.competitors.map(competitor => `
+                                    <li class="flex justify-between items-center">
+                                        <span>${competitor.name} <span class="text-gray-500">· ${competitor.distanceKm.toFixed(1)} km</span></span>
+                                        <span class="whitespace-nowrap">
+                                            <button class="catchment-route text-xs text-blue-600 hover:underline mr-2" data-lng="${competitor.coordinates[0]}" data-lat="${competitor.coordinates[1]}">🚚 Route</button>
+                                            <span class="text-red-700">−${formatNumber(competitor.overlapTonnes)} t</span>
+                                        </span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        ` : '<p class="text-sm text-gray-600">No operational or under-construction plants draw from this area.</p>'}
+                        ${result.unknownDemandPlants.length > 0 ? `
+                            <p class="text-xs text-gray-500 mt-2">
+                                ${result.unknownDemandPlants.length} nearby plant(s) have no recorded manure intake and were not deducted.
+                            </p>
+                        ` : ''}
+                    </div>
+                    
+                    <button id="catchment-land-bank" class="px-3 py-1 text-sm bg-white text-green-700 border border-green-600 rounded hover:bg-green-50">🌱 Digestate Land Bank</button>
+                    
+                    <p class="text-xs text-gray-500">
+                        Competing plants are assumed to draw their recorded manure intake evenly from the same radius.
+                        ${result.mode === 'drive' && !result.isochrone ? 'No road network was available, so the drive band is approximated from average haulage speed and road circuity.' : ''}
+                    </p>
+                </div>
+            </div>
+        `;
+        
+        this.content.querySelectorAll('.catchment-option').forEach(button => {
+            button.addEventListener('click', () => {
+                analyzer?.rerun(button.dataset.drive
+                    ? { driveMinutes: Number(button.dataset.drive) }
+                    : { radiusKm: Number(button.dataset.radius) });
+            });
+        });
+        
+        this.content.querySelector('#catchment-land-bank')?.addEventListener('click', () => {
+            window.APP_STATE?.landBankAnalyzer?.analyzeCatchment(result);
+        });
+        
+        this.content.querySelectorAll('.catchment-route').forEach(button => {
+            button.addEventListener('click', async () => {
+                const from = [Number(button.dataset.lng), Number(button.dataset.lat)];
+                const route = await window.APP_STATE?.routingManager?.showRoute(from, result.origin);
+                if (route) {
+                    button.textContent = `🚚 ${Math.round(route.minutes)} min · ${route.distanceKm.toFixed(1)} km`;
+                }
+            });
+        });
+        
+        this.renderCatchmentChart(rows);
+        this.show();
+    }
+
+    /**
+     * Stacked bar of available vs competing tonnage per livestock type
+     */
+    renderCatchmentChart(rows) {
+        if (this.catchmentChart) {
+            this.catchmentChart.destroy();
+            this.catchmentChart = null;
+        }
+        
+        const canvas = this.content?.querySelector('#catchment-chart');
+        if (!canvas || !window.Chart) return;
+        
+        try {
+            this.catchmentChart = new Chart(canvas, {
+                type: 'bar',
+                data: {
+                    labels: rows.map(row => row.name),
+                    datasets: [
+                        {
+                            label: 'Available',
+                            data: rows.map(row => Math.round(row.netTonnes)),
+                            backgroundColor: rows.map(row => row.color)
+                        },
+                        {
+                            label: 'Competing plants',
+                            data: rows.map(row => Math.round(row.competingTonnes)),
+                            backgroundColor: 'rgba(220, 38, 38, 0.35)'
+                        }
+                    ]
+                },
+                options: {
+                    indexAxis: 'y',
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { position: 'bottom', labels: { font: { size: 11 }, boxWidth: 12 } },
+                        tooltip: {
+                            callbacks: {
+                                label: (context) => `${context.dataset.label}: ${context.parsed.x.toLocaleString()} t/yr`
+                            }
+                        }
+                    },
+                    scales: {
+                        x: { stacked: true, beginAtZero: true, title: { display: true, text: 'Tonnes / year' } },
+                        y: { stacked: true }
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('❌ Failed to render catchment chart:', error);
+        }
+    }
+
+    /**
+     * Show a digestate land bank: N to spread against the NVZ/non-NVZ land within the haul radius
+     */
+    showLandBankAnalysis(result) {
+        if (!this.content) return;
+        
+        const analyzer = window.APP_STATE?.landBankAnalyzer;
+        const formatNumber = (value) => Math.round(Number(value) || 0).toLocaleString();
+        const { nitrogen, land, assessment } = result;
+        const landRows = [
+            { id: 'outsideNvz', label: 'Spreadable, outside NVZ', color: '#16a34a', limit: assessment.limits.outsideNvz },
+            { id: 'nvz', label: result.nvzAvailable ? 'Spreadable, in NVZ' : 'Spreadable (NVZ limit assumed)', color: '#f59e0b', limit: assessment.limits.nvz },
+            { id: 'unspreadable', label: 'Not spreadable (ALC grade 5, non-agricultural, urban)', color: '#9ca3af' },
+            { id: 'unknown', label: 'No ALC coverage', color: '#ffffff' }
+        ].filter(row => land.areas[row.id] > 0 || row.limit);
+        
+        this.content.innerHTML = `
+            <div class="p-4">
+                <h3 class="text-lg font-semibold mb-1">🌱 Digestate Land Bank</h3>
+                <p class="text-sm text-gray-600 mb-3">${result.name} · ${result.radiusKm} km haul radius${result.mixNote ? ` · ${result.mixNote}` : ''}</p>
+                
+                <div class="flex flex-wrap gap-1 mb-3">
+                    ${(analyzer?.radiusOptions || []).map(km => `
+                        <button class="land-bank-radius px-2 py-1 text-xs rounded ${result.radiusKm === km ? 'bg-green-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}" data-radius="${km}">${km} km</button>
+                    `).join('')}
+                </div>
+                
+                ${nitrogen.nitrogenKg === 0 ? `
+                    <div class="bg-gray-50 p-3 rounded-lg text-sm text-gray-600 mb-3">No feedstock tonnage to estimate digestate from.</div>
+                ` : `
+                    <div class="p-3 rounded-lg border mb-3 ${assessment.sufficient ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}">
+                        <p class="font-semibold ${assessment.sufficient ? 'text-green-800' : 'text-red-800'}">
+                            ${assessment.sufficient ? '✅ Enough land' : '❌ Not enough land'} within ${result.radiusKm} km
+                        </p>
+                        <p class="text-sm ${assessment.sufficient ? 'text-green-700' : 'text-red-700'}">
+                            Available land takes ${formatNumber(assessment.capacityKg)} kg N/yr, ${Math.round(assessment.coverage * 100)}% of the digestate's ${formatNumber(nitrogen.nitrogenKg)} kg N/yr
+                        </p>
+                    </div>
+                `}
+                
+                <div class="space-y-3">
+                    <div class="grid grid-cols-2 gap-2">
+                        <div class="bg-yellow-50 p-3 rounded-lg border border-yellow-200">
+                            <label class="text-sm font-medium text-yellow-800">Digestate N</label>
+                            <p class="text-lg font-semibold text-yellow-900">${formatNumber(nitrogen.nitrogenKg)} kg/yr</p>
+                            <p class="text-xs text-yellow-700">from ${formatNumber(nitrogen.feedstockTonnes)} t/yr feedstock</p>
+                        </div>
+                        <div class="bg-green-50 p-3 rounded-lg border border-green-200">
+                            <label class="text-sm font-medium text-green-800">Land Needed</label>
+                            <p class="text-lg font-semibold text-green-900">${formatNumber(assessment.neededHa)} ha</p>
+                            <p class="text-xs text-green-700">${formatNumber(assessment.requiredHa.outsideNvz)}-${formatNumber(assessment.requiredHa.nvz)} ha at ${assessment.limits.outsideNvz}/${assessment.limits.nvz} kg N/ha</p>
+                        </div>
+                    </div>
+                    
+                    <table class="w-full text-sm">
+                        <thead>
+                            <tr class="text-left text-gray-600 border-b border-gray-200">
+                                <th class="py-1">Land within ${result.radiusKm} km</th>
+                                <th class="py-1 text-right">ha</th>
+                                <th class="py-1 text-right">Available ha</th>
+                                <th class="py-1 text-right">kg N/yr</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${landRows.map(row => `
+                                <tr class="border-b border-gray-100">
+                                    <td class="py-1">
+                                        <span class="inline-block w-3 h-3 rounded-sm mr-1 align-middle border border-gray-300" style="background-color: ${row.color}"></span>
+                                        ${row.label}
+                                    </td>
+                                    <td class="py-1 text-right">${formatNumber(land.areas[row.id])}</td>
+                                    <td class="py-1 text-right">${row.limit ? formatNumber(assessment.availableHa[row.id]) : '—'}</td>
+                                    <td class="py-1 text-right">${row.limit ? formatNumber(assessment.availableHa[row.id] * row.limit) : '—'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    
+                    <label class="block text-sm text-gray-700">
+                        Share of spreadable land available to this plant (%)
+                        <input id="land-bank-share" type="number" min="1" max="100" step="1" value="${Math.round(assessment.availableShare * 100)}" class="w-20 border rounded px-2 py-1 ml-2">
+                    </label>
+                    
+                    ${nitrogen.byFeedstock.length > 0 ? `
+                        <details class="text-sm">
+                            <summary class="cursor-pointer font-medium text-gray-700">Digestate N by feedstock</summary>
+                            <table class="w-full mt-1">
+                                <tbody>
+                                    ${nitrogen.byFeedstock.map(row => `
+                                        <tr class="border-b border-gray-100">
+                                            <td class="py-1">${row.label}</td>
+                                            <td class="py-1 text-right">${formatNumber(row.tonnes)} t</td>
+                                            <td class="py-1 text-right text-gray-500">${row.kgPerTonne} kg N/t</td>
+                                            <td class="py-1 text-right">${formatNumber(row.nitrogenKg)} kg</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </details>
+                    ` : ''}
+                    
+                    <p class="text-xs text-gray-500">
+                        Organic N is limited to ${assessment.limits.nvz} kg/ha/yr in Nitrate Vulnerable Zones and ${assessment.limits.outsideNvz} kg/ha/yr elsewhere; land outside NVZs is used first.
+                        Land is sampled on a ${land.cellKm.toFixed(2)} km grid from the ALC${result.nvzAvailable ? ' and NVZ layers' : ' layer; the NVZ layer was not available, so the NVZ limit is applied everywhere'}.
+                    </p>
+                    
+                    <button id="land-bank-clear" class="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200">Clear overlay</button>
+                </div>
+            </div>
+        `;
+        
+        this.content.querySelectorAll('.land-bank-radius').forEach(button => {
+            button.addEventListener('click', () => analyzer?.rerun({ radiusKm: Number(button.dataset.radius) }));
+        });
+        this.content.querySelector('#land-bank-share')?.addEventListener('change', (e) => {
+            const percent = Number(e.target.value);
+            if (percent > 0 && percent <= 100) {
+                analyzer?.rerun({ availableShare: percent / 100 });
+            }
+        });
+        this.content.querySelector('#land-bank-clear')?.addEventListener('click', () => analyzer?.clear());
+        
+        this.show();
+    }
+
+    /**
+     * Show a gas injection feasibility check: the entry flow against the nearest main of each pressure tier
+     */
+    showGasInjectionFeasibility(result) {
+        if (!this.content) return;
+        
+        const analyzer = window.APP_STATE?.gasInjectionAnalyzer;
+        const formatNumber = (value) => Math.round(Number(value) || 0).toLocaleString();
+        const { connection } = result;
+        const flowNotes = {
+            modelled: 'modelled grid-injection capacity',
+            entered: `entered; modelled ${formatNumber(result.modelledFlowNm3h)} Nm³/h`,
+            design: 'design flow; no feedstock to model'
+        };
+        
+        this.content.innerHTML = `
+            <div class="p-4">
+                <h3 class="text-lg font-semibold mb-1">⛽ Gas Injection Feasibility</h3>
+                <p class="text-sm text-gray-600 mb-3">${result.name}${result.mixNote ? ` · ${result.mixNote}` : ''}</p>
+                
+                <div class="p-3 rounded-lg border mb-3 ${connection ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}">
+                    <p class="font-semibold ${connection ? 'text-green-800' : 'text-red-800'}">
+                        ${connection ? `✅ Connect to the ${connection.label.toLowerCase()}` : '❌ No main nearby can take this flow'}
+                    </p>
+                    <p class="text-sm ${connection ? 'text-green-700' : 'text-red-700'}">
+                        ${connection
+                            ? `${(connection.pipeLengthM / 1000).toFixed(1)} km of pipe at ${connection.pressure}, about £${formatNumber(connection.cost)}`
+                            : 'Every main within the search distance is low pressure or too small for the flow'}
+                    </p>
+                    ${connection?.issues.map(issue => `<p class="text-xs text-yellow-800 mt-1">⚠️ ${issue.message}</p>`).join('') || ''}
+                </div>
+                
+                <div class="space-y-3">
+                    <div class="grid grid-cols-2 gap-2">
+                        <div class="bg-orange-50 p-3 rounded-lg border border-orange-200">
+                            <label class="text-sm font-medium text-orange-800">Entry Flow</label>
+                            <p class="text-lg font-semibold text-orange-900">${formatNumber(result.flowNm3h)} Nm³/h</p>
+                            <p class="text-xs text-orange-700">${flowNotes[result.flowSource]}</p>
+                        </div>
+                        <div class="bg-green-50 p-3 rounded-lg border border-green-200">
+                            <label class="text-sm font-medium text-green-800">Biomethane</label>
+                            <p class="text-lg font-semibold text-green-900">${formatNumber(result.biomethaneM3)} m³/yr</p>
+                            <p class="text-xs text-green-700">from the energy model</p>
+                        </div>
+                    </div>
+                    
+                    <table class="w-full text-sm">
+                        <thead>
+                            <tr class="text-left text-gray-600 border-b border-gray-200">
+                                <th class="py-1">Nearest main</th>
+                                <th class="py-1 text-right">Pipe</th>
+                                <th class="py-1 text-right">Cost</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${result.options.length > 0 ? result.options.map(option => `
+                                <tr class="border-b border-gray-100 ${option === connection ? 'font-semibold' : option.feasible ? '' : 'text-gray-400'}">
+                                    <td class="py-1">
+                                        ${option.label} <span class="text-xs text-gray-500">${option.pressure}</span>
+                                        ${option.issues.map(issue => `<div class="text-xs font-normal ${issue.blocking ? 'text-red-600' : 'text-yellow-700'}">${issue.message}</div>`).join('')}
+                                    </td>
+                                    <td class="py-1 text-right align-top">${(option.pipeLengthM / 1000).toFixed(1)} km</td>
+                                    <td class="py-1 text-right align-top">£${formatNumber(option.cost)}</td>
+                                </tr>
+                            `).join('') : `
+                                <tr><td colspan="3" class="py-1 text-gray-500">No gas main within the search distance</td></tr>
+                            `}
+                        </tbody>
+                    </table>
+                    
+                    <label class="block text-sm text-gray-700">
+                        Entry flow (Nm³/h)
+                        <input id="gas-injection-flow" type="number" min="1" step="10" value="${Math.round(result.flowNm3h)}" class="w-24 border rounded px-2 py-1 ml-2">
+                        ${result.flowSource === 'entered' ? '<button id="gas-injection-modelled" class="ml-2 text-xs text-blue-600 hover:underline">Use modelled</button>' : ''}
+                    </label>
+                    
+                    <p class="text-xs text-gray-500">
+                        Pipe length is the straight-line distance to the main plus ${Math.round((GAS_INJECTION_DEFAULTS.pipeRouteFactor - 1) * 100)}% for routing. Cost is the fixed gas connection and pipe cost of the financial appraisal plus compression and entry equipment for the pressure tier.
+                        Flow limits are typical values; a capacity study with the network operator confirms them.
+                    </p>
+                </div>
+            </div>
+        `;
+        
+        this.content.querySelector('#gas-injection-flow')?.addEventListener('change', (e) => {
+            const flowNm3h = Number(e.target.value);
+            if (flowNm3h > 0) {
+                analyzer?.rerun({ flowNm3h });
+            }
+        });
+        this.content.querySelector('#gas-injection-modelled')?.addEventListener('click', () => analyzer?.rerun({ flowNm3h: undefined }));
+        
+        this.show();
+    }
+
+    /**
+     * Sampled gas connection of a Site Finder result: tier, pipe length and cost at the site's modelled
+     * entry flow, or at the design flow (marked as assumed) when it has none
+     */
+    formatGasConnection(properties, provenance = {}) {
+        const tier = properties.gasPressureTier;
+        if (!tier) return 'Unknown';
+        const flow = properties.gasFlowNm3h !== undefined
+            ? ` at ${properties.gasFlowNm3h} Nm³/h${provenance.gasFlowNm3h?.flowAssumed ? ' (assumed)' : ''}`
+            : '';
+        if (tier === 'none') return `None within reach${flow}`;
+        return `${PRESSURE_TIERS[tier]?.label || tier}, ${((properties.gasConnectionLength || 0) / 1000).toFixed(1)} km pipe, £${Math.round(properties.gasConnectionCost || 0).toLocaleString()}${flow}`;
+    }
+
+    /**
+     * Side-by-side comparison of the sites and plants pinned in the comparison workspace
      */
-    showRoadDetails(properties) {
+    showComparison(workspace) {
         if (!this.content) return;
         
+        if (workspace.items.length === 0) {
+            this.content.innerHTML = `
+                <div class="p-4">
+                    <h3 class="text-lg font-semibold mb-2">📊 Site Comparison</h3>
+                    <p class="text-sm text-gray-600">
+                        Nothing pinned yet. Use 📌 Compare on a Site Finder result or an AD plant to pin up to ${MAX_COMPARISON_ITEMS} for side-by-side comparison.
+                    </p>
+                </div>
+            `;
+            this.show();
+            return;
+        }
+        
+        const items = workspace.scoredItems();
+        const rows = workspace.buildRows(items);
+        const sections = [...new Set(rows.map(row => row.section))];
+        const missingCatchments = workspace.items.some(item => !item.catchment);
+        
         this.content.innerHTML = `
-            <div class="p-4">
-                <h3 class="text-lg font-semibold mb-3 flex items-center">
-                    🛣️ ${properties.displayName || properties.road_name || 'Road'}
-                </h3>
-                <div class="space-y-3">
-                    <div class="grid grid-cols-1 gap-2">
-                        <div class="bg-gray-50 p-3 rounded-lg">
-                            <label class="text-sm font-medium text-gray-700">Road Class</label>
-                            <p class="text-gray-900">${properties.road_class || 'Unknown'}</p>
-                        </div>
-                        
-                        <div class="bg-gray-50 p-3 rounded-lg">
-                            <label class="text-sm font-medium text-gray-700">Surface</label>
-                            <p class="text-gray-900">${properties.surface || 'Unknown'}</p>
-                        </div>
-                        
-                        <div class="bg-gray-50 p-3 rounded-lg">
-                            <label class="text-sm font-medium text-gray-700">Access</label>
-                            <p class="text-gray-900">${properties.access || 'Public'}</p>
-                        </div>
-                    </div>
-                    
-                    <div class="mt-4 pt-3 border-t border-gray-200">
-                        <p class="text-sm text-gray-600">
-                            💡 This road classification affects AD plant accessibility for feedstock delivery and maintenance.
-                        </p>
-                    </div>
+            <div class="p-4 space-y-4">
+                <div class="flex justify-between items-center">
+                    <h3 class="text-lg font-semibold">📊 Site Comparison</h3>
+                    <span class="text-xs text-gray-500">${items.length} of ${MAX_COMPARISON_ITEMS} pinned</span>
+                </div>
+                
+                <div class="flex flex-wrap gap-2">
+                    ${items.map((item, i) => `
+                        <span class="inline-flex items-center text-xs px-2 py-1 rounded-full border" style="border-color: ${COMPARISON_COLORS[i]}">
+                            <span class="inline-block w-2 h-2 rounded-full mr-1" style="background-color: ${COMPARISON_COLORS[i]}"></span>
+                            ${item.kind === 'plant' ? '⚡' : '📍'} ${item.name}
+                            <button class="comparison-unpin ml-1 text-gray-400 hover:text-red-600" data-key="${item.key}" title="Unpin">✕</button>
+                        </span>
+                    `).join('')}
                 </div>
+                
+                <div class="bg-white border rounded-lg p-2" style="height: 300px;">
+                    <canvas id="comparison-radar"></canvas>
+                </div>
+                
+                <div class="flex flex-wrap gap-2">
+                    ${missingCatchments ? `
+                        <button id="comparison-catchments" class="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700">🌾 Load catchments</button>
+                    ` : ''}
+                    <button id="comparison-export-csv" class="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700">📄 CSV</button>
+                    <button id="comparison-export-pdf" class="px-3 py-1 text-sm bg-white text-blue-700 border border-blue-600 rounded hover:bg-blue-50">🖨️ PDF</button>
+                    <button id="comparison-clear" class="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200">Clear</button>
+                </div>
+                
+                <div class="overflow-x-auto">
+                    ${this.renderComparisonTable(items, rows, sections)}
+                </div>
+                
+                <p class="text-xs text-gray-500">
+                    Scores are recalculated with the current weights and scoring curves (weighted sum) so every pinned item is scored the same way.
+                    The best value in each row is highlighted; blank cells have no data source yet.
+                </p>
             </div>
         `;
         
+        this.content.querySelectorAll('.comparison-unpin').forEach(button => {
+            button.addEventListener('click', () => {
+                workspace.unpin(button.dataset.key);
+                this.showComparison(workspace);
+            });
+        });
+        
+        this.content.querySelector('#comparison-catchments')?.addEventListener('click', async (e) => {
+            const button = e.currentTarget;
+            button.disabled = true;
+            await workspace.loadCatchments((done, total) => {
+                button.textContent = `🌾 Loading catchments ${done}/${total}...`;
+            });
+            this.showComparison(workspace);
+        });
+        
+        this.content.querySelector('#comparison-export-csv')?.addEventListener('click', () => this.exportComparison(workspace, 'csv'));
+        this.content.querySelector('#comparison-export-pdf')?.addEventListener('click', () => this.exportComparison(workspace, 'pdf'));
+        this.content.querySelector('#comparison-clear')?.addEventListener('click', () => {
+            workspace.clear();
+            this.showComparison(workspace);
+        });
+        
+        this.renderComparisonChart(items, workspace.radarAxes());
         this.show();
     }
 
     /**
-     * Show Infrastructure details
+     * Comparison table body, grouped by section, with the best value in each row highlighted
      */
-    showInfrastructureDetails(properties) {
+    renderComparisonTable(items, rows, sections) {
+        return `
+            <table class="w-full text-xs">
+                <thead>
+                    <tr class="border-b">
+                        <th class="text-left py-1 pr-2"></th>
+                        ${items.map((item, i) => `
+                            <th class="text-right py-1 px-1 font-semibold" style="color: ${COMPARISON_COLORS[i]}">${item.name}</th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sections.map(section => `
+                        <tr><td colspan="${items.length + 1}" class="pt-3 pb-1 font-semibold text-gray-700">${section}</td></tr>
+                        ${rows.filter(row => row.section === section).map(row => `
+                            <tr class="border-b border-gray-100">
+                                <td class="py-1 pr-2 text-gray-600">${row.label}</td>
+                                ${row.values.map((value, i) => `
+                                    <td class="py-1 px-1 text-right ${row.best.includes(i) ? 'bg-green-100 text-green-800 font-semibold' : ''}">
+                                        ${value === null ? '<span class="text-gray-400">–</span>' : row.format(value)}
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Radar of sub-criterion scores (0-10), one outline per pinned item
+     */
+    renderComparisonChart(items, axes) {
+        if (this.comparisonChart) {
+            this.comparisonChart.destroy();
+            this.comparisonChart = null;
+        }
+        
+        const canvas = this.content?.querySelector('#comparison-radar');
+        if (!canvas || !window.Chart) return;
+        
+        try {
+            this.comparisonChart = new Chart(canvas, {
+                type: 'radar',
+                data: {
+                    labels: axes.map(key => this.formatCriterionName({ key })),
+                    datasets: items.map((item, i) => ({
+                        label: item.name,
+                        data: axes.map(key => Math.round(item.subScores[key] * 10) / 10),
+                        borderColor: COMPARISON_COLORS[i],
+                        backgroundColor: `${COMPARISON_COLORS[i]}22`,
+                        pointRadius: 2,
+                        borderWidth: 2
+                    }))
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    plugins: {
+                        legend: { position: 'bottom', labels: { font: { size: 11 }, boxWidth: 12 } }
+                    },
+                    scales: {
+                        r: { min: 0, max: 10, ticks: { stepSize: 2, font: { size: 9 } }, pointLabels: { font: { size: 9 } } }
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('❌ Failed to render comparison chart:', error);
+        }
+    }
+
+    /**
+     * Export the comparison as CSV, or as PDF through the browser's print dialog (table plus radar chart)
+     */
+    exportComparison(workspace, format = 'csv') {
+        try {
+            const date = new Date().toISOString().split('T')[0];
+            
+            if (format === 'csv') {
+                const blob = new Blob([workspace.exportCSV()], { type: 'text/csv' });
+                const url = window.URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `site-comparison-${date}.csv`;
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                window.URL.revokeObjectURL(url);
+                return;
+            }
+            
+            const items = workspace.scoredItems();
+            const rows = workspace.buildRows(items);
+            const chartImage = this.comparisonChart?.toBase64Image() || null;
+            const report = window.open('', '_blank');
+            if (!report) {
+                throw new Error('Allow pop-ups for this site to print the comparison');
+            }
+            
+            report.document.write(`
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <title>Site comparison ${date}</title>
+                    <style>
+                        body { font-family: system-ui, sans-serif; margin: 24px; color: #1f2937; }
+                        h1 { font-size: 20px; margin-bottom: 4px; }
+                        p { font-size: 12px; color: #6b7280; }
+                        table { border-collapse: collapse; width: 100%; font-size: 12px; margin-top: 16px; }
+                        th, td { border-bottom: 1px solid #e5e7eb; padding: 4px 6px; text-align: right; }
+                        th:first-child, td:first-child { text-align: left; }
+                        .section td { font-weight: 600; padding-top: 12px; border-bottom: none; }
+                        .best { background: #dcfce7; font-weight: 600; }
+                        img { display: block; max-width: 480px; margin: 16px auto; }
+                    </style>
+                </head>
+                <body>
+                    <h1>Site comparison</h1>
+                    <p>${new Date().toLocaleString()} · scored with the current weights and scoring curves (weighted sum) · best value per row highlighted</p>
+                    ${chartImage ? `<img src="${chartImage}" alt="Criterion scores">` : ''}
+                    <table>
+                        <thead>
+                            <tr><th></th>${items.map(item => `<th>${item.name}</th>`).join('')}</tr>
+                        </thead>
+                        <tbody>
+                            <tr><td>Location</td>${items.map(item => `<td>${item.coordinates[1].toFixed(5)}, ${item.coordinates[0].toFixed(5)}</td>`).join('')}</tr>
+                            ${[...new Set(rows.map(row => row.section))].map(section => `
+                                <tr class="section"><td colspan="${items.length + 1}">${section}</td></tr>
+                                ${rows.filter(row => row.section === section).map(row => `
+                                    <tr>
+                                        <td>${row.label}</td>
+                                        ${row.values.map((value, i) => `<td class="${row.best.includes(i) ? 'best' : ''}">${value === null ? '–' : row.format(value)}</td>`).join('')}
+                                    </tr>
+                                `).join('')}
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </body>
+                </html>
+            `);
+            report.document.close();
+            report.focus();
+            // Give the chart image a moment to decode before the print dialog opens
+            setTimeout(() => report.print(), 300);
+            
+        } catch (error) {
+            console.error('❌ Comparison export failed:', error);
+            this.showError(`Export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Tenure and proprietors from a title lookup
+     */
+    renderTitleRecord(record) {
+        if (record.found === false) {
+            return `<p class="text-sm text-gray-600">Title ${escapeHtml(record.titleNumber)} is not in the ${escapeHtml(record.providerLabel || 'title register')}. Titles held by private individuals are not published; order the register from HM Land Registry.</p>`;
+        }
+        
+        return `
+            <div class="text-sm">
+                <p class="text-xs text-gray-500">${escapeHtml(record.titleNumber)}${record.tenure ? ` · ${escapeHtml(record.tenure)}` : ''}${record.dateAdded ? ` · since ${escapeHtml(record.dateAdded)}` : ''}</p>
+                ${record.proprietors.map(proprietor => `
+                    <p class="font-medium text-gray-900">${escapeHtml(proprietor.name)}</p>
+                    <p class="text-xs text-gray-600">
+                        ${[proprietor.companyRegNo ? `Co. reg. ${proprietor.companyRegNo}` : null, proprietor.category, proprietor.country, proprietor.address].filter(Boolean).map(escapeHtml).join(' · ')}
+                    </p>
+                `).join('') || '<p class="text-gray-600">No proprietor listed</p>'}
+                <p class="text-xs text-gray-400 mt-1">${escapeHtml(record.providerLabel || record.provider)} · ${new Date(record.retrievedAt).toLocaleDateString()}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Wire a container's .title-lookup-btn to a (billable) title lookup and show the result in the container
+     */
+    setupTitleLookup(container, titleNumber, options = {}) {
+        container.querySelector('.title-lookup-btn')?.addEventListener('click', async (e) => {
+            const service = window.APP_STATE?.titleLookupService;
+            if (!service) return;
+            
+            const button = e.currentTarget;
+            const number = typeof titleNumber === 'function' ? titleNumber() : titleNumber;
+            button.disabled = true;
+            button.textContent = '🔎 Looking up...';
+            try {
+                const record = await service.lookup(number, options);
+                if (record) {
+                    container.innerHTML = this.renderTitleRecord(record);
+                    if (options.onResult && record.found) options.onResult(record);
+                } else {
+                    button.disabled = false;
+                    button.textContent = '🔎 Look up landowner (premium)';
+                }
+            } catch (error) {
+                console.error('❌ Title lookup failed:', error);
+                container.innerHTML = `<p class="text-sm text-red-700">Lookup failed: ${escapeHtml(error.message)}</p>`;
+            }
+        });
+    }
+
+    /**
+     * Shortlisted sites with their workflow status, filterable by status
+     */
+    showShortlist(manager, statusFilter = null) {
         if (!this.content) return;
         
+        const statusOf = (id) => SHORTLIST_STATUSES.find(status => status.id === id) || SHORTLIST_STATUSES[0];
+        const entries = manager.getEntries();
+        const shown = statusFilter ? entries.filter(entry => entry.status === statusFilter) : entries;
+        const workspace = manager.collaborationManager?.getCurrentWorkspace();
+        
         this.content.innerHTML = `
-            <div class="p-4">
-                <h3 class="text-lg font-semibold mb-3 flex items-center">
-                    ⚡ ${properties.displayName || properties.name || 'Infrastructure'}
-                </h3>
-                <div class="space-y-3">
-                    <div class="grid grid-cols-1 gap-2">
-                        <div class="bg-gray-50 p-3 rounded-lg">
-                            <label class="text-sm font-medium text-gray-700">Type</label>
-                            <p class="text-gray-900">${properties.category || 'Infrastructure'}</p>
-                        </div>
-                        
-                        ${Object.entries(properties).filter(([key, value]) => 
-                            key !== 'displayName' && key !== 'name' && key !== 'category' && 
-                            value && typeof value === 'string'
-                        ).map(([key, value]) => `
-                            <div class="bg-gray-50 p-3 rounded-lg">
-                                <label class="text-sm font-medium text-gray-700">${key.charAt(0).toUpperCase() + key.slice(1).replace(/([A-Z])/g, ' $1')}</label>
-                                <p class="text-gray-900">${value}</p>
+            <div class="p-4 space-y-3">
+                <div class="flex justify-between items-center">
+                    <h3 class="text-lg font-semibold">⭐ Shortlist</h3>
+                    <span class="text-xs text-gray-500">${workspace ? `Workspace: ${escapeHtml(workspace.name)}` : 'Personal only'}</span>
+                </div>
+                
+                <div class="flex flex-wrap gap-1">
+                    <button class="shortlist-filter px-2 py-1 text-xs rounded ${statusFilter ? 'bg-gray-100 text-gray-700 hover:bg-gray-200' : 'bg-blue-600 text-white'}" data-status="">
+                        All (${entries.length})
+                    </button>
+                    ${SHORTLIST_STATUSES.map(status => `
+                        <button class="shortlist-filter px-2 py-1 text-xs rounded ${statusFilter === status.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}" data-status="${status.id}">
+                            ${status.label} (${entries.filter(entry => entry.status === status.id).length})
+                        </button>
+                    `).join('')}
+                </div>
+                
+                ${shown.length === 0 ? `
+                    <p class="text-sm text-gray-600">
+                        ${entries.length === 0 ? 'No shortlisted sites yet. Use ⭐ Shortlist on a Site Finder result to add one.' : 'No sites at this stage.'}
+                    </p>
+                ` : shown.map(entry => `
+                    <div class="border border-gray-200 rounded-lg p-3 bg-white">
+                        <div class="flex justify-between items-start">
+                            <div>
+                                <h4 class="font-semibold text-gray-800">${entry.name}</h4>
+                                <p class="text-xs text-gray-500">
+                                    ${entry.properties.area?.toFixed(1) ?? '?'} ha · ${this.formatParcelSource(entry)} · ${entry.workspaceId ? '👥 Shared' : '🔒 Personal'}
+                                </p>
                             </div>
-                        `).join('')}
-                    </div>
-                    
-                    <div class="mt-4 pt-3 border-t border-gray-200">
-                        <p class="text-sm text-gray-600">
-                            💡 Infrastructure proximity is crucial for AD plant viability and connection costs.
+                            <span class="text-xs px-2 py-1 rounded-full text-white" style="background-color: ${statusOf(entry.status).color}">
+                                ${statusOf(entry.status).label}
+                            </span>
+                        </div>
+                        <p class="text-xs text-gray-600 mt-2">
+                            Owner: ${escapeHtml(entry.owner || 'Unassigned')} · ${entry.notes.length} note(s) · ${entry.attachments.length} attachment(s) · updated ${new Date(entry.updatedAt).toLocaleDateString()}
                         </p>
+                        <div class="flex justify-between mt-2">
+                            <button class="shortlist-open text-blue-600 hover:text-blue-800 text-sm font-medium" data-id="${entry.id}">📋 Open</button>
+                            <button class="shortlist-focus text-green-600 hover:text-green-800 text-sm font-medium" data-id="${entry.id}">🗺️ Focus Map</button>
+                        </div>
                     </div>
-                </div>
+                `).join('')}
             </div>
         `;
         
+        this.content.querySelectorAll('.shortlist-filter').forEach(button => {
+            button.addEventListener('click', () => this.showShortlist(manager, button.dataset.status || null));
+        });
+        this.content.querySelectorAll('.shortlist-open').forEach(button => {
+            button.addEventListener('click', () => this.showShortlistEntry(button.dataset.id));
+        });
+        this.content.querySelectorAll('.shortlist-focus').forEach(button => {
+            button.addEventListener('click', () => {
+                const entry = manager.getEntry(button.dataset.id);
+                if (entry) this.focusOnMap(entry.coordinates);
+            });
+        });
+        
         this.show();
     }
 
     /**
-     * Show Environmental details
+     * One shortlisted site: status and its history, owner, notes and attachment metadata
      */
-    showEnvironmentalDetails(properties) {
-        if (!this.content) return;
+    showShortlistEntry(entryId) {
+        const manager = window.APP_STATE?.shortlistManager;
+        const entry = manager?.getEntry(entryId);
+        if (!this.content || !entry) return;
+        
+        const statusLabel = (id) => SHORTLIST_STATUSES.find(status => status.id === id)?.label || id;
+        const workspace = manager.collaborationManager?.getCurrentWorkspace();
+        const formatSize = (bytes) => bytes === null ? '' : bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
         
         this.content.innerHTML = `
-            <div class="p-4">
-                <h3 class="text-lg font-semibold mb-3 flex items-center">
-                    🌿 ${properties.displayName || properties.name || 'Environmental Area'}
-                </h3>
-                <div class="space-y-3">
-                    <div class="grid grid-cols-1 gap-2">
-                        <div class="bg-green-50 p-3 rounded-lg border border-green-200">
-                            <label class="text-sm font-medium text-green-800">Protection Status</label>
-                            <p class="text-green-900">${properties.category || 'Protected Area'}</p>
-                        </div>
-                        
-                        ${Object.entries(properties).filter(([key, value]) => 
-                            key !== 'displayName' && key !== 'name' && key !== 'category' && 
-                            value && typeof value === 'string'
-                        ).map(([key, value]) => `
-                            <div class="bg-gray-50 p-3 rounded-lg">
-                                <label class="text-sm font-medium text-gray-700">${key.charAt(0).toUpperCase() + key.slice(1).replace(/([A-Z])/g, ' $1')}</label>
-                                <p class="text-gray-900">${value}</p>
-                            </div>
+            <div class="p-4 space-y-4">
+                <button class="shortlist-back text-sm text-blue-600 hover:underline">← Shortlist</button>
+                <div>
+                    <h3 class="text-lg font-semibold">⭐ ${entry.name}</h3>
+                    <p class="text-xs text-gray-500">
+                        ${this.formatParcelSource(entry)} · ${entry.properties.area?.toFixed(1) ?? '?'} ha · score ${(entry.score * 100).toFixed(1)}%
+                        ${entry.runId ? ` · run ${entry.runId}` : ''}
+                    </p>
+                    <p class="text-xs text-gray-500">Added by ${escapeHtml(entry.createdBy)} on ${new Date(entry.createdAt).toLocaleDateString()}</p>
+                </div>
+                
+                <div class="grid grid-cols-2 gap-3 text-sm">
+                    <label class="block">
+                        <span class="text-gray-700 font-medium">Status</span>
+                        <select id="shortlist-status" class="w-full border rounded px-2 py-1 mt-1">
+                            ${SHORTLIST_STATUSES.map(status => `
+                                <option value="${status.id}" ${status.id === entry.status ? 'selected' : ''}>${status.label}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label class="block">
+                        <span class="text-gray-700 font-medium">Owner</span>
+                        <input id="shortlist-owner" type="text" value="${escapeHtml(entry.owner)}" placeholder="Unassigned" class="w-full border rounded px-2 py-1 mt-1">
+                    </label>
+                </div>
+                
+                <details class="text-xs text-gray-600">
+                    <summary class="cursor-pointer">Status history (${entry.statusHistory.length})</summary>
+                    <ul class="mt-1 space-y-1">
+                        ${entry.statusHistory.map(change => `
+                            <li>${new Date(change.at).toLocaleString()}: <strong>${statusLabel(change.status)}</strong> by ${escapeHtml(change.by)}</li>
                         `).join('')}
+                    </ul>
+                </details>
+                
+                <div>
+                    <h4 class="font-semibold text-gray-700 mb-2 text-sm">🏷️ Landowner</h4>
+                    <div class="space-y-2 mb-2">
+                        ${(entry.titles || []).map(title => `
+                            <div class="bg-gray-50 rounded p-2">${this.renderTitleRecord(title)}</div>
+                        `).join('') || '<p class="text-xs text-gray-500">No title looked up yet.</p>'}
                     </div>
-                    
-                    <div class="mt-4 pt-3 border-t border-gray-200">
-                        <div class="bg-red-50 p-3 rounded-lg border border-red-200">
-                            <p class="text-sm text-red-800">
-                                ⚠️ <strong>Planning Constraint:</strong> This environmental designation may restrict or prohibit AD plant development.
-                            </p>
-                        </div>
+                    <div id="shortlist-title-lookup" class="flex space-x-1">
+                        <input id="shortlist-title-number" type="text" value="${manager.titleNumberOf(entry) || ''}" placeholder="Title number" class="flex-1 border rounded px-2 py-1 text-xs">
+                        <button class="title-lookup-btn px-2 py-1 text-xs bg-white text-blue-700 border border-blue-600 rounded hover:bg-blue-50">🔎 Look up landowner (premium)</button>
+                    </div>
+                </div>
+                
+                <div>
+                    <h4 class="font-semibold text-gray-700 mb-2 text-sm">📝 Notes</h4>
+                    <ul class="space-y-2 mb-2">
+                        ${entry.notes.map(note => `
+                            <li class="bg-gray-50 rounded p-2 text-sm">
+                                <div class="flex justify-between text-xs text-gray-500">
+                                    <span>${escapeHtml(note.author)} · ${new Date(note.createdAt).toLocaleString()}</span>
+                                    <button class="shortlist-remove-note hover:text-red-600" data-note="${note.id}">✕</button>
+                                </div>
+                                <p class="text-gray-800 whitespace-pre-wrap">${escapeHtml(note.text)}</p>
+                            </li>
+                        `).join('') || '<li class="text-xs text-gray-500">No notes yet.</li>'}
+                    </ul>
+                    <textarea id="shortlist-note" rows="2" class="w-full border rounded px-2 py-1 text-sm" placeholder="Add a note"></textarea>
+                    <button id="shortlist-add-note" class="mt-1 px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700">Add note</button>
+                </div>
+                
+                <div>
+                    <h4 class="font-semibold text-gray-700 mb-2 text-sm">📎 Attachments</h4>
+                    <p class="text-xs text-gray-500 mb-2">Only file details are recorded; keep the documents in your document store.</p>
+                    <ul class="space-y-1 mb-2 text-sm">
+                        ${entry.attachments.map(attachment => `
+                            <li class="flex justify-between items-center bg-gray-50 rounded px-2 py-1">
+                                <span>
+                                    ${safeAttachmentUrl(attachment.url) ? `<a href="${escapeHtml(safeAttachmentUrl(attachment.url))}" target="_blank" rel="noopener" class="text-blue-600 hover:underline">${escapeHtml(attachment.name)}</a>` : escapeHtml(attachment.name)}
+                                    <span class="text-xs text-gray-500">${formatSize(attachment.size)} · ${escapeHtml(attachment.addedBy)}</span>
+                                </span>
+                                <button class="shortlist-remove-attachment text-xs text-gray-500 hover:text-red-600" data-attachment="${attachment.id}">✕</button>
+                            </li>
+                        `).join('') || '<li class="text-xs text-gray-500">No attachments.</li>'}
+                    </ul>
+                    <input id="shortlist-files" type="file" multiple class="text-xs">
+                    <div class="flex mt-1 space-x-1">
+                        <input id="shortlist-link" type="url" placeholder="or paste a document link" class="flex-1 border rounded px-2 py-1 text-xs">
+                        <button id="shortlist-add-link" class="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200">Add link</button>
                     </div>
                 </div>
+                
+                <div>
+                    <h4 class="font-semibold text-gray-700 mb-2 text-sm">💷 Financial appraisal</h4>
+                    ${entry.appraisal?.summary ? `
+                        <div class="grid grid-cols-3 gap-2 text-center text-sm">
+                            <div class="bg-gray-50 rounded p-2"><div class="text-xs text-gray-500">NPV</div><div class="font-semibold ${entry.appraisal.summary.npv < 0 ? 'text-red-600' : 'text-green-700'}">£${(entry.appraisal.summary.npv / 1e6).toFixed(2)}M</div></div>
+                            <div class="bg-gray-50 rounded p-2"><div class="text-xs text-gray-500">IRR</div><div class="font-semibold">${entry.appraisal.summary.irr === null ? '—' : `${(entry.appraisal.summary.irr * 100).toFixed(1)}%`}</div></div>
+                            <div class="bg-gray-50 rounded p-2"><div class="text-xs text-gray-500">Payback</div><div class="font-semibold">${entry.appraisal.summary.paybackYears === null ? 'Never' : `${entry.appraisal.summary.paybackYears.toFixed(1)} yrs`}</div></div>
+                        </div>
+                        <p class="text-xs text-gray-500 mt-1">${entry.appraisal.route === 'gridInjection' ? 'Biomethane to grid' : 'CHP'} · saved ${new Date(entry.appraisal.savedAt).toLocaleDateString()} by ${escapeHtml(entry.appraisal.savedBy)}</p>
+                    ` : '<p class="text-xs text-gray-500">Not appraised yet.</p>'}
+                </div>
+                
+                <div class="pt-3 border-t border-gray-200 flex flex-wrap gap-2">
+                    <button id="shortlist-focus" class="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700">🗺️ Focus Map</button>
+                    <button id="shortlist-energy" class="px-3 py-1 text-sm bg-white text-yellow-700 border border-yellow-500 rounded hover:bg-yellow-50">⚡ Energy Model</button>
+                    <button id="shortlist-appraisal" class="px-3 py-1 text-sm bg-white text-green-700 border border-green-600 rounded hover:bg-green-50">💷 Appraisal</button>
+                    <button id="shortlist-land-bank" class="px-3 py-1 text-sm bg-white text-green-700 border border-green-600 rounded hover:bg-green-50">🌱 Land Bank</button>
+                    <button id="shortlist-gas-injection" class="px-3 py-1 text-sm bg-white text-orange-700 border border-orange-500 rounded hover:bg-orange-50">⛽ Gas Injection</button>
+                    ${entry.workspaceId ? `
+                        <button id="shortlist-share" data-shared="false" class="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200">🔒 Make personal</button>
+                    ` : workspace ? `
+                        <button id="shortlist-share" data-shared="true" class="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200">👥 Share with ${escapeHtml(workspace.name)}</button>
+                    ` : ''}
+                    <button id="shortlist-remove" class="px-3 py-1 text-sm bg-white text-red-700 border border-red-600 rounded hover:bg-red-50">Remove</button>
+                </div>
             </div>
         `;
         
+        const query = (selector) => this.content.querySelector(selector);
+        const rerender = () => this.showShortlistEntry(entry.id);
+        
+        query('.shortlist-back')?.addEventListener('click', () => this.showShortlist(manager));
+        this.setupTitleLookup(query('#shortlist-title-lookup'), () => query('#shortlist-title-number').value, {
+            shortlistEntryId: entry.id,
+            onResult: rerender
+        });
+        query('#shortlist-status')?.addEventListener('change', (e) => {
+            manager.setStatus(entry.id, e.target.value);
+            rerender();
+        });
+        query('#shortlist-owner')?.addEventListener('change', (e) => manager.setOwner(entry.id, e.target.value));
+        query('#shortlist-add-note')?.addEventListener('click', () => {
+            if (manager.addNote(entry.id, query('#shortlist-note').value)) rerender();
+        });
+        this.content.querySelectorAll('.shortlist-remove-note').forEach(button => {
+            button.addEventListener('click', () => {
+                manager.removeNote(entry.id, button.dataset.note);
+                rerender();
+            });
+        });
+        query('#shortlist-files')?.addEventListener('change', (e) => {
+            manager.addAttachments(entry.id, e.target.files);
+            rerender();
+        });
+        query('#shortlist-add-link')?.addEventListener('click', () => {
+            const url = query('#shortlist-link').value.trim();
+            if (!url) return;
+            if (!safeAttachmentUrl(url)) {
+                window.APP_STATE?.errorHandler?.showWarningNotification('Links must start with http:// or https://', 'Attachment not added');
+                return;
+            }
+            manager.addAttachments(entry.id, [{ name: url.split('/').filter(Boolean).pop() || url, url }]);
+            rerender();
+        });
+        this.content.querySelectorAll('.shortlist-remove-attachment').forEach(button => {
+            button.addEventListener('click', () => {
+                manager.removeAttachment(entry.id, button.dataset.attachment);
+                rerender();
+            });
+        });
+        query('#shortlist-focus')?.addEventListener('click', () => this.focusOnMap(entry.coordinates));
+        query('#shortlist-energy')?.addEventListener('click', () => window.APP_STATE?.energyModel?.openForShortlistEntry(entry.id));
+        query('#shortlist-appraisal')?.addEventListener('click', () => window.APP_STATE?.financialAppraisal?.openForShortlistEntry(entry.id));
+        query('#shortlist-land-bank')?.addEventListener('click', () => window.APP_STATE?.landBankAnalyzer?.analyzeShortlistEntry(entry.id));
+        query('#shortlist-gas-injection')?.addEventListener('click', () => window.APP_STATE?.gasInjectionAnalyzer?.analyzeShortlistEntry(entry.id));
+        query('#shortlist-share')?.addEventListener('click', (e) => {
+            try {
+                manager.setShared(entry.id, e.target.dataset.shared === 'true');
+                rerender();
+            } catch (error) {
+                console.error('❌ Failed to share shortlist entry:', error);
+                this.showError(error.message);
+            }
+        });
+        query('#shortlist-remove')?.addEventListener('click', () => {
+            if (!confirm(`Remove ${entry.name} from the shortlist?`)) return;
+            manager.remove(entry.id);
+            this.showShortlist(manager);
+        });
+        
         this.show();
     }
 
@@ -679,6 +2374,12 @@ export class InfoPanel {
                         <button id="export-site-finder-results" class="px-3 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-all duration-200 text-sm">
                             📥 Export
                         </button>
+                        <button id="export-site-finder-geojson" class="px-3 py-1 bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50 transition-all duration-200 text-sm" title="Site parcels as GeoJSON polygons">
+                            📐 GeoJSON
+                        </button>
+                        <button id="site-finder-runs" class="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-all duration-200 text-sm" title="Stored runs: re-run and compare">
+                            🧾 Runs
+                        </button>
                     </div>
                 </div>
                 
@@ -694,6 +2395,14 @@ export class InfoPanel {
                     </div>
                 </div>
                 
+                ${this.renderMethodSummary(results)}
+                
+                ${results.comparison ? this.renderRunComparison(results.comparison) : ''}
+                
+                <div id="site-finder-sensitivity">${this.renderSensitivityPanel(results)}</div>
+                
+                ${this.renderExclusionSummary(results)}
+                
                 <!-- Score Distribution Chart -->
                 <div class="bg-white border rounded-lg p-4">
                     <h4 class="font-semibold mb-3 text-gray-700">Score Distribution</h4>
@@ -775,6 +2484,10 @@ export class InfoPanel {
         this.show();
         this.expand();
         
+        // Draw the result parcels and the exclusion masks that removed others on the map
+        window.APP_STATE?.layerManager?.showSiteResults(sites);
+        window.APP_STATE?.layerManager?.showExclusionMask(results.exclusionMask);
+        
         // Add event listeners
         this.setupSiteFinderEventListeners(sites);
         
@@ -825,13 +2538,16 @@ export class InfoPanel {
             
             return `
                 <div class="site-card border border-gray-200 rounded-lg p-4 hover:shadow-md transition-all duration-200 cursor-pointer bg-white" 
-                     data-site-index="${index}" data-coordinates="${site.coordinates[0]},${site.coordinates[1]}">
+                     data-site-index="${index}" data-site-id="${site.id}" data-coordinates="${site.coordinates[0]},${site.coordinates[1]}">
                     <div class="flex justify-between items-start mb-3">
                         <div class="flex items-center space-x-2">
                             <div class="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
                                 <span class="text-sm font-bold text-blue-600">${index + 1}</span>
                             </div>
-                            <h4 class="font-semibold text-gray-800">Site ${index + 1}</h4>
+                            <div>
+                                <h4 class="font-semibold text-gray-800">Site ${index + 1}</h4>
+                                <p class="text-xs text-gray-500">${this.formatParcelSource(site)}</p>
+                            </div>
                         </div>
                         <span class="text-sm px-3 py-1 rounded-full ${scoreClass} font-medium">
                             ${(site.score * 100).toFixed(1)}%
@@ -845,14 +2561,14 @@ export class InfoPanel {
                                 <span class="font-medium">${site.properties.area.toFixed(1)} ha</span>
                             </div>
                             <div class="flex justify-between">
-                                <span class="text-gray-600">Soil:</span>
-                                <span class="font-medium">${site.properties.soilType}</span>
+                                <span class="text-gray-600">ALC:</span>
+                                <span class="font-medium">${this.formatAlcGrade(site.properties.alcGrade)}</span>
                             </div>
                         </div>
                         <div class="space-y-2">
                             <div class="flex justify-between">
-                                <span class="text-gray-600">Land Use:</span>
-                                <span class="font-medium">${site.properties.landUse}</span>
+                                <span class="text-gray-600">Flood Zone:</span>
+                                <span class="font-medium">${site.properties.floodZone || 'Unknown'}</span>
                             </div>
                             <div class="flex justify-between">
                                 <span class="text-gray-600">Location:</span>
@@ -866,7 +2582,13 @@ export class InfoPanel {
                             <button class="text-blue-600 hover:text-blue-800 text-sm font-medium site-details-btn" data-site-index="${index}">
                                 📋 View Details
                             </button>
-                            <button class="text-green-600 hover:text-green-800 text-sm font-medium site-focus-btn" data-coordinates="${JSON.stringify(site.coordinates)}">
+                            <button class="text-yellow-600 hover:text-yellow-800 text-sm font-medium site-shortlist-btn" data-site-id="${site.id}">
+                                ⭐ Shortlist
+                            </button>
+                            <button class="text-purple-600 hover:text-purple-800 text-sm font-medium site-pin-btn" data-site-id="${site.id}">
+                                📌 Compare
+                            </button>
+                            <button class="text-green-600 hover:text-green-800 text-sm font-medium site-focus-btn" data-site-id="${site.id}" data-coordinates="${JSON.stringify(site.coordinates)}">
                                 🗺️ Focus Map
                             </button>
                         </div>
@@ -886,6 +2608,30 @@ export class InfoPanel {
             exportBtn.addEventListener('click', () => this.exportSiteFinderResults());
         }
         
+        const geojsonBtn = this.content.querySelector('#export-site-finder-geojson');
+        if (geojsonBtn) {
+            geojsonBtn.addEventListener('click', () => this.exportSiteFinderResults('geojson'));
+        }
+        
+        const exclusionsBtn = this.content.querySelector('#export-site-finder-exclusions');
+        if (exclusionsBtn) {
+            exclusionsBtn.addEventListener('click', () => this.exportSiteFinderResults('exclusions'));
+        }
+        
+        const manifestBtn = this.content.querySelector('#export-site-finder-manifest');
+        if (manifestBtn) {
+            manifestBtn.addEventListener('click', () => this.exportSiteFinderResults('manifest'));
+        }
+        
+        const runsBtn = this.content.querySelector('#site-finder-runs');
+        if (runsBtn) {
+            runsBtn.addEventListener('click', () => this.showRunHistory());
+        }
+        
+        if (this.lastSitesData) {
+            this.setupSensitivityEventListeners(this.lastSitesData);
+        }
+        
         // Filter buttons
         const filterBtns = this.content.querySelectorAll('.filter-btn');
         filterBtns.forEach(btn => {
@@ -929,7 +2675,7 @@ export class InfoPanel {
         siteCards.forEach(card => {
             card.addEventListener('click', () => {
                 const coordinates = card.dataset.coordinates.split(',').map(Number);
-                this.focusOnSite(coordinates);
+                this.focusOnSite(coordinates, card.dataset.siteId);
             });
         });
         
@@ -946,6 +2692,24 @@ export class InfoPanel {
             });
         });
         
+        // Promote to the persistent shortlist
+        const shortlistBtns = this.content.querySelectorAll('.site-shortlist-btn');
+        shortlistBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                window.APP_STATE.shortlistManager?.promote(btn.dataset.siteId);
+            });
+        });
+        
+        // Pin for side-by-side comparison
+        const pinBtns = this.content.querySelectorAll('.site-pin-btn');
+        pinBtns.forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                window.APP_STATE.comparisonWorkspace?.pinSite(btn.dataset.siteId);
+            });
+        });
+        
         // Site focus buttons
         const focusBtns = this.content.querySelectorAll('.site-focus-btn');
         focusBtns.forEach(btn => {
@@ -953,7 +2717,7 @@ export class InfoPanel {
                 e.stopPropagation();
                 try {
                     const coordinates = JSON.parse(btn.dataset.coordinates);
-                    this.focusOnSite(coordinates);
+                    this.focusOnSite(coordinates, btn.dataset.siteId);
                 } catch (error) {
                     console.error('❌ Error parsing coordinates:', error);
                 }
@@ -1106,7 +2870,7 @@ export class InfoPanel {
                             <h3 class="font-semibold text-gray-700 mb-2">🏗️ Properties</h3>
                             <div class="space-y-1 text-sm text-gray-600">
                                 ${site.properties.area ? `<p>Area: ${site.properties.area.toFixed(1)} ha</p>` : ''}
-                                ${site.properties.soilType ? `<p>Soil Type: ${site.properties.soilType}</p>` : ''}
+                                ${site.properties.alcGrade ? `<p>ALC: ${this.formatAlcGrade(site.properties.alcGrade)}</p>` : ''}
                                 ${site.properties.landUse ? `<p>Land Use: ${site.properties.landUse}</p>` : ''}
                             </div>
                         </div>
@@ -1177,14 +2941,20 @@ export class InfoPanel {
     }
 
     /**
-     * Focus map on specific site
+     * Focus map on specific site; a Site Finder result with a parcel polygon is framed and outlined
      */
-    focusOnSite(coordinates) {
+    focusOnSite(coordinates, siteId = null) {
         try {
             if (window.APP_STATE && window.APP_STATE.mapManager && window.APP_STATE.mapManager.map) {
                 const map = window.APP_STATE.mapManager.map;
+                const site = siteId ? window.APP_STATE.siteFinder?.getSite(siteId) : null;
+                const bbox = site?.geometry ? geometryBBox(site.geometry) : null;
                 
-                if (Array.isArray(coordinates) && coordinates.length === 2) {
+                if (bbox) {
+                    map.fitBounds([[bbox[0], bbox[1]], [bbox[2], bbox[3]]], { padding: 80, maxZoom: 17, duration: 2000 });
+                    window.APP_STATE.layerManager?.highlightSiteResult(siteId);
+                    console.log('🗺️ Map focused on site parcel:', siteId);
+                } else if (Array.isArray(coordinates) && coordinates.length === 2) {
                     const [lng, lat] = coordinates;
                     
                     if (lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90) {
@@ -1393,19 +3163,26 @@ export class InfoPanel {
     /**
      * Export site finder results
      */
-    exportSiteFinderResults() {
+    exportSiteFinderResults(format = 'csv') {
         try {
             const siteFinder = window.APP_STATE.siteFinder;
             if (!siteFinder) {
                 throw new Error('Site Finder not available');
             }
             
-            const csvData = siteFinder.exportResults('csv');
-            const blob = new Blob([csvData], { type: 'text/csv' });
+            // GeoJSON carries each site's parcel polygon; exclusions are a CSV of removed parcels and why
+            const data = siteFinder.exportResults(format);
+            const types = { geojson: 'application/geo+json', manifest: 'application/json', json: 'application/json' };
+            const blob = new Blob([data], { type: types[format] || 'text/csv' });
             const url = window.URL.createObjectURL(blob);
             const a = document.createElement('a');
+            const date = new Date().toISOString().split('T')[0];
             a.href = url;
-            a.download = `site-finder-results-${new Date().toISOString().split('T')[0]}.csv`;
+            a.download = format === 'exclusions'
+                ? `site-finder-exclusions-${date}.csv`
+                : format === 'manifest'
+                    ? `site-finder-manifest-${siteFinder.analysisResults.manifest?.id || date}.json`
+                    : `site-finder-results-${date}.${format}`;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
@@ -1507,9 +3284,12 @@ export class InfoPanel {
                                 <h4 class="font-semibold text-blue-800 mb-2">📍 Location</h4>
                                 <p class="text-sm text-blue-700">
                                     <strong>Coordinates:</strong> ${site.coordinates[0].toFixed(6)}, ${site.coordinates[1].toFixed(6)}<br>
+                                    <strong>Parcel:</strong> ${this.formatParcelSource(site)}<br>
                                     <strong>Area:</strong> ${site.properties.area.toFixed(1)} hectares<br>
-                                    <strong>Land Use:</strong> ${site.properties.landUse}<br>
-                                    <strong>Soil Type:</strong> ${site.properties.soilType}
+                                    <strong>Compactness:</strong> ${site.properties.compactness ?? 'N/A'}<br>
+                                    <strong>ALC:</strong> ${this.formatAlcGrade(site.properties.alcGrade)}<br>
+                                    <strong>Flood Zone:</strong> ${site.properties.floodZone || 'Unknown'}<br>
+                                    <strong>NVZ:</strong> ${site.properties.inNvz === true ? 'Yes' : site.properties.inNvz === false ? 'No' : 'Unknown'}
                                 </p>
                             </div>
                             
@@ -1518,6 +3298,7 @@ export class InfoPanel {
                                 <p class="text-2xl font-bold text-green-600">${(site.score * 100).toFixed(1)}%</p>
                                 <p class="text-sm text-green-700">
                                     <strong>Rank:</strong> ${site.rank || 'N/A'}<br>
+                                    <strong>Method:</strong> ${this.lastSitesData?.method?.label || 'Weighted sum'}<br>
                                     <strong>Environmental:</strong> ${site.scores?.environmental?.toFixed(2) || 'N/A'}<br>
                                     <strong>Infrastructure:</strong> ${site.scores?.infrastructure?.toFixed(2) || 'N/A'}<br>
                                     <strong>Economic:</strong> ${site.scores?.economic?.toFixed(2) || 'N/A'}<br>
@@ -1530,31 +3311,56 @@ export class InfoPanel {
                             <div class="bg-yellow-50 p-4 rounded-lg">
                                 <h4 class="font-semibold text-yellow-800 mb-2">🌍 Environmental</h4>
                                 <p class="text-sm text-yellow-700">
-                                    <strong>Elevation:</strong> ${site.properties.elevation?.toFixed(0) || 'N/A'}m<br>
-                                    <strong>Slope:</strong> ${site.properties.slope?.toFixed(1) || 'N/A'}°<br>
-                                    <strong>Flood Risk:</strong> ${site.properties.floodRisk || 'N/A'}/10<br>
-                                    <strong>Biodiversity:</strong> ${site.properties.biodiversity || 'N/A'}/10<br>
-                                    <strong>Water Availability:</strong> ${site.properties.waterAvailability || 'N/A'}/10
+                                    <strong>Elevation:</strong> ${site.properties.elevation?.toFixed(0) ?? 'N/A'}m<br>
+                                    <strong>Slope:</strong> ${site.properties.slope?.toFixed(1) ?? 'N/A'}°<br>
+                                    <strong>Flood Risk:</strong> ${site.properties.floodRisk ?? 'N/A'}/10<br>
+                                    <strong>Biodiversity:</strong> ${site.properties.biodiversity ?? 'N/A'}/10<br>
+                                    <strong>SSSI / AONB:</strong> ${site.properties.sssiDistance?.toFixed(0) ?? 'N/A'}m / ${site.properties.aonbDistance?.toFixed(0) ?? 'N/A'}m<br>
+                                    <strong>Water Availability:</strong> ${site.properties.waterAvailability ?? 'N/A'}/10
                                 </p>
                             </div>
                             
                             <div class="bg-purple-50 p-4 rounded-lg">
                                 <h4 class="font-semibold text-purple-800 mb-2">🏗️ Infrastructure</h4>
                                 <p class="text-sm text-purple-700">
-                                    <strong>Road Distance:</strong> ${site.properties.roadDistance?.toFixed(0) || 'N/A'}m<br>
-                                    <strong>Grid Distance:</strong> ${site.properties.gridDistance?.toFixed(0) || 'N/A'}m<br>
-                                    <strong>Gas Distance:</strong> ${site.properties.gasDistance?.toFixed(0) || 'N/A'}m<br>
-                                    <strong>Residential Distance:</strong> ${site.properties.residentialDistance?.toFixed(0) || 'N/A'}m
+                                    <strong>Road Distance:</strong> ${site.properties.roadDistance?.toFixed(0) ?? 'N/A'}m<br>
+                                    <strong>Grid Distance:</strong> ${site.properties.gridDistance?.toFixed(0) ?? 'N/A'}m<br>
+                                    <strong>Gas Distance:</strong> ${site.properties.gasDistance?.toFixed(0) ?? 'N/A'}m<br>
+                                    <strong>Gas Connection:</strong> ${this.formatGasConnection(site.properties, site.provenance)}<br>
+                                    <strong>Residential Distance:</strong> ${site.properties.residentialDistance?.toFixed(0) ?? 'N/A'}m
                                 </p>
                             </div>
                         </div>
                     </div>
                     
+                    ${this.renderSiteProvenance(site)}
+                    
                     <div class="mt-6 flex justify-end space-x-3">
                         <button onclick="this.closest('.fixed').remove()" class="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600">
                             Close
                         </button>
-                        <button onclick="this.closest('.fixed').remove(); window.APP_STATE?.infoPanel?.focusOnSite(${JSON.stringify(site.coordinates)})" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                        <button onclick="this.closest('.fixed').remove(); window.APP_STATE?.siteFinder?.analyzeSiteCatchment('${site.id}')" class="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">
+                            🌾 Feedstock Catchment
+                        </button>
+                        <button onclick="this.closest('.fixed').remove(); window.APP_STATE?.landBankAnalyzer?.analyzeSite('${site.id}')" class="px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50">
+                            🌱 Land Bank
+                        </button>
+                        <button onclick="this.closest('.fixed').remove(); window.APP_STATE?.gasInjectionAnalyzer?.analyzeSite('${site.id}')" class="px-4 py-2 bg-white text-orange-700 border border-orange-500 rounded-lg hover:bg-orange-50">
+                            ⛽ Gas Injection
+                        </button>
+                        <button onclick="this.closest('.fixed').remove(); window.APP_STATE?.siteFinder?.showSiteDriveTimes('${site.id}')" class="px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50">
+                            🚚 Drive Times
+                        </button>
+                        <button onclick="window.APP_STATE?.shortlistManager?.promote('${site.id}')" class="px-4 py-2 bg-white text-yellow-700 border border-yellow-600 rounded-lg hover:bg-yellow-50">
+                            ⭐ Shortlist
+                        </button>
+                        <button onclick="this.closest('.fixed').remove(); window.APP_STATE?.financialAppraisal?.openForSite('${site.id}')" class="px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50">
+                            💷 Appraisal
+                        </button>
+                        <button onclick="window.APP_STATE?.comparisonWorkspace?.pinSite('${site.id}')" class="px-4 py-2 bg-white text-purple-700 border border-purple-600 rounded-lg hover:bg-purple-50">
+                            📌 Compare
+                        </button>
+                        <button onclick="this.closest('.fixed').remove(); window.APP_STATE?.infoPanel?.focusOnSite(${JSON.stringify(site.coordinates)}, '${site.id}')" class="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
                             🗺️ Focus on Map
                         </button>
                     </div>
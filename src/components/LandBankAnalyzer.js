@@ -0,0 +1,171 @@
+import { LAND_BANK_DEFAULTS, NITROGEN_LIMITS } from '../data/digestateLimits.js';
+import { plantFeedstockMix, catchmentFeedstockMix } from '../utils/EnergyModel.js';
+import { digestateNitrogen, sampleLandBank, assessLandBank } from '../utils/LandBank.js';
+
+/**
+ * LandBankAnalyzer - Whether there is enough land around a plant or site to spread its digestate
+ * Digestate N comes from the feedstock mix (a plant's published tonnages, a saved appraisal or the
+ * manure in the site's catchment); land within the haul radius is classified from the ALC and NVZ
+ * layers that Site Finder's ConstraintSampler loads. Results are drawn on the map and summarised in the InfoPanel.
+ */
+export class LandBankAnalyzer {
+    constructor(dataManager, constraintSampler) {
+        this.dataManager = dataManager;
+        this.constraintSampler = constraintSampler;
+        this.lastRequest = null;
+        this.lastResult = null;
+
+        this.radiusOptions = LAND_BANK_DEFAULTS.radiusOptions;
+        this.defaultRadiusKm = LAND_BANK_DEFAULTS.defaultRadiusKm;
+        this.availableShare = LAND_BANK_DEFAULTS.availableShare;
+    }
+
+    /**
+     * Run the analysis and show it in the InfoPanel and on the map
+     * request: { name, coordinates: [lng, lat], mix, mixNote?, radiusKm?, availableShare? }
+     */
+    async analyzeAndShow(request) {
+        const errorHandler = window.APP_STATE?.errorHandler;
+        const infoPanel = window.APP_STATE?.infoPanel;
+
+        try {
+            infoPanel?.showLoading(`Assessing digestate land around ${request.name || 'site'}...`);
+            const result = await this.analyze(request);
+
+            window.APP_STATE?.layerManager?.showLandBankOverlay(result);
+            infoPanel?.showLandBankAnalysis(result);
+            return result;
+
+        } catch (error) {
+            console.error('❌ Land bank analysis failed:', error);
+            infoPanel?.showError(`Land bank analysis failed: ${error.message}`);
+            if (errorHandler) {
+                errorHandler.handleError(error, 'Land Bank Analysis');
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Re-run the last analysis with a different haul radius or available share
+     */
+    rerun(changes = {}) {
+        if (!this.lastRequest) return null;
+        return this.analyzeAndShow({ ...this.lastRequest, ...changes });
+    }
+
+    async analyze(request) {
+        const { name, coordinates, mix = {} } = request;
+        if (!Array.isArray(coordinates) || coordinates.length < 2) {
+            throw new Error(`${name || 'Site'} has no coordinates`);
+        }
+
+        await this.constraintSampler.prepare();
+        const alcIndex = this.constraintSampler.layerIndex('alc');
+        if (!alcIndex) {
+            throw new Error('Agricultural Land Classification layer is not available');
+        }
+        const nvzIndex = this.constraintSampler.layerIndex('nvz');
+
+        const radiusKm = request.radiusKm || this.defaultRadiusKm;
+        const availableShare = request.availableShare ?? this.availableShare;
+        const nitrogen = digestateNitrogen(mix);
+
+        const startTime = performance.now();
+        const land = sampleLandBank({ origin: coordinates, radiusKm, alcIndex, nvzIndex });
+        const assessment = assessLandBank({ nitrogenKg: nitrogen.nitrogenKg, areas: land.areas, availableShare, limits: NITROGEN_LIMITS });
+
+        this.lastRequest = { ...request, radiusKm, availableShare };
+        this.lastResult = {
+            name: name || 'Selected site',
+            origin: coordinates,
+            radiusKm,
+            mixNote: request.mixNote || null,
+            nitrogen,
+            land,
+            assessment,
+            nvzAvailable: Boolean(nvzIndex),
+            datasetVersions: this.dataManager.getDatasetVersions(['alc', 'nvz']),
+            analysisDate: new Date().toISOString()
+        };
+
+        console.log(`🌱 Land bank for ${this.lastResult.name}: ${Math.round(nitrogen.nitrogenKg).toLocaleString()} kg N/yr, ${Math.round(assessment.capacityKg).toLocaleString()} kg N/yr capacity within ${radiusKm} km (${land.cells.length} cells, ${(performance.now() - startTime).toFixed(0)}ms)`);
+        return this.lastResult;
+    }
+
+    /**
+     * An AD plant's digestate, from its published feedstock tonnages
+     */
+    analyzePlant(plantName) {
+        const plant = this.dataManager.getADPlantRecords().find(record => record.name === plantName);
+        if (!plant) {
+            console.warn(`⚠️ AD plant not found: ${plantName}`);
+            return null;
+        }
+
+        const mix = plantFeedstockMix(plant);
+        return this.analyzeAndShow({
+            name: plant.displayName || plant.name,
+            coordinates: plant.coordinates,
+            mix,
+            mixNote: Object.keys(mix).length > 0 ? 'Published feedstock tonnages' : 'No feedstock tonnages published for this plant'
+        });
+    }
+
+    /**
+     * A site fed by the feedstock catchment just analysed
+     */
+    analyzeCatchment(result) {
+        return this.analyzeAndShow({
+            name: result.name,
+            coordinates: result.origin,
+            mix: catchmentFeedstockMix(result),
+            mixNote: 'Manure available in the feedstock catchment'
+        });
+    }
+
+    /**
+     * A Site Finder result, fed by the manure in its catchment
+     */
+    async analyzeSite(siteId) {
+        const site = window.APP_STATE?.siteFinder?.analysisResults?.results?.find(result => result.id === siteId);
+        if (!site) {
+            console.warn(`⚠️ Site not found in current results: ${siteId}`);
+            return null;
+        }
+
+        const name = `Site #${site.rank || site.id}`;
+        return this.analyzeAndShow({ name, coordinates: site.coordinates, ...await this.catchmentFeedstock(name, site.coordinates) });
+    }
+
+    /**
+     * A shortlisted site, fed by the mix of its saved financial appraisal or else its catchment
+     */
+    async analyzeShortlistEntry(entryId) {
+        const entry = window.APP_STATE?.shortlistManager?.getEntry(entryId);
+        if (!entry) {
+            console.warn(`⚠️ Shortlist entry not found: ${entryId}`);
+            return null;
+        }
+
+        const feedstock = entry.appraisal?.mix
+            ? { mix: entry.appraisal.mix, mixNote: 'Feedstock mix of the saved financial appraisal' }
+            : await this.catchmentFeedstock(entry.name, entry.coordinates);
+        return this.analyzeAndShow({ name: entry.name, coordinates: entry.coordinates, ...feedstock });
+    }
+
+    async catchmentFeedstock(name, coordinates) {
+        window.APP_STATE?.infoPanel?.showLoading(`Analysing feedstock around ${name}...`);
+        const energyModel = window.APP_STATE?.energyModel;
+        const { mix, note } = energyModel ? await energyModel.catchmentMix(name, coordinates) : { mix: {}, note: null };
+        return { mix, mixNote: note };
+    }
+
+    /**
+     * Remove the land bank overlay from the map
+     */
+    clear() {
+        window.APP_STATE?.layerManager?.clearLandBankOverlay();
+        this.lastResult = null;
+    }
+}
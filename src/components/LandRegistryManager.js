@@ -1,23 +1,37 @@
+import { PARCEL_TILES_SOURCE } from '../data/parcelSources.js';
+import { openTileArchive } from '../utils/TileArchive.js';
+
+const SOURCE_ID = 'land-registry-parcels';
+const TILE_PROTOCOL = 'landregistry';
+const SELECTED = ['boolean', ['feature-state', 'selected'], false];
+
 /**
  * LandRegistryManager - Manages UK Land Registry data integration with Vector Tiles
  * Provides access to freehold property boundaries, ownership, and planning data
- * Uses PMTiles/Vector Tiles for efficient lazy-loading at high zoom levels
+ * Parcels come from a local PMTiles or MBTiles archive, served to a MapLibre vector source through the
+ * landregistry:// protocol. Tiles are only requested at zoom 12+ and kept in an in-memory LRU tile cache.
  */
 export class LandRegistryManager {
     constructor() {
-        this.gcsBaseUrl = 'https://storage.googleapis.com/moaads_maps';
+        this.tilesUrl = PARCEL_TILES_SOURCE.url;
+        this.archive = null;
+        this.archiveInfo = null;
+        this.sourceLayer = PARCEL_TILES_SOURCE.sourceLayer;
         this.cache = new Map();
         this.cacheExpiry = 24 * 60 * 60 * 1000; // 24 hours
-        this.vectorTileCache = new Map();
+        this.vectorTileCache = new Map(); // MVT bytes by z-x-y, least recently used first
+        this.maxCachedTiles = 512;
         this.loadedTiles = new Set();
         this.map = null;
         this.minZoom = 12; // Only show parcels at zoom 12+
         this.isLayerAdded = false;
+        this.layerInitialization = null;
         this.currentZoom = 0;
         this.currentBounds = null;
         this.loadingTiles = new Set();
-        this.tileLoadQueue = [];
-        this.maxConcurrentTileLoads = 4;
+        this.tileRequests = 0;
+        this.tileCacheHits = 0;
+        this.selectedParcelId = null;
     }
 
     /**
@@ -29,7 +43,7 @@ export class LandRegistryManager {
                 this.map = mapInstance;
                 this.setupMapEventListeners();
             }
-            
+
             console.log('🏠 Land Registry Manager initialized with vector tile support');
             console.log(`📊 Minimum zoom for parcel display: ${this.minZoom}`);
             return true;
@@ -45,7 +59,6 @@ export class LandRegistryManager {
     setupMapEventListeners() {
         if (!this.map) return;
 
-        // Listen for zoom and move events to trigger tile loading
         this.map.on('moveend', () => {
             this.handleMapMove();
         });
@@ -56,34 +69,24 @@ export class LandRegistryManager {
     }
 
     /**
-     * Handle map movement for lazy loading
+     * Track the current view (MapLibre requests the tiles in view itself)
      */
-    async handleMapMove() {
+    handleMapMove() {
         if (!this.map) return;
 
-        const zoom = this.map.getZoom();
-        this.currentZoom = zoom;
+        this.currentZoom = this.map.getZoom();
         this.currentBounds = this.map.getBounds();
-
-        // Only load tiles at high zoom levels
-        if (zoom >= this.minZoom) {
-            await this.loadVisibleTiles();
-        } else {
-            // Hide layer at low zoom
-            this.hideLandRegistryLayer();
-        }
     }
 
     /**
-     * Handle zoom changes
+     * Add the layer the first time the map reaches the minimum zoom. Below it the layers' minzoom hides
+     * the parcels and no tiles are requested.
      */
     async handleZoomChange() {
         const zoom = this.map.getZoom();
-        
+
         if (zoom >= this.minZoom && !this.isLayerAdded) {
             await this.initializeLandRegistryLayer();
-        } else if (zoom < this.minZoom && this.isLayerAdded) {
-            this.hideLandRegistryLayer();
         }
     }
 
@@ -92,48 +95,70 @@ export class LandRegistryManager {
      */
     async initializeLandRegistryLayer() {
         if (!this.map || this.isLayerAdded) return;
+        if (!this.layerInitialization) {
+            this.layerInitialization = this.addLandRegistryLayer();
+        }
+        return this.layerInitialization;
+    }
 
+    async addLandRegistryLayer() {
         try {
             console.log('🏠 Initializing Land Registry vector tile layer...');
 
-            // Add vector tile source for freehold parcels
-            const sourceId = 'land-registry-parcels';
-            
-            // For now, we'll use GeoJSON chunked by quadkey as fallback
-            // TODO: Convert to PMTiles when ready
-            this.map.addSource(sourceId, {
-                type: 'geojson',
-                data: {
-                    type: 'FeatureCollection',
-                    features: []
-                },
-                cluster: false,
-                maxzoom: 18
+            this.archive = openTileArchive(this.tilesUrl);
+            this.archiveInfo = await this.archive.open();
+            const { vectorLayers } = this.archiveInfo;
+            if (vectorLayers.length > 0 && !vectorLayers.includes(this.sourceLayer)) {
+                this.sourceLayer = vectorLayers[0];
+            }
+
+            maplibregl.addProtocol(TILE_PROTOCOL, (params, abortController) => this.loadProtocolTile(params, abortController));
+
+            // Above the archive's maxzoom MapLibre overzooms the deepest tiles
+            this.map.addSource(SOURCE_ID, {
+                type: 'vector',
+                tiles: [`${TILE_PROTOCOL}://{z}/{x}/{y}`],
+                minzoom: Math.max(this.minZoom, this.archiveInfo.minZoom),
+                maxzoom: this.archiveInfo.maxZoom,
+                ...(this.archiveInfo.bounds ? { bounds: this.archiveInfo.bounds } : {}),
+                promoteId: PARCEL_TILES_SOURCE.promoteId
             });
 
+            const filter = this.parcelFilter();
+
             // Add fill layer for parcel polygons
             this.map.addLayer({
                 id: 'land-registry-fill',
                 type: 'fill',
-                source: sourceId,
+                source: SOURCE_ID,
+                'source-layer': this.sourceLayer,
+                minzoom: this.minZoom,
                 paint: {
-                    'fill-color': '#9932cc',
-                    'fill-opacity': 0.3
+                    'fill-color': ['case', SELECTED, '#ff0000', '#9932cc'],
+                    'fill-opacity': ['interpolate', ['linear'], ['zoom'],
+                        this.minZoom, ['case', SELECTED, 0.45, 0.15],
+                        16, ['case', SELECTED, 0.45, 0.3]
+                    ]
                 },
-                filter: ['==', ['geometry-type'], 'Polygon']
+                filter
             });
 
             // Add line layer for parcel boundaries
             this.map.addLayer({
                 id: 'land-registry-line',
                 type: 'line',
-                source: sourceId,
+                source: SOURCE_ID,
+                'source-layer': this.sourceLayer,
+                minzoom: this.minZoom,
                 paint: {
-                    'line-color': '#9932cc',
-                    'line-width': 1,
+                    'line-color': ['case', SELECTED, '#ff0000', '#9932cc'],
+                    'line-width': ['interpolate', ['linear'], ['zoom'],
+                        this.minZoom, ['case', SELECTED, 2, 0.4],
+                        16, ['case', SELECTED, 3, 1.2]
+                    ],
                     'line-opacity': 0.8
                 },
-                filter: ['==', ['geometry-type'], 'Polygon']
+                filter
             });
 
             // Add click handler for parcel details
@@ -151,223 +176,126 @@ export class LandRegistryManager {
             });
 
             this.isLayerAdded = true;
-            console.log('✅ Land Registry layer initialized');
-            
-            // Load visible tiles
-            await this.loadVisibleTiles();
-            
+            console.log(`✅ Land Registry layer initialized (${this.archiveInfo.format}, z${this.archiveInfo.minZoom}-${this.archiveInfo.maxZoom}, layer "${this.sourceLayer}")`);
+
         } catch (error) {
             console.error('❌ Failed to initialize Land Registry layer:', error);
         }
     }
 
     /**
-     * Load visible tiles based on current map bounds and zoom
+     * Polygons only; below zoom 14, parcels under the zoom's minimum area are left out so low-zoom views
+     * are not crowded with slivers
      */
-    async loadVisibleTiles() {
-        if (!this.map || this.currentZoom < this.minZoom) return;
-
-        const bounds = this.map.getBounds();
-        const zoom = Math.floor(this.currentZoom);
-        
-        // Calculate tile coordinates for current view
-        const tileCoords = this.getBoundingTiles(bounds, zoom);
-        
-        for (const tileCoord of tileCoords) {
-            const tileKey = `${tileCoord.z}-${tileCoord.x}-${tileCoord.y}`;
-            
-            if (!this.loadedTiles.has(tileKey) && !this.loadingTiles.has(tileKey)) {
-                this.tileLoadQueue.push(tileCoord);
-            }
-        }
-        
-        // Process tile load queue
-        this.processTileLoadQueue();
+    parcelFilter() {
+        const polygon = ['match', ['geometry-type'], ['Polygon', 'MultiPolygon'], true, false];
+        const { areaField, minHectaresByZoom } = PARCEL_TILES_SOURCE;
+        const atLeast = (hectares) => ['all', polygon, ['case', ['has', areaField], ['>=', ['to-number', ['get', areaField]], hectares], true]];
+
+        const stops = Object.entries(minHectaresByZoom)
+            .map(([zoom, hectares]) => [Number(zoom), hectares])
+            .sort((a, b) => a[0] - b[0]);
+        if (stops.length === 0) return polygon;
+
+        return ['step', ['zoom'], atLeast(stops[0][1]),
+            ...stops.slice(1).flatMap(([zoom, hectares]) => [zoom, atLeast(hectares)]),
+            stops[stops.length - 1][0] + 1, polygon
+        ];
     }
 
     /**
-     * Process tile loading queue with concurrency control
+     * landregistry://{z}/{x}/{y} handler: the tile from the cache, or read from the archive and cached
      */
-    async processTileLoadQueue() {
-        while (this.tileLoadQueue.length > 0 && this.loadingTiles.size < this.maxConcurrentTileLoads) {
-            const tileCoord = this.tileLoadQueue.shift();
-            const tileKey = `${tileCoord.z}-${tileCoord.x}-${tileCoord.y}`;
-            
-            this.loadingTiles.add(tileKey);
-            this.loadTile(tileCoord).finally(() => {
-                this.loadingTiles.delete(tileKey);
-                // Continue processing queue
-                this.processTileLoadQueue();
-            });
+    async loadProtocolTile(params, abortController) {
+        const [z, x, y] = params.url.slice(`${TILE_PROTOCOL}://`.length).split('/').map(Number);
+        const tileKey = `${z}-${x}-${y}`;
+        if (z < this.minZoom) {
+            return { data: new Uint8Array(0) };
         }
-    }
 
-    /**
-     * Load individual tile data
-     */
-    async loadTile(tileCoord) {
-        const tileKey = `${tileCoord.z}-${tileCoord.x}-${tileCoord.y}`;
-        
-        try {
-            // For now, simulate loading freehold parcel data
-            // In production, this would fetch from your GCS bucket with actual Land Registry GeoJSON
-            const tileData = await this.loadTileFromGCS(tileCoord);
-            
-            if (tileData && tileData.features.length > 0) {
-                this.addTileDataToMap(tileData);
-                this.loadedTiles.add(tileKey);
-                console.log(`✅ Loaded tile ${tileKey} with ${tileData.features.length} parcels`);
-            }
-            
-        } catch (error) {
-            console.error(`❌ Failed to load tile ${tileKey}:`, error);
+        this.tileRequests++;
+        const cached = this.getCachedTile(tileKey);
+        if (cached) {
+            this.tileCacheHits++;
+            return { data: cached.slice() };
         }
-    }
 
-    /**
-     * Load tile data from Google Cloud Storage
-     */
-    async loadTileFromGCS(tileCoord) {
+        this.loadingTiles.add(tileKey);
         try {
-            // This would be the actual URL to your Land Registry GeoJSON tiles
-            // For now, generating mock data based on tile coordinates
-            return this.generateMockParcelData(tileCoord);
-            
-            // Production implementation would be:
-            // const url = `${this.gcsBaseUrl}/land_registry_tiles/${tileCoord.z}/${tileCoord.x}/${tileCoord.y}.json`;
-            // const response = await fetch(url);
-            // return await response.json();
-            
+            const data = await this.archive.getTile(z, x, y, abortController.signal) || new Uint8Array(0);
+            this.cacheTile(tileKey, data);
+            this.loadedTiles.add(tileKey);
+            // MapLibre may transfer the buffer to a worker, so the cache keeps its own copy
+            return { data: data.slice() };
         } catch (error) {
-            console.error('❌ Error loading tile from GCS:', error);
-            return null;
+            if (error.name !== 'AbortError') {
+                console.error(`❌ Failed to load tile ${tileKey}:`, error);
+            }
+            throw error;
+        } finally {
+            this.loadingTiles.delete(tileKey);
         }
     }
 
-    /**
-     * Generate mock parcel data for demonstration
-     */
-    generateMockParcelData(tileCoord) {
-        const features = [];
-        const numParcels = Math.floor(Math.random() * 20) + 5; // 5-25 parcels per tile
-        
-        // Calculate tile bounds
-        const tileBounds = this.getTileBounds(tileCoord.x, tileCoord.y, tileCoord.z);
-        
-        for (let i = 0; i < numParcels; i++) {
-            // Generate random parcel within tile bounds
-            const centerLng = tileBounds.west + Math.random() * (tileBounds.east - tileBounds.west);
-            const centerLat = tileBounds.south + Math.random() * (tileBounds.north - tileBounds.south);
-            
-            // Generate small rectangular parcel
-            const width = 0.001 + Math.random() * 0.002; // ~100-300m
-            const height = 0.001 + Math.random() * 0.002;
-            
-            const coordinates = [[
-                [centerLng - width/2, centerLat - height/2],
-                [centerLng + width/2, centerLat - height/2],
-                [centerLng + width/2, centerLat + height/2],
-                [centerLng - width/2, centerLat + height/2],
-                [centerLng - width/2, centerLat - height/2]
-            ]];
-            
-            features.push({
-                type: 'Feature',
-                properties: {
-                    title_no: `TITLE${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
-                    ownership_type: ['Freehold', 'Leasehold'][Math.floor(Math.random() * 2)],
-                    area_hectares: (width * height * 12100).toFixed(2), // Rough conversion
-                    land_use: ['Agricultural', 'Residential', 'Commercial', 'Industrial'][Math.floor(Math.random() * 4)],
-                    registered_owner: this.generateMockOwnerName(),
-                    registration_date: this.generateRandomDate('2010-01-01', '2024-01-01'),
-                    restrictions: Math.random() > 0.7 ? 'Planning restrictions apply' : 'None',
-                    price_paid: Math.floor(Math.random() * 500000) + 100000
-                },
-                geometry: {
-                    type: 'Polygon',
-                    coordinates: coordinates
-                }
-            });
+    getCachedTile(tileKey) {
+        const cached = this.vectorTileCache.get(tileKey);
+        if (!cached) return null;
+
+        this.vectorTileCache.delete(tileKey);
+        if (Date.now() - cached.timestamp > this.cacheExpiry) {
+            this.loadedTiles.delete(tileKey);
+            return null;
         }
-        
-        return {
-            type: 'FeatureCollection',
-            features: features
-        };
+        this.vectorTileCache.set(tileKey, cached);
+        return cached.data;
     }
 
-    /**
-     * Add tile data to map
-     */
-    addTileDataToMap(tileData) {
-        if (!this.map) return;
-        
-        const source = this.map.getSource('land-registry-parcels');
-        if (source) {
-            // Get existing data
-            const existingData = source._data || { type: 'FeatureCollection', features: [] };
-            
-            // Merge new features
-            const mergedFeatures = [...existingData.features, ...tileData.features];
-            
-            // Update source
-            source.setData({
-                type: 'FeatureCollection',
-                features: mergedFeatures
-            });
+    cacheTile(tileKey, data) {
+        this.vectorTileCache.set(tileKey, { data, timestamp: Date.now() });
+        while (this.vectorTileCache.size > this.maxCachedTiles) {
+            const oldest = this.vectorTileCache.keys().next().value;
+            this.vectorTileCache.delete(oldest);
+            this.loadedTiles.delete(oldest);
         }
     }
 
     /**
-     * Handle parcel click events
+     * Handle parcel click events. Owners are not part of the parcel data; the details panel offers a
+     * (premium) title lookup through TitleLookupService.
      */
     handleParcelClick(e) {
         if (!e.features || e.features.length === 0) return;
-        
+
         const feature = e.features[0];
         const properties = feature.properties;
-        
+
         console.log('🏠 Parcel clicked:', properties);
-        
+
         // Show parcel information in info panel
         if (window.APP_STATE && window.APP_STATE.infoPanel) {
             window.APP_STATE.infoPanel.showParcelDetails(properties);
         }
-        
+
         // Highlight selected parcel
         this.highlightParcel(feature);
     }
 
     /**
-     * Highlight selected parcel
+     * Highlight selected parcel through feature state (every tile piece of the parcel shares its id)
      */
     highlightParcel(feature) {
-        if (!this.map) return;
-        
-        // Remove previous highlight
-        if (this.map.getLayer('parcel-highlight')) {
-            this.map.removeLayer('parcel-highlight');
-        }
-        if (this.map.getSource('parcel-highlight-source')) {
-            this.map.removeSource('parcel-highlight-source');
-        }
-        
-        // Add highlight layer
-        this.map.addSource('parcel-highlight-source', {
-            type: 'geojson',
-            data: feature
-        });
-        
-        this.map.addLayer({
-            id: 'parcel-highlight',
-            type: 'line',
-            source: 'parcel-highlight-source',
-            paint: {
-                'line-color': '#ff0000',
-                'line-width': 3,
-                'line-opacity': 1
-            }
-        });
+        if (!this.map || feature.id === undefined || feature.id === null) return;
+
+        this.clearHighlight();
+        this.selectedParcelId = feature.id;
+        this.map.setFeatureState({ source: SOURCE_ID, sourceLayer: this.sourceLayer, id: feature.id }, { selected: true });
+    }
+
+    clearHighlight() {
+        if (!this.map || this.selectedParcelId === null || !this.map.getSource(SOURCE_ID)) return;
+
+        this.map.setFeatureState({ source: SOURCE_ID, sourceLayer: this.sourceLayer, id: this.selectedParcelId }, { selected: false });
+        this.selectedParcelId = null;
     }
 
     /**
@@ -375,7 +303,7 @@ export class LandRegistryManager {
      */
     hideLandRegistryLayer() {
         if (!this.map || !this.isLayerAdded) return;
-        
+
         if (this.map.getLayer('land-registry-fill')) {
             this.map.setLayoutProperty('land-registry-fill', 'visibility', 'none');
         }
@@ -389,7 +317,7 @@ export class LandRegistryManager {
      */
     showLandRegistryLayer() {
         if (!this.map || !this.isLayerAdded) return;
-        
+
         if (this.map.getLayer('land-registry-fill')) {
             this.map.setLayoutProperty('land-registry-fill', 'visibility', 'visible');
         }
@@ -403,7 +331,7 @@ export class LandRegistryManager {
      */
     toggleLayer() {
         if (!this.map || !this.isLayerAdded) return;
-        
+
         const fillLayer = this.map.getLayer('land-registry-fill');
         if (fillLayer) {
             const visibility = this.map.getLayoutProperty('land-registry-fill', 'visibility');
@@ -416,53 +344,15 @@ export class LandRegistryManager {
     }
 
     /**
-     * Calculate bounding tiles for given bounds and zoom
-     */
-    getBoundingTiles(bounds, zoom) {
-        const tiles = [];
-        
-        const minTile = this.lngLatToTile(bounds.getWest(), bounds.getNorth(), zoom);
-        const maxTile = this.lngLatToTile(bounds.getEast(), bounds.getSouth(), zoom);
-        
-        for (let x = minTile.x; x <= maxTile.x; x++) {
-            for (let y = minTile.y; y <= maxTile.y; y++) {
-                tiles.push({ x, y, z: zoom });
-            }
-        }
-        
-        return tiles;
-    }
-
-    /**
-     * Convert longitude/latitude to tile coordinates
-     */
-    lngLatToTile(lng, lat, zoom) {
-        const x = Math.floor((lng + 180) / 360 * Math.pow(2, zoom));
-        const y = Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom));
-        return { x, y };
-    }
-
-    /**
-     * Get tile bounds from tile coordinates
-     */
-    getTileBounds(x, y, z) {
-        const n = Math.pow(2, z);
-        const west = x / n * 360 - 180;
-        const east = (x + 1) / n * 360 - 180;
-        const north = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n))) * 180 / Math.PI;
-        const south = Math.atan(Math.sinh(Math.PI * (1 - 2 * (y + 1) / n))) * 180 / Math.PI;
-        
-        return { north, south, east, west };
-    }
-
-    /**
-     * Get parcel details for Site Finder analysis
+     * Get parcel details for Site Finder analysis. ownership is a previously looked-up title record, if any;
+     * this never makes a billable lookup.
      */
     async getParcelDetails(titleNumber) {
         try {
             const cacheKey = `parcel_${titleNumber}`;
+            const ownership = await window.APP_STATE?.titleLookupService?.getCached(titleNumber) || null;
             const cached = this.getFromCache(cacheKey);
-            if (cached) return cached;
+            if (cached) return { ...cached, ownership };
 
             // Mock detailed parcel data for Site Finder
             const details = {
@@ -488,7 +378,7 @@ export class LandRegistryManager {
             };
             
             this.addToCache(cacheKey, details);
-            return details;
+            return { ...details, ownership };
             
         } catch (error) {
             console.error('❌ Error getting parcel details:', error);
@@ -497,33 +387,36 @@ export class LandRegistryManager {
     }
 
     /**
-     * Search parcels within radius for Site Finder
+     * Search parcels within radius for Site Finder. Only parcels in tiles MapLibre has loaded are found;
+     * a parcel cut across tiles is returned once.
      */
     async searchParcelsInRadius(center, radiusKm) {
-        const parcels = [];
+        const parcels = new Map();
         const [centerLng, centerLat] = center;
-        
-        // Search through loaded tiles for parcels within radius
-        if (this.map) {
-            const source = this.map.getSource('land-registry-parcels');
-            if (source && source._data) {
-                const features = source._data.features;
-                
-                for (const feature of features) {
-                    const [lng, lat] = feature.geometry.coordinates[0][0]; // First coordinate of polygon
-                    const distance = this.calculateDistance(centerLat, centerLng, lat, lng);
-                    
-                    if (distance <= radiusKm) {
-                        parcels.push({
-                            ...feature,
-                            distance: distance
-                        });
-                    }
+
+        if (this.map && this.map.getSource(SOURCE_ID)) {
+            const features = this.map.querySourceFeatures(SOURCE_ID, { sourceLayer: this.sourceLayer });
+
+            for (const feature of features) {
+                const { type, coordinates } = feature.geometry;
+                // First coordinate of the polygon
+                const [lng, lat] = type === 'MultiPolygon' ? coordinates[0][0][0] : coordinates[0][0];
+                const distance = this.calculateDistance(centerLat, centerLng, lat, lng);
+                const id = feature.id ?? JSON.stringify(feature.properties);
+
+                if (distance <= radiusKm && !parcels.has(id)) {
+                    parcels.set(id, {
+                        type: 'Feature',
+                        id: feature.id,
+                        properties: feature.properties,
+                        geometry: feature.geometry,
+                        distance: distance
+                    });
                 }
             }
         }
-        
-        return parcels.sort((a, b) => a.distance - b.distance);
+
+        return Array.from(parcels.values()).sort((a, b) => a.distance - b.distance);
     }
 
     /**
@@ -541,48 +434,18 @@ export class LandRegistryManager {
     }
 
     /**
-     * Generate mock owner name
-     */
-    generateMockOwnerName() {
-        const firstNames = ['John', 'Jane', 'Michael', 'Sarah', 'David', 'Emma', 'Robert', 'Lisa'];
-        const lastNames = ['Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis'];
-        
-        const firstName = firstNames[Math.floor(Math.random() * firstNames.length)];
-        const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
-        
-        return `${firstName} ${lastName}`;
-    }
-
-    /**
-     * Generate random date
-     */
-    generateRandomDate(start, end) {
-        const startDate = new Date(start);
-        const endDate = new Date(end);
-        const randomTime = startDate.getTime() + Math.random() * (endDate.getTime() - startDate.getTime());
-        return new Date(randomTime).toISOString().split('T')[0];
-    }
-
-    /**
-     * Clear all loaded tiles and cache
+     * Clear all loaded tiles and cache; MapLibre re-requests the tiles in view
      */
     clearTiles() {
         this.loadedTiles.clear();
         this.vectorTileCache.clear();
-        this.tileLoadQueue = [];
-        this.loadingTiles.clear();
-        
-        // Clear map data
-        if (this.map) {
-            const source = this.map.getSource('land-registry-parcels');
-            if (source) {
-                source.setData({
-                    type: 'FeatureCollection',
-                    features: []
-                });
-            }
+        this.clearHighlight();
+
+        const source = this.map?.getSource(SOURCE_ID);
+        if (source) {
+            source.setTiles([`${TILE_PROTOCOL}://{z}/{x}/{y}`]);
         }
-        
+
         console.log('🗑️ Land Registry tiles cleared');
     }
 
@@ -620,9 +483,10 @@ export class LandRegistryManager {
         return {
             loadedTiles: this.loadedTiles.size,
             loadingTiles: this.loadingTiles.size,
-            queuedTiles: this.tileLoadQueue.length,
             cacheSize: this.cache.size,
             vectorCacheSize: this.vectorTileCache.size,
+            archive: this.archiveInfo ? { url: this.tilesUrl, ...this.archiveInfo } : null,
+            sourceLayer: this.sourceLayer,
             minZoom: this.minZoom,
             currentZoom: this.currentZoom,
             isLayerAdded: this.isLayerAdded
@@ -635,11 +499,11 @@ export class LandRegistryManager {
     getPerformanceMetrics() {
         return {
             ...this.getStats(),
-            cacheHitRate: this.cache.size > 0 ? (this.cache.size / (this.cache.size + this.loadedTiles.size)) : 0,
+            cacheHitRate: this.tileRequests > 0 ? this.tileCacheHits / this.tileRequests : 0,
             memoryUsage: {
                 tilesInMemory: this.loadedTiles.size,
                 cacheEntries: this.cache.size,
-                estimatedMB: (this.loadedTiles.size * 50 + this.cache.size * 10) / 1024 // Rough estimate
+                estimatedMB: Array.from(this.vectorTileCache.values()).reduce((bytes, tile) => bytes + tile.data.byteLength, 0) / (1024 * 1024)
             }
         };
     }
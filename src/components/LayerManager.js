@@ -1,3 +1,7 @@
+import { MANURE_CATEGORIES, manureProperties, manureColorRamp } from '../data/manureSchema.js';
+import { PRESSURE_TIERS, readPressureTier } from '../data/gasNetwork.js';
+import { SHORTLIST_STATUSES } from './ShortlistManager.js';
+
 /**
  * LayerManager - Manages map layers, data sources, and layer visibility
  * Handles AD plant layers, boundary layers, and other geospatial data layers
@@ -13,7 +17,8 @@ export class LayerManager {
             manure: ['beef-fym', 'beef-slurry', 'dairy-fym', 'dairy-slurry', 'broilers', 'layers', 'pigs', 'sheep'],
             environmental: ['aonb', 'sssi', 'nvz', 'flood', 'alc'],
             infrastructure: ['dno', 'water', 'brownfield', 'nts', 'roads'],
-            landRegistry: ['freehold']
+            landRegistry: ['freehold'],
+            user: []
         };
         this.activeLayers = new Set();
         this.dataSources = {
@@ -44,6 +49,9 @@ export class LayerManager {
             // Load initial layers
             await this.loadInitialLayers();
             
+            // Refresh layers whenever a dataset is reloaded
+            this.subscribeToDatasets();
+            
             // Initialize Land Registry Manager
             await this.initializeLandRegistryManager();
             
@@ -69,78 +77,55 @@ export class LayerManager {
         }
     }
 
+    /**
+     * Subscribe to DataManager's dataset registry so reloads update the map sources
+     */
+    subscribeToDatasets() {
+        const dataManager = window.APP_STATE?.dataManager;
+        if (!dataManager) return;
+        
+        this.unsubscribeDatasets = dataManager.subscribe(['adPlants', 'boundaries', 'manureVolumes', 'roadNetwork', 'ntsPipelines', 'gasMains'], ({ name, data, version }) => {
+            if (name === 'adPlants') {
+                this.dataSources.adPlants = data;
+                this.updateLayerData('ad-plants', data);
+            } else if (name === 'boundaries') {
+                this.dataSources.boundaries = data;
+                this.updateLayerData('lad', data.lad);
+                this.updateLayerData('lpa', data.lpa);
+            } else if (name === 'manureVolumes') {
+                this.dataSources.manure = data;
+                this.updateManureLayers(data);
+            } else if (name === 'roadNetwork') {
+                this.dataSources.roads = data;
+                this.updateLayerData('roads', data);
+            } else if (this.dataSources.gasNetwork) {
+                this.updateGasNetworkLayer();
+            }
+            console.log(`🔄 Map updated to ${name} v${version}`);
+        });
+    }
+
     /**
      * Initialize data sources
      */
     async initializeDataSources() {
         try {
-            // For now, create placeholder data sources
-            // In production, this would load from actual data files or APIs
-            
-            // Boundary data source
-            this.dataSources.boundaries = {
-                lad: {
-                    type: 'FeatureCollection',
-                    features: [
-                        {
-                            type: 'Feature',
-                            properties: { name: 'Sample LAD', type: 'LAD', code: 'E12345678' },
-                            geometry: {
-                                type: 'Polygon',
-                                coordinates: [[
-                                    [-2.0, 53.0], [-2.0, 53.1], [-1.9, 53.1], [-1.9, 53.0], [-2.0, 53.0]
-                                ]]
-                            }
-                        }
-                    ]
-                },
-                lpa: {
-                    type: 'FeatureCollection',
-                    features: [
-                        {
-                            type: 'Feature',
-                            properties: { name: 'Sample LPA', type: 'LPA', code: 'E87654321' },
-                            geometry: {
-                                type: 'Polygon',
-                                coordinates: [[
-                                    [-1.95, 53.02], [-1.95, 53.08], [-1.85, 53.08], [-1.85, 53.02], [-1.95, 53.02]
-                                ]]
-                            }
-                        }
-                    ]
-                }
-            };
+            const dataManager = window.APP_STATE?.dataManager;
             
-            // AD plants data source
-            this.dataSources.adPlants = {
-                type: 'FeatureCollection',
-                features: [
-                    {
-                        type: 'Feature',
-                        properties: {
-                            name: 'Sample AD Plant',
-                            developer: 'Sample Developer Ltd',
-                            location: 'Sample Location',
-                            technology: 'Anaerobic Digestion',
-                            status: 'Operational',
-                            capacity: '50,000 tonnes/year'
-                        },
-                        geometry: {
-                            type: 'Point',
-                            coordinates: [-1.95, 53.05]
-                        }
-                    }
-                ]
+            // Boundary data source (LAD/LPA decoded once by DataManager's boundary worker)
+            this.dataSources.boundaries = dataManager?.getData('boundaries') || {
+                lad: { type: 'FeatureCollection', features: [] },
+                lpa: { type: 'FeatureCollection', features: [] }
             };
             
-            // Manure volumes data source (placeholder)
-            this.dataSources.manure = {
-                beef: { type: 'FeatureCollection', features: [] },
-                dairy: { type: 'FeatureCollection', features: [] },
-                poultry: { type: 'FeatureCollection', features: [] },
-                pigs: { type: 'FeatureCollection', features: [] },
-                sheep: { type: 'FeatureCollection', features: [] }
-            };
+            // AD plants data source (shared with Search, Analytics and SiteFinder via DataManager)
+            this.dataSources.adPlants = dataManager?.getData('adPlants') || null;
+            
+            // Manure volumes hex grid (loaded on demand when a manure layer is first shown)
+            this.dataSources.manure = dataManager?.getData('manureVolumes') || null;
+            
+            // Road network (loaded on demand when the roads layer is shown or a drive time is requested)
+            this.dataSources.roads = dataManager?.getData('roadNetwork') || null;
             
             // Environmental data source (placeholder)
             this.dataSources.environmental = {
@@ -184,6 +169,9 @@ export class LayerManager {
             // Load AD plants layer
             await this.loadADPlantsLayer();
             
+            // Load manure volume hex layers
+            this.loadManureLayers();
+            
             // Load other layer types (placeholder layers for now)
             await this.loadPlaceholderLayers();
             
@@ -226,10 +214,11 @@ export class LayerManager {
             const sourceId = `source-${layerId}`;
             const layerIdFull = `layer-${layerId}`;
             
-            // Add source
+            // Add source; boundary codes double as feature ids so other modules can join on them
             this.map.addSource(sourceId, {
                 type: 'geojson',
-                data: data
+                data: data,
+                promoteId: 'code'
             });
             
             // Add layer
@@ -285,9 +274,9 @@ export class LayerManager {
             const sourceId = 'source-ad-plants';
             const layerId = 'layer-ad-plants';
             
-            // Generate realistic AD plant data if not provided
+            // Fall back to an empty collection until DataManager has loaded the plants
             if (!data || !data.features) {
-                data = this.generateADPlantData();
+                data = { type: 'FeatureCollection', features: [] };
             }
             
             // Add source with clustering enabled for large datasets
@@ -400,86 +389,11 @@ export class LayerManager {
         }
     }
 
-    /**
-     * Generate realistic AD plant data for demonstration
-     */
-    generateADPlantData() {
-        const features = [];
-        const statuses = ['Operational', 'Under Construction', 'Planning Granted', 'Planning Application', 'Refused'];
-        const technologies = ['CHP', 'GtG', 'GtG+CHP', 'Injection', 'Other'];
-        const operators = ['ENGIE', 'Biogen', 'Agrivert', 'Anaergia', 'Future Biogas', 'Independent'];
-        
-        // Generate 150 realistic AD plants across UK
-        for (let i = 0; i < 150; i++) {
-            const lng = -6 + Math.random() * 8; // UK longitude range
-            const lat = 50 + Math.random() * 10; // UK latitude range
-            
-            const status = statuses[Math.floor(Math.random() * statuses.length)];
-            const technology = technologies[Math.floor(Math.random() * technologies.length)];
-            const operator = operators[Math.floor(Math.random() * operators.length)];
-            const capacity = Math.round((Math.random() * 5 + 0.5) * 100) / 100; // 0.5-5.5 MW
-            
-            features.push({
-                type: 'Feature',
-                properties: {
-                    name: `${operator} AD Plant ${i + 1}`,
-                    status: status,
-                    technology: technology,
-                    operator: operator,
-                    capacity: capacity,
-                    operationalDate: status === 'Operational' ? 
-                        new Date(2015 + Math.random() * 9, Math.floor(Math.random() * 12), Math.floor(Math.random() * 28)).toISOString().split('T')[0] : 
-                        null,
-                    plannedDate: status !== 'Operational' ? 
-                        new Date(2024 + Math.random() * 3, Math.floor(Math.random() * 12), Math.floor(Math.random() * 28)).toISOString().split('T')[0] : 
-                        null,
-                    feedstock: ['Food waste', 'Agricultural waste', 'Energy crops', 'Sewage sludge'][Math.floor(Math.random() * 4)],
-                    gasUtilisation: technology.includes('CHP') ? 'Heat & Power' : technology.includes('GtG') ? 'Grid injection' : 'Other',
-                    planningRef: `${Math.random().toString(36).substr(2, 8).toUpperCase()}`,
-                    postcode: this.generateMockPostcode(),
-                    coordinates: [lng, lat]
-                },
-                geometry: {
-                    type: 'Point',
-                    coordinates: [lng, lat]
-                }
-            });
-        }
-        
-        return {
-            type: 'FeatureCollection',
-            features: features
-        };
-    }
-
-    /**
-     * Generate mock UK postcode
-     */
-    generateMockPostcode() {
-        const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        const area = letters[Math.floor(Math.random() * letters.length)] + letters[Math.floor(Math.random() * letters.length)];
-        const district = Math.floor(Math.random() * 99) + 1;
-        const sector = Math.floor(Math.random() * 9);
-        const unit = letters[Math.floor(Math.random() * letters.length)] + letters[Math.floor(Math.random() * letters.length)];
-        
-        return `${area}${district} ${sector}${unit}`;
-    }
-
     /**
      * Load placeholder layers for other categories
      */
     async loadPlaceholderLayers() {
         try {
-            // Add placeholder layers for manure volumes
-            await this.addPlaceholderLayer('beef-fym', 'manure', '#8b4513');
-            await this.addPlaceholderLayer('beef-slurry', 'manure', '#a0522d');
-            await this.addPlaceholderLayer('dairy-fym', 'manure', '#cd853f');
-            await this.addPlaceholderLayer('dairy-slurry', 'manure', '#deb887');
-            await this.addPlaceholderLayer('broilers', 'manure', '#f4a460');
-            await this.addPlaceholderLayer('layers', 'manure', '#daa520');
-            await this.addPlaceholderLayer('pigs', 'manure', '#b8860b');
-            await this.addPlaceholderLayer('sheep', 'manure', '#d2691e');
-            
             // Add placeholder layers for environmental
             await this.addPlaceholderLayer('aonb', 'environmental', '#228b22');
             await this.addPlaceholderLayer('sssi', 'environmental', '#32cd32');
@@ -491,7 +405,9 @@ export class LayerManager {
             await this.addPlaceholderLayer('dno', 'infrastructure', '#ff4500');
             await this.addPlaceholderLayer('water', 'infrastructure', '#00bfff');
             await this.addPlaceholderLayer('brownfield', 'infrastructure', '#8b4513');
-            await this.addPlaceholderLayer('nts', 'infrastructure', '#ff6347');
+            
+            // Gas network (NTS pipelines and distribution mains), loaded the first time it is shown
+            this.addGasNetworkLayer();
             
             // Add roads layer with proper styling by class
             await this.addRoadNetworkLayer();
@@ -506,6 +422,133 @@ export class LayerManager {
         }
     }
 
+    /**
+     * Add one fill layer per livestock category over a shared manure hex source.
+     * Layers start hidden and empty; the hex grid is fetched the first time one is shown.
+     */
+    loadManureLayers() {
+        try {
+            if (!this.map) return;
+            
+            const sourceId = 'source-manure';
+            this.map.addSource(sourceId, {
+                type: 'geojson',
+                data: this.dataSources.manure?.collection || { type: 'FeatureCollection', features: [] }
+            });
+            
+            MANURE_CATEGORIES.forEach(category => {
+                const layerIdFull = `layer-${category.id}`;
+                const { tonnes } = manureProperties(category.id);
+                
+                this.map.addLayer({
+                    id: layerIdFull,
+                    type: 'fill',
+                    source: sourceId,
+                    filter: ['>', ['get', tonnes], 0],
+                    layout: { visibility: 'none' },
+                    paint: {
+                        'fill-color': category.color,
+                        'fill-opacity': 0.7,
+                        'fill-outline-color': 'rgba(255, 255, 255, 0.4)'
+                    }
+                });
+                
+                this.sources[category.id] = sourceId;
+                this.layers[category.id] = layerIdFull;
+            });
+            
+            if (this.dataSources.manure) {
+                this.updateManureLayers(this.dataSources.manure);
+            }
+            
+        } catch (error) {
+            console.error('❌ Failed to add manure layers:', error);
+        }
+    }
+
+    /**
+     * Push a new manure grid version to the map and restyle each category as a graduated
+     * choropleth of tonnage using the quantile breaks computed when the grid was decoded
+     */
+    updateManureLayers(data) {
+        if (!this.map || !data?.collection) return;
+        
+        const source = this.map.getSource('source-manure');
+        if (source && source.setData) {
+            source.setData(data.collection);
+        }
+        
+        MANURE_CATEGORIES.forEach(category => {
+            const layerIdFull = `layer-${category.id}`;
+            if (!this.map.getLayer(layerIdFull)) return;
+            
+            this.map.setPaintProperty(layerIdFull, 'fill-color', this.getManureColorExpression(category, data.breaks?.[category.id] || []));
+        });
+    }
+
+    /**
+     * Step expression colouring a category's tonnage by class
+     */
+    getManureColorExpression(category, breaks) {
+        const ramp = manureColorRamp(category.color);
+        if (breaks.length === 0) return ramp[ramp.length - 1];
+        
+        // Spread the ramp across however many distinct breaks the data produced
+        const colors = ramp.slice(ramp.length - breaks.length - 1);
+        const expression = ['step', ['get', manureProperties(category.id).tonnes], colors[0]];
+        breaks.forEach((value, index) => expression.push(value, colors[index + 1]));
+        return expression;
+    }
+
+    /**
+     * Get the graduated legend for a manure category: [{ min, max, color }] in tonnes/yr
+     */
+    getManureLegend(categoryId) {
+        const category = MANURE_CATEGORIES.find(item => item.id === categoryId);
+        const breaks = this.dataSources.manure?.breaks?.[categoryId];
+        if (!category || !breaks) return [];
+        
+        const ramp = manureColorRamp(category.color);
+        const colors = ramp.slice(ramp.length - breaks.length - 1);
+        const bounds = [0, ...breaks, Infinity];
+        return colors.map((color, index) => ({ min: bounds[index], max: bounds[index + 1], color }));
+    }
+
+    /**
+     * Fetch data behind a layer that loads on demand (manure hexes, road network, gas network) the first time it is shown
+     */
+    ensureLayerData(layerId) {
+        const dataManager = window.APP_STATE?.dataManager;
+        if (!dataManager) return;
+        
+        if (layerId === 'roads') {
+            if (this.dataSources.roads) return;
+            console.log('🛣️ Loading road network...');
+            dataManager.loadRoadNetwork().catch(error => {
+                console.error('❌ Failed to load road network:', error);
+            });
+            return;
+        }
+        
+        if (layerId === 'nts') {
+            if (this.dataSources.gasNetwork) return;
+            console.log('⛽ Loading gas network...');
+            dataManager.loadConstraintLayers(['ntsPipelines', 'gasMains'])
+                .then(() => this.updateGasNetworkLayer())
+                .catch(error => {
+                    console.error('❌ Failed to load gas network:', error);
+                });
+            return;
+        }
+        
+        if (!this.layerGroups.manure.includes(layerId) || this.dataSources.manure) return;
+        
+        console.log('🐄 Loading manure volume hexes...');
+        dataManager.loadManureData().catch(error => {
+            console.error('❌ Failed to load manure volumes:', error);
+        });
+    }
+
     /**
      * Add a placeholder layer
      */
@@ -562,6 +605,653 @@ export class LayerManager {
         }
     }
 
+    /**
+     * Add the gas network layer: NTS pipelines and distribution mains as lines coloured by pressure tier
+     */
+    addGasNetworkLayer() {
+        try {
+            if (!this.map) return;
+            
+            const sourceId = 'source-nts';
+            const layerIdFull = 'layer-nts';
+            
+            this.map.addSource(sourceId, {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: [] }
+            });
+            
+            this.map.addLayer({
+                id: layerIdFull,
+                type: 'line',
+                source: sourceId,
+                layout: { visibility: 'none' },
+                paint: {
+                    'line-color': ['match', ['get', 'tier'], ...Object.entries(PRESSURE_TIERS).flatMap(([tier, { color }]) => [tier, color]), '#ff6347'],
+                    'line-width': ['match', ['get', 'tier'], 'nts', 3, 'lts', 2.5, 1.5],
+                    'line-opacity': 0.85
+                }
+            });
+            
+            this.sources.nts = sourceId;
+            this.layers.nts = layerIdFull;
+            
+        } catch (error) {
+            console.error('❌ Failed to add gas network layer:', error);
+        }
+    }
+
+    /**
+     * Draw the loaded NTS pipelines and distribution mains, each tagged with its pressure tier
+     */
+    updateGasNetworkLayer() {
+        const dataManager = window.APP_STATE?.dataManager;
+        const pipelines = dataManager?.getData('ntsPipelines')?.features || [];
+        const mains = dataManager?.getData('gasMains')?.features || [];
+        
+        this.dataSources.gasNetwork = {
+            type: 'FeatureCollection',
+            features: [
+                ...pipelines.map(feature => ({ ...feature, properties: { ...feature.properties, tier: 'nts' } })),
+                ...mains.map(feature => ({ ...feature, properties: { ...feature.properties, tier: readPressureTier(feature.properties) } }))
+            ]
+        };
+        this.updateLayerData('nts', this.dataSources.gasNetwork);
+        console.log(`⛽ Gas network drawn: ${pipelines.length} NTS pipelines, ${mains.length} distribution mains`);
+    }
+
+    /**
+     * Add a layer for an imported user dataset
+     * Points, lines and polygons in the same collection are drawn by separate map layers filtered on geometry type
+     */
+    addUserLayer(layerId, data, options = {}) {
+        try {
+            if (!this.map) {
+                throw new Error('Map instance not available');
+            }
+            
+            const color = options.color || '#db2777';
+            const sourceId = `source-${layerId}`;
+            const layerIdFull = `layer-${layerId}`;
+            const polygonFilter = ['match', ['geometry-type'], ['Polygon', 'MultiPolygon'], true, false];
+            const lineFilter = ['match', ['geometry-type'], ['LineString', 'MultiLineString'], true, false];
+            const pointFilter = ['match', ['geometry-type'], ['Point', 'MultiPoint'], true, false];
+            
+            this.map.addSource(sourceId, {
+                type: 'geojson',
+                data: data
+            });
+            
+            this.map.addLayer({
+                id: `${layerIdFull}-fill`,
+                type: 'fill',
+                source: sourceId,
+                filter: polygonFilter,
+                paint: {
+                    'fill-color': color,
+                    'fill-opacity': 0.25
+                }
+            });
+            
+            this.map.addLayer({
+                id: `${layerIdFull}-line`,
+                type: 'line',
+                source: sourceId,
+                filter: ['any', polygonFilter, lineFilter],
+                paint: {
+                    'line-color': color,
+                    'line-width': 2
+                }
+            });
+            
+            this.map.addLayer({
+                id: layerIdFull,
+                type: 'circle',
+                source: sourceId,
+                filter: pointFilter,
+                paint: {
+                    'circle-radius': 6,
+                    'circle-color': color,
+                    'circle-stroke-color': '#ffffff',
+                    'circle-stroke-width': 2
+                }
+            });
+            
+            this.map.on('mouseenter', layerIdFull, () => {
+                this.map.getCanvas().style.cursor = 'pointer';
+            });
+            
+            this.map.on('mouseleave', layerIdFull, () => {
+                this.map.getCanvas().style.cursor = '';
+            });
+            
+            // Store references
+            this.sources[layerId] = sourceId;
+            this.layers[layerId] = [layerIdFull, `${layerIdFull}-line`, `${layerIdFull}-fill`];
+            this.layerGroups.user.push(layerId);
+            this.activeLayers.add(layerId);
+            
+            console.log(`✅ Added user layer: ${layerId}`);
+            
+        } catch (error) {
+            console.error(`❌ Failed to add user layer ${layerId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove an imported user layer
+     */
+    removeUserLayer(layerId) {
+        this.removeLayer(layerId);
+        this.layerGroups.user = this.layerGroups.user.filter(id => id !== layerId);
+    }
+
+    /**
+     * Add drive-time isochrones (bands nested largest first) as a removable user layer
+     */
+    addIsochroneLayer(layerId, collection) {
+        try {
+            if (!this.map) {
+                throw new Error('Map instance not available');
+            }
+            
+            const sourceId = `source-${layerId}`;
+            const layerIdFull = `layer-${layerId}`;
+            const bandColor = ['step', ['get', 'minutes'], '#16a34a', 20, '#f59e0b', 45, '#dc2626'];
+            
+            this.map.addSource(sourceId, {
+                type: 'geojson',
+                data: collection
+            });
+            
+            this.map.addLayer({
+                id: `${layerIdFull}-fill`,
+                type: 'fill',
+                source: sourceId,
+                paint: {
+                    'fill-color': bandColor,
+                    'fill-opacity': 0.15
+                }
+            });
+            
+            this.map.addLayer({
+                id: layerIdFull,
+                type: 'line',
+                source: sourceId,
+                paint: {
+                    'line-color': bandColor,
+                    'line-width': 2
+                }
+            });
+            
+            // Store references
+            this.sources[layerId] = sourceId;
+            this.layers[layerId] = [layerIdFull, `${layerIdFull}-fill`];
+            this.layerGroups.user.push(layerId);
+            this.activeLayers.add(layerId);
+            
+            console.log(`✅ Added isochrone layer: ${layerId}`);
+            
+        } catch (error) {
+            console.error(`❌ Failed to add isochrone layer ${layerId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Draw a route line (replaced by the next route)
+     */
+    showRouteOverlay(route) {
+        try {
+            if (!this.map || !route?.coordinates?.length) return;
+            
+            const data = {
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: route.coordinates },
+                properties: { minutes: route.minutes, distanceKm: route.distanceKm }
+            };
+            
+            const source = this.map.getSource('source-route');
+            if (source) {
+                source.setData(data);
+            } else {
+                this.map.addSource('source-route', { type: 'geojson', data });
+                this.map.addLayer({
+                    id: 'layer-route',
+                    type: 'line',
+                    source: 'source-route',
+                    layout: { 'line-cap': 'round', 'line-join': 'round' },
+                    paint: {
+                        'line-color': '#2563eb',
+                        'line-width': 4,
+                        'line-opacity': 0.85
+                    }
+                });
+            }
+            
+        } catch (error) {
+            console.error('❌ Failed to show route:', error);
+        }
+    }
+
+    /**
+     * Draw an analysis catchment (polygon) and the competing plants that overlap it.
+     * The overlay is not a toggleable layer; it is replaced by the next analysis or cleared.
+     */
+    showCatchmentOverlay(catchment, competitors = []) {
+        try {
+            if (!this.map || !catchment) return;
+            
+            const sourceId = 'source-catchment';
+            const data = {
+                type: 'FeatureCollection',
+                features: [
+                    { ...catchment, properties: { ...catchment.properties, role: 'catchment' } },
+                    ...competitors.map(competitor => ({
+                        type: 'Feature',
+                        geometry: { type: 'Point', coordinates: competitor.coordinates },
+                        properties: { role: 'competitor', name: competitor.name }
+                    }))
+                ]
+            };
+            
+            const source = this.map.getSource(sourceId);
+            if (source) {
+                source.setData(data);
+            } else {
+                this.map.addSource(sourceId, { type: 'geojson', data });
+                
+                this.map.addLayer({
+                    id: 'layer-catchment-fill',
+                    type: 'fill',
+                    source: sourceId,
+                    filter: ['==', ['get', 'role'], 'catchment'],
+                    paint: {
+                        'fill-color': '#16a34a',
+                        'fill-opacity': 0.08
+                    }
+                });
+                this.map.addLayer({
+                    id: 'layer-catchment-line',
+                    type: 'line',
+                    source: sourceId,
+                    filter: ['==', ['get', 'role'], 'catchment'],
+                    paint: {
+                        'line-color': '#16a34a',
+                        'line-width': 2,
+                        'line-dasharray': [2, 2]
+                    }
+                });
+                this.map.addLayer({
+                    id: 'layer-catchment-competitors',
+                    type: 'circle',
+                    source: sourceId,
+                    filter: ['==', ['get', 'role'], 'competitor'],
+                    paint: {
+                        'circle-radius': 7,
+                        'circle-color': 'rgba(0, 0, 0, 0)',
+                        'circle-stroke-color': '#dc2626',
+                        'circle-stroke-width': 2
+                    }
+                });
+            }
+            
+        } catch (error) {
+            console.error('❌ Failed to show catchment overlay:', error);
+        }
+    }
+
+    /**
+     * Remove the catchment overlay
+     */
+    clearCatchmentOverlay() {
+        if (!this.map) return;
+        
+        ['layer-catchment-competitors', 'layer-catchment-line', 'layer-catchment-fill'].forEach(layerName => {
+            if (this.map.getLayer(layerName)) {
+                this.map.removeLayer(layerName);
+            }
+        });
+        if (this.map.getSource('source-catchment')) {
+            this.map.removeSource('source-catchment');
+        }
+    }
+
+    /**
+     * Draw a digestate land bank: sampled land cells coloured by class inside the haul circle
+     */
+    showLandBankOverlay(result) {
+        try {
+            if (!this.map || !result) return;
+            
+            const sourceId = 'source-land-bank';
+            const [lng, lat] = result.origin;
+            const kmPerLng = 111.32 * Math.cos(lat * Math.PI / 180);
+            const halfX = result.land.cellKm / 2 / kmPerLng;
+            const halfY = result.land.cellKm / 2 / 111.32;
+            const circle = Array.from({ length: 65 }, (_, i) => {
+                const angle = (i % 64) / 64 * 2 * Math.PI;
+                return [lng + result.radiusKm * Math.cos(angle) / kmPerLng, lat + result.radiusKm * Math.sin(angle) / 111.32];
+            });
+            const data = {
+                type: 'FeatureCollection',
+                features: [
+                    ...result.land.cells
+                        .filter(cell => cell.landClass !== 'unknown')
+                        .map(({ center: [x, y], landClass }) => ({
+                            type: 'Feature',
+                            geometry: {
+                                type: 'Polygon',
+                                coordinates: [[[x - halfX, y - halfY], [x + halfX, y - halfY], [x + halfX, y + halfY], [x - halfX, y + halfY], [x - halfX, y - halfY]]]
+                            },
+                            properties: { role: 'cell', landClass }
+                        })),
+                    { type: 'Feature', geometry: { type: 'LineString', coordinates: circle }, properties: { role: 'radius' } }
+                ]
+            };
+            
+            const source = this.map.getSource(sourceId);
+            if (source) {
+                source.setData(data);
+            } else {
+                this.map.addSource(sourceId, { type: 'geojson', data });
+                
+                this.map.addLayer({
+                    id: 'layer-land-bank-cells',
+                    type: 'fill',
+                    source: sourceId,
+                    filter: ['==', ['get', 'role'], 'cell'],
+                    paint: {
+                        'fill-color': ['match', ['get', 'landClass'], 'nvz', '#f59e0b', 'outsideNvz', '#16a34a', '#9ca3af'],
+                        'fill-opacity': 0.35
+                    }
+                });
+                this.map.addLayer({
+                    id: 'layer-land-bank-radius',
+                    type: 'line',
+                    source: sourceId,
+                    filter: ['==', ['get', 'role'], 'radius'],
+                    paint: {
+                        'line-color': '#92400e',
+                        'line-width': 2,
+                        'line-dasharray': [2, 2]
+                    }
+                });
+            }
+            
+        } catch (error) {
+            console.error('❌ Failed to show land bank overlay:', error);
+        }
+    }
+
+    /**
+     * Remove the land bank overlay
+     */
+    clearLandBankOverlay() {
+        if (!this.map) return;
+        
+        ['layer-land-bank-radius', 'layer-land-bank-cells'].forEach(layerName => {
+            if (this.map.getLayer(layerName)) {
+                this.map.removeLayer(layerName);
+            }
+        });
+        if (this.map.getSource('source-land-bank')) {
+            this.map.removeSource('source-land-bank');
+        }
+    }
+
+    /**
+     * Draw Site Finder results as parcel polygons coloured by suitability score (replaced by the next run)
+     */
+    showSiteResults(sites) {
+        try {
+            if (!this.map) return;
+            
+            const sourceId = 'source-site-results';
+            const data = {
+                type: 'FeatureCollection',
+                features: sites.map(site => ({
+                    type: 'Feature',
+                    geometry: site.geometry || { type: 'Point', coordinates: site.coordinates },
+                    properties: {
+                        siteId: site.id,
+                        rank: site.rank,
+                        score: site.score || 0,
+                        area: site.properties.area,
+                        parcelSource: site.properties.parcelSource
+                    }
+                }))
+            };
+            const scoreColor = ['interpolate', ['linear'], ['get', 'score'], 0, '#dc2626', 0.5, '#f59e0b', 0.8, '#16a34a'];
+            const polygonFilter = ['match', ['geometry-type'], ['Polygon', 'MultiPolygon'], true, false];
+            
+            const source = this.map.getSource(sourceId);
+            if (source) {
+                source.setData(data);
+            } else {
+                this.map.addSource(sourceId, { type: 'geojson', data });
+                
+                this.map.addLayer({
+                    id: 'layer-site-results-fill',
+                    type: 'fill',
+                    source: sourceId,
+                    filter: polygonFilter,
+                    paint: {
+                        'fill-color': scoreColor,
+                        'fill-opacity': 0.35
+                    }
+                });
+                this.map.addLayer({
+                    id: 'layer-site-results-line',
+                    type: 'line',
+                    source: sourceId,
+                    filter: polygonFilter,
+                    paint: {
+                        'line-color': scoreColor,
+                        'line-width': 1.5
+                    }
+                });
+                // Sites without a polygon, and every site at low zoom where parcels are sub-pixel
+                this.map.addLayer({
+                    id: 'layer-site-results-points',
+                    type: 'circle',
+                    source: sourceId,
+                    filter: ['any', ['!', polygonFilter], ['<', ['zoom'], 11]],
+                    paint: {
+                        'circle-radius': 5,
+                        'circle-color': scoreColor,
+                        'circle-stroke-color': '#ffffff',
+                        'circle-stroke-width': 1
+                    }
+                });
+                this.map.addLayer({
+                    id: 'layer-site-results-highlight',
+                    type: 'line',
+                    source: sourceId,
+                    filter: ['==', ['get', 'siteId'], ''],
+                    paint: {
+                        'line-color': '#1d4ed8',
+                        'line-width': 3
+                    }
+                });
+                
+                ['layer-site-results-fill', 'layer-site-results-points'].forEach(layerName => {
+                    this.map.on('mouseenter', layerName, () => {
+                        this.map.getCanvas().style.cursor = 'pointer';
+                    });
+                    this.map.on('mouseleave', layerName, () => {
+                        this.map.getCanvas().style.cursor = '';
+                    });
+                });
+            }
+        
+        } catch (error) {
+            console.error('❌ Failed to show site results:', error);
+        }
+    }
+
+    /**
+     * Outline one Site Finder result
+     */
+    highlightSiteResult(siteId) {
+        if (this.map?.getLayer('layer-site-results-highlight')) {
+            this.map.setFilter('layer-site-results-highlight', ['==', ['get', 'siteId'], siteId || '']);
+        }
+    }
+
+    /**
+     * Remove the Site Finder results layer
+     */
+    clearSiteResults() {
+        if (!this.map) return;
+        
+        ['layer-site-results-highlight', 'layer-site-results-points', 'layer-site-results-line', 'layer-site-results-fill'].forEach(layerName => {
+            if (this.map.getLayer(layerName)) {
+                this.map.removeLayer(layerName);
+            }
+        });
+        if (this.map.getSource('source-site-results')) {
+            this.map.removeSource('source-site-results');
+        }
+    }
+
+    /**
+     * Draw shortlisted sites, coloured by workflow status, above the Site Finder results
+     */
+    showShortlist(entries) {
+        try {
+            if (!this.map) return;
+            
+            const sourceId = 'source-shortlist';
+            const data = {
+                type: 'FeatureCollection',
+                features: entries.map(entry => ({
+                    type: 'Feature',
+                    geometry: entry.geometry || { type: 'Point', coordinates: entry.coordinates },
+                    properties: {
+                        shortlistId: entry.id,
+                        name: entry.name,
+                        status: entry.status,
+                        owner: entry.owner || '',
+                        shared: Boolean(entry.workspaceId)
+                    }
+                }))
+            };
+            
+            const source = this.map.getSource(sourceId);
+            if (source) {
+                source.setData(data);
+                return;
+            }
+            
+            const statusColor = ['match', ['get', 'status'],
+                ...SHORTLIST_STATUSES.flatMap(status => [status.id, status.color]),
+                '#6b7280'
+            ];
+            const polygonFilter = ['match', ['geometry-type'], ['Polygon', 'MultiPolygon'], true, false];
+            
+            this.map.addSource(sourceId, { type: 'geojson', data });
+            this.map.addLayer({
+                id: 'layer-shortlist-fill',
+                type: 'fill',
+                source: sourceId,
+                filter: polygonFilter,
+                paint: {
+                    'fill-color': statusColor,
+                    'fill-opacity': 0.2
+                }
+            });
+            this.map.addLayer({
+                id: 'layer-shortlist-line',
+                type: 'line',
+                source: sourceId,
+                filter: polygonFilter,
+                paint: {
+                    'line-color': statusColor,
+                    'line-width': 2.5,
+                    'line-dasharray': [4, 2]
+                }
+            });
+            this.map.addLayer({
+                id: 'layer-shortlist-points',
+                type: 'circle',
+                source: sourceId,
+                filter: ['any', ['!', polygonFilter], ['<', ['zoom'], 11]],
+                paint: {
+                    'circle-radius': 7,
+                    'circle-color': statusColor,
+                    'circle-stroke-color': '#facc15',
+                    'circle-stroke-width': 2
+                }
+            });
+            
+            ['layer-shortlist-fill', 'layer-shortlist-points'].forEach(layerName => {
+                this.map.on('mouseenter', layerName, () => {
+                    this.map.getCanvas().style.cursor = 'pointer';
+                });
+                this.map.on('mouseleave', layerName, () => {
+                    this.map.getCanvas().style.cursor = '';
+                });
+            });
+            
+        } catch (error) {
+            console.error('❌ Failed to show shortlist:', error);
+        }
+    }
+
+    /**
+     * Draw the dissolved exclusion masks from the last Site Finder run (replaced by the next run)
+     */
+    showExclusionMask(collection) {
+        try {
+            if (!this.map) return;
+            
+            const sourceId = 'source-exclusion-mask';
+            const data = collection || { type: 'FeatureCollection', features: [] };
+            const maskColor = ['match', ['get', 'constraint'],
+                'sssi', '#15803d',
+                'aonb', '#65a30d',
+                'nationalParks', '#166534',
+                'floodZone3', '#2563eb',
+                'residential', '#9333ea',
+                '#6b7280'
+            ];
+            
+            const source = this.map.getSource(sourceId);
+            if (source) {
+                source.setData(data);
+                return;
+            }
+            
+            this.map.addSource(sourceId, { type: 'geojson', data });
+            
+            // Beneath the result parcels so they stay clickable
+            const beforeId = this.map.getLayer('layer-site-results-fill') ? 'layer-site-results-fill' : undefined;
+            this.map.addLayer({
+                id: 'layer-exclusion-fill',
+                type: 'fill',
+                source: sourceId,
+                paint: {
+                    'fill-color': maskColor,
+                    'fill-opacity': 0.12
+                }
+            }, beforeId);
+            this.map.addLayer({
+                id: 'layer-exclusion-line',
+                type: 'line',
+                source: sourceId,
+                paint: {
+                    'line-color': maskColor,
+                    'line-width': 1,
+                    'line-dasharray': [3, 2]
+                }
+            }, beforeId);
+            
+        } catch (error) {
+            console.error('❌ Failed to show exclusion mask:', error);
+        }
+    }
+
     /**
      * Add road network layer with styling by class (M/A/B roads)
      */
@@ -569,9 +1259,8 @@ export class LayerManager {
         try {
             console.log('🛣️ Adding road network layer...');
             
-            // Generate mock road data for demonstration
-            // In production, this would load from your GCS MBTiles/PMTiles
-            const roadData = this.generateMockRoadData();
+            // Roads from DataManager's road network; empty until the layer is first shown
+            const roadData = this.dataSources.roads || { type: 'FeatureCollection', features: [] };
             
             const sourceId = 'roads-source';
             
@@ -657,54 +1346,6 @@ export class LayerManager {
         }
     }
     
-    /**
-     * Generate mock road data for demonstration
-     */
-    generateMockRoadData() {
-        const features = [];
-        const roadClasses = ['M', 'A', 'B', 'Minor'];
-        const roadNames = {
-            'M': ['M1', 'M25', 'M4', 'M6', 'M40'],
-            'A': ['A1', 'A40', 'A34', 'A413', 'A4010'],
-            'B': ['B480', 'B481', 'B4009', 'B4011'],
-            'Minor': ['Station Road', 'High Street', 'Church Lane', 'Mill Road']
-        };
-        
-        // Generate roads across UK
-        for (let i = 0; i < 100; i++) {
-            const roadClass = roadClasses[Math.floor(Math.random() * roadClasses.length)];
-            const roadName = roadNames[roadClass][Math.floor(Math.random() * roadNames[roadClass].length)];
-            
-            // Generate random road segment
-            const startLng = -6 + Math.random() * 8; // Roughly UK bounds
-            const startLat = 50 + Math.random() * 10;
-            const endLng = startLng + (Math.random() - 0.5) * 0.1;
-            const endLat = startLat + (Math.random() - 0.5) * 0.1;
-            
-            features.push({
-                type: 'Feature',
-                properties: {
-                    road_class: roadClass,
-                    road_name: roadName,
-                    surface: Math.random() > 0.1 ? 'paved' : 'unpaved',
-                    access: 'public'
-                },
-                geometry: {
-                    type: 'LineString',
-                    coordinates: [
-                        [startLng, startLat],
-                        [endLng, endLat]
-                    ]
-                }
-            });
-        }
-        
-        return {
-            type: 'FeatureCollection',
-            features: features
-        };
-    }
-
     /**
      * Toggle layer visibility
      */
@@ -725,6 +1366,7 @@ export class LayerManager {
                     
                     if (newVisibility === 'visible') {
                         this.activeLayers.add(layerId);
+                        this.ensureLayerData(layerId);
                     } else {
                         this.activeLayers.delete(layerId);
                     }
@@ -746,16 +1388,20 @@ export class LayerManager {
                 return;
             }
             
-            const layerName = this.layers[layerId];
-            const isVisible = this.map.getLayoutProperty(layerName, 'visibility') === 'visible';
+            // Some layers (AD plants, user imports) are drawn with several map layers
+            const layerNames = [].concat(this.layers[layerId]);
+            const isVisible = this.isLayerVisible(layerId);
+            
+            layerNames.forEach(layerName => {
+                this.map.setLayoutProperty(layerName, 'visibility', isVisible ? 'none' : 'visible');
+            });
             
             if (isVisible) {
-                this.map.setLayoutProperty(layerName, 'visibility', 'none');
                 this.activeLayers.delete(layerId);
                 console.log(`✅ Disabled layer: ${layerId}`);
             } else {
-                this.map.setLayoutProperty(layerName, 'visibility', 'visible');
                 this.activeLayers.add(layerId);
+                this.ensureLayerData(layerId);
                 console.log(`✅ Enabled layer: ${layerId}`);
             }
             
@@ -783,7 +1429,9 @@ export class LayerManager {
                 // Disable all layers in group
                 layers.forEach(layerId => {
                     if (this.layers[layerId]) {
-                        this.map.setLayoutProperty(this.layers[layerId], 'visibility', 'none');
+                        [].concat(this.layers[layerId]).forEach(layerName => {
+                            this.map.setLayoutProperty(layerName, 'visibility', 'none');
+                        });
                         this.activeLayers.delete(layerId);
                     }
                 });
@@ -792,8 +1440,11 @@ export class LayerManager {
                 // Enable all layers in group
                 layers.forEach(layerId => {
                     if (this.layers[layerId]) {
-                        this.map.setLayoutProperty(this.layers[layerId], 'visibility', 'visible');
+                        [].concat(this.layers[layerId]).forEach(layerName => {
+                            this.map.setLayoutProperty(layerName, 'visibility', 'visible');
+                        });
                         this.activeLayers.add(layerId);
+                        this.ensureLayerData(layerId);
                     }
                 });
                 console.log(`✅ Enabled layer group: ${groupId}`);
@@ -810,7 +1461,7 @@ export class LayerManager {
     isLayerVisible(layerId) {
         if (!this.layers[layerId]) return false;
         
-        const layerName = this.layers[layerId];
+        const [layerName] = [].concat(this.layers[layerId]);
         return this.map.getLayoutProperty(layerName, 'visibility') === 'visible';
     }
 
@@ -848,7 +1499,11 @@ export class LayerManager {
     removeLayer(layerId) {
         try {
             if (this.layers[layerId]) {
-                this.map.removeLayer(this.layers[layerId]);
+                [].concat(this.layers[layerId]).forEach(layerName => {
+                    if (this.map.getLayer(layerName)) {
+                        this.map.removeLayer(layerName);
+                    }
+                });
                 delete this.layers[layerId];
             }
             
@@ -1,3 +1,6 @@
+import { describeBNG } from '../utils/BritishNationalGrid.js';
+import { MANURE_CATEGORIES } from '../data/manureSchema.js';
+
 /**
  * MapManager - Handles MapLibre GL JS map initialization and configuration
  */
@@ -5,6 +8,7 @@ export class MapManager {
     constructor() {
         this.map = null;
         this.mapContainer = document.getElementById('map');
+        this.coordinateReadout = document.getElementById('coordinate-readout');
     }
     
     /**
@@ -171,11 +175,15 @@ export class MapManager {
             this.handleMapClick(e);
         });
         
-        // Map move event for updating coordinates
+        // Coordinate readout follows the cursor, falling back to the map centre
         this.map.on('move', () => {
             this.updateCoordinates();
         });
         
+        this.map.on('mousemove', (e) => {
+            this.updateCoordinates(e.lngLat);
+        });
+        
         // Map load event for additional setup
         this.map.on('load', () => {
             this.onMapLoad();
@@ -191,12 +199,21 @@ export class MapManager {
      * Handle map click events with priority-based feature selection
      */
     handleMapClick(e) {
-        const features = this.map.queryRenderedFeatures(e.point);
+        // Clicks place vertices while an area of interest is being drawn
+        if (window.APP_STATE?.areaOfInterestManager?.isDrawing) return;
+        
+        // Analysis overlays (feedstock catchment, isochrones, routes, areas of interest, exclusion masks) are not clickable features
+        const overlayPrefixes = ['layer-catchment-', 'layer-isochrone-', 'layer-route', 'layer-aoi-', 'layer-exclusion-'];
+        const features = this.map.queryRenderedFeatures(e.point)
+            .filter(feature => !overlayPrefixes.some(prefix => feature.layer?.id?.startsWith(prefix)));
         
         if (features.length > 0) {
             // Define feature priority (higher priority = more important)
             const featurePriorities = {
                 'layer-ad-plants': 100,           // AD plants highest priority
+                'shortlist': 99,                  // Shortlisted sites
+                'site-result': 98,                // Site Finder result parcels
+                'user': 95,                       // Imported user layers (layer-user-*)
                 'land-registry-fill': 90,         // Land registry parcels high priority
                 'layer-lad': 80,                  // LAD boundaries
                 'layer-lpa': 80,                  // LPA boundaries
@@ -213,15 +230,20 @@ export class MapManager {
                 'layer-nvz': 35,
                 'layer-flood': 35,
                 'layer-alc': 30,
+                'manure': 25,                     // Manure volume hexes (layer-beef-fym, ...)
                 'default': 10                     // Default priority
             };
             
             // Sort features by priority
-            const sortedFeatures = features.sort((a, b) => {
-                const priorityA = featurePriorities[a.layer?.id] || featurePriorities['default'];
-                const priorityB = featurePriorities[b.layer?.id] || featurePriorities['default'];
-                return priorityB - priorityA;
-            });
+            const getPriority = (feature) => {
+                const layerId = feature.layer?.id;
+                if (layerId?.startsWith('layer-user-')) return featurePriorities['user'];
+                if (layerId?.startsWith('layer-site-results')) return featurePriorities['site-result'];
+                if (layerId?.startsWith('layer-shortlist')) return featurePriorities['shortlist'];
+                if (this.getManureCategory(layerId)) return featurePriorities['manure'];
+                return featurePriorities[layerId] || featurePriorities['default'];
+            };
+            const sortedFeatures = features.sort((a, b) => getPriority(b) - getPriority(a));
             
             const feature = sortedFeatures[0];
             console.log('Clicked feature (priority-selected):', feature);
@@ -304,6 +326,19 @@ export class MapManager {
                 case 'environmental':
                     infoPanel.showEnvironmentalDetails(featureInfo.formattedProperties);
                     break;
+                case 'manure':
+                    infoPanel.showManureHexDetails(featureInfo.formattedProperties);
+                    break;
+                case 'shortlist':
+                    infoPanel.showShortlistEntry(properties.shortlistId);
+                    break;
+                case 'site-result': {
+                    const site = window.APP_STATE.siteFinder?.getSite(properties.siteId);
+                    if (site) {
+                        infoPanel.showSiteDetails(site);
+                    }
+                    break;
+                }
                 default:
                     infoPanel.showFeatureInfo(featureInfo);
             }
@@ -318,6 +353,10 @@ export class MapManager {
      * Detect feature type based on layer and properties
      */
     detectFeatureType(layerId, properties) {
+        if (layerId?.startsWith('layer-site-results')) return 'site-result';
+        if (layerId?.startsWith('layer-shortlist')) return 'shortlist';
+        if (layerId?.startsWith('layer-user-')) return 'user-data';
+        if (this.getManureCategory(layerId)) return 'manure';
         if (layerId?.includes('ad-plants')) return 'ad-plant';
         if (layerId?.includes('land-registry')) return 'land-registry';
         if (layerId?.includes('lad')) return 'lad-boundary';
@@ -329,6 +368,13 @@ export class MapManager {
         return 'generic';
     }
 
+    /**
+     * Manure category drawn by a map layer (layer-<category id>), or null
+     */
+    getManureCategory(layerId) {
+        return MANURE_CATEGORIES.find(category => `layer-${category.id}` === layerId) || null;
+    }
+
     /**
      * Format feature properties for display
      */
@@ -336,7 +382,12 @@ export class MapManager {
         const formatted = { ...properties };
         
         // Add layer-specific formatting
-        if (layerId?.includes('ad-plants')) {
+        const manureCategory = this.getManureCategory(layerId);
+        if (manureCategory) {
+            formatted.displayName = `Manure Hex ${properties.hexId ?? ''}`.trim();
+            formatted.category = 'Manure Volumes';
+            formatted.selectedCategory = manureCategory.id;
+        } else if (layerId?.includes('ad-plants')) {
             formatted.displayName = properties.name || properties.siteName || 'AD Plant';
             formatted.category = 'Anaerobic Digestion Facility';
             formatted.status = properties.status || properties.operationalStatus || 'Unknown';
@@ -453,12 +504,21 @@ export class MapManager {
     /**
      * Update coordinate display
      */
-    updateCoordinates() {
-        if (!this.map) return;
+    updateCoordinates(lngLat = null) {
+        if (!this.map || !this.coordinateReadout) return;
+        
+        const { lng, lat } = lngLat || this.map.getCenter();
+        const { easting, northing, gridReference } = describeBNG(lng, lat);
         
-        const center = this.map.getCenter();
-        // You can add a coordinate display element here if needed
-        console.log('Map center:', center.lng.toFixed(4), center.lat.toFixed(4));
+        const wgs84 = `${Math.abs(lat).toFixed(5)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lng).toFixed(5)}°${lng >= 0 ? 'E' : 'W'}`;
+        const bng = gridReference
+            ? `E ${easting} N ${northing} · ${gridReference}`
+            : 'Outside British National Grid';
+        
+        this.coordinateReadout.innerHTML = `
+            <span class="coordinate-readout-wgs84">${wgs84}</span>
+            <span class="coordinate-readout-bng">${bng}</span>
+        `;
     }
     
     /**
@@ -470,6 +530,9 @@ export class MapManager {
         // Add custom map style adjustments
         this.map.getCanvas().style.cursor = 'default';
         
+        // Initial coordinate readout for the map centre
+        this.updateCoordinates();
+        
         // You can add additional map setup here
     }
     
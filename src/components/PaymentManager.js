@@ -24,7 +24,8 @@ export class PaymentManager {
                 limits: {
                     searches: 100,
                     exports: 10,
-                    apiCalls: 1000
+                    apiCalls: 1000,
+                    titleLookups: 25
                 }
             },
             professional: {
@@ -44,7 +45,8 @@ export class PaymentManager {
                 limits: {
                     searches: 'unlimited',
                     exports: 100,
-                    apiCalls: 10000
+                    apiCalls: 10000,
+                    titleLookups: 250
                 }
             },
             enterprise: {
@@ -64,7 +66,8 @@ export class PaymentManager {
                 limits: {
                     searches: 'unlimited',
                     exports: 'unlimited',
-                    apiCalls: 100000
+                    apiCalls: 100000,
+                    titleLookups: 'unlimited'
                 }
             }
         };
@@ -374,7 +377,8 @@ export class PaymentManager {
             currentUsage: {
                 searches: Math.floor(Math.random() * 50),
                 exports: Math.floor(Math.random() * 10),
-                apiCalls: Math.floor(Math.random() * 1000)
+                apiCalls: Math.floor(Math.random() * 1000),
+                titleLookups: window.APP_STATE?.titleLookupService?.getUsage().billableThisMonth ?? 0
             }
         };
     }
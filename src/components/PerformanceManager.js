@@ -27,15 +27,15 @@ export class PerformanceManager {
     initializeWorkers() {
         try {
             // Site Analysis Worker
-            const siteAnalysisWorker = new Worker('/src/workers/siteAnalysisWorker.js', { type: 'module' });
+            const siteAnalysisWorker = new Worker(new URL('../workers/siteAnalysisWorker.js', import.meta.url), { type: 'module' });
             this.setupWorker(siteAnalysisWorker, 'siteAnalysis');
             
             // Data Processing Worker
-            const dataProcessingWorker = new Worker('/src/workers/dataProcessingWorker.js', { type: 'module' });
+            const dataProcessingWorker = new Worker(new URL('../workers/dataProcessingWorker.js', import.meta.url), { type: 'module' });
             this.setupWorker(dataProcessingWorker, 'dataProcessing');
             
             // Spatial Analysis Worker
-            const spatialAnalysisWorker = new Worker('/src/workers/spatialAnalysisWorker.js', { type: 'module' });
+            const spatialAnalysisWorker = new Worker(new URL('../workers/spatialAnalysisWorker.js', import.meta.url), { type: 'module' });
             this.setupWorker(spatialAnalysisWorker, 'spatialAnalysis');
             
             console.log('✅ WebWorkers initialized successfully');
@@ -68,7 +68,8 @@ export class PerformanceManager {
         const { type, id, results, error, progress } = e.data;
         const workerInfo = this.workers.get(workerName);
         
-        if (workerInfo) {
+        // Progress updates arrive while the task is still running
+        if (workerInfo && type !== 'PROGRESS') {
             workerInfo.busy = false;
             workerInfo.lastUsed = Date.now();
         }
@@ -87,7 +88,10 @@ export class PerformanceManager {
             case 'DISTANCES_COMPLETE':
             case 'SCORING_COMPLETE':
             case 'FILTERING_COMPLETE':
-                this.handleTaskComplete(workerName, id, results);
+            case 'IMPORT_COMPLETE':
+            case 'CATCHMENT_ANALYSIS_COMPLETE':
+            case 'SENSITIVITY_COMPLETE':
+                this.handleTaskComplete(workerName, id, results, type);
                 break;
                 
             case 'PROGRESS':
@@ -127,12 +131,13 @@ export class PerformanceManager {
     /**
      * Handle task completion
      */
-    handleTaskComplete(workerName, taskId, results) {
+    handleTaskComplete(workerName, taskId, results, type) {
         // Emit custom event for task completion
         const event = new CustomEvent('workerTaskComplete', {
             detail: {
                 worker: workerName,
                 taskId: taskId,
+                type: type,
                 results: results
             }
         });
@@ -212,6 +217,46 @@ export class PerformanceManager {
         return taskId;
     }
     
+    /**
+     * Submit a task and resolve with its results once the worker completes it
+     * onProgress receives the worker's PROGRESS percentages
+     */
+    runTask(workerName, taskType, data, onProgress = null) {
+        return new Promise((resolve, reject) => {
+            let taskId;
+            
+            const cleanup = () => {
+                document.removeEventListener('workerTaskComplete', onComplete);
+                document.removeEventListener('workerTaskError', onError);
+                document.removeEventListener('workerTaskProgress', onTaskProgress);
+            };
+            const onComplete = (event) => {
+                if (event.detail.taskId !== taskId) return;
+                cleanup();
+                resolve(event.detail.results);
+            };
+            const onError = (event) => {
+                if (event.detail.taskId !== taskId) return;
+                cleanup();
+                reject(new Error(event.detail.error));
+            };
+            const onTaskProgress = (event) => {
+                if (event.detail.taskId === taskId && onProgress) onProgress(event.detail.progress);
+            };
+            
+            document.addEventListener('workerTaskComplete', onComplete);
+            document.addEventListener('workerTaskError', onError);
+            document.addEventListener('workerTaskProgress', onTaskProgress);
+            
+            try {
+                taskId = this.submitTask(workerName, taskType, data);
+            } catch (error) {
+                cleanup();
+                reject(error);
+            }
+        });
+    }
+    
     /**
      * Check if a worker is available
      */
@@ -0,0 +1,210 @@
+import { buildSegmentIndex, nearestRoad } from '../utils/RoadGraph.js';
+
+/**
+ * RoutingManager - Drive times over the road network
+ * The routing graph lives in routingWorker and is rebuilt whenever the roadNetwork dataset changes.
+ * Isochrones are cached per origin and can be shown as map layers or used as catchment polygons.
+ */
+export class RoutingManager {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.worker = null;
+        this.tasks = new Map();
+        this.taskCounter = 0;
+
+        this.graphVersion = null;
+        this.graphStats = null;
+        this.graphPending = null;
+        this.segmentIndex = null;
+        this.isochroneCache = new Map();
+        this.isochroneCount = 0;
+
+        this.defaultBands = [15, 30, 60]; // minutes
+        this.maxRoadSearchKm = 10;
+
+        this.unsubscribe = dataManager.subscribe('roadNetwork', () => {
+            // Graph, nearest-road index and isochrones are all stale once the network changes
+            this.segmentIndex = null;
+            this.isochroneCache.clear();
+        });
+    }
+
+    /**
+     * Load the road network and (re)build the worker's graph if the dataset version changed
+     */
+    async ensureGraph() {
+        await this.dataManager.loadRoadNetwork();
+        const version = this.dataManager.getDatasetVersions(['roadNetwork']).roadNetwork;
+        if (this.graphVersion === version) return this.graphStats;
+        if (this.graphPending?.version === version) return this.graphPending.promise;
+
+        const collection = this.dataManager.getData('roadNetwork');
+        if (!collection?.features?.length) {
+            throw new Error('Road network data is not available');
+        }
+
+        const promise = this.runWorker('BUILD_GRAPH', { collection, version }).then(stats => {
+            this.graphVersion = version;
+            this.graphStats = stats;
+            this.isochroneCache.clear();
+            console.log(`🛣️ Road graph built: ${stats.nodes.toLocaleString()} nodes, ${Math.round(stats.km).toLocaleString()} km (${stats.buildMs}ms)`);
+            return stats;
+        }).finally(() => {
+            this.graphPending = null;
+        });
+
+        this.graphPending = { version, promise };
+        return promise;
+    }
+
+    /**
+     * Drive-time isochrones from a point: FeatureCollection of MultiPolygons with { minutes, label, areaKm2 }
+     */
+    async getIsochrones(origin, minutes = this.defaultBands) {
+        await this.ensureGraph();
+
+        const key = `${origin[0].toFixed(5)},${origin[1].toFixed(5)}|${[...minutes].sort((a, b) => a - b).join(',')}`;
+        if (!this.isochroneCache.has(key)) {
+            const pending = this.runWorker('ISOCHRONES', { origin, minutes });
+            this.isochroneCache.set(key, pending);
+            pending.catch(() => this.isochroneCache.delete(key));
+        }
+        return this.isochroneCache.get(key);
+    }
+
+    /**
+     * A single drive-time band as a polygon feature (for catchments)
+     */
+    async getIsochrone(origin, minutes) {
+        const collection = await this.getIsochrones(origin, this.defaultBands.includes(minutes) ? this.defaultBands : [minutes]);
+        const band = collection.features.find(feature => feature.properties.minutes === minutes);
+        if (!band) {
+            throw new Error(`No ${minutes} minute isochrone could be built`);
+        }
+        return band;
+    }
+
+    /**
+     * Fastest route between two points: { coordinates, minutes, distanceKm, kmByClass, accessKm }
+     */
+    async route(from, to) {
+        await this.ensureGraph();
+        return this.runWorker('ROUTE', { from, to });
+    }
+
+    /**
+     * Compute isochrones and add them to the User Data group as a removable layer
+     */
+    async showIsochrones(origin, name = 'Location', minutes = this.defaultBands) {
+        const { layerManager, sidebarManager, errorHandler } = window.APP_STATE || {};
+
+        try {
+            const collection = await this.getIsochrones(origin, minutes);
+            const layerId = `isochrone-${++this.isochroneCount}`;
+
+            layerManager?.addIsochroneLayer(layerId, collection);
+            sidebarManager?.addUserLayerItem(layerId, `${name} drive times (${minutes.join('/')} min)`, {
+                onRemove: (id) => {
+                    layerManager?.removeUserLayer(id);
+                    sidebarManager?.removeUserLayerItem(id);
+                }
+            });
+
+            const largest = collection.features[0];
+            if (largest) {
+                this.fitToGeometry(largest.geometry);
+            }
+            return collection;
+
+        } catch (error) {
+            console.error('❌ Isochrone calculation failed:', error);
+            if (errorHandler) {
+                errorHandler.handleError(error, 'Routing');
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Route between two points and draw it on the map
+     */
+    async showRoute(from, to) {
+        const { layerManager, errorHandler } = window.APP_STATE || {};
+
+        try {
+            const result = await this.route(from, to);
+            layerManager?.showRouteOverlay(result);
+            return result;
+
+        } catch (error) {
+            console.error('❌ Route calculation failed:', error);
+            if (errorHandler) {
+                errorHandler.handleError(error, 'Routing');
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Straight-line distance (m) from a point to the nearest road, or null if the network is not loaded.
+     * Points with no road within maxRoadSearchKm get that distance as a floor.
+     */
+    getRoadDistance(coordinates) {
+        const collection = this.dataManager.getData('roadNetwork');
+        if (!collection?.features?.length) return null;
+
+        if (!this.segmentIndex || this.segmentIndex.source !== collection) {
+            this.segmentIndex = { source: collection, index: buildSegmentIndex(collection) };
+        }
+
+        const nearest = nearestRoad(this.segmentIndex.index, coordinates, this.maxRoadSearchKm);
+        return Math.round((nearest ? nearest.km : this.maxRoadSearchKm) * 1000);
+    }
+
+    fitToGeometry(geometry) {
+        const map = window.APP_STATE?.mapManager?.map;
+        if (!map) return;
+
+        const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+        let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+        polygons.forEach(polygon => polygon[0].forEach(([x, y]) => {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }));
+        map.fitBounds([[minX, minY], [maxX, maxY]], { padding: 60 });
+    }
+
+    /**
+     * Run a task on the routing worker (created on first use)
+     */
+    runWorker(type, data) {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('../workers/routingWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => {
+                const { type: resultType, id, results, error } = event.data;
+                const task = this.tasks.get(id);
+                if (!task) return;
+                this.tasks.delete(id);
+
+                if (resultType === 'ERROR') {
+                    task.reject(new Error(error));
+                } else {
+                    task.resolve(results);
+                }
+            };
+            this.worker.onerror = (event) => {
+                this.tasks.forEach(task => task.reject(new Error(event.message || 'Routing worker failed')));
+                this.tasks.clear();
+                this.graphVersion = null;
+            };
+        }
+
+        const id = `routing_${++this.taskCounter}`;
+        return new Promise((resolve, reject) => {
+            this.tasks.set(id, { resolve, reject });
+            this.worker.postMessage({ type, data, id });
+        });
+    }
+}
@@ -0,0 +1,332 @@
+import { CURVE_TYPES, CURVE_CRITERIA, evaluateCurve, validateCurve, sampleCurve, defaultScoringCurves } from '../utils/ScoringCurves.js';
+
+const PARAMETER_LABELS = {
+    start: 'Start value',
+    startScore: 'Score at start',
+    end: 'End value',
+    endScore: 'Score at end',
+    otherwise: 'Score above last threshold',
+    offset: 'Full score up to',
+    halfDistance: 'Half-distance',
+    maxScore: 'Maximum score',
+    minScore: 'Minimum score',
+    midpoint: 'Midpoint',
+    scale: 'Scale'
+};
+
+/**
+ * ScoringCurveEditor - Edit the value-to-score curve of each curve criterion with a live preview
+ * Drafts are only applied to Site Finder when every curve is valid.
+ */
+export class ScoringCurveEditor {
+    constructor(siteFinder) {
+        this.siteFinder = siteFinder;
+        this.modal = null;
+        this.chart = null;
+        this.curves = {};
+        this.selected = Object.keys(CURVE_CRITERIA)[0];
+    }
+
+    initialize() {
+        const curvesBtn = document.getElementById('site-finder-curves-btn');
+        if (curvesBtn) {
+            curvesBtn.addEventListener('click', () => this.open());
+        }
+        console.log('✅ Scoring Curve Editor initialized');
+    }
+
+    open() {
+        this.curves = JSON.parse(JSON.stringify(this.siteFinder.mcda.curves));
+
+        this.close();
+        this.modal = document.createElement('div');
+        this.modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+        document.body.appendChild(this.modal);
+        this.render();
+    }
+
+    close() {
+        this.chart?.destroy();
+        this.chart = null;
+        this.modal?.remove();
+        this.modal = null;
+    }
+
+    render() {
+        if (!this.modal) return;
+
+        const key = this.selected;
+        const criterion = CURVE_CRITERIA[key];
+        const curve = this.curves[key];
+        const invalid = Object.keys(this.curves).filter(name => validateCurve(this.curves[name]).length > 0);
+
+        this.modal.innerHTML = `
+            <div class="bg-white rounded-lg p-6 max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-xl font-bold text-gray-800">📈 Scoring Curves</h3>
+                    <button class="curve-close text-gray-500 hover:text-gray-700">✕</button>
+                </div>
+
+                <div class="grid grid-cols-3 gap-4">
+                    <div class="space-y-1">
+                        ${Object.keys(CURVE_CRITERIA).map(name => `
+                            <button class="curve-criterion w-full text-left px-3 py-2 rounded-lg text-sm ${name === key ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}" data-criterion="${name}">
+                                <div class="font-medium">${this.label(name)}</div>
+                                <div class="text-xs ${name === key ? 'text-blue-100' : 'text-gray-500'}">${CURVE_TYPES[this.curves[name].type]?.label || this.curves[name].type}${invalid.includes(name) ? ' ⚠️' : ''}</div>
+                            </button>
+                        `).join('')}
+                    </div>
+
+                    <div class="col-span-2 space-y-3">
+                        <div class="flex items-center space-x-2 text-sm">
+                            <label class="text-gray-700">Curve</label>
+                            <select class="curve-type border rounded px-2 py-1 flex-1">
+                                ${Object.entries(CURVE_TYPES).map(([type, { label }]) => `<option value="${type}" ${type === curve.type ? 'selected' : ''}>${label}</option>`).join('')}
+                            </select>
+                            <button class="curve-reset px-2 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 text-xs">Default</button>
+                        </div>
+                        <p class="text-xs text-gray-500">${CURVE_TYPES[curve.type].description}. Scores ${this.label(criterion.attribute).toLowerCase()} (${criterion.unit}) from 0 to 10.</p>
+
+                        <div class="h-48 bg-gray-50 rounded p-2"><canvas id="curve-preview"></canvas></div>
+
+                        ${this.renderParameters(curve, criterion)}
+
+                        <p class="curve-errors text-xs text-red-700"></p>
+                    </div>
+                </div>
+
+                <div class="mt-6 flex justify-between">
+                    <button class="curve-reset-all px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200">Reset all</button>
+                    <div class="space-x-2">
+                        <button class="curve-apply px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50">Apply</button>
+                        <button class="curve-apply-run px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50 disabled:opacity-50">Apply &amp; Run</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.attachEventListeners();
+        this.renderPreview();
+    }
+
+    /**
+     * Inputs for the curve's parameters; step thresholds and piecewise points are editable rows
+     */
+    renderParameters(curve, criterion) {
+        const numberInput = (name, value) => `
+            <label class="text-xs text-gray-700">${PARAMETER_LABELS[name] || name}${['start', 'end', 'offset', 'halfDistance', 'midpoint', 'scale'].includes(name) ? ` (${criterion.unit})` : ''}
+                <input type="number" step="any" value="${value ?? ''}" data-parameter="${name}" class="curve-parameter w-full border rounded px-2 py-1 text-sm">
+            </label>
+        `;
+
+        if (curve.type === 'step' || curve.type === 'piecewise') {
+            const rowsKey = curve.type === 'step' ? 'steps' : 'points';
+            const valueLabel = curve.type === 'step' ? `Up to (${criterion.unit})` : `Value (${criterion.unit})`;
+            return `
+                <table class="w-full text-sm">
+                    <thead><tr class="text-left text-xs text-gray-500"><th>${valueLabel}</th><th>Score</th><th></th></tr></thead>
+                    <tbody>
+                        ${curve[rowsKey].map(([value, score], row) => `
+                            <tr>
+                                <td class="pr-2"><input type="number" step="any" value="${value}" data-row="${row}" data-column="0" class="curve-row w-full border rounded px-2 py-1"></td>
+                                <td class="pr-2"><input type="number" step="any" min="0" max="10" value="${score}" data-row="${row}" data-column="1" class="curve-row w-full border rounded px-2 py-1"></td>
+                                <td><button class="curve-remove-row text-red-600 hover:text-red-800 text-xs" data-row="${row}">✕</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <button class="curve-add-row text-blue-600 hover:text-blue-800 text-xs">+ Add ${curve.type === 'step' ? 'threshold' : 'point'}</button>
+                ${curve.type === 'step' ? `<div class="grid grid-cols-2 gap-2">${numberInput('otherwise', curve.otherwise)}</div>` : ''}
+            `;
+        }
+
+        return `
+            <div class="grid grid-cols-2 gap-2">
+                ${CURVE_TYPES[curve.type].parameters.map(name => numberInput(name, curve[name])).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Plot the draft curve against the default, and report validation errors
+     */
+    renderPreview() {
+        const key = this.selected;
+        const criterion = CURVE_CRITERIA[key];
+        const curve = this.curves[key];
+        const errors = validateCurve(curve);
+        const invalid = Object.keys(this.curves).some(name => validateCurve(this.curves[name]).length > 0);
+
+        const errorText = this.modal.querySelector('.curve-errors');
+        if (errorText) errorText.textContent = errors.join('; ');
+        this.modal.querySelectorAll('.curve-apply, .curve-apply-run').forEach(button => {
+            button.disabled = invalid;
+        });
+
+        const canvas = this.modal.querySelector('#curve-preview');
+        if (!canvas || !window.Chart) return;
+
+        const toPoints = (samples) => samples.map(([x, y]) => ({ x, y }));
+        const datasets = [
+            {
+                label: 'Default',
+                data: toPoints(sampleCurve(criterion.defaultCurve, criterion.domain)),
+                borderColor: '#9ca3af',
+                borderDash: [4, 4],
+                pointRadius: 0,
+                borderWidth: 1.5
+            }
+        ];
+        if (errors.length === 0) {
+            datasets.unshift({
+                label: this.label(key),
+                data: toPoints(sampleCurve(curve, criterion.domain)),
+                borderColor: '#2563eb',
+                pointRadius: 0,
+                borderWidth: 2
+            });
+        }
+
+        if (this.chart) {
+            this.chart.data.datasets = datasets;
+            this.chart.update('none');
+            return;
+        }
+
+        try {
+            this.chart = new Chart(canvas, {
+                type: 'line',
+                data: { datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    plugins: { legend: { position: 'bottom', labels: { font: { size: 11 }, boxWidth: 12 } } },
+                    scales: {
+                        x: { type: 'linear', min: criterion.domain[0], max: criterion.domain[1], title: { display: true, text: `${this.label(criterion.attribute)} (${criterion.unit})` } },
+                        y: { min: 0, max: 10, title: { display: true, text: 'Score' } }
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('❌ Failed to render scoring curve preview:', error);
+        }
+    }
+
+    attachEventListeners() {
+        const query = (selector) => this.modal.querySelector(selector);
+        const rerender = () => {
+            this.chart?.destroy();
+            this.chart = null;
+            this.render();
+        };
+        const curve = () => this.curves[this.selected];
+
+        query('.curve-close')?.addEventListener('click', () => this.close());
+        query('.curve-apply')?.addEventListener('click', () => this.apply(false));
+        query('.curve-apply-run')?.addEventListener('click', () => this.apply(true));
+        query('.curve-reset-all')?.addEventListener('click', () => {
+            this.curves = defaultScoringCurves();
+            rerender();
+        });
+        query('.curve-reset')?.addEventListener('click', () => {
+            this.curves[this.selected] = defaultScoringCurves()[this.selected];
+            rerender();
+        });
+        query('.curve-type')?.addEventListener('change', (e) => {
+            this.curves[this.selected] = this.templateCurve(e.target.value, this.selected);
+            rerender();
+        });
+
+        this.modal.querySelectorAll('.curve-criterion').forEach(button => {
+            button.addEventListener('click', () => {
+                this.selected = button.dataset.criterion;
+                rerender();
+            });
+        });
+
+        // Parameter edits redraw only the preview, so the input keeps focus
+        this.modal.querySelectorAll('.curve-parameter').forEach(input => {
+            input.addEventListener('input', () => {
+                curve()[input.dataset.parameter] = input.value === '' ? null : Number(input.value);
+                this.renderPreview();
+            });
+        });
+        this.modal.querySelectorAll('.curve-row').forEach(input => {
+            input.addEventListener('input', () => {
+                const rows = curve().type === 'step' ? curve().steps : curve().points;
+                rows[Number(input.dataset.row)][Number(input.dataset.column)] = input.value === '' ? null : Number(input.value);
+                this.renderPreview();
+            });
+        });
+        this.modal.querySelectorAll('.curve-remove-row').forEach(button => {
+            button.addEventListener('click', () => {
+                const rows = curve().type === 'step' ? curve().steps : curve().points;
+                rows.splice(Number(button.dataset.row), 1);
+                rerender();
+            });
+        });
+        query('.curve-add-row')?.addEventListener('click', () => {
+            const rows = curve().type === 'step' ? curve().steps : curve().points;
+            const last = rows[rows.length - 1];
+            const domainEnd = CURVE_CRITERIA[this.selected].domain[1];
+            rows.push(last ? [Math.min(domainEnd, last[0] + domainEnd / 10), last[1]] : [0, 10]);
+            rerender();
+        });
+    }
+
+    /**
+     * Starting parameters for a newly chosen curve type, following the current curve's shape where possible
+     */
+    templateCurve(type, key) {
+        const { domain: [min, max], defaultCurve } = CURVE_CRITERIA[key];
+        const current = this.curves[key];
+        const shape = validateCurve(current).length === 0 ? current : defaultCurve;
+        if (type === shape.type) return JSON.parse(JSON.stringify(shape));
+
+        const rising = evaluateCurve(shape, max) > evaluateCurve(shape, min);
+        const [high, low] = rising ? [0, 10] : [10, 0];
+        const points = [0, 0.25, 0.5, 0.75, 1].map(t => {
+            const value = Math.round(min + (max - min) * t);
+            return [value, Math.round(evaluateCurve(shape, value) * 10) / 10];
+        });
+
+        switch (type) {
+            case 'linear':
+                return { type, start: min, startScore: high, end: max, endScore: low };
+            case 'step':
+                return { type, steps: points.slice(1, -1).map(([value], i) => [value, points[i][1]]), otherwise: points[points.length - 1][1] };
+            case 'exponentialDecay':
+                return { type, offset: min, halfDistance: (max - min) / 4, maxScore: 10, minScore: 0 };
+            case 'sigmoid':
+                return { type, midpoint: (min + max) / 2, scale: ((max - min) / 10) * (rising ? -1 : 1), maxScore: 10, minScore: 0 };
+            case 'piecewise':
+                return { type, points };
+            default:
+                return JSON.parse(JSON.stringify(defaultCurve));
+        }
+    }
+
+    apply(run) {
+        try {
+            Object.entries(this.curves).forEach(([key, curve]) => this.siteFinder.setScoringCurve(key, curve));
+            this.close();
+            console.log('📈 Scoring curves applied');
+
+            if (run) {
+                document.getElementById('site-finder-btn')?.click();
+            }
+        } catch (error) {
+            console.error('❌ Failed to apply scoring curves:', error);
+            window.APP_STATE?.errorHandler?.handleError(error, 'Site Finder scoring curves');
+        }
+    }
+
+    label(key) {
+        const text = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
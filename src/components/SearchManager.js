@@ -1,3 +1,5 @@
+import { parseGridQuery, formatGridReference, describeBNG } from '../utils/BritishNationalGrid.js';
+
 /**
  * Enhanced SearchManager - Advanced search functionality with fuzzy search, 
  * keyboard navigation, search history, and enhanced user experience
@@ -43,6 +45,7 @@ export class SearchManager {
 
         this.initializeSearchData();
         this.setupFuseSearch();
+        this.subscribeToDatasets();
         this.setupNaturalLanguageProcessor();
         this.setupEventListeners();
         this.loadSearchHistory();
@@ -54,95 +57,33 @@ export class SearchManager {
     }
 
     /**
-     * Initialize comprehensive search data with UK AD plants
+     * Initialize search data from the shared AD plant dataset in DataManager
      */
     initializeSearchData() {
-        this.searchData = [
-            {
-                id: 1,
-                name: 'Newcastle Bioenergy Centre',
-                location: 'Newcastle upon Tyne, Tyne and Wear',
-                status: 'Operational',
-                capacity: '50,000 tonnes/year',
-                type: 'Food Waste',
-                developer: 'Newcastle City Council',
-                coordinates: [-1.6178, 54.9783],
-                region: 'North East',
-                commissioningDate: '2020-03-15',
-                technology: 'Mesophilic AD',
-                feedstock: 'Food waste, garden waste',
-                energyOutput: '2.5 MW',
-                carbonSavings: '15,000 tonnes CO2/year'
-            },
-            {
-                id: 2,
-                name: 'Bristol Anaerobic Digestion Plant',
-                location: 'Bristol, South Gloucestershire',
-                status: 'Under Construction',
-                capacity: '75,000 tonnes/year',
-                type: 'Mixed Waste',
-                developer: 'Bristol Waste Company',
-                coordinates: [-2.5879, 51.4545],
-                region: 'South West',
-                commissioningDate: '2024-06-30',
-                technology: 'Thermophilic AD',
-                feedstock: 'Mixed waste, food waste',
-                energyOutput: '3.8 MW',
-                carbonSavings: '22,500 tonnes CO2/year'
-            },
-            {
-                id: 3,
-                name: 'Leeds Biogas Facility',
-                location: 'Leeds, West Yorkshire',
-                status: 'Operational',
-                capacity: '60,000 tonnes/year',
-                type: 'Agricultural Waste',
-                developer: 'Leeds City Council',
-                coordinates: [-1.5491, 53.8008],
-                region: 'Yorkshire and Humber',
-                commissioningDate: '2019-11-20',
-                technology: 'Mesophilic AD',
-                feedstock: 'Agricultural waste, manure',
-                energyOutput: '3.0 MW',
-                carbonSavings: '18,000 tonnes CO2/year'
-            },
-            {
-                id: 4,
-                name: 'Manchester Green Energy Plant',
-                location: 'Manchester, Greater Manchester',
-                status: 'Planning',
-                capacity: '100,000 tonnes/year',
-                type: 'Food & Garden Waste',
-                developer: 'Manchester City Council',
-                coordinates: [-2.2426, 53.4808],
-                region: 'North West',
-                commissioningDate: '2025-12-31',
-                technology: 'Advanced AD',
-                feedstock: 'Food waste, garden waste, commercial waste',
-                energyOutput: '5.2 MW',
-                carbonSavings: '30,000 tonnes CO2/year'
-            },
-            {
-                id: 5,
-                name: 'Birmingham Waste to Energy',
-                location: 'Birmingham, West Midlands',
-                status: 'Operational',
-                capacity: '80,000 tonnes/year',
-                type: 'Mixed Waste',
-                developer: 'Birmingham City Council',
-                coordinates: [-1.8904, 52.4862],
-                region: 'West Midlands',
-                commissioningDate: '2021-08-10',
-                technology: 'Mesophilic AD',
-                feedstock: 'Mixed waste, food waste',
-                energyOutput: '4.0 MW',
-                carbonSavings: '24,000 tonnes CO2/year'
-            }
-        ];
+        this.searchData = window.APP_STATE?.dataManager?.getADPlantRecords() || [];
         
         console.log('📊 Loaded', this.searchData.length, 'comprehensive searchable items');
     }
 
+    /**
+     * Rebuild the search index whenever the AD plant dataset is reloaded
+     */
+    subscribeToDatasets() {
+        const dataManager = window.APP_STATE?.dataManager;
+        if (!dataManager) return;
+        
+        this.unsubscribeDatasets = dataManager.subscribe('adPlants', ({ version }) => {
+            this.initializeSearchData();
+            this.setupFuseSearch();
+            console.log(`🔄 Search index rebuilt for adPlants v${version}`);
+            
+            const currentQuery = this.searchInput?.value.trim();
+            if (currentQuery && currentQuery.length >= 2) {
+                this.performSearch(currentQuery);
+            }
+        });
+    }
+
     /**
      * Set up advanced Fuse.js configuration
      */
@@ -825,6 +766,14 @@ export class SearchManager {
         try {
             let results = [];
             
+            // Grid references ("SJ 123 456") and raw eastings/northings go straight to a map location
+            const gridLocation = parseGridQuery(query);
+            if (gridLocation) {
+                this.currentResults = [this.createGridLocationResult(gridLocation)];
+                this.displaySearchResults(this.currentResults, query);
+                return;
+            }
+            
             if (this.fuse) {
                 // Use Fuse.js for fuzzy search
                 results = this.fuse.search(query).slice(0, 20);
@@ -859,6 +808,26 @@ export class SearchManager {
         }
     }
 
+    /**
+     * Build a search result for a British National Grid location
+     */
+    createGridLocationResult(gridLocation) {
+        const { easting, northing, coordinates, gridReference, precision } = gridLocation;
+        const [lng, lat] = coordinates;
+        
+        return {
+            id: `grid-${Math.round(easting)}-${Math.round(northing)}`,
+            resultType: 'location',
+            name: gridReference,
+            location: `E ${Math.round(easting)} N ${Math.round(northing)}`,
+            coordinates,
+            easting: Math.round(easting),
+            northing: Math.round(northing),
+            precision,
+            description: `${lat.toFixed(5)}, ${lng.toFixed(5)} (WGS84)`
+        };
+    }
+
     /**
      * Apply advanced filters to search results
      */
@@ -888,11 +857,7 @@ export class SearchManager {
             case 'location':
                 return results.sort((a, b) => a.location.localeCompare(b.location));
             case 'capacity':
-                return results.sort((a, b) => {
-                    const aCap = parseInt(a.capacity.replace(/[^\d]/g, ''));
-                    const bCap = parseInt(b.capacity.replace(/[^\d]/g, ''));
-                    return bCap - aCap;
-                });
+                return results.sort((a, b) => (b.capacityKwe || 0) - (a.capacityKwe || 0));
             case 'date':
                 return results.sort((a, b) => new Date(b.commissioningDate) - new Date(a.commissioningDate));
             default: // relevance
@@ -923,6 +888,20 @@ export class SearchManager {
             const isSelected = index === this.selectedIndex;
             const selectedClass = isSelected ? 'bg-primary-50 border-l-primary-500 shadow-md' : 'bg-white hover:bg-gray-50 border-l-transparent';
             
+            if (result.resultType === 'location') {
+                return `
+                    <div class="search-result-item ${selectedClass} border-l-4 p-3 sm:p-4 cursor-pointer transition-all duration-200 rounded-lg mb-2" 
+                         data-index="${index}" data-id="${result.id}">
+                        <div class="font-semibold text-gray-900 mb-1 text-base flex items-center">
+                            <span class="mr-2">📐</span>
+                            <span>${result.name}</span>
+                        </div>
+                        <div class="text-sm text-gray-600">${result.location}</div>
+                        <div class="text-xs text-gray-500 mt-1">${result.description} · ${result.precision > 1 ? `${result.precision} m square` : 'British National Grid'}</div>
+                    </div>
+                `;
+            }
+            
             return `
                 <div class="search-result-item ${selectedClass} border-l-4 p-3 sm:p-4 cursor-pointer transition-all duration-200 rounded-lg mb-2" 
                      data-index="${index}" data-id="${result.id}">
@@ -1014,19 +993,21 @@ export class SearchManager {
      * Export search results to CSV
      */
     exportSearchResults() {
-        if (this.currentResults.length === 0) {
+        const plants = this.currentResults.filter(result => result.resultType !== 'location');
+        if (plants.length === 0) {
             alert('No results to export');
             return;
         }
 
         const headers = [
             'Name', 'Location', 'Status', 'Capacity', 'Type', 'Developer', 
-            'Region', 'Technology', 'Feedstock', 'Energy Output', 'Carbon Savings', 'Commissioning Date'
+            'Region', 'Technology', 'Feedstock', 'Energy Output', 'Carbon Savings', 'Commissioning Date',
+            'Longitude', 'Latitude', 'Easting', 'Northing', 'Grid Reference'
         ];
 
         const csvContent = [
             headers.join(','),
-            ...this.currentResults.map(result => [
+            ...plants.map(result => [
                 `"${result.name}"`,
                 `"${result.location}"`,
                 `"${result.status}"`,
@@ -1038,7 +1019,8 @@ export class SearchManager {
                 `"${result.feedstock}"`,
                 `"${result.energyOutput}"`,
                 `"${result.carbonSavings}"`,
-                `"${result.commissioningDate}"`
+                `"${result.commissioningDate}"`,
+                ...this.formatExportCoordinates(result)
             ].join(','))
         ].join('\n');
 
@@ -1053,6 +1035,28 @@ export class SearchManager {
         document.body.removeChild(link);
     }
 
+    /**
+     * Longitude, latitude, easting, northing and grid reference columns for an exported result
+     */
+    formatExportCoordinates(result) {
+        const [lng, lat] = result.coordinates || [];
+        if (!Number.isFinite(lng) || !Number.isFinite(lat)) {
+            return ['', '', '', '', ''];
+        }
+        
+        const bng = Number.isFinite(result.easting) && Number.isFinite(result.northing)
+            ? { easting: result.easting, northing: result.northing, gridReference: formatGridReference(result.easting, result.northing) }
+            : describeBNG(lng, lat);
+        
+        return [
+            lng.toFixed(6),
+            lat.toFixed(6),
+            bng.easting ?? '',
+            bng.northing ?? '',
+            `"${bng.gridReference || ''}"`
+        ];
+    }
+
     /**
      * Display search error
      */
@@ -1231,8 +1235,10 @@ export class SearchManager {
         // Focus on map location
         this.focusOnLocation(result.coordinates, result.name);
         
-        // Show in info panel
-        this.showInInfoPanel(result);
+        // Show in info panel (grid locations have no plant details)
+        if (result.resultType !== 'location') {
+            this.showInInfoPanel(result);
+        }
         
         // Hide search results
         this.hideSearchResults();
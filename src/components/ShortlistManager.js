@@ -0,0 +1,313 @@
+import { normalizeTitleNumber } from '../data/titleSources.js';
+
+const STORAGE_KEY = 'siteFinder_shortlist';
+
+/**
+ * Workflow stages a shortlisted site moves through, in order
+ */
+export const SHORTLIST_STATUSES = [
+    { id: 'screening', label: 'Screening', color: '#6b7280' },
+    { id: 'landownerContact', label: 'Landowner contact', color: '#2563eb' },
+    { id: 'preApp', label: 'Pre-application', color: '#9333ea' },
+    { id: 'submitted', label: 'Submitted', color: '#16a34a' }
+];
+
+const createId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * An attachment link as given when it is an absolute http(s) URL, otherwise null (javascript:, data: and
+ * relative links are dropped, since shared entries are opened by every collaborator)
+ */
+export function safeAttachmentUrl(url) {
+    if (!url) return null;
+    try {
+        const parsed = new URL(String(url));
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * ShortlistManager - Site Finder results promoted to a persistent shortlist
+ * Each entry is a snapshot of the site (so it survives re-runs) with a workflow status and its history,
+ * notes, attachment metadata and an owner. Personal entries are kept in localStorage; entries shared with
+ * the current collaboration workspace are stored by CollaborationManager alongside its annotations.
+ * Entries are drawn on their own map layer, coloured by status.
+ */
+export class ShortlistManager {
+    constructor(siteFinder, collaborationManager) {
+        this.siteFinder = siteFinder;
+        this.collaborationManager = collaborationManager;
+        this.entries = new Map();
+        this.button = null;
+    }
+
+    /**
+     * Restore the personal shortlist, wire the header button and draw the layer
+     */
+    initialize() {
+        this.load();
+
+        this.button = document.getElementById('shortlist-btn');
+        if (this.button) {
+            this.button.addEventListener('click', () => this.show());
+        }
+
+        // Shared entries change with the active workspace
+        document.addEventListener('workspaceChanged', () => this.refresh());
+
+        this.refresh();
+        console.log(`✅ Shortlist initialized (${this.getEntries().length} sites)`);
+    }
+
+    show() {
+        window.APP_STATE?.infoPanel?.showShortlist(this);
+    }
+
+    /**
+     * Personal entries and those shared with the current workspace, newest first
+     */
+    getEntries() {
+        const shared = this.collaborationManager?.getWorkspaceShortlist() || [];
+        return [...this.entries.values(), ...shared]
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    getEntry(id) {
+        return this.getEntries().find(entry => entry.id === id) || null;
+    }
+
+    isShortlisted(siteId) {
+        return this.getEntries().some(entry => entry.siteId === siteId);
+    }
+
+    currentUser() {
+        return window.APP_STATE?.authManager?.currentUser?.name || this.collaborationManager?.userName || 'Me';
+    }
+
+    /**
+     * Promote a site from the current Site Finder results. Shared with the active workspace by default.
+     */
+    promote(siteId, { shared = Boolean(this.collaborationManager?.getCurrentWorkspace()) } = {}) {
+        const errorHandler = window.APP_STATE?.errorHandler;
+        const results = this.siteFinder.analysisResults;
+        const site = results?.results?.find(result => result.id === siteId);
+        if (!site) {
+            console.warn(`⚠️ Site not found in current results: ${siteId}`);
+            return null;
+        }
+        if (this.isShortlisted(siteId)) {
+            errorHandler?.showWarningNotification('This site is already on the shortlist', 'Shortlist');
+            return null;
+        }
+
+        const user = this.currentUser();
+        const now = new Date().toISOString();
+        const workspace = shared ? this.collaborationManager?.getCurrentWorkspace() : null;
+        const entry = {
+            id: createId('shortlist'),
+            siteId: site.id,
+            name: `Site #${site.rank || site.id}`,
+            coordinates: site.coordinates,
+            geometry: site.geometry || null,
+            properties: { ...site.properties },
+            score: site.score,
+            rank: site.rank ?? null,
+            runId: results.manifest?.id || null,
+            status: SHORTLIST_STATUSES[0].id,
+            statusHistory: [{ status: SHORTLIST_STATUSES[0].id, at: now, by: user }],
+            owner: user,
+            notes: [],
+            attachments: [],
+            titles: [],
+            appraisal: null,
+            workspaceId: workspace?.id || null,
+            createdBy: user,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.store(entry);
+        this.refresh();
+        errorHandler?.showSuccessNotification(`${entry.name} added to the ${workspace ? `"${workspace.name}" workspace` : 'personal'} shortlist`, 'Shortlist');
+        console.log(`⭐ Shortlisted ${entry.name}`);
+        return entry;
+    }
+
+    setStatus(id, status) {
+        if (!SHORTLIST_STATUSES.some(stage => stage.id === status)) {
+            throw new Error(`Unknown shortlist status: ${status}`);
+        }
+        return this.update(id, entry => {
+            if (entry.status === status) return;
+            entry.status = status;
+            entry.statusHistory.push({ status, at: new Date().toISOString(), by: this.currentUser() });
+        });
+    }
+
+    setOwner(id, owner) {
+        return this.update(id, entry => {
+            entry.owner = owner.trim() || null;
+        });
+    }
+
+    addNote(id, text) {
+        if (!text.trim()) return null;
+        return this.update(id, entry => {
+            entry.notes.push({ id: createId('note'), text: text.trim(), author: this.currentUser(), createdAt: new Date().toISOString() });
+        });
+    }
+
+    removeNote(id, noteId) {
+        return this.update(id, entry => {
+            entry.notes = entry.notes.filter(note => note.id !== noteId);
+        });
+    }
+
+    /**
+     * Record attachment metadata for files (the files themselves are not uploaded or stored), or a link
+     */
+    addAttachments(id, files) {
+        return this.update(id, entry => {
+            Array.from(files).forEach(file => {
+                entry.attachments.push({
+                    id: createId('attachment'),
+                    name: file.name,
+                    type: file.type || null,
+                    size: file.size ?? null,
+                    url: safeAttachmentUrl(file.url),
+                    lastModified: file.lastModified ? new Date(file.lastModified).toISOString() : null,
+                    addedBy: this.currentUser(),
+                    addedAt: new Date().toISOString()
+                });
+            });
+        });
+    }
+
+    removeAttachment(id, attachmentId) {
+        return this.update(id, entry => {
+            entry.attachments = entry.attachments.filter(attachment => attachment.id !== attachmentId);
+        });
+    }
+
+    /**
+     * Title number of an entry's freehold parcel, if it has one
+     */
+    titleNumberOf(entry) {
+        return entry.properties.parcelSource === 'freeholdParcels' ? normalizeTitleNumber(entry.properties.parcelName) || null : null;
+    }
+
+    /**
+     * Add a title lookup result to the given entry and to every entry on that title
+     */
+    attachTitle(record, entryId = null) {
+        const title = {
+            titleNumber: record.titleNumber,
+            tenure: record.tenure ?? null,
+            proprietors: record.proprietors,
+            propertyAddress: record.propertyAddress ?? null,
+            dateAdded: record.dateAdded ?? null,
+            provider: record.provider,
+            retrievedAt: record.retrievedAt
+        };
+
+        this.getEntries()
+            .filter(entry => entry.id === entryId || this.titleNumberOf(entry) === record.titleNumber)
+            .forEach(entry => this.update(entry.id, target => {
+                target.titles = [...(target.titles || []).filter(existing => existing.titleNumber !== title.titleNumber), title];
+            }));
+    }
+
+    /**
+     * Move an entry between the personal shortlist and the active workspace
+     */
+    setShared(id, shared) {
+        const entry = this.getEntry(id);
+        const workspace = this.collaborationManager?.getCurrentWorkspace();
+        if (!entry) return null;
+        if (shared && !workspace) {
+            throw new Error('Join a workspace to share shortlisted sites');
+        }
+
+        this.discard(entry);
+        entry.workspaceId = shared ? workspace.id : null;
+        entry.updatedAt = new Date().toISOString();
+        this.store(entry);
+        this.refresh();
+        return entry;
+    }
+
+    remove(id) {
+        const entry = this.getEntry(id);
+        if (!entry) return;
+
+        this.discard(entry);
+        this.refresh();
+        console.log(`🗑️ Removed ${entry.name} from the shortlist`);
+    }
+
+    /**
+     * Apply a change to an entry and persist it where it lives
+     */
+    update(id, change) {
+        const entry = this.getEntry(id);
+        if (!entry) {
+            console.warn(`⚠️ Shortlist entry not found: ${id}`);
+            return null;
+        }
+
+        change(entry);
+        entry.updatedAt = new Date().toISOString();
+        this.store(entry);
+        this.refresh();
+        return entry;
+    }
+
+    store(entry) {
+        if (entry.workspaceId) {
+            this.collaborationManager?.saveShortlistEntry(entry);
+        } else {
+            this.entries.set(entry.id, entry);
+            this.save();
+        }
+    }
+
+    discard(entry) {
+        if (entry.workspaceId) {
+            this.collaborationManager?.removeShortlistEntry(entry.id);
+        } else {
+            this.entries.delete(entry.id);
+            this.save();
+        }
+    }
+
+    /**
+     * Update the header count and the map layer
+     */
+    refresh() {
+        const entries = this.getEntries();
+        if (this.button) {
+            this.button.textContent = `⭐ Shortlist (${entries.length})`;
+        }
+        window.APP_STATE?.layerManager?.showShortlist(entries);
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            const entries = saved ? JSON.parse(saved) : [];
+            this.entries = new Map(entries.map(entry => [entry.id, entry]));
+        } catch (error) {
+            console.warn('Could not load shortlist:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(Array.from(this.entries.values())));
+        } catch (error) {
+            console.warn('Could not save shortlist to localStorage:', error);
+        }
+    }
+}
@@ -439,11 +439,13 @@ export class SidebarManager {
             <div class="flex items-center justify-between">
                 <div class="flex items-center">
                     <span class="w-3 h-3 rounded-full mr-3 ${this.getCategoryColor(category)}"></span>
-                    <span class="text-sm font-medium text-gray-700">${name}</span>
+                    <span class="layer-item-name text-sm font-medium text-gray-700"></span>
                 </div>
                 ${isActive ? '<div class="layer-active-indicator ml-2 flex-shrink-0"><div class="w-4 h-4 bg-primary-600 rounded-full flex items-center justify-center"><svg class="w-2.5 h-2.5 text-white" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path></svg></div></div>' : ''}
             </div>
         `;
+        // Layer names can come from imported file names, so set them as text
+        layerItem.querySelector('.layer-item-name').textContent = name;
         
         // Add to layer items map
         this.layerItems.set(layerId, layerItem);
@@ -471,6 +473,52 @@ export class SidebarManager {
         return layerItem;
     }
 
+    /**
+     * Add an imported dataset to the User Data group, with a remove button
+     */
+    addUserLayerItem(layerId, name, { featureCount, onRemove } = {}) {
+        const container = document.getElementById('user-layers');
+        if (!container) return null;
+        
+        const label = featureCount !== undefined ? `${name} (${featureCount})` : name;
+        const layerItem = this.addLayerItem(layerId, label, 'user', true);
+        
+        if (onRemove) {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'ml-2 text-gray-400 hover:text-red-600 text-sm';
+            removeBtn.title = 'Remove layer';
+            removeBtn.textContent = '✕';
+            removeBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                onRemove(layerId);
+            });
+            layerItem.querySelector('.flex.items-center.justify-between').appendChild(removeBtn);
+        }
+        
+        container.insertBefore(layerItem, document.getElementById('user-layers-empty'));
+        document.getElementById('user-layers-empty')?.classList.add('hidden');
+        
+        // Expand the group so the new layer is visible
+        container.classList.remove('collapsed');
+        container.classList.add('expanded');
+        document.getElementById('user-data-arrow')?.classList.add('rotated');
+        
+        this.updateLayerGroupCounts();
+        return layerItem;
+    }
+
+    /**
+     * Remove an imported dataset's item, restoring the hint when the group is empty
+     */
+    removeUserLayerItem(layerId) {
+        this.removeLayerItem(layerId);
+        
+        const container = document.getElementById('user-layers');
+        if (container && !container.querySelector('.layer-item')) {
+            document.getElementById('user-layers-empty')?.classList.remove('hidden');
+        }
+    }
+
     /**
      * Get category color for layer items
      */
@@ -481,7 +529,8 @@ export class SidebarManager {
             'manure': 'bg-yellow-500',
             'environmental': 'bg-purple-500',
             'infrastructure': 'bg-red-500',
-            'landRegistry': 'bg-indigo-500'
+            'landRegistry': 'bg-indigo-500',
+            'user': 'bg-pink-500'
         };
         return colors[category] || 'bg-gray-500';
     }
@@ -1,3 +1,30 @@
+import { describeBNG } from '../utils/BritishNationalGrid.js';
+import { ConstraintSampler } from './ConstraintSampler.js';
+import { CONSTRAINT_SOURCES, EXCLUSION_MASKS, readSourceField } from '../data/constraintSources.js';
+import { featuresNearGeometry } from '../utils/FeatureIndex.js';
+import { scoreSiteSet, criteriaColumns } from '../utils/SiteScoring.js';
+import { MCDA_METHODS, DEFAULT_MCDA_METHOD, MAX_CONSISTENCY_RATIO, ahpWeights, pairwiseMatrix } from '../utils/MCDA.js';
+import { analyzeRankSensitivity, seededRandom, SENSITIVITY_DEFAULTS } from '../utils/Sensitivity.js';
+import { PersistentCache } from '../utils/PersistentCache.js';
+import { createManifest, compactResults, compareRunRecords, DEFAULT_RUN_SEED } from '../utils/RunManifest.js';
+import { CURVE_CRITERIA, defaultScoringCurves, validateCurve } from '../utils/ScoringCurves.js';
+import {
+    PARCEL_SOURCES,
+    DEFAULT_MIN_COMPACTNESS,
+    parcelReference,
+    parcelName,
+    parcelHectares
+} from '../data/parcelSources.js';
+import { areaHectares, compactness, interiorPoint, circlePolygon, radiusForHectares } from '../utils/GeometryMetrics.js';
+import { modelEnergy } from '../utils/EnergyModel.js';
+import { GAS_INJECTION_DEFAULTS } from '../data/gasNetwork.js';
+
+// Buffered features dissolved per mask for the map overlay; beyond this the overlay is partial
+const MAX_DISSOLVE_FEATURES = 300;
+
+// Scalar limit checked only after the sites' gas flows are modelled (see applyConstraints)
+const GAS_CONSTRAINT = 'gasDistance';
+
 /**
  * Enhanced SiteFinder - Advanced Multi-Criteria Decision Analysis for AD site selection
  * Now includes realistic environmental constraints, improved scoring, and data integration
@@ -8,10 +35,30 @@ export class SiteFinder {
         this.analysisResults = null;
         this.savedFilters = new Map();
         this.analysisHistory = [];
+        this.excludedSites = [];
+        this.exclusionSummary = {};
+        this.gasFlow = null;
+        this.exclusionMask = null;
+        
+        // Run manifests with their compact results, kept in IndexedDB so past runs can be repeated and diffed
+        this.runStore = new PersistentCache({ dbName: 'uk-ad-mapping-runs', maxBytes: 20 * 1024 * 1024 });
+        
+        // Site attributes are sampled from constraint layers, with source and version per value
+        this.constraintSampler = new ConstraintSampler(dataManager);
+        this.parcelDatasets = [...Object.keys(PARCEL_SOURCES), 'areasOfInterest'];
+        this.inputDatasets = ['adPlants', 'boundaries', 'roadNetwork', 'manureVolumes', ...Object.keys(CONSTRAINT_SOURCES), ...this.parcelDatasets];
         
         // Load saved filters from localStorage
         this.loadSavedFilters();
         
+        // Flag results as stale when an input dataset is reloaded
+        this.dataManager?.subscribe(this.inputDatasets, ({ name, version }) => {
+            if (this.analysisResults && this.analysisResults.datasetVersions?.[name] !== version) {
+                this.analysisResults.stale = true;
+                console.log(`⚠️ Site Finder results are stale: ${name} updated to v${version}`);
+            }
+        });
+        
         // Enhanced constraints with user-configurable ranges
         this.constraints = {
             // Environmental constraints (realistic UK values)
@@ -26,6 +73,7 @@ export class SiteFinder {
             maxSlope: 15, // degrees
             minArea: 2, // hectares
             maxArea: 100, // hectares
+            minCompactness: DEFAULT_MIN_COMPACTNESS, // Polsby-Popper, 0-1
             
             // Infrastructure constraints
             minDistanceFromGrid: 1000, // meters
@@ -42,6 +90,7 @@ export class SiteFinder {
             maxDistanceFromSSSI: 10000, // meters
             minDistanceFromNationalPark: 3000, // meters
             maxDistanceFromNationalPark: 15000, // meters
+            minDistanceFromFloodZone3: 0, // meters (parcels intersecting Flood Zone 3 are always excluded)
             
             // Additional constraints
             minElevation: 0, // meters
@@ -99,6 +148,10 @@ export class SiteFinder {
                 }
             }
         };
+        
+        // Ranking method and the AHP judgments behind the weights, restored from the last session
+        this.mcda = { method: DEFAULT_MCDA_METHOD, parameters: {}, ahp: null, curves: defaultScoringCurves() };
+        this.loadMCDAConfig();
     }
 
     /**
@@ -108,6 +161,13 @@ export class SiteFinder {
         try {
             console.log('🚀 Starting enhanced site suitability analysis...');
             
+            // Road distances come from the road network; sites are scored as unknown if it cannot be loaded
+            try {
+                await this.dataManager.loadRoadNetwork();
+            } catch (error) {
+                console.warn('⚠️ Road network unavailable, road access will be scored as unknown:', error.message);
+            }
+            
             // Check if WebWorkers are available for performance optimization
             const useWebWorkers = window.APP_STATE.performanceManager && 
                                 window.APP_STATE.performanceManager.isWorkerAvailable('siteAnalysis');
@@ -144,17 +204,26 @@ export class SiteFinder {
             console.log('🔍 Applied user filters:', appliedFilters);
             
             // Generate potential sites based on constraints
-            const potentialSites = this.generatePotentialSites(boundaries, options);
+            const potentialSites = await this.generatePotentialSites(boundaries, options);
             console.log(`📍 Generated ${potentialSites.length} potential sites`);
             
+            // Exclusion masks and limits need the constraint geometry, so they run here rather than in the worker
+            const constrainedSites = await this.applyConstraints(potentialSites);
+            console.log(`🔒 Applied constraints: ${constrainedSites.length} sites remain`);
+            
+            // Same filtering as the main thread, so both paths rank the same sites
+            const filteredSites = this.applyAdvancedFilters(constrainedSites, appliedFilters);
+            console.log(`🎯 Applied advanced filters: ${filteredSites.length} sites remain`);
+            
             // Use WebWorker for heavy computations
             const performanceManager = window.APP_STATE.performanceManager;
             
             // Submit site analysis task to WebWorker
             const taskId = performanceManager.submitTask('siteAnalysis', 'ANALYZE_SITES', {
-                sites: potentialSites,
+                sites: filteredSites,
                 constraints: this.constraints,
                 criteria: this.criteria,
+                mcda: this.mcda,
                 filters: appliedFilters
             });
             
@@ -177,15 +246,24 @@ export class SiteFinder {
                                 analysisDate: new Date().toISOString(),
                                 constraints: this.constraints,
                                 criteria: this.criteria,
+                                method: this.describeMethod(),
                                 options: options,
                                 appliedFilters: appliedFilters,
+                                datasetVersions: this.dataManager.getDatasetVersions(this.inputDatasets),
+                                sources: this.constraintSampler.describeSources(this.parcelDatasets),
+                                excluded: this.excludedSites,
+                                exclusionSummary: this.exclusionSummary,
+                                gasFlow: this.gasFlow,
+                                exclusionMask: this.exclusionMask,
                                 results: rankedSites,
                                 processingMethod: 'WebWorker'
                             };
+                            this.analysisResults.manifest = this.recordRun(this.analysisResults);
                             
                             // Add to analysis history
                             this.analysisHistory.push({
                                 id: `analysis_${Date.now()}`,
+                                runId: this.analysisResults.manifest.id,
                                 date: new Date().toISOString(),
                                 filters: appliedFilters,
                                 results: rankedSites.length,
@@ -246,11 +324,11 @@ export class SiteFinder {
             console.log('🔍 Applied user filters:', appliedFilters);
             
             // Generate potential sites based on constraints
-            const potentialSites = this.generatePotentialSites(boundaries, options);
+            const potentialSites = await this.generatePotentialSites(boundaries, options);
             console.log(`📍 Generated ${potentialSites.length} potential sites`);
             
             // Apply environmental and planning constraints
-            const constrainedSites = this.applyConstraints(potentialSites);
+            const constrainedSites = await this.applyConstraints(potentialSites);
             console.log(`🔒 Applied constraints: ${constrainedSites.length} sites remain`);
             
             // Apply advanced filtering
@@ -271,15 +349,24 @@ export class SiteFinder {
                 analysisDate: new Date().toISOString(),
                 constraints: this.constraints,
                 criteria: this.criteria,
+                method: this.describeMethod(),
                 options: options,
                 appliedFilters: appliedFilters,
+                datasetVersions: this.dataManager.getDatasetVersions(this.inputDatasets),
+                sources: this.constraintSampler.describeSources(this.parcelDatasets),
+                excluded: this.excludedSites,
+                exclusionSummary: this.exclusionSummary,
+                gasFlow: this.gasFlow,
+                exclusionMask: this.exclusionMask,
                 results: rankedSites,
                 processingMethod: 'MainThread'
             };
+            this.analysisResults.manifest = this.recordRun(this.analysisResults);
             
             // Add to analysis history
             this.analysisHistory.push({
                 id: `analysis_${Date.now()}`,
+                runId: this.analysisResults.manifest.id,
                 date: new Date().toISOString(),
                 filters: appliedFilters,
                 results: rankedSites.length,
@@ -302,72 +389,153 @@ export class SiteFinder {
     }
 
     /**
-     * Generate potential sites with realistic UK land characteristics
+     * Seeded random subset of `count` parcels (partial Fisher-Yates), kept in their original order
      */
-    generatePotentialSites(boundaries, options) {
-        const sites = [];
-        const { minArea = 2, maxArea = 50, targetCount = 1000 } = options;
-        
-        // Use existing AD plant locations as reference points
-        const referencePoints = this.dataManager.getData('adPlants') || [];
-        
-        // Generate sites around reference points and in suitable areas
-        for (let i = 0; i < targetCount; i++) {
-            const site = this.generateRealisticSite(referencePoints, boundaries, minArea, maxArea, i);
-            if (site) {
-                sites.push(site);
-            }
+    sampleParcels(parcels, count, seed) {
+        const random = seededRandom(seed);
+        const indexes = parcels.map((_, i) => i);
+        for (let i = 0; i < count; i++) {
+            const j = i + Math.floor(random() * (indexes.length - i));
+            [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+        }
+        return indexes.slice(0, count).sort((a, b) => a - b).map(i => parcels[i]);
+    }
+
+    /**
+     * Build candidate sites from real parcels (freehold titles, brownfield register entries and drawn
+     * areas of interest), keep those within the area range that are compact enough to develop, and
+     * sample their attributes from the constraint layers
+     */
+    async generatePotentialSites(boundaries, options) {
+        const {
+            minArea = this.constraints.minArea,
+            maxArea = this.constraints.maxArea,
+            minCompactness = this.constraints.minCompactness,
+            targetCount = 1000,
+            seed = DEFAULT_RUN_SEED
+        } = options;
+        
+        const layers = await this.dataManager.loadParcelLayers();
+        const parcels = [
+            ...Object.entries(layers).flatMap(([name, collection]) =>
+                (collection?.features || []).map((feature, index) => this.parcelToSite(feature, name, PARCEL_SOURCES[name], index))),
+            ...(this.dataManager.getData('areasOfInterest')?.features || []).map((feature, index) =>
+                this.parcelToSite(feature, 'areasOfInterest', null, index))
+        ].filter(Boolean);
+        
+        const candidates = parcels.filter(site =>
+            site.properties.area >= minArea &&
+            site.properties.area <= maxArea &&
+            site.properties.compactness >= minCompactness);
+        
+        const unavailable = Object.keys(PARCEL_SOURCES).filter(name => !layers[name]?.features?.length);
+        if (unavailable.length > 0) {
+            console.warn(`⚠️ Parcel layers unavailable: ${unavailable.join(', ')}`);
         }
+        if (parcels.length === 0) {
+            throw new Error('No parcel data available: load freehold or brownfield parcels, or draw an area of interest');
+        }
+        console.log(`🧩 ${candidates.length} of ${parcels.length} parcels within ${minArea}-${maxArea} ha and compactness ≥ ${minCompactness}`);
+        
+        // Drawn areas are always analysed; other parcels are sampled with the run's seed so large extracts
+        // stay bounded and the same seed picks the same parcels
+        const drawn = candidates.filter(site => site.properties.parcelSource === 'areasOfInterest');
+        const others = candidates.filter(site => site.properties.parcelSource !== 'areasOfInterest');
+        const room = Math.max(0, targetCount - drawn.length);
+        const sampled = others.length > room ? this.sampleParcels(others, room, seed) : others;
         
-        return sites;
+        return this.constraintSampler.sampleSites([...drawn, ...sampled]);
     }
 
     /**
-     * Generate a realistic site with UK-specific characteristics
+     * Re-size the gas connection of every site for the flow the energy model gives for the manure in its
+     * catchment. All or nothing: if any catchment cannot be analysed (no energy model, manure data or worker),
+     * every site keeps the design flow, so one ranking never mixes modelled and assumed flows.
+     * Returns the run's flow basis: { basis: 'modelled' | 'design', designFlowNm3h, radiusKm, energySettings, reason },
+     * where energySettings are the energy model overrides the flows were modelled with.
      */
-    generateRealisticSite(referencePoints, boundaries, minArea, maxArea, siteIndex) {
-        try {
-            // Select a random reference point or generate new coordinates
-            let coordinates;
-            if (referencePoints.length > 0 && Math.random() < 0.7) {
-                // 70% chance to generate near existing AD plants
-                const refPoint = referencePoints[Math.floor(Math.random() * referencePoints.length)];
-                coordinates = this.generateNearbyCoordinates(refPoint.coordinates, 5000, 20000);
-            } else {
-                // 30% chance to generate in new areas
-                coordinates = this.generateUKCoordinates();
+    async applyGasFlows(sites) {
+        const energyModel = window.APP_STATE?.energyModel;
+        const design = (reason) => ({ basis: 'design', designFlowNm3h: GAS_INJECTION_DEFAULTS.designFlowNm3h, radiusKm: null, energySettings: null, reason });
+        if (!energyModel) {
+            return design('Energy model not available');
+        }
+        const energySettings = JSON.parse(JSON.stringify(energyModel.settings));
+
+        const startTime = performance.now();
+        const flows = [];
+        for (const site of sites) {
+            const { mix, note, radiusKm } = await energyModel.catchmentMix(`Candidate ${site.id}`, site.coordinates, { quiet: true });
+            if (radiusKm === null) {
+                console.warn(`⚠️ Gas flows not modelled, design flow of ${GAS_INJECTION_DEFAULTS.designFlowNm3h} Nm³/h used for every site: ${note}`);
+                return design(note);
             }
-            
-            // Generate realistic site properties
-            const site = {
-                id: `site_${Date.now()}_${siteIndex}`,
-                coordinates: coordinates,
-                properties: {
-                    area: this.generateRealisticArea(minArea, maxArea),
-                    soilType: this.generateSoilType(coordinates),
-                    landUse: this.generateLandUse(coordinates),
-                    elevation: this.generateElevation(coordinates),
-                    slope: this.generateSlope(coordinates),
-                    floodRisk: this.generateFloodRisk(coordinates),
-                    biodiversity: this.generateBiodiversityScore(coordinates),
-                    waterAvailability: this.generateWaterAvailability(coordinates),
-                    roadDistance: this.calculateRoadDistance(coordinates),
-                    gridDistance: this.calculateGridDistance(coordinates),
-                    gasDistance: this.calculateGasDistance(coordinates),
-                    residentialDistance: this.calculateResidentialDistance(coordinates),
-                    protectedAreaDistance: this.calculateProtectedAreaDistance(coordinates),
-                    conservationAreaDistance: this.calculateConservationAreaDistance(coordinates),
-                    landCost: this.generateLandCost(coordinates),
-                    developmentCost: this.generateDevelopmentCost(coordinates)
-                }
-            };
-            
-            return site;
-            
-        } catch (error) {
-            console.warn('⚠️ Error generating site:', error);
+            flows.push({ flowNm3h: modelEnergy(mix, energySettings).gridInjection.capacityNm3h, source: 'manureVolumes', note, radiusKm });
+        }
+
+        sites.forEach((site, index) => {
+            const { values, provenance } = this.constraintSampler.sampleGasAttributes(site.coordinates, flows[index]);
+            Object.assign(site.properties, values);
+            Object.assign(site.provenance, provenance);
+        });
+
+        console.log(`⛽ Modelled gas entry flows for ${sites.length} sites (${(performance.now() - startTime).toFixed(0)}ms)`);
+        return { basis: 'modelled', designFlowNm3h: null, radiusKm: flows[0]?.radiusKm ?? null, energySettings, reason: null };
+    }
+
+    /**
+     * Candidate site from a parcel feature. Register entries that only record a point and an area get an
+     * equal-area circle, flagged as approximate. Returns null for features that are not usable parcels.
+     */
+    parcelToSite(feature, sourceName, source, index) {
+        const props = feature.properties || {};
+        let geometry = feature.geometry;
+        let geometryApproximate = false;
+        
+        if (geometry?.type === 'Point') {
+            const hectares = source ? parcelHectares(source, props) : null;
+            if (!hectares) return null;
+            geometry = circlePolygon(geometry.coordinates, radiusForHectares(hectares));
+            geometryApproximate = true;
+        }
+        if (geometry?.type !== 'Polygon' && geometry?.type !== 'MultiPolygon') {
             return null;
         }
+        
+        const reference = source ? parcelReference(source, props) : props.id;
+        const area = areaHectares(geometry);
+        const coordinates = interiorPoint(geometry);
+        if (!coordinates || !(area > 0)) return null;
+        
+        // Constraint attributes are filled in by ConstraintSampler. Those with no source layer yet
+        // are left unknown (null) and scored as neutral rather than invented.
+        const unsourced = {
+            landUse: null,
+            waterAvailability: null,
+            conservationAreaDistance: null,
+            landCost: null,
+            developmentCost: null
+        };
+        const parcelVersion = this.dataManager.getDatasetVersions([sourceName])[sourceName] || null;
+        
+        return {
+            id: `${sourceName}_${String(reference ?? index).replace(/[^\w.-]/g, '_')}`,
+            coordinates,
+            geometry,
+            properties: {
+                area: Math.round(area * 100) / 100,
+                compactness: Math.round(compactness(geometry) * 100) / 100,
+                parcelSource: sourceName,
+                parcelRef: reference ?? null,
+                parcelName: source ? parcelName(source, props) : props.name || null,
+                geometryApproximate,
+                ...unsourced
+            },
+            provenance: {
+                area: { source: sourceName, version: parcelVersion, ...(reference ? { feature: String(reference) } : {}) },
+                ...Object.fromEntries(Object.keys(unsourced).map(attribute => [attribute, { source: null }]))
+            }
+        };
     }
 
     /**
@@ -401,32 +569,35 @@ export class SiteFinder {
             return sites;
         }
         
+        const { below, above } = this;
+        
         return sites.filter(site => {
             const props = site.properties;
             
             // Area filtering
-            if (filters.minArea && props.area < filters.minArea) return false;
-            if (filters.maxArea && props.area > filters.maxArea) return false;
+            if (below(props.area, filters.minArea)) return false;
+            if (above(props.area, filters.maxArea)) return false;
+            if (below(props.compactness, filters.minCompactness)) return false;
             
             // Distance filtering
-            if (filters.minDistanceFromRoad && props.roadDistance < filters.minDistanceFromRoad) return false;
-            if (filters.maxDistanceFromRoad && props.roadDistance > filters.maxDistanceFromRoad) return false;
+            if (below(props.roadDistance, filters.minDistanceFromRoad)) return false;
+            if (above(props.roadDistance, filters.maxDistanceFromRoad)) return false;
             
-            if (filters.minDistanceFromGrid && props.gridDistance < filters.minDistanceFromGrid) return false;
-            if (filters.maxDistanceFromGrid && props.gridDistance > filters.maxDistanceFromGrid) return false;
+            if (below(props.gridDistance, filters.minDistanceFromGrid)) return false;
+            if (above(props.gridDistance, filters.maxDistanceFromGrid)) return false;
             
-            if (filters.minDistanceFromGas && props.gasDistance < filters.minDistanceFromGas) return false;
-            if (filters.maxDistanceFromGas && props.gasDistance > filters.maxDistanceFromGas) return false;
+            if (below(props.gasDistance, filters.minDistanceFromGas)) return false;
+            if (above(props.gasDistance, filters.maxDistanceFromGas)) return false;
             
             // Environmental filtering
-            if (filters.maxSlope && props.slope > filters.maxSlope) return false;
-            if (filters.minSoilQuality && props.soilQuality < filters.minSoilQuality) return false;
-            if (filters.maxFloodRisk && props.floodRisk > filters.maxFloodRisk) return false;
-            if (filters.minWaterAvailability && props.waterAvailability < filters.minWaterAvailability) return false;
+            if (above(props.slope, filters.maxSlope)) return false;
+            if (below(props.soilQuality, filters.minSoilQuality)) return false;
+            if (above(props.floodRisk, filters.maxFloodRisk)) return false;
+            if (below(props.waterAvailability, filters.minWaterAvailability)) return false;
             
             // Elevation filtering
-            if (filters.minElevation && props.elevation < filters.minElevation) return false;
-            if (filters.maxElevation && props.elevation > filters.maxElevation) return false;
+            if (below(props.elevation, filters.minElevation)) return false;
+            if (above(props.elevation, filters.maxElevation)) return false;
             
             return true;
         });
@@ -438,6 +609,7 @@ export class SiteFinder {
     saveFilter(name, filterConfig) {
         this.savedFilters.set(name, {
             ...filterConfig,
+            curves: JSON.parse(JSON.stringify(this.mcda.curves)),
             savedAt: new Date().toISOString(),
             id: `filter_${Date.now()}`
         });
@@ -489,13 +661,15 @@ export class SiteFinder {
         });
         
         // Distance recommendations
-        const roadDistances = topSites.map(site => site.properties.roadDistance);
-        const avgRoadDistance = roadDistances.reduce((a, b) => a + b, 0) / roadDistances.length;
-        recommendations.push({
-            type: 'roadDistance',
-            message: `Optimal road distance: ${avgRoadDistance.toFixed(0)}m`,
-            suggestedRange: [Math.max(100, avgRoadDistance * 0.8), Math.min(5000, avgRoadDistance * 1.2)]
-        });
+        const roadDistances = topSites.map(site => site.properties.roadDistance).filter(distance => distance !== null);
+        if (roadDistances.length > 0) {
+            const avgRoadDistance = roadDistances.reduce((a, b) => a + b, 0) / roadDistances.length;
+            recommendations.push({
+                type: 'roadDistance',
+                message: `Optimal road distance: ${avgRoadDistance.toFixed(0)}m`,
+                suggestedRange: [Math.max(100, avgRoadDistance * 0.8), Math.min(5000, avgRoadDistance * 1.2)]
+            });
+        }
         
         return recommendations;
     }
@@ -552,13 +726,15 @@ export class SiteFinder {
             type: 'FeatureCollection',
             features: results.map(site => ({
                 type: 'Feature',
-                geometry: {
+                geometry: site.geometry || {
                     type: 'Point',
                     coordinates: site.coordinates
                 },
                 properties: {
                     id: site.id,
+                    rank: site.rank,
                     score: site.score || 0,
+                    labelPoint: site.coordinates,
                     ...site.properties
                 }
             }))
@@ -607,549 +783,564 @@ export class SiteFinder {
     }
     
     /**
-     * Generate realistic UK coordinates
+     * Apply environmental and planning constraints to sites. Parcels are first tested against the hard
+     * exclusion masks, then the scalar limits. Every reason a site fails is kept in this.excludedSites
+     * ("excluded because") for client reports.
      */
-    generateUKCoordinates() {
-        // UK bounding box: approximately -8.5 to 2.0 longitude, 49.5 to 61.0 latitude
-        const lng = -8.5 + Math.random() * 10.5;
-        const lat = 49.5 + Math.random() * 11.5;
-        return [lng, lat];
-    }
-
-    /**
-     * Generate coordinates near a reference point
-     */
-    generateNearbyCoordinates(referenceCoords, minDistance, maxDistance) {
-        const [refLng, refLat] = referenceCoords;
-        const distance = minDistance + Math.random() * (maxDistance - minDistance);
-        const bearing = Math.random() * 360;
-        
-        // Convert to radians
-        const lat1 = refLat * Math.PI / 180;
-        const lng1 = refLng * Math.PI / 180;
-        const brng = bearing * Math.PI / 180;
-        
-        // Calculate new position
-        const lat2 = Math.asin(
-            Math.sin(lat1) * Math.cos(distance / 6371000) +
-            Math.cos(lat1) * Math.sin(distance / 6371000) * Math.cos(brng)
-        );
-        
-        const lng2 = lng1 + Math.atan2(
-            Math.sin(brng) * Math.sin(distance / 6371000) * Math.cos(lat1),
-            Math.cos(distance / 6371000) - Math.sin(lat1) * Math.sin(lat2)
-        );
-        
-        return [lng2 * 180 / Math.PI, lat2 * 180 / Math.PI];
+    async applyConstraints(sites) {
+        const masks = this.prepareExclusionMasks();
+        const excluded = [];
+        
+        // The gas connection depends on each site's modelled flow, which is only worth modelling for the sites
+        // that pass every other constraint; the gas distance limit is checked once it is known
+        const reasonsById = new Map(sites.map(site => [site.id, [
+            ...this.exclusionReasons(site, masks),
+            ...this.constraintReasons(site.properties).filter(reason => reason.constraint !== GAS_CONSTRAINT)
+        ]]));
+        const eligible = sites.filter(site => reasonsById.get(site.id).length === 0);
+        this.gasFlow = await this.applyGasFlows(eligible);
+        eligible.forEach(site => {
+            reasonsById.get(site.id).push(...this.constraintReasons(site.properties).filter(reason => reason.constraint === GAS_CONSTRAINT));
+        });
+        
+        const kept = sites.filter(site => {
+            const reasons = reasonsById.get(site.id);
+            if (reasons.length === 0) {
+                return true;
+            }
+            excluded.push({
+                id: site.id,
+                coordinates: site.coordinates,
+                parcelSource: site.properties.parcelSource ?? null,
+                parcelRef: site.properties.parcelRef ?? null,
+                area: site.properties.area,
+                reasons
+            });
+            return false;
+        });
+        
+        this.excludedSites = excluded;
+        this.exclusionSummary = Object.fromEntries(masks.map(mask => [mask.name, {
+            label: mask.label,
+            source: mask.dataset,
+            version: mask.version,
+            bufferM: mask.bufferM,
+            available: Boolean(mask.index),
+            excluded: excluded.filter(site => site.reasons.some(reason => reason.constraint === mask.name)).length
+        }]));
+        this.exclusionMask = this.dissolveExclusionMasks(masks);
+        
+        console.log(`🚫 Exclusion masks removed ${excluded.filter(site => site.reasons.some(reason => reason.type === 'mask')).length} parcels`);
+        return kept;
     }
 
     /**
-     * Generate realistic site area
+     * Exclusion masks with their constraint layer indexes and buffer distances
      */
-    generateRealisticArea(minArea, maxArea) {
-        // Most AD plants are between 2-20 hectares, with some larger ones
-        const distribution = Math.random();
-        if (distribution < 0.6) {
-            // 60% small sites (2-10 ha)
-            return minArea + Math.random() * 8;
-        } else if (distribution < 0.9) {
-            // 30% medium sites (10-30 ha)
-            return 10 + Math.random() * 20;
-        } else {
-            // 10% large sites (30-50 ha)
-            return 30 + Math.random() * 20;
+    prepareExclusionMasks() {
+        const masks = Object.entries(EXCLUSION_MASKS).map(([name, mask]) => ({
+            name,
+            label: mask.label,
+            dataset: mask.dataset,
+            version: this.dataManager.getDatasetVersions([mask.dataset])[mask.dataset] || null,
+            bufferM: Math.max(0, this.constraints[mask.constraint] || 0),
+            index: this.constraintSampler.exclusionIndex(name, mask),
+            hits: new Set()
+        }));
+        
+        const unavailable = masks.filter(mask => !mask.index).map(mask => mask.label);
+        if (unavailable.length > 0) {
+            console.warn(`⚠️ Exclusion masks not applied, layers unavailable: ${unavailable.join(', ')}`);
         }
+        return masks;
     }
 
     /**
-     * Generate realistic soil type based on UK soil distribution
+     * Masks a parcel intersects once each is buffered: any constraint feature within the buffer distance
      */
-    generateSoilType(coordinates) {
-        const soilTypes = [
-            'Clay', 'Silt', 'Sandy', 'Loamy', 'Peaty', 'Chalky'
-        ];
-        const weights = [0.3, 0.2, 0.2, 0.15, 0.1, 0.05]; // UK soil distribution
+    exclusionReasons(site, masks) {
+        const geometry = site.geometry || { type: 'Point', coordinates: site.coordinates };
+        const reasons = [];
         
-        return this.weightedRandomChoice(soilTypes, weights);
+        masks.forEach(mask => {
+            if (!mask.index) return;
+            
+            const near = featuresNearGeometry(mask.index, geometry, mask.bufferM / 1000);
+            if (near.length === 0) return;
+            
+            near.forEach(({ feature }) => mask.hits.add(feature));
+            const nearest = near[0];
+            const featureName = readSourceField(CONSTRAINT_SOURCES[mask.dataset], nearest.feature.properties || {});
+            const distanceM = Math.round(nearest.km * 1000);
+            const subject = featureName ? `${mask.label} (${featureName})` : mask.label;
+            reasons.push({
+                type: 'mask',
+                constraint: mask.name,
+                label: mask.label,
+                source: mask.dataset,
+                version: mask.version,
+                bufferM: mask.bufferM,
+                distanceM,
+                feature: featureName ? String(featureName) : null,
+                message: distanceM === 0 ? `Intersects ${subject}` : `${distanceM} m from ${subject}, within the ${mask.bufferM} m buffer`
+            });
+        });
+        return reasons;
     }
 
     /**
-     * Generate realistic land use
+     * Scalar limits the site's sampled attributes fail; unknown values never fail a limit
      */
-    generateLandUse(coordinates) {
-        const landUses = [
-            'Agricultural', 'Pasture', 'Forest', 'Wetland', 'Brownfield', 'Greenfield'
-        ];
-        const weights = [0.4, 0.25, 0.2, 0.1, 0.03, 0.02]; // UK land use distribution
+    constraintReasons(props) {
+        const { below, above } = this;
+        const limits = this.constraints;
+        const reasons = [];
+        const fail = (constraint, label, message) => reasons.push({ type: 'limit', constraint, label, message });
         
-        return this.weightedRandomChoice(landUses, weights);
-    }
-
-    /**
-     * Generate realistic elevation
-     */
-    generateElevation(coordinates) {
-        // UK elevation ranges from sea level to ~1,300m
-        const [lng, lat] = coordinates;
-        
-        // Rough elevation model for UK
-        if (lat > 56) {
-            // Scotland - higher elevations
-            return 100 + Math.random() * 1200;
-        } else if (lat > 52) {
-            // Northern England - medium elevations
-            return 50 + Math.random() * 800;
-        } else {
-            // Southern England - lower elevations
-            return 10 + Math.random() * 400;
+        // Area
+        if (props.area < limits.minArea || props.area > limits.maxArea) {
+            fail('area', 'Area', `${props.area} ha outside ${limits.minArea}-${limits.maxArea} ha`);
         }
-    }
-
-    /**
-     * Generate realistic slope
-     */
-    generateSlope(coordinates) {
-        const elevation = this.generateElevation(coordinates);
-        
-        // Higher elevations tend to have steeper slopes
-        if (elevation > 500) {
-            return 5 + Math.random() * 25; // 5-30 degrees
-        } else if (elevation > 200) {
-            return 2 + Math.random() * 15; // 2-17 degrees
-        } else {
-            return 1 + Math.random() * 8; // 1-9 degrees
+        
+        // Slope
+        if (above(props.slope, limits.maxSlope)) {
+            fail('maxSlope', 'Slope', `Slope ${props.slope}° exceeds ${limits.maxSlope}°`);
         }
-    }
-
-    /**
-     * Generate flood risk score
-     */
-    generateFloodRisk(coordinates) {
-        const [lng, lat] = coordinates;
-        
-        // Coastal and river areas have higher flood risk
-        if (Math.abs(lng) < 1.5 && lat < 52) {
-            // Southeast England - higher flood risk
-            return 3 + Math.random() * 7; // 3-10
-        } else if (Math.abs(lng) < 2.5 && lat < 54) {
-            // Central England - medium flood risk
-            return 2 + Math.random() * 6; // 2-8
-        } else {
-            // Northern areas - lower flood risk
-            return 1 + Math.random() * 4; // 1-5
+        
+        // Distance constraints
+        if (below(props.residentialDistance, limits.minDistanceFromResidential)) {
+            fail('minDistanceFromResidential', 'Residential distance', `${props.residentialDistance} m from housing, minimum ${limits.minDistanceFromResidential} m`);
         }
+        if (above(props.roadDistance, limits.maxDistanceFromRoad)) {
+            fail('maxDistanceFromRoad', 'Road access', `${props.roadDistance} m from a road, maximum ${limits.maxDistanceFromRoad} m`);
+        }
+        if (below(props.protectedAreaDistance, limits.minDistanceFromProtectedArea)) {
+            fail('minDistanceFromProtectedArea', 'Protected area distance', `${props.protectedAreaDistance} m from a protected area, minimum ${limits.minDistanceFromProtectedArea} m`);
+        }
+        if (below(props.conservationAreaDistance, limits.minDistanceFromConservationArea)) {
+            fail('minDistanceFromConservationArea', 'Conservation area distance', `${props.conservationAreaDistance} m from a conservation area, minimum ${limits.minDistanceFromConservationArea} m`);
+        }
+        
+        // Infrastructure constraints
+        if (below(props.gridDistance, limits.minDistanceFromGrid) || above(props.gridDistance, limits.maxDistanceFromGrid)) {
+            fail('gridDistance', 'Grid connection', `${props.gridDistance} m from a substation, allowed ${limits.minDistanceFromGrid}-${limits.maxDistanceFromGrid} m`);
+        }
+        if (below(props.gasDistance, limits.minDistanceFromGas) || above(props.gasDistance, limits.maxDistanceFromGas)) {
+            fail(GAS_CONSTRAINT, 'Gas connection', `${props.gasDistance} m from the gas network, allowed ${limits.minDistanceFromGas}-${limits.maxDistanceFromGas} m`);
+        }
+        
+        return reasons;
     }
 
     /**
-     * Generate biodiversity score
+     * Buffer and dissolve the constraint features that excluded parcels into one polygon per mask, for the
+     * map. Exclusion itself does not depend on this (it tests distance to each feature, which is exact).
      */
-    generateBiodiversityScore(coordinates) {
-        const [lng, lat] = coordinates;
-        
-        // Areas with more natural habitats have higher biodiversity
-        if (lat > 55) {
-            // Scotland - higher biodiversity
-            return 6 + Math.random() * 4; // 6-10
-        } else if (lat > 52) {
-            // Northern England - medium biodiversity
-            return 4 + Math.random() * 4; // 4-8
-        } else {
-            // Southern England - lower biodiversity (more developed)
-            return 2 + Math.random() * 4; // 2-6
-        }
+    dissolveExclusionMasks(masks) {
+        if (typeof turf === 'undefined') return null;
+        
+        const features = [];
+        masks.forEach(mask => {
+            if (mask.hits.size === 0) return;
+            
+            try {
+                const parts = Array.from(mask.hits).slice(0, MAX_DISSOLVE_FEATURES)
+                    .map(feature => mask.bufferM > 0
+                        ? turf.buffer(feature, mask.bufferM / 1000, { units: 'kilometers', steps: 8 })
+                        : feature)
+                    .filter(part => part?.geometry && ['Polygon', 'MultiPolygon'].includes(part.geometry.type));
+                if (parts.length === 0) return;
+                
+                const dissolved = parts.slice(1).reduce((union, part) => turf.union(union, part) || union, parts[0]);
+                features.push({
+                    type: 'Feature',
+                    geometry: dissolved.geometry,
+                    properties: { constraint: mask.name, label: mask.label, bufferM: mask.bufferM, features: mask.hits.size }
+                });
+            } catch (error) {
+                console.warn(`⚠️ Could not dissolve ${mask.label} exclusion mask:`, error.message);
+            }
+        });
+        return { type: 'FeatureCollection', features };
     }
 
     /**
-     * Generate water availability score
+     * Limit checks that let unknown (null) values through; unknowns are scored as neutral instead
      */
-    generateWaterAvailability(coordinates) {
-        const [lng, lat] = coordinates;
-        
-        // Areas with more rainfall have higher water availability
-        if (lat > 55) {
-            // Scotland - high rainfall
-            return 7 + Math.random() * 3; // 7-10
-        } else if (lat > 52) {
-            // Northern England - medium rainfall
-            return 5 + Math.random() * 3; // 5-8
-        } else {
-            // Southern England - lower rainfall
-            return 3 + Math.random() * 4; // 3-7
-        }
+    below(value, limit) {
+        return Boolean(limit) && value !== null && value !== undefined && value < limit;
     }
 
-    /**
-     * Calculate road distance (simplified)
-     */
-    calculateRoadDistance(coordinates) {
-        // Simplified calculation - in real implementation, this would use actual road network data
-        return 500 + Math.random() * 3000; // 500m to 3.5km
+    above(value, limit) {
+        return Boolean(limit) && value !== null && value !== undefined && value > limit;
     }
 
     /**
-     * Calculate grid connection distance
+     * Score sites with the selected MCDA method (weighted sum, TOPSIS or ELECTRE); the same
+     * scoring runs in siteAnalysisWorker
      */
-    calculateGridDistance(coordinates) {
-        // Most UK areas have grid access within 5-15km
-        return 3000 + Math.random() * 12000; // 3km to 15km
+    scoreSites(sites) {
+        return scoreSiteSet(sites, this.criteria, this.mcda);
     }
 
     /**
-     * Calculate gas connection distance
+     * Choose the ranking method used by the next analysis
      */
-    calculateGasDistance(coordinates) {
-        // Gas network coverage varies across UK
-        return 2000 + Math.random() * 8000; // 2km to 10km
+    setMCDAMethod(method, parameters = {}) {
+        if (!MCDA_METHODS[method]) {
+            throw new Error(`Unknown MCDA method: ${method}`);
+        }
+        this.mcda = { ...this.mcda, method, parameters: { ...(MCDA_METHODS[method].parameters || {}), ...parameters } };
+        this.saveMCDAConfig();
     }
 
     /**
-     * Calculate residential area distance
+     * Replace the scoring curve of one curve criterion (roadAccess, gridConnection, ...)
      */
-    calculateResidentialDistance(coordinates) {
-        // Ensure minimum distance from residential areas
-        return 800 + Math.random() * 2000; // 800m to 2.8km
+    setScoringCurve(key, curve) {
+        if (!CURVE_CRITERIA[key]) {
+            throw new Error(`${key} is not scored by a curve`);
+        }
+        const errors = validateCurve(curve);
+        if (errors.length > 0) {
+            throw new Error(`Invalid ${key} curve: ${errors.join('; ')}`);
+        }
+        this.mcda = { ...this.mcda, curves: { ...this.mcda.curves, [key]: curve } };
+        this.saveMCDAConfig();
     }
 
-    /**
-     * Calculate protected area distance
-     */
-    calculateProtectedAreaDistance(coordinates) {
-        // Distance from various protected areas
-        return 1500 + Math.random() * 5000; // 1.5km to 6.5km
+    resetScoringCurves() {
+        this.mcda = { ...this.mcda, curves: defaultScoringCurves() };
+        this.saveMCDAConfig();
     }
 
     /**
-     * Calculate conservation area distance
+     * Weights implied by AHP pairwise judgments, without applying them.
+     * judgments: { categories: { 'environmental|social': 3, ... }, environmental: { 'soilQuality|floodRisk': 1/2, ... }, ... }
      */
-    calculateConservationAreaDistance(coordinates) {
-        return 2500 + Math.random() * 5000; // 2.5km to 7.5km
+    deriveAHPWeights(judgments = {}) {
+        const groups = {};
+        const categories = Object.keys(this.criteria);
+        groups.categories = { keys: categories, ...ahpWeights(pairwiseMatrix(categories, judgments.categories)) };
+        categories.forEach(category => {
+            const keys = Object.keys(this.criteria[category].subCriteria);
+            groups[category] = { keys, ...ahpWeights(pairwiseMatrix(keys, judgments[category])) };
+        });
+        
+        return {
+            groups,
+            consistent: Object.values(groups).every(group => group.consistencyRatio <= MAX_CONSISTENCY_RATIO)
+        };
     }
 
     /**
-     * Generate realistic land cost
+     * Replace the category and sub-criterion weights with those derived from AHP judgments.
+     * Inconsistent judgments (CR above 0.10 in any matrix) are rejected.
      */
-    generateLandCost(coordinates) {
-        const [lng, lat] = coordinates;
-        
-        // Land costs vary significantly across UK
-        if (lat > 55) {
-            // Scotland - lower land costs
-            return 5000 + Math.random() * 15000; // £5k-20k per hectare
-        } else if (lat > 52) {
-            // Northern England - medium land costs
-            return 8000 + Math.random() * 22000; // £8k-30k per hectare
-        } else {
-            // Southern England - higher land costs
-            return 15000 + Math.random() * 35000; // £15k-50k per hectare
+    applyAHPWeights(judgments) {
+        const { groups, consistent } = this.deriveAHPWeights(judgments);
+        if (!consistent) {
+            const failing = Object.entries(groups)
+                .filter(([, group]) => group.consistencyRatio > MAX_CONSISTENCY_RATIO)
+                .map(([name, group]) => `${name} (CR ${group.consistencyRatio.toFixed(2)})`);
+            throw new Error(`Pairwise judgments are inconsistent: ${failing.join(', ')}. Revise them so every CR is at most ${MAX_CONSISTENCY_RATIO}.`);
         }
+        
+        groups.categories.keys.forEach((category, i) => {
+            this.criteria[category].weight = groups.categories.weights[i];
+            groups[category].keys.forEach((key, j) => {
+                this.criteria[category].subCriteria[key].weight = groups[category].weights[j];
+            });
+        });
+        
+        this.mcda = {
+            ...this.mcda,
+            ahp: {
+                judgments,
+                consistencyRatios: Object.fromEntries(Object.entries(groups).map(([name, group]) => [name, group.consistencyRatio])),
+                appliedAt: new Date().toISOString()
+            }
+        };
+        this.saveMCDAConfig();
+        console.log('⚖️ AHP weights applied:', Object.fromEntries(Object.entries(this.criteria).map(([name, { weight }]) => [name, weight.toFixed(3)])));
+        return groups;
     }
 
     /**
-     * Generate development cost
+     * Method, parameters, effective weights and AHP judgments of the current scoring, stored with each
+     * analysis so its ranking can be reproduced
      */
-    generateDevelopmentCost(coordinates) {
-        const landCost = this.generateLandCost(coordinates);
-        
-        // Development costs are typically 3-5x land costs
-        return landCost * (3 + Math.random() * 2);
+    describeMethod() {
+        return {
+            id: this.mcda.method,
+            label: MCDA_METHODS[this.mcda.method].label,
+            parameters: { ...this.mcda.parameters },
+            weights: criteriaColumns(this.criteria),
+            ahp: this.mcda.ahp ? JSON.parse(JSON.stringify(this.mcda.ahp)) : null,
+            curves: JSON.parse(JSON.stringify(this.mcda.curves))
+        };
     }
 
     /**
-     * Weighted random choice utility
+     * Save and restore the method, AHP judgments, the weights they produced and the scoring curves
      */
-    weightedRandomChoice(items, weights) {
-        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
-        let random = Math.random() * totalWeight;
-        
-        for (let i = 0; i < items.length; i++) {
-            random -= weights[i];
-            if (random <= 0) {
-                return items[i];
-            }
+    saveMCDAConfig() {
+        try {
+            localStorage.setItem('siteFinder_mcda', JSON.stringify({ ...this.mcda, criteria: this.criteria }));
+        } catch (error) {
+            console.warn('Could not save MCDA settings to localStorage:', error);
         }
-        
-        return items[items.length - 1];
     }
 
-    /**
-     * Apply environmental and planning constraints to sites
-     */
-    applyConstraints(sites) {
-        return sites.filter(site => {
-            const props = site.properties;
-            
-            // Check area constraints
-            if (props.area < this.constraints.minArea || props.area > this.constraints.maxArea) {
-                return false;
-            }
-            
-            // Check slope constraints
-            if (props.slope > this.constraints.maxSlope) {
-                return false;
-            }
-            
-            // Check distance constraints
-            if (props.residentialDistance < this.constraints.minDistanceFromResidential) {
-                return false;
-            }
-            
-            if (props.roadDistance > this.constraints.maxDistanceFromRoad) {
-                return false;
-            }
-            
-            if (props.protectedAreaDistance < this.constraints.minDistanceFromProtectedArea) {
-                return false;
-            }
-            
-            if (props.conservationAreaDistance < this.constraints.minDistanceFromConservationArea) {
-                return false;
-            }
-            
-            // Check infrastructure constraints
-            if (props.gridDistance < this.constraints.minDistanceFromGrid || 
-                props.gridDistance > this.constraints.maxDistanceFromGrid) {
-                return false;
-            }
+    loadMCDAConfig() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('siteFinder_mcda') || 'null');
+            if (!saved) return;
             
-            if (props.gasDistance < this.constraints.minDistanceFromGas || 
-                props.gasDistance > this.constraints.maxDistanceFromGas) {
-                return false;
+            if (MCDA_METHODS[saved.method]) {
+                this.mcda = { ...this.mcda, method: saved.method, parameters: saved.parameters || {}, ahp: saved.ahp || null };
             }
-            
-            return true;
-        });
+            Object.entries(saved.curves || {}).forEach(([key, curve]) => {
+                if (CURVE_CRITERIA[key] && validateCurve(curve).length === 0) {
+                    this.mcda.curves[key] = curve;
+                }
+            });
+            Object.entries(saved.criteria || {}).forEach(([category, { weight, subCriteria }]) => {
+                if (!this.criteria[category]) return;
+                this.criteria[category].weight = weight;
+                Object.entries(subCriteria || {}).forEach(([key, sub]) => {
+                    if (this.criteria[category].subCriteria[key]) {
+                        this.criteria[category].subCriteria[key].weight = sub.weight;
+                    }
+                });
+            });
+        } catch (error) {
+            console.warn('Could not load MCDA settings:', error);
+        }
     }
 
     /**
-     * Score sites using enhanced MCDA methodology
+     * Rank sites by suitability score
      */
-    scoreSites(sites) {
-        return sites.map(site => {
-            const props = site.properties;
-            
-            // Calculate environmental score
-            const environmentalScore = this.calculateCriterionScore('environmental', {
-                soilQuality: this.calculateSoilQualityScore(props.soilType),
-                waterAvailability: props.waterAvailability,
-                biodiversity: props.biodiversity,
-                floodRisk: this.calculateFloodRiskScore(props.floodRisk)
-            });
-            
-            // Calculate infrastructure score
-            const infrastructureScore = this.calculateCriterionScore('infrastructure', {
-                roadAccess: this.calculateRoadAccessScore(props.roadDistance),
-                gridConnection: this.calculateGridConnectionScore(props.gridDistance),
-                gasConnection: this.calculateGasConnectionScore(props.gasDistance),
-                waterSupply: this.calculateWaterSupplyScore(props.waterAvailability)
-            });
-            
-            // Calculate economic score
-            const economicScore = this.calculateCriterionScore('economic', {
-                landCost: this.calculateLandCostScore(props.landCost),
-                developmentCost: this.calculateDevelopmentCostScore(props.developmentCost),
-                operationalCost: this.calculateOperationalCostScore(props),
-                revenuePotential: this.calculateRevenuePotentialScore(props)
-            });
-            
-            // Calculate social score
-            const socialScore = this.calculateCriterionScore('social', {
-                communityAcceptance: this.calculateCommunityAcceptanceScore(props),
-                jobCreation: this.calculateJobCreationScore(props.area),
-                localBenefits: this.calculateLocalBenefitsScore(props)
-            });
-            
-            // Calculate weighted total score
-            const totalScore = (
-                environmentalScore * this.criteria.environmental.weight +
-                infrastructureScore * this.criteria.infrastructure.weight +
-                economicScore * this.criteria.economic.weight +
-                socialScore * this.criteria.social.weight
-            );
-            
-            return {
+    rankSites(scoredSites) {
+        return scoredSites
+            .sort((a, b) => b.score - a.score)
+            .map((site, index) => ({
                 ...site,
-                scores: {
-                    environmental: environmentalScore,
-                    infrastructure: infrastructureScore,
-                    economic: economicScore,
-                    social: socialScore,
-                    total: totalScore
-                },
-                score: totalScore
-            };
-        });
+                rank: index + 1
+            }));
     }
 
     /**
-     * Calculate score for a specific criterion
+     * Weight sensitivity and Monte Carlo rank stability of the last analysis, using the method and weights
+     * it was scored with. Only the highest-ranked `maxSites` are analysed, so ranks are within that set.
      */
-    calculateCriterionScore(criterionName, subScores) {
-        const criterion = this.criteria[criterionName];
-        let totalScore = 0;
-        
-        for (const [subCriterion, score] of Object.entries(subScores)) {
-            const subCriterionConfig = criterion.subCriteria[subCriterion];
-            if (subCriterionConfig) {
-                totalScore += score * subCriterionConfig.weight;
-            }
+    async analyzeSensitivity(options = {}, onProgress = null) {
+        const results = this.analysisResults;
+        if (!results?.results?.length) {
+            throw new Error('Run Site Finder before analysing sensitivity');
         }
         
-        return totalScore;
-    }
-
-    /**
-     * Calculate soil quality score
-     */
-    calculateSoilQualityScore(soilType) {
-        const soilScores = {
-            'Clay': 8, 'Silt': 7, 'Loamy': 9, 'Sandy': 6, 'Peaty': 4, 'Chalky': 5
+        const settings = { ...SENSITIVITY_DEFAULTS, seed: results.manifest?.seed ?? SENSITIVITY_DEFAULTS.seed, ...options };
+        const sites = results.results.slice(0, settings.maxSites);
+        const columns = results.method?.weights || criteriaColumns(this.criteria);
+        const task = {
+            siteIds: sites.map(site => site.id),
+            matrix: sites.map(site => columns.map(({ key }) => site.subScores?.[key] ?? 5)),
+            columns,
+            mcda: { method: results.method?.id || DEFAULT_MCDA_METHOD, parameters: results.method?.parameters || {} },
+            options: settings
         };
-        return soilScores[soilType] || 5;
-    }
-
-    /**
-     * Calculate flood risk score (inverted - lower risk = higher score)
-     */
-    calculateFloodRiskScore(floodRisk) {
-        return Math.max(0, 10 - floodRisk);
+        
+        const startTime = performance.now();
+        const performanceManager = window.APP_STATE?.performanceManager;
+        let sensitivity;
+        if (performanceManager?.isWorkerAvailable('siteAnalysis')) {
+            sensitivity = await performanceManager.runTask('siteAnalysis', 'SENSITIVITY_ANALYSIS', task, onProgress);
+            sensitivity.processingMethod = 'WebWorker';
+        } else {
+            sensitivity = analyzeRankSensitivity(task, settings, onProgress);
+            sensitivity.processingMethod = 'MainThread';
+        }
+        
+        sensitivity.siteRanks = sites.map(site => site.rank);
+        sensitivity.analysisDate = new Date().toISOString();
+        results.sensitivity = sensitivity;
+        console.log(`🎲 Sensitivity analysis of ${sites.length} sites: ${settings.iterations} weight draws (${(performance.now() - startTime).toFixed(0)}ms)`);
+        return sensitivity;
     }
 
     /**
-     * Calculate road access score
+     * Build the run manifest for a finished analysis and store it with the compact results
      */
-    calculateRoadAccessScore(distance) {
-        if (distance <= 500) return 10;
-        if (distance <= 1000) return 9;
-        if (distance <= 2000) return 7;
-        if (distance <= 3000) return 5;
-        return 3;
+    recordRun(results) {
+        const manifest = createManifest({
+            seed: results.options?.seed ?? DEFAULT_RUN_SEED,
+            options: results.options,
+            appliedFilters: results.appliedFilters,
+            datasets: this.dataManager.describeDatasetVersions(this.inputDatasets),
+            constraints: this.constraints,
+            criteria: this.criteria,
+            method: results.method,
+            gasFlow: results.gasFlow,
+            processingMethod: results.processingMethod,
+            results: results.results,
+            totalAnalyzed: results.totalAnalyzed,
+            excluded: results.excluded?.length ?? 0
+        });
+        
+        this.runStore.set(manifest.id, { manifest, results: compactResults(results.results) }, {
+            meta: {
+                createdAt: manifest.createdAt,
+                method: manifest.method?.label || null,
+                seed: manifest.seed,
+                suitableSites: manifest.summary.suitableSites,
+                resultsFingerprint: manifest.resultsFingerprint
+            }
+        }).then(stored => {
+            if (!stored) console.warn(`⚠️ Run ${manifest.id} could not be stored; it can still be exported`);
+        });
+        
+        console.log(`🧾 Run ${manifest.id} recorded (seed ${manifest.seed}, results ${manifest.resultsFingerprint})`);
+        return manifest;
     }
-
+    
     /**
-     * Calculate grid connection score
+     * Stored runs, newest first: [{ id, createdAt, method, seed, suitableSites, resultsFingerprint, size }]
      */
-    calculateGridConnectionScore(distance) {
-        if (distance <= 5000) return 10;
-        if (distance <= 10000) return 8;
-        if (distance <= 15000) return 6;
-        return 4;
+    async listRuns() {
+        const entries = await this.runStore.listEntries();
+        return entries
+            .map(entry => ({ id: entry.key, ...entry.meta, size: entry.size }))
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
     }
-
+    
     /**
-     * Calculate gas connection score
+     * A stored run: { manifest, results }, or null when it is not in the store
      */
-    calculateGasConnectionScore(distance) {
-        if (distance <= 2000) return 10;
-        if (distance <= 5000) return 8;
-        if (distance <= 10000) return 6;
-        return 4;
+    async getRun(runId) {
+        const entry = await this.runStore.get(runId);
+        return entry?.data || null;
     }
-
-    /**
-     * Calculate water supply score
-     */
-    calculateWaterSupplyScore(availability) {
-        return Math.min(10, availability);
+    
+    deleteRun(runId) {
+        return this.runStore.delete(runId);
     }
-
+    
     /**
-     * Calculate land cost score (inverted - lower cost = higher score)
+     * Repeat a stored run with its seed, options, constraints, criteria, method, curves and energy model settings, then diff the
+     * new results against it. The current settings are restored afterwards. Inputs that no longer match
+     * (changed datasets, app version) are listed in comparison.inputChanges.
      */
-    calculateLandCostScore(cost) {
-        if (cost <= 10000) return 10;
-        if (cost <= 20000) return 8;
-        if (cost <= 30000) return 6;
-        if (cost <= 40000) return 4;
-        return 2;
+    async rerunAnalysis(runId) {
+        const record = await this.getRun(runId);
+        if (!record) {
+            throw new Error(`Run ${runId} is not in the run store`);
+        }
+        
+        const { manifest } = record;
+        const energyModel = window.APP_STATE?.energyModel;
+        const current = JSON.parse(JSON.stringify({ constraints: this.constraints, criteria: this.criteria, mcda: this.mcda, energySettings: energyModel?.settings ?? null }));
+        try {
+            if (energyModel && manifest.energySettings) {
+                energyModel.settings = JSON.parse(JSON.stringify(manifest.energySettings));
+            }
+            this.constraints = JSON.parse(JSON.stringify(manifest.constraints));
+            this.criteria = JSON.parse(JSON.stringify(manifest.criteria));
+            this.mcda = {
+                method: manifest.method.id,
+                parameters: { ...manifest.method.parameters },
+                ahp: manifest.method.ahp,
+                curves: manifest.method.curves
+            };
+            
+            console.log(`🔁 Re-running ${runId}...`);
+            const results = await this.findSuitableSites({ ...manifest.options, seed: manifest.seed });
+            results.comparison = compareRunRecords(record, { manifest: results.manifest, results: compactResults(results.results) });
+            console.log(results.comparison.identical
+                ? `✅ Re-run of ${runId} reproduced its results exactly`
+                : `⚠️ Re-run of ${runId} differs: ${results.comparison.inputChanges.length} input changes`);
+            return results;
+        } finally {
+            this.constraints = current.constraints;
+            this.criteria = current.criteria;
+            this.mcda = current.mcda;
+            if (energyModel && current.energySettings) {
+                energyModel.settings = current.energySettings;
+            }
+        }
     }
-
+    
     /**
-     * Calculate development cost score
+     * Diff two stored runs (inputs and rankings)
      */
-    calculateDevelopmentCostScore(cost) {
-        if (cost <= 50000) return 10;
-        if (cost <= 100000) return 8;
-        if (cost <= 150000) return 6;
-        if (cost <= 200000) return 4;
-        return 2;
+    async compareRuns(beforeId, afterId) {
+        const [before, after] = await Promise.all([this.getRun(beforeId), this.getRun(afterId)]);
+        if (!before || !after) {
+            throw new Error(`Run ${before ? afterId : beforeId} is not in the run store`);
+        }
+        return compareRunRecords(before, after);
     }
 
     /**
-     * Calculate operational cost score
+     * Feedstock catchment around a named AD plant (InfoPanel "Analyze Nearby Resources")
      */
-    calculateOperationalCostScore(props) {
-        // Simplified calculation based on location and infrastructure
-        let score = 7; // Base score
-        
-        if (props.gridDistance > 10000) score -= 2;
-        if (props.gasDistance > 5000) score -= 1;
-        if (props.roadDistance > 2000) score -= 1;
+    async analyzeNearbyResources(plantName, options = {}) {
+        const plant = this.dataManager.getADPlantRecords().find(record => record.name === plantName);
+        if (!plant) {
+            console.warn(`⚠️ AD plant not found: ${plantName}`);
+            return null;
+        }
         
-        return Math.max(1, score);
+        return window.APP_STATE.catchmentAnalyzer?.analyzeAndShow({
+            name: plant.name,
+            plantId: plant.plantId,
+            coordinates: plant.coordinates,
+            ...options
+        });
     }
 
     /**
-     * Calculate revenue potential score
+     * Feedstock catchment around a candidate site from the current results
      */
-    calculateRevenuePotentialScore(props) {
-        // Based on area and location
-        let score = 6; // Base score
-        
-        if (props.area > 20) score += 2;
-        if (props.waterAvailability > 7) score += 1;
-        if (props.biodiversity > 7) score += 1;
+    async analyzeSiteCatchment(siteId, options = {}) {
+        const site = this.analysisResults?.results?.find(result => result.id === siteId);
+        if (!site) {
+            console.warn(`⚠️ Site not found in current results: ${siteId}`);
+            return null;
+        }
         
-        return Math.min(10, score);
+        return window.APP_STATE.catchmentAnalyzer?.analyzeAndShow({
+            name: `Site #${site.rank || siteId}`,
+            coordinates: site.coordinates,
+            ...options
+        });
     }
 
     /**
-     * Calculate community acceptance score
+     * Drive-time isochrones around an AD plant, added to the map as a layer
      */
-    calculateCommunityAcceptanceScore(props) {
-        let score = 6; // Base score
-        
-        if (props.residentialDistance > 2000) score += 2;
-        if (props.protectedAreaDistance > 3000) score += 1;
-        if (props.conservationAreaDistance > 4000) score += 1;
+    async showPlantDriveTimes(plantName) {
+        const plant = this.dataManager.getADPlantRecords().find(record => record.name === plantName);
+        if (!plant) {
+            console.warn(`⚠️ AD plant not found: ${plantName}`);
+            return null;
+        }
         
-        return Math.min(10, score);
-    }
-
-    /**
-     * Calculate job creation score
-     */
-    calculateJobCreationScore(area) {
-        // Larger sites create more jobs
-        if (area > 30) return 10;
-        if (area > 20) return 8;
-        if (area > 10) return 6;
-        if (area > 5) return 4;
-        return 2;
+        return window.APP_STATE.routingManager?.showIsochrones(plant.coordinates, plant.name);
     }
 
     /**
-     * Calculate local benefits score
+     * Drive-time isochrones around a candidate site from the current results
      */
-    calculateLocalBenefitsScore(props) {
-        let score = 6; // Base score
-        
-        if (props.area > 15) score += 2;
-        if (props.waterAvailability > 6) score += 1;
-        if (props.biodiversity > 6) score += 1;
+    async showSiteDriveTimes(siteId) {
+        const site = this.analysisResults?.results?.find(result => result.id === siteId);
+        if (!site) {
+            console.warn(`⚠️ Site not found in current results: ${siteId}`);
+            return null;
+        }
         
-        return Math.min(10, score);
-    }
-
-    /**
-     * Rank sites by suitability score
-     */
-    rankSites(scoredSites) {
-        return scoredSites
-            .sort((a, b) => b.score - a.score)
-            .map((site, index) => ({
-                ...site,
-                rank: index + 1
-            }));
+        return window.APP_STATE.routingManager?.showIsochrones(site.coordinates, `Site #${site.rank || siteId}`);
     }
 
     /**
@@ -1166,6 +1357,13 @@ export class SiteFinder {
         return this.analysisResults?.results || [];
     }
 
+    /**
+     * A result site by id
+     */
+    getSite(siteId) {
+        return this.getSuitableSites().find(site => site.id === siteId) || null;
+    }
+
     /**
      * Export results to various formats
      */
@@ -1178,7 +1376,19 @@ export class SiteFinder {
             case 'csv':
                 return this.convertToCSV(this.analysisResults.results);
             case 'json':
-                return JSON.stringify(this.analysisResults, null, 2);
+                return JSON.stringify({
+                    ...this.analysisResults,
+                    results: this.analysisResults.results.map(site => ({
+                        ...site,
+                        bng: describeBNG(site.coordinates[0], site.coordinates[1])
+                    }))
+                }, null, 2);
+            case 'geojson':
+                return JSON.stringify(this.convertToGeoJSON(this.analysisResults.results), null, 2);
+            case 'exclusions':
+                return this.convertExclusionsToCSV(this.analysisResults.excluded);
+            case 'manifest':
+                return JSON.stringify(this.analysisResults.manifest, null, 2);
             default:
                 throw new Error(`Unsupported export format: ${format}`);
         }
@@ -1191,42 +1401,83 @@ export class SiteFinder {
         if (!results || results.length === 0) return '';
         
         const headers = [
-            'Rank', 'Site ID', 'Longitude', 'Latitude', 'Area (ha)', 'Total Score',
+            'Rank', 'Site ID', 'Longitude', 'Latitude', 'Easting', 'Northing', 'Grid Reference',
+            'Parcel Source', 'Parcel Reference', 'Area (ha)', 'Compactness', 'Total Score',
             'Environmental Score', 'Infrastructure Score', 'Economic Score', 'Social Score',
-            'Soil Type', 'Land Use', 'Elevation', 'Slope', 'Flood Risk',
+            'ALC Grade', 'Flood Zone', 'Elevation', 'Slope', 'Flood Risk',
             'Road Distance (m)', 'Grid Distance (m)', 'Gas Distance (m)',
+            'Gas Pressure Tier', 'Gas Connection Pipe (m)', 'Gas Connection Cost (£)',
+            'Gas Entry Flow (Nm³/h)', 'Gas Entry Flow Assumed',
             'Residential Distance (m)', 'Land Cost (£/ha)', 'Development Cost (£)'
         ];
         
         const csvRows = [headers.join(',')];
         
         for (const site of results) {
+            const bng = describeBNG(site.coordinates[0], site.coordinates[1]);
             const row = [
                 site.rank,
                 site.id,
                 site.coordinates[0],
                 site.coordinates[1],
+                bng.easting ?? '',
+                bng.northing ?? '',
+                bng.gridReference || '',
+                site.properties.parcelSource,
+                site.properties.parcelRef,
                 site.properties.area,
+                site.properties.compactness,
                 site.score.toFixed(2),
                 site.scores.environmental.toFixed(2),
-                site.scores.environmental.toFixed(2),
                 site.scores.infrastructure.toFixed(2),
                 site.scores.economic.toFixed(2),
                 site.scores.social.toFixed(2),
-                site.properties.soilType,
-                site.properties.landUse,
+                site.properties.alcGrade,
+                site.properties.floodZone,
                 site.properties.elevation,
                 site.properties.slope,
                 site.properties.floodRisk,
                 site.properties.roadDistance,
                 site.properties.gridDistance,
                 site.properties.gasDistance,
+                site.properties.gasPressureTier,
+                site.properties.gasConnectionLength,
+                site.properties.gasConnectionCost,
+                site.properties.gasFlowNm3h,
+                site.provenance?.gasFlowNm3h ? (site.provenance.gasFlowNm3h.flowAssumed ? 'yes' : 'no') : '',
                 site.properties.residentialDistance,
                 site.properties.landCost,
                 site.properties.developmentCost
             ];
             
-            csvRows.push(row.map(field => `"${field}"`).join(','));
+            csvRows.push(row.map(field => `"${field ?? ''}"`).join(','));
+        }
+        
+        return csvRows.join('\n');
+    }
+
+    /**
+     * Excluded parcels and every reason each was excluded, one row per site
+     */
+    convertExclusionsToCSV(excluded) {
+        if (!excluded || excluded.length === 0) return '';
+        
+        const headers = ['Site ID', 'Parcel Source', 'Parcel Reference', 'Longitude', 'Latitude', 'Grid Reference', 'Area (ha)', 'Excluded Because'];
+        const csvRows = [headers.join(',')];
+        
+        for (const site of excluded) {
+            const bng = describeBNG(site.coordinates[0], site.coordinates[1]);
+            const row = [
+                site.id,
+                site.parcelSource,
+                site.parcelRef,
+                site.coordinates[0],
+                site.coordinates[1],
+                bng.gridReference || '',
+                site.area,
+                site.reasons.map(reason => reason.message).join('; ')
+            ];
+            csvRows.push(row.map(field => `"${String(field ?? '').replace(/"/g, '""')}"`).join(','));
         }
         
         return csvRows.join('\n');
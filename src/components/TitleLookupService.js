@@ -0,0 +1,209 @@
+import { TITLE_REGISTER_SOURCE, normalizeTitleNumber } from '../data/titleSources.js';
+import { TITLE_LOOKUP_PROVIDER } from '../data/datasets.js';
+import { PersistentCache } from '../utils/PersistentCache.js';
+import { fingerprint } from '../utils/Fingerprint.js';
+import { seededRandom } from '../utils/Sensitivity.js';
+
+// Premium feature gate (AuthManager.premiumFeatures) and usage limit key (PaymentManager plan limits)
+export const TITLE_LOOKUP_FEATURE = 'land_registry_access';
+const USAGE_LIMIT = 'titleLookups';
+const USAGE_STORAGE_KEY = 'uk_ad_title_lookups';
+const CACHE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Title lookup providers implement:
+ *   id, label
+ *   async lookup(titleNumber) -> { titleNumber, tenure, propertyAddress, district, county, postcode,
+ *                                  pricePaid, dateAdded, proprietors: [{ name, companyRegNo, category, country, address }] }
+ *                                  or null when the title is unknown to the provider;
+ *                                  rejects when the provider cannot answer (register or service unavailable)
+ */
+
+/**
+ * Reads the local title register extract (DataManager titleRegister dataset). The extract covers
+ * company-owned titles only, so titles held by private individuals are reported as not found.
+ */
+export class LocalExtractTitleProvider {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.id = 'localExtract';
+        this.label = `${TITLE_REGISTER_SOURCE.label} (${TITLE_REGISTER_SOURCE.publisher})`;
+    }
+
+    async lookup(titleNumber) {
+        return this.dataManager.findTitle(titleNumber);
+    }
+}
+
+/**
+ * Invented but repeatable owners, for tests and demos without a register extract
+ */
+export class MockTitleProvider {
+    constructor() {
+        this.id = 'mock';
+        this.label = 'Mock title register (test data)';
+    }
+
+    async lookup(titleNumber) {
+        const random = seededRandom(parseInt(fingerprint(titleNumber).slice(0, 8), 16));
+        const pick = (list) => list[Math.floor(random() * list.length)];
+        const company = random() > 0.5;
+        const name = company
+            ? `${pick(['Greenfield', 'Valley', 'Hillside', 'Meadow', 'Riverside'])} ${pick(['Farms', 'Estates', 'Land', 'Holdings'])} Limited`
+            : `${pick(['John', 'Jane', 'Michael', 'Sarah', 'David', 'Emma'])} ${pick(['Smith', 'Jones', 'Williams', 'Brown', 'Taylor', 'Davies'])}`;
+
+        return {
+            titleNumber,
+            tenure: pick(['Freehold', 'Leasehold']),
+            propertyAddress: `Land at ${pick(['Manor', 'Church', 'Mill', 'Home'])} Farm`,
+            district: null,
+            county: null,
+            postcode: null,
+            pricePaid: random() > 0.4 ? Math.round(100000 + random() * 900000) : null,
+            dateAdded: `${2000 + Math.floor(random() * 24)}-0${1 + Math.floor(random() * 9)}-1${Math.floor(random() * 9)}`,
+            proprietors: [{
+                name,
+                companyRegNo: company ? String(Math.floor(random() * 1e8)).padStart(8, '0') : null,
+                category: company ? 'Limited Company or Public Limited Company' : 'Private individual',
+                country: null,
+                address: null
+            }]
+        };
+    }
+}
+
+/**
+ * TitleLookupService - Landowner (title) lookups through a pluggable provider
+ * A premium feature: each lookup needs land_registry_access and is recorded against the signed-in user.
+ * Results are cached in IndexedDB per provider for 30 days; cache hits are recorded but not billable.
+ * Found titles are added to matching shortlist entries.
+ */
+export class TitleLookupService {
+    constructor(providers = [], defaultProvider = TITLE_LOOKUP_PROVIDER) {
+        this.providers = new Map();
+        providers.forEach(provider => this.registerProvider(provider));
+        this.providerId = defaultProvider;
+        this.cache = new PersistentCache({ dbName: 'uk-ad-mapping-titles', maxBytes: 5 * 1024 * 1024 });
+    }
+
+    registerProvider(provider) {
+        if (!provider?.id || typeof provider.lookup !== 'function') {
+            throw new Error('A title lookup provider needs an id and a lookup(titleNumber) method');
+        }
+        this.providers.set(provider.id, provider);
+    }
+
+    setProvider(providerId) {
+        if (!this.providers.has(providerId)) {
+            throw new Error(`Unknown title lookup provider: ${providerId}`);
+        }
+        this.providerId = providerId;
+    }
+
+    get provider() {
+        const provider = this.providers.get(this.providerId);
+        if (!provider) {
+            throw new Error(`Title lookup provider not registered: ${this.providerId}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Look up a title's tenure and proprietors. Resolves null when the provider has no record, or when the
+     * user is not allowed to look up titles (the sign-in or upgrade prompt has been shown). Rejects when the
+     * provider is unavailable; such lookups are neither cached nor recorded against the user.
+     * options.shortlistEntryId attaches the result to that shortlist entry as well as to matching ones.
+     */
+    async lookup(titleNumber, { shortlistEntryId = null } = {}) {
+        const normalized = normalizeTitleNumber(titleNumber);
+        if (!normalized) {
+            throw new Error('Enter a title number to look up');
+        }
+
+        const { authManager, paymentManager } = window.APP_STATE || {};
+        if (authManager && !authManager.requireAuth(TITLE_LOOKUP_FEATURE, 'Landowner lookups require premium access')) {
+            return null;
+        }
+        const user = authManager?.currentUser || null;
+        const subscription = paymentManager?.currentSubscription;
+        if (subscription && !paymentManager.checkUsageLimit(USAGE_LIMIT, this.getUsage(user?.id).billableThisMonth)) {
+            throw new Error('Monthly landowner lookup limit reached for your plan');
+        }
+
+        const provider = this.provider;
+        const cacheKey = `${provider.id}:${normalized}`;
+        const cached = await this.cache.get(cacheKey);
+        let record = cached && Date.now() - cached.storedAt < CACHE_MAX_AGE ? cached.data : null;
+        const fromCache = Boolean(record);
+
+        if (!record) {
+            let found;
+            try {
+                found = await provider.lookup(normalized);
+            } catch (error) {
+                console.error(`❌ ${provider.label} unavailable for ${normalized}:`, error);
+                throw new Error(`${provider.label} is unavailable, so ${normalized} could not be checked (not charged). ${error.message}`);
+            }
+            record = {
+                ...(found || { titleNumber: normalized, proprietors: [] }),
+                found: Boolean(found),
+                provider: provider.id,
+                providerLabel: provider.label,
+                retrievedAt: new Date().toISOString()
+            };
+            await this.cache.set(cacheKey, record, { meta: { provider: provider.id } });
+        }
+
+        this.recordUsage(user, { titleNumber: normalized, provider: provider.id, cached: fromCache, found: record.found });
+        console.log(`🔎 Title ${normalized}: ${record.found ? record.proprietors.map(p => p.name).join(', ') || 'no proprietor listed' : 'not found'} (${provider.id}${fromCache ? ', cached' : ''})`);
+
+        if (record.found) {
+            window.APP_STATE?.shortlistManager?.attachTitle(record, shortlistEntryId);
+        }
+        return record;
+    }
+
+    /**
+     * Cached result for a title without making (or billing) a lookup
+     */
+    async getCached(titleNumber) {
+        const cached = await this.cache.get(`${this.providerId}:${normalizeTitleNumber(titleNumber)}`);
+        return cached && Date.now() - cached.storedAt < CACHE_MAX_AGE ? cached.data : null;
+    }
+
+    recordUsage(user, lookup) {
+        try {
+            const ledger = JSON.parse(localStorage.getItem(USAGE_STORAGE_KEY) || '{}');
+            const userId = user?.id || 'anonymous';
+            ledger[userId] = [...(ledger[userId] || []), {
+                ...lookup,
+                billable: !lookup.cached,
+                email: user?.email || null,
+                at: new Date().toISOString()
+            }];
+            localStorage.setItem(USAGE_STORAGE_KEY, JSON.stringify(ledger));
+        } catch (error) {
+            console.warn('Could not record title lookup usage:', error);
+        }
+    }
+
+    /**
+     * Lookup usage for a user (default: the signed-in user): totals, billable lookups this month and the log
+     */
+    getUsage(userId = window.APP_STATE?.authManager?.currentUser?.id) {
+        let lookups = [];
+        try {
+            lookups = JSON.parse(localStorage.getItem(USAGE_STORAGE_KEY) || '{}')[userId || 'anonymous'] || [];
+        } catch (error) {
+            console.warn('Could not read title lookup usage:', error);
+        }
+
+        const month = new Date().toISOString().slice(0, 7);
+        return {
+            total: lookups.length,
+            billable: lookups.filter(lookup => lookup.billable).length,
+            billableThisMonth: lookups.filter(lookup => lookup.billable && lookup.at.startsWith(month)).length,
+            lookups
+        };
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * AD plant CSV schema
+ * Column definitions for ad_plants3.csv (37 columns) and the property key each maps to
+ */
+
+/**
+ * Column types: string, number, integer, boolean, date
+ * aliases cover header spellings seen in older exports of the dataset
+ */
+export const AD_PLANT_COLUMNS = [
+    { column: 'Site name', key: 'name', type: 'string', required: true, aliases: ['Site Name', 'Plant Name'] },
+    { column: 'Address', key: 'address', type: 'string' },
+    { column: 'Postcode', key: 'postcode', type: 'string' },
+    { column: 'County', key: 'county', type: 'string' },
+    { column: 'Region', key: 'region', type: 'string' },
+    { column: 'LAD code', key: 'ladCode', type: 'string', aliases: ['LAD Code'] },
+    { column: 'LAD name', key: 'ladName', type: 'string', aliases: ['LAD Name', 'lad_name'] },
+    { column: 'LPA Code', key: 'lpaCode', type: 'string', aliases: ['LPA code'] },
+    { column: 'LPA Name', key: 'lpaName', type: 'string', aliases: ['LPA name', 'lpa_name'] },
+    { column: 'Developer', key: 'developer', type: 'string' },
+    { column: 'Operator', key: 'operator', type: 'string' },
+    { column: 'Type', key: 'type', type: 'string' },
+    { column: 'Technology', key: 'technology', type: 'string' },
+    { column: 'Status', key: 'statusDetail', type: 'string' },
+    { column: 'Group', key: 'group', type: 'string' },
+    { column: 'Completion', key: 'completion', type: 'date' },
+    { column: 'Planning Application Reference', key: 'planningRef', type: 'string' },
+    { column: 'Capacity(kWe)', key: 'capacityKwe', type: 'number' },
+    { column: 'Biomethanecapacity(Nm3/hrbiomethane)', key: 'biomethaneNm3h', type: 'number' },
+    { column: 'GWh', key: 'gwh', type: 'number' },
+    { column: 'Output', key: 'output', type: 'string' },
+    { column: 'Feedstock', key: 'feedstock', type: 'string' },
+    { column: 'Totalfeedstock(tpa)', key: 'totalFeedstockTpa', type: 'number', aliases: ['Totalfeedstock'] },
+    { column: 'Manure/Slurry(tpa)', key: 'manureTpa', type: 'number' },
+    { column: 'Crop(tpa)', key: 'cropTpa', type: 'number' },
+    { column: 'CropWaste(tpa)', key: 'cropWasteTpa', type: 'number' },
+    { column: 'FoodWaste(tpa)', key: 'foodWasteTpa', type: 'number' },
+    { column: 'OtherWaste(tpa)', key: 'otherWasteTpa', type: 'number' },
+    { column: 'Gas to grid', key: 'gasToGrid', type: 'boolean', aliases: ['GtG'] },
+    { column: 'DNO', key: 'dno', type: 'string' },
+    { column: 'WaterCo', key: 'waterCo', type: 'string' },
+    { column: 'Latitude', key: 'latitude', type: 'number', required: true },
+    { column: 'Longitude', key: 'longitude', type: 'number', required: true },
+    { column: 'Easting', key: 'easting', type: 'integer' },
+    { column: 'Northing', key: 'northing', type: 'integer' },
+    { column: 'Plant ID', key: 'plantId', type: 'string', aliases: ['ID'] },
+    { column: 'Last updated', key: 'lastUpdated', type: 'date' }
+];
+
+/**
+ * Numeric columns that count as a plant "capacity" for error reporting
+ */
+export const AD_PLANT_CAPACITY_KEYS = ['capacityKwe', 'biomethaneNm3h', 'gwh', 'totalFeedstockTpa'];
+
+/**
+ * Bounding box for UK coordinates (lon/lat); anything outside is reported as a bad coordinate
+ */
+export const UK_BOUNDS = { minLon: -8.7, maxLon: 1.9, minLat: 49.8, maxLat: 60.9 };
+
+/**
+ * Status groups used by the map styling, legend and filters
+ */
+export const AD_PLANT_STATUS_GROUPS = [
+    'Operational',
+    'Under Construction',
+    'Planning Granted',
+    'Planning Application',
+    'Refused/Withdrawn'
+];
+
+/**
+ * Map a raw Status/Group value onto one of AD_PLANT_STATUS_GROUPS
+ */
+export function normalizeADPlantStatus(rawStatus) {
+    const status = String(rawStatus || '').toLowerCase();
+
+    if (!status) return 'Planning Application';
+    if (status.includes('refus') || status.includes('withdraw') || status.includes('abandon') ||
+        status.includes('decommission') || status.includes('non-operational') || status.includes('non operational')) {
+        return 'Refused/Withdrawn';
+    }
+    if (status.includes('operational')) return 'Operational';
+    if (status.includes('construction')) return 'Under Construction';
+    if (status.includes('granted') || status.includes('approved') || status.includes('consented')) return 'Planning Granted';
+    return 'Planning Application';
+}
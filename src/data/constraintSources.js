@@ -0,0 +1,176 @@
+import { DATA_BASE_URL, DATASET_URLS } from './datasets.js';
+
+/**
+ * Constraint layers sampled for Site Finder candidates
+ * Each is a DataManager dataset (GeoJSON, WGS84). `fields` lists the attribute names the value is
+ * read from, first match wins, so national extracts and locally prepared files both work.
+ */
+export const CONSTRAINT_SOURCES = {
+    alc: {
+        label: 'Agricultural Land Classification',
+        publisher: 'Natural England (Provisional ALC)',
+        url: DATASET_URLS.alc,
+        fields: ['alc_grade', 'ALC_GRADE', 'GRADE', 'grade']
+    },
+    floodZones: {
+        label: 'Flood Map for Planning',
+        publisher: 'Environment Agency',
+        url: DATASET_URLS.floodZones,
+        fields: ['flood_zone', 'FLOOD_ZONE', 'zone', 'type', 'layer']
+    },
+    sssi: {
+        label: 'Sites of Special Scientific Interest',
+        publisher: 'Natural England',
+        url: DATASET_URLS.sssi,
+        fields: ['sssi_name', 'SSSI_NAME', 'name', 'NAME']
+    },
+    aonb: {
+        label: 'Areas of Outstanding Natural Beauty',
+        publisher: 'Natural England',
+        url: DATASET_URLS.aonb,
+        fields: ['name', 'NAME']
+    },
+    nationalParks: {
+        label: 'National Parks',
+        publisher: 'Natural England',
+        url: DATASET_URLS.nationalParks,
+        fields: ['name', 'NAME']
+    },
+    residentialAreas: {
+        label: 'Residential areas',
+        publisher: 'ONS Built Up Areas',
+        url: DATASET_URLS.residentialAreas,
+        fields: ['bua_name', 'BUA22NM', 'name', 'NAME']
+    },
+    ntsPipelines: {
+        label: 'NTS gas pipelines',
+        publisher: 'National Gas Transmission',
+        url: DATASET_URLS.ntsPipelines,
+        fields: ['pipeline_name', 'PIPE_NAME', 'name']
+    },
+    gasMains: {
+        label: 'Gas distribution mains',
+        publisher: 'Gas Distribution Networks',
+        url: DATASET_URLS.gasMains,
+        fields: ['main_name', 'MAIN_NAME', 'ldz', 'LDZ', 'name']
+    },
+    dnoAssets: {
+        label: 'DNO substations',
+        publisher: 'Distribution Network Operators',
+        url: DATASET_URLS.dnoAssets,
+        fields: ['substation_name', 'SUBSTATION', 'name']
+    },
+    nvz: {
+        label: 'Nitrate Vulnerable Zones',
+        publisher: 'Environment Agency',
+        url: DATASET_URLS.nvz,
+        fields: ['nvz_name', 'NVZ_NAME', 'name', 'NAME']
+    }
+};
+
+/**
+ * Hard exclusion masks applied by SiteFinder.applyConstraints. Each buffers a constraint layer by a
+ * `constraint` distance from SiteFinder.constraints (metres; none means no buffer); a candidate parcel
+ * that intersects the dissolved, buffered mask is excluded. `where` keeps only matching features.
+ */
+export const EXCLUSION_MASKS = {
+    sssi: {
+        label: 'SSSI',
+        dataset: 'sssi',
+        constraint: 'minDistanceFromSSSI'
+    },
+    aonb: {
+        label: 'AONB',
+        dataset: 'aonb',
+        constraint: 'minDistanceFromAONB'
+    },
+    nationalParks: {
+        label: 'National Park',
+        dataset: 'nationalParks',
+        constraint: 'minDistanceFromNationalPark'
+    },
+    floodZone3: {
+        label: 'Flood Zone 3',
+        dataset: 'floodZones',
+        constraint: 'minDistanceFromFloodZone3',
+        where: (properties) => normalizeFloodZone(readSourceField(CONSTRAINT_SOURCES.floodZones, properties)) === '3'
+    },
+    residential: {
+        label: 'Residential area',
+        dataset: 'residentialAreas',
+        constraint: 'minDistanceFromResidential'
+    }
+};
+
+/**
+ * Local DEM tile set. The TileJSON at `tilejson` supplies the tile URL, zoom and version; without it
+ * the defaults below are used. Tiles are Terrarium-encoded PNGs:
+ * elevation (m) = R × 256 + G + B / 256 − 32768.
+ */
+export const DEM_SOURCE = {
+    label: 'Terrain (DEM)',
+    publisher: 'OS Terrain 50',
+    tilejson: DATASET_URLS.demTiles,
+    tiles: `${DATA_BASE_URL}/dem/{z}/{x}/{y}.png`,
+    zoom: 12,
+    encoding: 'terrarium'
+};
+
+/**
+ * Development suitability (1-10) by ALC grade: building on best and most versatile land
+ * (grades 1, 2 and 3a) is resisted in planning, so lower grades score higher
+ */
+export const ALC_SUITABILITY = {
+    '1': 2,
+    '2': 3,
+    '3a': 5,
+    '3': 6,
+    '3b': 8,
+    '4': 9,
+    '5': 9,
+    'non-agricultural': 10,
+    'urban': 10
+};
+
+/**
+ * Flood risk (1-10, higher is worse) by Environment Agency flood zone; zone 1 is outside zones 2 and 3
+ */
+export const FLOOD_ZONE_RISK = {
+    '1': 1,
+    '2': 6,
+    '3': 9
+};
+
+/**
+ * Distance (m) from designated habitat beyond which a site scores full marks for biodiversity impact
+ */
+export const HABITAT_CLEAR_DISTANCE = 5000;
+
+/**
+ * Normalise ALC grade values ('Grade 3a', '3A', 'Non Agricultural', 'Urban') onto ALC_SUITABILITY keys
+ */
+export function normalizeAlcGrade(value) {
+    const text = String(value ?? '').trim().toLowerCase().replace(/^grade\s*/, '');
+    if (!text) return null;
+    if (text.startsWith('non')) return 'non-agricultural';
+    if (text.startsWith('urban')) return 'urban';
+
+    const match = text.match(/^([1-5])\s*([ab])?/);
+    return match ? `${match[1]}${match[2] || ''}` : null;
+}
+
+/**
+ * Normalise flood zone values ('FZ3', 'Flood Zone 2', '3a', 3) onto '2' or '3'
+ */
+export function normalizeFloodZone(value) {
+    const match = String(value ?? '').match(/([23])/);
+    return match ? match[1] : null;
+}
+
+/**
+ * First populated attribute from a source's field list
+ */
+export function readSourceField(source, properties = {}) {
+    const field = source.fields.find(name => properties[name] !== undefined && properties[name] !== null && properties[name] !== '');
+    return field ? properties[field] : null;
+}
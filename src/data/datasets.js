@@ -0,0 +1,54 @@
+/**
+ * Dataset locations
+ * Static data files are served from DATA_BASE_URL (defaults to /data, override with VITE_DATA_BASE_URL)
+ */
+export const DATA_BASE_URL = (import.meta.env.VITE_DATA_BASE_URL || '/data').replace(/\/$/, '');
+
+export const DATASET_URLS = {
+    adPlants: `${DATA_BASE_URL}/ad_plants3.csv`,
+    ladBoundaries: `${DATA_BASE_URL}/LADS.topojson`,
+    lpaBoundaries: `${DATA_BASE_URL}/LPA.topojson`,
+    manureVolumes: `${DATA_BASE_URL}/manure_volumes_wgs84.topojson`,
+    // GeoJSON LineStrings from OS Open Roads (class/roadClassification) or with road_class M/A/B/Minor
+    roadNetwork: `${DATA_BASE_URL}/roads.geojson`,
+    // Constraint layers sampled by Site Finder (GeoJSON, WGS84); see src/data/constraintSources.js
+    alc: `${DATA_BASE_URL}/alc_grades.geojson`,
+    floodZones: `${DATA_BASE_URL}/flood_zones.geojson`,
+    sssi: `${DATA_BASE_URL}/sssi.geojson`,
+    aonb: `${DATA_BASE_URL}/aonb.geojson`,
+    nationalParks: `${DATA_BASE_URL}/national_parks.geojson`,
+    residentialAreas: `${DATA_BASE_URL}/residential_areas.geojson`,
+    ntsPipelines: `${DATA_BASE_URL}/nts_pipelines.geojson`,
+    // Gas distribution network mains with a pressure tier per main; see src/data/gasNetwork.js
+    gasMains: `${DATA_BASE_URL}/gas_mains.geojson`,
+    dnoAssets: `${DATA_BASE_URL}/dno_substations.geojson`,
+    nvz: `${DATA_BASE_URL}/nvz.geojson`,
+    // Candidate parcels for Site Finder (GeoJSON, WGS84); see src/data/parcelSources.js
+    freeholdParcels: `${DATA_BASE_URL}/freehold_parcels.geojson`,
+    brownfieldSites: `${DATA_BASE_URL}/brownfield_sites.geojson`,
+    // The same parcels as a vector tile archive (.pmtiles, or .mbtiles) for the Land Registry map layer
+    landRegistryTiles: `${DATA_BASE_URL}/freehold_parcels.pmtiles`,
+    // Local extract of the HM Land Registry company-owned titles register (CCOD/OCOD CSV); see src/data/titleSources.js
+    titleRegister: `${DATA_BASE_URL}/title_register.csv`,
+    // TileJSON for the local Terrarium-encoded DEM tile set
+    demTiles: `${DATA_BASE_URL}/dem/tiles.json`
+};
+
+/**
+ * Administrative boundary levels; expectedCount is checked after decoding
+ */
+export const BOUNDARY_LEVELS = {
+    lad: { level: 'LAD', label: 'Local Authority Districts', url: DATASET_URLS.ladBoundaries, expectedCount: 361 },
+    lpa: { level: 'LPA', label: 'Local Planning Authorities', url: DATASET_URLS.lpaBoundaries, expectedCount: 379 }
+};
+
+/**
+ * Postcode geocoding for imported CSVs (postcodes.io API; override with VITE_POSTCODE_API_URL)
+ */
+export const POSTCODE_API_URL = (import.meta.env.VITE_POSTCODE_API_URL || 'https://api.postcodes.io').replace(/\/$/, '');
+
+/**
+ * Title (landowner) lookup provider: 'localExtract' reads titleRegister, 'mock' generates test owners
+ * (override with VITE_TITLE_LOOKUP_PROVIDER)
+ */
+export const TITLE_LOOKUP_PROVIDER = import.meta.env.VITE_TITLE_LOOKUP_PROVIDER || 'localExtract';
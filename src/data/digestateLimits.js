@@ -0,0 +1,54 @@
+/**
+ * Digestate spreading limits and nitrogen contents for the land-bank analysis (src/utils/LandBank.js)
+ *
+ * Nitrogen is conserved through digestion, so a plant's digestate carries the total N of its feedstock.
+ * Organic manure N may not exceed 170 kg/ha/yr averaged over land in a Nitrate Vulnerable Zone (the
+ * Nitrate Pollution Prevention Regulations 2015) or 250 kg/ha/yr on any field outside one (Farming Rules
+ * for Water, Code of Good Agricultural Practice).
+ */
+export const NITROGEN_LIMITS = {
+    nvz: 170,
+    outsideNvz: 250
+};
+
+/**
+ * Total N (kg per tonne fresh weight) by energy-model feedstock (src/data/feedstockYields.js); livestock
+ * values are AHDB RB209 Section 2 typical contents at typical dry matter, the others approximate
+ */
+export const FEEDSTOCK_NITROGEN = {
+    'beef-fym': 6.0,
+    'beef-slurry': 2.6,
+    'dairy-fym': 6.0,
+    'dairy-slurry': 2.6,
+    broilers: 30,
+    layers: 19,
+    pigs: 4.0,
+    sheep: 7.0,
+    manure: 3.0,
+    crop: 4.5,
+    cropWaste: 5.0,
+    foodWaste: 5.5,
+    otherWaste: 4.0,
+    unspecified: 4.5
+};
+
+/**
+ * ALC grades counted as land digestate can be spread on. Grade 5 (mostly rough upland grazing) and
+ * non-agricultural and urban land are excluded.
+ */
+export const SPREADABLE_ALC_GRADES = ['1', '2', '3', '3a', '3b', '4'];
+
+/**
+ * Analysis defaults
+ * - radiusOptions / defaultRadiusKm: haul distances offered (straight-line km from the plant)
+ * - availableShare: fraction of spreadable land assumed open to this plant's digestate; the rest already
+ *   takes its own farm manure or cannot take any (watercourse buffers, steep or waterlogged fields)
+ * - targetCells / minCellKm: land is sampled on a square grid of about targetCells cells, no finer than minCellKm
+ */
+export const LAND_BANK_DEFAULTS = {
+    radiusOptions: [5, 10, 15, 20, 25],
+    defaultRadiusKm: 10,
+    availableShare: 0.3,
+    targetCells: 4000,
+    minCellKm: 0.25
+};
@@ -0,0 +1,82 @@
+/**
+ * Emission factors for the GHG lifecycle model (src/utils/GhgModel.js)
+ * Defaults are DESNZ/Defra UK Government GHG Conversion Factors for Company Reporting (kg CO2e) and the
+ * IPCC 2019 Refinement for manure management; every `value` can be overridden.
+ */
+
+/**
+ * UK grid electricity generation intensity by reporting year (kg CO2e/kWh, DESNZ conversion factors).
+ * Years outside the table use the nearest year listed.
+ */
+export const GRID_INTENSITY = {
+    2015: 0.46219,
+    2016: 0.41205,
+    2017: 0.35156,
+    2018: 0.28307,
+    2019: 0.25560,
+    2020: 0.23314,
+    2021: 0.21233,
+    2022: 0.19338,
+    2023: 0.20707,
+    2024: 0.20705
+};
+
+/**
+ * Methane (kg CH4 per tonne fresh weight) that manure would emit in conventional storage over a year and
+ * is avoided when it goes to a digester instead: VS × B0 × 0.67 kg/m³ × MCF, with liquid slurry (crusted,
+ * cool climate) at an MCF of about 0.17 and solid FYM or litter at 0.015-0.02. Non-manure feedstocks
+ * are given no storage counterfactual.
+ */
+export const MANURE_STORAGE_METHANE = {
+    'beef-fym': 0.6,
+    'beef-slurry': 1.3,
+    'dairy-fym': 0.6,
+    'dairy-slurry': 1.3,
+    broilers: 1.8,
+    layers: 1.2,
+    pigs: 1.6,
+    sheep: 0.6,
+    manure: 1.1
+};
+
+/**
+ * Factors
+ * - methaneGwp: 100-year global warming potential of methane (AR5, as in the UK GHG inventory)
+ * - naturalGas: combustion emissions of the natural gas displaced by injected biomethane or boiler heat, per kWh on a
+ *   net CV basis, since the energy model counts energy at methane's lower heating value (the gross-CV factor, 0.18290,
+ *   applied to net kWh would be about 10% off)
+ * - boilerEfficiency: efficiency of the gas boiler whose heat a CHP's used heat displaces
+ * - heatUsedShare: share of a CHP's surplus heat put to use (unused heat displaces nothing)
+ * - fugitiveMethaneLoss: methane lost from digesters, gas storage and digestate storage
+ * - chpMethaneSlip: unburnt methane in CHP exhaust
+ * - haulageEmissions: average laden HGV (diesel), per tonne-km
+ * - digestateHaulage: tonnes of digestate hauled per tonne of feedstock
+ * - haulDistanceKm: average one-way haul for feedstock and digestate
+ */
+export const GHG_FACTORS = {
+    methaneGwp: { label: 'Methane GWP100', unit: 'kg CO2e/kg CH4', value: 28, min: 0 },
+    naturalGas: { label: 'Natural gas (net CV)', unit: 'kg CO2e/kWh', value: 0.20264, min: 0 },
+    boilerEfficiency: { label: 'Displaced boiler efficiency', unit: 'fraction', value: 0.85, min: 0.1, max: 1 },
+    heatUsedShare: { label: 'CHP heat used', unit: 'fraction of surplus', value: 0.3, min: 0, max: 1 },
+    fugitiveMethaneLoss: { label: 'Fugitive methane', unit: 'fraction of CH4 produced', value: 0.02, min: 0, max: 1 },
+    chpMethaneSlip: { label: 'CHP methane slip', unit: 'fraction of CH4 burnt', value: 0.01, min: 0, max: 1 },
+    haulageEmissions: { label: 'HGV haulage', unit: 'kg CO2e/t·km', value: 0.107, min: 0 },
+    digestateHaulage: { label: 'Digestate hauled', unit: 't per t feedstock', value: 0.54, min: 0 },
+    haulDistanceKm: { label: 'Average haul', unit: 'km', value: 10, min: 0 }
+};
+
+/**
+ * Density of methane at normal conditions (kg/m³)
+ */
+export const METHANE_DENSITY = 0.717;
+
+export function defaultGhgFactors() {
+    return Object.fromEntries(Object.entries(GHG_FACTORS).map(([key, { value }]) => [key, value]));
+}
+
+/**
+ * Latest reporting year with a grid intensity
+ */
+export function latestGridYear() {
+    return Math.max(...Object.keys(GRID_INTENSITY).map(Number));
+}
@@ -0,0 +1,45 @@
+import { MANURE_CATEGORIES } from './manureSchema.js';
+
+/**
+ * Feedstock yields and energy conversion defaults for the plant energy model (src/utils/EnergyModel.js)
+ *
+ * biogasYield is m³ biogas per tonne fresh weight and methaneContent the CH4 fraction of that biogas;
+ * typical values from the NNFCC/ADBA feedstock tables. The livestock categories are the manure map's
+ * (manureSchema.js), so catchment tonnages can be modelled directly. `plantField` is the AD plant
+ * record column (adPlantSchema.js) holding that feedstock's tonnes per year.
+ */
+export const FEEDSTOCK_TYPES = [
+    ...MANURE_CATEGORIES.map(({ id, name, biogasYield, methaneContent }) => ({ id, label: name, group: 'Manure', biogasYield, methaneContent })),
+    { id: 'manure', label: 'Manure / slurry (mixed)', group: 'Manure', plantField: 'manureTpa', biogasYield: 30, methaneContent: 0.57 },
+    { id: 'crop', label: 'Energy crops (maize / grass silage)', group: 'Crops', plantField: 'cropTpa', biogasYield: 200, methaneContent: 0.52 },
+    { id: 'cropWaste', label: 'Crop residues', group: 'Crops', plantField: 'cropWasteTpa', biogasYield: 120, methaneContent: 0.55 },
+    { id: 'foodWaste', label: 'Food waste', group: 'Wastes', plantField: 'foodWasteTpa', biogasYield: 140, methaneContent: 0.60 },
+    { id: 'otherWaste', label: 'Other wastes', group: 'Wastes', plantField: 'otherWasteTpa', biogasYield: 80, methaneContent: 0.60 },
+    // Plants that publish only a total tonnage; roughly the average UK merchant plant mix
+    { id: 'unspecified', label: 'Mixed / unspecified', group: 'Other', biogasYield: 100, methaneContent: 0.56 }
+];
+
+/**
+ * Conversion assumptions. `value` is the default; users can override any of them.
+ * - methaneEnergy: lower heating value of methane (35.9 MJ/m³)
+ * - CHP: electrical and heat efficiencies on fuel input (typical 0.5-2 MWe gas engines), hours at full
+ *   output, and the share of electricity and heat the plant uses itself (pumps, mixers, digester heating)
+ * - Grid injection: methane lost in upgrading (membrane/amine slip), upgrader power per m³ raw biogas,
+ *   CH4 content of the injected gas after upgrading (before propanation) and injection hours per year
+ */
+export const ENERGY_ASSUMPTIONS = {
+    methaneEnergy: { label: 'Methane energy content', unit: 'kWh/m³', value: 9.97, min: 0 },
+    chpElectricalEfficiency: { label: 'CHP electrical efficiency', unit: 'fraction', value: 0.40, min: 0, max: 1 },
+    chpHeatEfficiency: { label: 'CHP heat efficiency', unit: 'fraction', value: 0.43, min: 0, max: 1 },
+    chpOperatingHours: { label: 'CHP full-load hours', unit: 'h/yr', value: 8000, min: 1, max: 8760 },
+    parasiticElectricity: { label: 'Own electricity use', unit: 'fraction', value: 0.08, min: 0, max: 1 },
+    parasiticHeat: { label: 'Digester heating', unit: 'fraction of heat', value: 0.25, min: 0, max: 1 },
+    upgradingMethaneLoss: { label: 'Upgrading methane loss', unit: 'fraction', value: 0.01, min: 0, max: 1 },
+    upgradingElectricity: { label: 'Upgrading electricity', unit: 'kWh/m³ biogas', value: 0.25, min: 0 },
+    biomethaneMethaneContent: { label: 'Biomethane CH₄ content', unit: 'fraction', value: 0.97, min: 0.5, max: 1 },
+    injectionOperatingHours: { label: 'Grid injection hours', unit: 'h/yr', value: 8300, min: 1, max: 8760 }
+};
+
+export function defaultEnergyAssumptions() {
+    return Object.fromEntries(Object.entries(ENERGY_ASSUMPTIONS).map(([key, { value }]) => [key, value]));
+}
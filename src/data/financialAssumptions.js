@@ -0,0 +1,77 @@
+/**
+ * Financial appraisal assumptions (src/utils/FinancialAppraisal.js)
+ * Prices are 2024 GBP, at year-1 levels, and are indexed each year by `indexation`. The defaults are typical
+ * published figures for UK farm and merchant AD. They are starting points for a site, not quotes; every one
+ * can be edited per site.
+ */
+export const FINANCIAL_GROUPS = [
+    { id: 'capex', label: 'Capital costs' },
+    { id: 'opex', label: 'Operating costs' },
+    { id: 'haulage', label: 'Haulage' },
+    { id: 'revenue', label: 'Revenue' },
+    { id: 'support', label: 'Green Gas Support Scheme' },
+    { id: 'finance', label: 'Finance' }
+];
+
+/**
+ * Digester sizing: volume = daily throughput ÷ feedstock density × retention days × headroom.
+ * Connection costs grow with the distance to the nearest grid substation or gas main sampled for the site.
+ * GGSS tariffs are paid on biomethane injected, in tiers of annual volume, for `supportYears` years. The
+ * values are approximate; check Ofgem's current tariff table. Set the tiers to zero for CHP-only projects
+ * or to a legacy RHI tariff for an accredited plant.
+ */
+export const FINANCIAL_ASSUMPTIONS = {
+    retentionDays: { group: 'capex', label: 'Hydraulic retention time', unit: 'days', value: 45, min: 1 },
+    feedstockDensity: { group: 'capex', label: 'Feedstock density', unit: 't/m³', value: 1.0, min: 0.1 },
+    digesterHeadroom: { group: 'capex', label: 'Digester headroom', unit: '×', value: 1.2, min: 1 },
+    digesterCostPerM3: { group: 'capex', label: 'Digester cost', unit: '£/m³', value: 350, min: 0 },
+    plantFixedCost: { group: 'capex', label: 'Reception, storage & civils', unit: '£', value: 750000, min: 0 },
+    chpCostPerKwe: { group: 'capex', label: 'CHP engine', unit: '£/kWe', value: 1100, min: 0 },
+    upgradingCostPerNm3h: { group: 'capex', label: 'Upgrading & grid entry', unit: '£ per Nm³/h', value: 9000, min: 0 },
+    gridConnectionFixed: { group: 'capex', label: 'Grid connection (fixed)', unit: '£', value: 100000, min: 0 },
+    gridConnectionPerKm: { group: 'capex', label: 'Grid connection cable', unit: '£/km', value: 120000, min: 0 },
+    gasConnectionFixed: { group: 'capex', label: 'Gas connection (fixed)', unit: '£', value: 400000, min: 0 },
+    gasConnectionPerKm: { group: 'capex', label: 'Gas connection pipe', unit: '£/km', value: 200000, min: 0 },
+    landCostPerHa: { group: 'capex', label: 'Land', unit: '£/ha', value: 25000, min: 0 },
+    developmentShare: { group: 'capex', label: 'Development (planning, design)', unit: 'fraction of capex', value: 0.08, min: 0, max: 1 },
+    contingencyShare: { group: 'capex', label: 'Contingency', unit: 'fraction of capex', value: 0.10, min: 0, max: 1 },
+
+    maintenanceShare: { group: 'opex', label: 'Maintenance', unit: 'fraction of plant capex/yr', value: 0.03, min: 0, max: 1 },
+    staffCost: { group: 'opex', label: 'Staff', unit: '£/yr', value: 150000, min: 0 },
+    insuranceShare: { group: 'opex', label: 'Insurance & rates', unit: 'fraction of capex/yr', value: 0.01, min: 0, max: 1 },
+    cropPrice: { group: 'opex', label: 'Energy crop purchase', unit: '£/t', value: 35, min: 0 },
+    importElectricityPrice: { group: 'opex', label: 'Imported electricity (upgrading)', unit: '£/MWh', value: 200, min: 0 },
+    digestateHandlingCost: { group: 'opex', label: 'Digestate storage & spreading', unit: '£/t', value: 4, min: 0 },
+
+    haulageCostPerTonneKm: { group: 'haulage', label: 'Haulage rate (incl. return)', unit: '£/t·km', value: 0.18, min: 0 },
+    digestateYield: { group: 'haulage', label: 'Digestate produced', unit: 't per t feedstock', value: 0.9, min: 0, max: 1 },
+    digestateHauledShare: { group: 'haulage', label: 'Digestate hauled off site', unit: 'fraction', value: 0.6, min: 0, max: 1 },
+
+    electricityPrice: { group: 'revenue', label: 'Electricity export', unit: '£/MWh', value: 110, min: 0 },
+    heatPrice: { group: 'revenue', label: 'Heat sales', unit: '£/MWh', value: 25, min: 0 },
+    heatUtilisation: { group: 'revenue', label: 'Surplus heat sold', unit: 'fraction', value: 0.3, min: 0, max: 1 },
+    biomethanePrice: { group: 'revenue', label: 'Biomethane (gas & certificates)', unit: '£/MWh', value: 35, min: 0 },
+    foodWasteGateFee: { group: 'revenue', label: 'Food waste gate fee', unit: '£/t', value: 25 },
+    otherWasteGateFee: { group: 'revenue', label: 'Other waste gate fee', unit: '£/t', value: 15 },
+    digestateValue: { group: 'revenue', label: 'Digestate sales', unit: '£/t', value: 1.5 },
+
+    supportTier1Tariff: { group: 'support', label: 'Tier 1 tariff', unit: '£/MWh', value: 61.7, min: 0 },
+    supportTier1Limit: { group: 'support', label: 'Tier 1 volume', unit: 'MWh/yr', value: 60000, min: 0 },
+    supportTier2Tariff: { group: 'support', label: 'Tier 2 tariff', unit: '£/MWh', value: 38.8, min: 0 },
+    supportTier2Limit: { group: 'support', label: 'Tier 2 volume', unit: 'MWh/yr', value: 40000, min: 0 },
+    supportTier3Tariff: { group: 'support', label: 'Tier 3 tariff (above)', unit: '£/MWh', value: 17.2, min: 0 },
+    supportYears: { group: 'support', label: 'Support period', unit: 'years', value: 15, min: 0 },
+
+    projectYears: { group: 'finance', label: 'Appraisal period', unit: 'years', value: 20, min: 1, max: 50 },
+    discountRate: { group: 'finance', label: 'Discount rate', unit: 'fraction', value: 0.08, min: 0, max: 1 },
+    indexation: { group: 'finance', label: 'Price indexation', unit: 'fraction/yr', value: 0.02, min: -0.1, max: 0.2 }
+};
+
+/**
+ * Haul distance when a site has no catchment to derive one from
+ */
+export const DEFAULT_HAUL_DISTANCE_KM = 10;
+
+export function defaultFinancialAssumptions() {
+    return Object.fromEntries(Object.entries(FINANCIAL_ASSUMPTIONS).map(([key, { value }]) => [key, value]));
+}
@@ -0,0 +1,71 @@
+import { readSourceField } from './constraintSources.js';
+
+/**
+ * Gas network pressure tiers and defaults for the grid injection feasibility check (src/utils/GasInjection.js)
+ * Flows are biomethane entry flows in Nm³/h. Values are typical of GB network entry practice and vary by
+ * network, so treat them as a screening check ahead of a capacity study with the gas distribution network.
+ */
+
+/**
+ * Pressure tiers, highest first
+ * - minFlowNm3h: smallest entry flow that usually justifies a connection at this tier (compression and
+ *   entry costs rise with pressure); below it the connection is flagged but still possible
+ * - maxFlowNm3h: flow the tier can usually absorb through summer minimum demand (null: no practical limit);
+ *   above it the connection is not feasible without reinforcement
+ * - entryCost: compression and entry equipment beyond the fixed connection cost (£)
+ * - injectable: low-pressure mains cannot take injected gas
+ * - color: line colour on the gas network map layer
+ */
+export const PRESSURE_TIERS = {
+    nts: { label: 'National Transmission System', pressure: '38-94 bar', minFlowNm3h: 1000, maxFlowNm3h: null, entryCost: 2000000, injectable: true, color: '#dc2626' },
+    lts: { label: 'Local transmission system', pressure: '7-38 bar', minFlowNm3h: 500, maxFlowNm3h: null, entryCost: 750000, injectable: true, color: '#ea580c' },
+    ip: { label: 'Intermediate pressure main', pressure: '2-7 bar', minFlowNm3h: 150, maxFlowNm3h: 2000, entryCost: 250000, injectable: true, color: '#f59e0b' },
+    mp: { label: 'Medium pressure main', pressure: '75 mbar-2 bar', minFlowNm3h: 0, maxFlowNm3h: 600, entryCost: 0, injectable: true, color: '#eab308' },
+    lp: { label: 'Low pressure main', pressure: 'below 75 mbar', minFlowNm3h: 0, maxFlowNm3h: 0, entryCost: 0, injectable: false, color: '#a3a3a3' }
+};
+
+/**
+ * Attribute names a distribution main's pressure tier is read from, first match wins.
+ * Values may be tier codes (LP, MP, IP, LTS/HP) or an operating pressure in bar.
+ */
+export const PRESSURE_TIER_FIELDS = ['pressure_tier', 'PRESSURE_TIER', 'pressure', 'PRESSURE', 'tier', 'TIER'];
+
+/**
+ * - designFlowNm3h: entry flow assumed for a site without a modelled output (no catchment or feedstock mix to model)
+ * - pipeRouteFactor: connection pipe length per metre of straight-line distance (routing around fields and roads)
+ */
+export const GAS_INJECTION_DEFAULTS = {
+    designFlowNm3h: 250,
+    pipeRouteFactor: 1.2
+};
+
+/**
+ * Normalise a main's pressure tier ('MP', 'Intermediate Pressure', 'HP', 4.5 bar) onto a PRESSURE_TIERS key
+ */
+export function normalizePressureTier(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (!text) return null;
+
+    const bar = Number(text.replace(/\s*bar$/, ''));
+    if (Number.isFinite(bar)) {
+        if (bar > 38) return 'nts';
+        if (bar > 7) return 'lts';
+        if (bar > 2) return 'ip';
+        return bar > 0.075 ? 'mp' : 'lp';
+    }
+
+    if (text.includes('nts') || text.includes('national')) return 'nts';
+    if (text.includes('lts') || text.startsWith('hp') || text.startsWith('high') || text.includes('transmission')) return 'lts';
+    if (text.startsWith('ip') || text.startsWith('intermediate')) return 'ip';
+    if (text.startsWith('mp') || text.startsWith('medium')) return 'mp';
+    if (text.startsWith('lp') || text.startsWith('low')) return 'lp';
+    return null;
+}
+
+/**
+ * Pressure tier of a distribution main; mains without a recognisable tier count as medium pressure,
+ * the most common distribution tier
+ */
+export function readPressureTier(properties) {
+    return normalizePressureTier(readSourceField({ fields: PRESSURE_TIER_FIELDS }, properties || {})) || 'mp';
+}
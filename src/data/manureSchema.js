@@ -0,0 +1,111 @@
+/**
+ * Manure volume schema
+ * Livestock categories in manure_volumes_wgs84.topojson (a hexagon grid of annual manure tonnage),
+ * the source attributes each is summed from and the yield factors used for biomethane potential
+ */
+
+/**
+ * Livestock categories. Hexes carrying a pre-aggregated `tonnesField` use it directly; otherwise
+ * the housed/stored component fields are summed. Manure deposited while grazing (`grazingFields`)
+ * cannot be collected for digestion, so it is reported but excluded from tonnage and potential.
+ *
+ * biogasYield is m³ biogas per tonne fresh weight and methaneContent the CH4 fraction of that
+ * biogas; both are typical values from the NNFCC/ADBA feedstock tables.
+ * Biomethane potential = tonnes × biogasYield × methaneContent (m³ CH4 per year).
+ */
+export const MANURE_CATEGORIES = [
+    {
+        id: 'beef-fym', name: 'Beef FYM', color: '#8B4513',
+        tonnesField: 'Beef FYM_tonnes',
+        fields: ['B_FYM_Gras', 'B_FYM_AraW', 'B_FYM_AraS', 'Beef_FYM'],
+        grazingFields: ['B_Grazing'],
+        biogasYield: 60, methaneContent: 0.55
+    },
+    {
+        id: 'beef-slurry', name: 'Beef Slurry', color: '#A0522D',
+        tonnesField: 'Beef Slurry_tonnes',
+        fields: ['B_Slu_Gras', 'B_Slu_AraS', 'B_Slu_AraW', 'Beef_Slurry'],
+        grazingFields: [],
+        biogasYield: 25, methaneContent: 0.55
+    },
+    {
+        id: 'dairy-fym', name: 'Dairy FYM', color: '#4682B4',
+        tonnesField: 'Dairy FYM_tonnes',
+        fields: ['D_FYM_Gras', 'D_FYM_AraW', 'D_FYM_AraS', 'Dairy_FYM'],
+        grazingFields: ['D_Grazing'],
+        biogasYield: 60, methaneContent: 0.55
+    },
+    {
+        id: 'dairy-slurry', name: 'Dairy Slurry', color: '#5F9EA0',
+        tonnesField: 'Dairy Slurry_tonnes',
+        fields: ['D_Slu_Gras', 'D_Slu_AraS', 'D_Slu_AraW', 'Dairy_Slurry'],
+        grazingFields: [],
+        biogasYield: 25, methaneContent: 0.55
+    },
+    {
+        id: 'broilers', name: 'Broilers', color: '#FF6347',
+        tonnesField: 'Broilers_tonnes',
+        fields: ['Bro_FYM_Gr', 'Bro_FYM_Ar', 'Bro_FYM__1', 'Broilers'],
+        grazingFields: [],
+        biogasYield: 180, methaneContent: 0.60
+    },
+    {
+        id: 'layers', name: 'Layers', color: '#FF7F50',
+        tonnesField: 'Layers_tonnes',
+        fields: ['L_FYM_Gras', 'L_FYM_AraW', 'L_FYM_AraS', 'Layers'],
+        grazingFields: ['L_FrRngGra'],
+        biogasYield: 100, methaneContent: 0.60
+    },
+    {
+        id: 'pigs', name: 'Pigs', color: '#DA70D6',
+        tonnesField: 'Pigs_tonnes',
+        fields: ['P_FYM_Gras', 'P_FYM_AraW', 'P_FYM_AraS', 'P_Slu_Gras', 'P_Slu_AraS', 'P_Slu_AraW', 'Pigs'],
+        grazingFields: ['P_OutGrazi'],
+        biogasYield: 30, methaneContent: 0.65
+    },
+    {
+        id: 'sheep', name: 'Sheep', color: '#32CD32',
+        tonnesField: 'Sheep_tonnes',
+        fields: ['S_FYM_Gras', 'S_FYM_AraW', 'S_FYM_AraS', 'Sheep'],
+        grazingFields: ['S_Grazing'],
+        biogasYield: 60, methaneContent: 0.55
+    }
+];
+
+/**
+ * Number of classes in the graduated choropleth (quantile breaks over hexes with manure)
+ */
+export const MANURE_CLASS_COUNT = 5;
+
+/**
+ * Property keys written onto each decoded hex for a category
+ */
+export function manureProperties(categoryId) {
+    const key = categoryId.replace(/-/g, '_');
+    return {
+        tonnes: `${key}_tonnes`,
+        grazing: `${key}_grazing_tonnes`,
+        biomethane: `${key}_biomethane_m3`
+    };
+}
+
+/**
+ * Biomethane potential (m³ CH4/yr) for a tonnage of one category
+ */
+export function biomethanePotential(category, tonnes) {
+    return tonnes * category.biogasYield * category.methaneContent;
+}
+
+/**
+ * Colour ramp for a category: MANURE_CLASS_COUNT steps from a pale tint to the full category colour
+ */
+export function manureColorRamp(color, classes = MANURE_CLASS_COUNT) {
+    const hex = color.replace('#', '');
+    const rgb = [0, 2, 4].map(offset => parseInt(hex.substr(offset, 2), 16));
+
+    return Array.from({ length: classes }, (_, index) => {
+        const strength = 0.2 + 0.8 * (index / Math.max(1, classes - 1));
+        const mixed = rgb.map(channel => Math.round(255 - (255 - channel) * strength));
+        return `#${mixed.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+    });
+}
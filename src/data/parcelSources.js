@@ -0,0 +1,69 @@
+import { DATASET_URLS } from './datasets.js';
+import { readSourceField } from './constraintSources.js';
+
+/**
+ * Land parcels Site Finder builds candidate sites from
+ * Each is a DataManager dataset (GeoJSON, WGS84). `fields` lists the reference attributes (first match
+ * wins), `nameFields` a human-readable name or address and `hectareFields` a published area, used for
+ * register entries that record only a point.
+ */
+export const PARCEL_SOURCES = {
+    freeholdParcels: {
+        label: 'Freehold title parcels',
+        publisher: 'HM Land Registry (INSPIRE Index Polygons)',
+        url: DATASET_URLS.freeholdParcels,
+        fields: ['INSPIREID', 'inspire_id', 'title_no', 'TITLE_NO'],
+        nameFields: ['title_no', 'TITLE_NO'],
+        hectareFields: []
+    },
+    brownfieldSites: {
+        label: 'Brownfield land register',
+        publisher: 'Local planning authorities (Brownfield Land Registers)',
+        url: DATASET_URLS.brownfieldSites,
+        fields: ['reference', 'SiteReference', 'site_reference'],
+        nameFields: ['name', 'SiteNameAddress', 'site_name_address'],
+        hectareFields: ['hectares', 'Hectares', 'site_area_hectares']
+    }
+};
+
+/**
+ * Freehold parcels as vector tiles for the Land Registry map layer. `sourceLayer` is used when the archive
+ * metadata lists no vector layers; `promoteId` is the attribute used as the feature id for highlighting.
+ * Geometry is simplified per zoom when the archive is built; on top of that, parcels smaller than
+ * `minHectaresByZoom` (by `areaField`, when present) are hidden below zoom 14.
+ */
+export const PARCEL_TILES_SOURCE = {
+    label: 'Freehold title parcels (vector tiles)',
+    publisher: 'HM Land Registry (INSPIRE Index Polygons)',
+    url: DATASET_URLS.landRegistryTiles,
+    sourceLayer: 'parcels',
+    promoteId: 'INSPIREID',
+    areaField: 'area_hectares',
+    minHectaresByZoom: { 12: 1, 13: 0.25 }
+};
+
+/**
+ * User-drawn areas of interest, kept as a DataManager dataset alongside the parcel layers
+ */
+export const AREA_OF_INTEREST_SOURCE = {
+    label: 'Areas of interest',
+    publisher: 'Drawn by user'
+};
+
+/**
+ * Minimum Polsby-Popper compactness for a candidate parcel; strips, verges and track parcels fall below it
+ */
+export const DEFAULT_MIN_COMPACTNESS = 0.3;
+
+export function parcelReference(source, properties) {
+    return readSourceField(source, properties);
+}
+
+export function parcelName(source, properties) {
+    return readSourceField({ fields: source.nameFields }, properties);
+}
+
+export function parcelHectares(source, properties) {
+    const value = Number(readSourceField({ fields: source.hectareFields }, properties));
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
@@ -0,0 +1,69 @@
+import { DATASET_URLS } from './datasets.js';
+import { readSourceField } from './constraintSources.js';
+
+/**
+ * Title register extract read by the local title lookup provider
+ * Columns follow HM Land Registry's "UK companies that own property" (CCOD) and "Overseas companies that
+ * own property" (OCOD) CSVs: one row per title with up to four proprietors, numbered (1)-(4).
+ */
+export const TITLE_REGISTER_SOURCE = {
+    label: 'Title register extract',
+    publisher: 'HM Land Registry (CCOD/OCOD)',
+    url: DATASET_URLS.titleRegister,
+    fields: {
+        titleNumber: ['Title Number', 'title_number', 'title_no'],
+        tenure: ['Tenure', 'tenure'],
+        propertyAddress: ['Property Address', 'property_address'],
+        district: ['District', 'district'],
+        county: ['County', 'county'],
+        postcode: ['Postcode', 'postcode'],
+        pricePaid: ['Price Paid', 'price_paid'],
+        dateAdded: ['Date Proprietor Added', 'date_proprietor_added']
+    },
+    maxProprietors: 4
+};
+
+/**
+ * Title numbers as the register writes them: upper case, no spaces
+ */
+export function normalizeTitleNumber(value) {
+    return value === null || value === undefined ? '' : String(value).replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Title record from a register row, or null when the row has no title number
+ */
+export function normalizeTitleRow(row) {
+    const read = (key) => {
+        const value = readSourceField({ fields: TITLE_REGISTER_SOURCE.fields[key] }, row);
+        return value === null ? null : String(value).trim() || null;
+    };
+    const titleNumber = normalizeTitleNumber(read('titleNumber'));
+    if (!titleNumber) return null;
+
+    const proprietors = [];
+    for (let i = 1; i <= TITLE_REGISTER_SOURCE.maxProprietors; i++) {
+        const name = row[`Proprietor Name (${i})`]?.trim();
+        if (!name) continue;
+        proprietors.push({
+            name,
+            companyRegNo: row[`Company Registration No. (${i})`]?.trim() || null,
+            category: row[`Proprietorship Category (${i})`]?.trim() || null,
+            country: row[`Country Incorporated (${i})`]?.trim() || null,
+            address: [1, 2, 3].map(line => row[`Proprietor (${i}) Address (${line})`]?.trim()).filter(Boolean).join(', ') || null
+        });
+    }
+
+    const pricePaid = Number(String(read('pricePaid') ?? '').replace(/[£,]/g, ''));
+    return {
+        titleNumber,
+        tenure: read('tenure'),
+        propertyAddress: read('propertyAddress'),
+        district: read('district'),
+        county: read('county'),
+        postcode: read('postcode'),
+        pricePaid: read('pricePaid') && Number.isFinite(pricePaid) ? pricePaid : null,
+        dateAdded: read('dateAdded'),
+        proprietors
+    };
+}
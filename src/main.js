@@ -15,6 +15,20 @@ import { PaymentManager } from './components/PaymentManager.js';
 import { PerformanceManager } from './components/PerformanceManager.js';
 import { AnalyticsManager } from './components/AnalyticsManager.js';
 import { CollaborationManager } from './components/CollaborationManager.js';
+import { DataImportManager } from './components/DataImportManager.js';
+import { CatchmentAnalyzer } from './components/CatchmentAnalyzer.js';
+import { RoutingManager } from './components/RoutingManager.js';
+import { AreaOfInterestManager } from './components/AreaOfInterestManager.js';
+import { AHPWizard } from './components/AHPWizard.js';
+import { ScoringCurveEditor } from './components/ScoringCurveEditor.js';
+import { ComparisonWorkspace } from './components/ComparisonWorkspace.js';
+import { ShortlistManager } from './components/ShortlistManager.js';
+import { TitleLookupService, LocalExtractTitleProvider, MockTitleProvider } from './components/TitleLookupService.js';
+import { EnergyModelCalculator } from './components/EnergyModelCalculator.js';
+import { FinancialAppraisalManager } from './components/FinancialAppraisalManager.js';
+import { LandBankAnalyzer } from './components/LandBankAnalyzer.js';
+import { CarbonCalculator } from './components/CarbonCalculator.js';
+import { GasInjectionAnalyzer } from './components/GasInjectionAnalyzer.js';
 
 // Global application state
 window.APP_STATE = {
@@ -33,7 +47,21 @@ window.APP_STATE = {
         paymentManager: null,
         performanceManager: null,
         analyticsManager: null,
-        collaborationManager: null
+        collaborationManager: null,
+        dataImportManager: null,
+        catchmentAnalyzer: null,
+        routingManager: null,
+        areaOfInterestManager: null,
+        ahpWizard: null,
+        scoringCurveEditor: null,
+        comparisonWorkspace: null,
+        shortlistManager: null,
+        titleLookupService: null,
+        energyModel: null,
+        financialAppraisal: null,
+        landBankAnalyzer: null,
+        carbonCalculator: null,
+        gasInjectionAnalyzer: null
 };
 
 // Initialize all managers when DOM is loaded
@@ -55,10 +83,25 @@ document.addEventListener('DOMContentLoaded', async () => {
         const dataManager = new DataManager();
         window.APP_STATE.dataManager = dataManager;
         
+        // Surface rows the AD plant loader could not map instead of dropping them silently
+        dataManager.on('dataQualityIssues', ({ type, report }) => {
+            const excluded = report.excludedRows > 0 ? `, ${report.excludedRows} excluded from the map` : '';
+            errorHandler.showWarningNotification(
+                `${report.errors.length} issue(s) found in ${type} data${excluded}. See console for row details.`,
+                'Data Quality'
+            );
+        });
+        
         // Initialize SiteFinder
         const siteFinder = new SiteFinder(dataManager);
         window.APP_STATE.siteFinder = siteFinder;
         
+        // Feedstock catchments around plants and candidate sites (used by SiteFinder and InfoPanel)
+        window.APP_STATE.catchmentAnalyzer = new CatchmentAnalyzer(dataManager);
+        
+        // Road-network drive times, routes and nearest-road distances
+        window.APP_STATE.routingManager = new RoutingManager(dataManager);
+        
         // Initialize other managers
         const mapManager = new MapManager();
         const searchManager = new SearchManager();
@@ -111,20 +154,68 @@ document.addEventListener('DOMContentLoaded', async () => {
         await analyticsManager.initialize();
         await collaborationManager.initialize();
         
+        // User data import (drag-and-drop and sidebar button) runs in the data processing worker
+        const dataImportManager = new DataImportManager();
+        window.APP_STATE.dataImportManager = dataImportManager;
+        dataImportManager.initialize();
+        
+        // User-drawn areas of interest, used by Site Finder as candidate parcels
+        const areaOfInterestManager = new AreaOfInterestManager(mapManager.map, dataManager);
+        window.APP_STATE.areaOfInterestManager = areaOfInterestManager;
+        areaOfInterestManager.initialize();
+        
+        // Pairwise weighting and ranking method for Site Finder
+        const ahpWizard = new AHPWizard(siteFinder);
+        window.APP_STATE.ahpWizard = ahpWizard;
+        ahpWizard.initialize();
+        
+        // Value-to-score curves for the distance, cost and area criteria
+        const scoringCurveEditor = new ScoringCurveEditor(siteFinder);
+        window.APP_STATE.scoringCurveEditor = scoringCurveEditor;
+        scoringCurveEditor.initialize();
+        
+        // Sites and AD plants pinned for side-by-side comparison
+        const comparisonWorkspace = new ComparisonWorkspace(siteFinder, window.APP_STATE.catchmentAnalyzer);
+        window.APP_STATE.comparisonWorkspace = comparisonWorkspace;
+        comparisonWorkspace.initialize();
+        
+        // Site Finder results promoted to a persistent, optionally shared, shortlist
+        const shortlistManager = new ShortlistManager(siteFinder, collaborationManager);
+        window.APP_STATE.shortlistManager = shortlistManager;
+        shortlistManager.initialize();
+        
+        // Landowner (title) lookups for parcels and shortlisted sites
+        window.APP_STATE.titleLookupService = new TitleLookupService([
+            new LocalExtractTitleProvider(dataManager),
+            new MockTitleProvider()
+        ]);
+        
+        // Feedstock-to-energy model for plants, shortlisted sites and hypothetical plants
+        const energyModel = new EnergyModelCalculator(dataManager, window.APP_STATE.catchmentAnalyzer);
+        window.APP_STATE.energyModel = energyModel;
+        energyModel.initialize();
+        
+        // Project financial appraisal for shortlisted sites and Site Finder results
+        const financialAppraisal = new FinancialAppraisalManager(siteFinder, shortlistManager, energyModel);
+        window.APP_STATE.financialAppraisal = financialAppraisal;
+        financialAppraisal.initialize();
+        
+        // Digestate spreading land bank against NVZ nitrogen limits
+        window.APP_STATE.landBankAnalyzer = new LandBankAnalyzer(dataManager, siteFinder.constraintSampler);
+        
+        // Lifecycle GHG balance of plants and the environmental impact report's emission factors
+        const carbonCalculator = new CarbonCalculator(dataManager);
+        window.APP_STATE.carbonCalculator = carbonCalculator;
+        carbonCalculator.initialize();
+        
+        // Gas grid injection feasibility against NTS and distribution mains
+        window.APP_STATE.gasInjectionAnalyzer = new GasInjectionAnalyzer(dataManager, siteFinder.constraintSampler);
+        
         // Show welcome message in info panel
         infoPanel.showWelcomeMessage();
         
-        // Set up event listeners for data loading
-        dataManager.on('dataLoaded', (data) => {
-            console.log(`Data loaded: ${data.type}`);
-            if (data.type === 'adPlants') {
-                layerManager.addADPlantsLayer(data.data);
-            } else if (data.type === 'boundaries') {
-                // Boundaries are already loaded in LayerManager initialization
-                console.log('Boundaries already loaded');
-            }
-        });
-        
+        // Map, search, reports and Site Finder subscribe to DataManager's dataset registry themselves;
+        // only loading errors are surfaced here
         dataManager.on('error', (error) => {
             console.error('Data loading error:', error);
             errorHandler.handleError(error, 'Data Loading');
@@ -0,0 +1,294 @@
+/**
+ * British National Grid (EPSG:27700) support
+ * Converts between WGS84 lon/lat and OSGB36 National Grid eastings/northings, and formats/parses
+ * OS grid references such as "SJ 123 456".
+ *
+ * Datum shift: a 7-parameter Helmert transform between WGS84 and OSGB36 (Ordnance Survey,
+ * "A Guide to Coordinate Systems in Great Britain"). It is accurate to about 5 m across GB,
+ * which is enough for site screening and display; survey-grade work needs the OSTN15 grid shift.
+ */
+
+const AIRY_1830 = { a: 6377563.396, b: 6356256.909 };
+const WGS84 = { a: 6378137, b: 6356752.3142 };
+
+// National Grid Transverse Mercator projection
+const F0 = 0.9996012717;
+const LAT0 = 49 * Math.PI / 180;
+const LON0 = -2 * Math.PI / 180;
+const E0 = 400000;
+const N0 = -100000;
+
+// WGS84 -> OSGB36; the reverse transform uses the negated parameters
+const HELMERT_WGS84_TO_OSGB36 = {
+    tx: -446.448, ty: 125.157, tz: -542.060, // metres
+    s: 20.4894, // ppm
+    rx: -0.1502, ry: -0.2470, rz: -0.8421 // arcseconds
+};
+
+/**
+ * Extent of the National Grid in metres
+ */
+export const GRID_BOUNDS = { minEasting: 0, maxEasting: 700000, minNorthing: 0, maxNorthing: 1300000 };
+
+/**
+ * Convert WGS84 longitude/latitude to National Grid [easting, northing] in metres
+ */
+export function wgs84ToOsgb(lon, lat) {
+    const cartesian = toCartesian(toRadians(lat), toRadians(lon), WGS84);
+    const shifted = helmert(cartesian, HELMERT_WGS84_TO_OSGB36);
+    const { lat: phi, lon: lambda } = toGeodetic(shifted, AIRY_1830);
+
+    const { a, b } = AIRY_1830;
+    const e2 = 1 - (b * b) / (a * a);
+    const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi);
+    const nu = a * F0 / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    const rho = a * F0 * (1 - e2) / Math.pow(1 - e2 * sinPhi * sinPhi, 1.5);
+    const eta2 = nu / rho - 1;
+    const tan2 = Math.tan(phi) ** 2, tan4 = tan2 * tan2;
+    const cos3 = cosPhi ** 3, cos5 = cosPhi ** 5;
+
+    const I = meridionalArc(phi) + N0;
+    const II = (nu / 2) * sinPhi * cosPhi;
+    const III = (nu / 24) * sinPhi * cos3 * (5 - tan2 + 9 * eta2);
+    const IIIA = (nu / 720) * sinPhi * cos5 * (61 - 58 * tan2 + tan4);
+    const IV = nu * cosPhi;
+    const V = (nu / 6) * cos3 * (nu / rho - tan2);
+    const VI = (nu / 120) * cos5 * (5 - 18 * tan2 + tan4 + 14 * eta2 - 58 * tan2 * eta2);
+
+    const dL = lambda - LON0;
+    const northing = I + II * dL ** 2 + III * dL ** 4 + IIIA * dL ** 6;
+    const easting = E0 + IV * dL + V * dL ** 3 + VI * dL ** 5;
+
+    return [easting, northing];
+}
+
+/**
+ * Convert National Grid easting/northing in metres to WGS84 [lon, lat]
+ */
+export function osgbToWgs84(easting, northing) {
+    const { a, b } = AIRY_1830;
+    const e2 = 1 - (b * b) / (a * a);
+
+    let phi = LAT0;
+    let M = 0;
+    do {
+        phi = (northing - N0 - M) / (a * F0) + phi;
+        M = meridionalArc(phi);
+    } while (Math.abs(northing - N0 - M) >= 0.00001);
+
+    const sinPhi = Math.sin(phi);
+    const nu = a * F0 / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+    const rho = a * F0 * (1 - e2) / Math.pow(1 - e2 * sinPhi * sinPhi, 1.5);
+    const eta2 = nu / rho - 1;
+    const tanPhi = Math.tan(phi);
+    const tan2 = tanPhi * tanPhi, tan4 = tan2 * tan2, tan6 = tan4 * tan2;
+    const secPhi = 1 / Math.cos(phi);
+    const nu3 = nu ** 3, nu5 = nu ** 5, nu7 = nu ** 7;
+
+    const VII = tanPhi / (2 * rho * nu);
+    const VIII = tanPhi / (24 * rho * nu3) * (5 + 3 * tan2 + eta2 - 9 * tan2 * eta2);
+    const IX = tanPhi / (720 * rho * nu5) * (61 + 90 * tan2 + 45 * tan4);
+    const X = secPhi / nu;
+    const XI = secPhi / (6 * nu3) * (nu / rho + 2 * tan2);
+    const XII = secPhi / (120 * nu5) * (5 + 28 * tan2 + 24 * tan4);
+    const XIIA = secPhi / (5040 * nu7) * (61 + 662 * tan2 + 1320 * tan4 + 720 * tan6);
+
+    const dE = easting - E0;
+    const osgbLat = phi - VII * dE ** 2 + VIII * dE ** 4 - IX * dE ** 6;
+    const osgbLon = LON0 + X * dE - XI * dE ** 3 + XII * dE ** 5 - XIIA * dE ** 7;
+
+    const cartesian = toCartesian(osgbLat, osgbLon, AIRY_1830);
+    const shifted = helmert(cartesian, invertHelmert(HELMERT_WGS84_TO_OSGB36));
+    const { lat, lon } = toGeodetic(shifted, WGS84);
+
+    return [toDegrees(lon), toDegrees(lat)];
+}
+
+/**
+ * Whether an easting/northing pair lies on the National Grid
+ */
+export function isOnGrid(easting, northing) {
+    return Number.isFinite(easting) && Number.isFinite(northing) &&
+        easting >= GRID_BOUNDS.minEasting && easting < GRID_BOUNDS.maxEasting &&
+        northing >= GRID_BOUNDS.minNorthing && northing < GRID_BOUNDS.maxNorthing;
+}
+
+/**
+ * Format an easting/northing as an OS grid reference, e.g. "SJ 12345 67890"
+ * digits: total numeric digits (2-10); 6 gives 100 m precision ("SJ 123 678")
+ */
+export function formatGridReference(easting, northing, digits = 10) {
+    if (!isOnGrid(easting, northing)) return null;
+
+    const e100k = Math.floor(easting / 100000);
+    const n100k = Math.floor(northing / 100000);
+
+    // Letter indices into the 25-letter alphabet without I
+    let l1 = (19 - n100k) - (19 - n100k) % 5 + Math.floor((e100k + 10) / 5);
+    let l2 = (19 - n100k) * 5 % 25 + e100k % 5;
+    if (l1 > 7) l1++;
+    if (l2 > 7) l2++;
+    const letters = String.fromCharCode(l1 + 65, l2 + 65);
+
+    const half = Math.max(1, Math.min(5, Math.floor(digits / 2)));
+    const scale = 10 ** (5 - half);
+    const e = String(Math.floor((easting % 100000) / scale)).padStart(half, '0');
+    const n = String(Math.floor((northing % 100000) / scale)).padStart(half, '0');
+
+    return `${letters} ${e} ${n}`;
+}
+
+/**
+ * Parse an OS grid reference ("SJ 123 456", "SJ123456", "sj 12345 67890")
+ * Returns { easting, northing, precision } for the south-west corner of the referenced square, or null
+ */
+export function parseGridReference(text) {
+    const match = String(text).trim().toUpperCase()
+        .match(/^([HJNOST][A-HJ-Z])\s*(\d+)(?:\s+(\d+))?$/);
+    if (!match) return null;
+
+    let [, letters, eDigits, nDigits] = match;
+    if (nDigits === undefined) {
+        if (eDigits.length % 2 !== 0) return null;
+        nDigits = eDigits.slice(eDigits.length / 2);
+        eDigits = eDigits.slice(0, eDigits.length / 2);
+    }
+    if (eDigits.length !== nDigits.length || eDigits.length > 5) return null;
+
+    let l1 = letters.charCodeAt(0) - 65;
+    let l2 = letters.charCodeAt(1) - 65;
+    if (l1 > 7) l1--;
+    if (l2 > 7) l2--;
+
+    const e100k = ((l1 - 2) % 5) * 5 + (l2 % 5);
+    const n100k = (19 - Math.floor(l1 / 5) * 5) - Math.floor(l2 / 5);
+    const precision = 10 ** (5 - eDigits.length);
+
+    const easting = e100k * 100000 + Number(eDigits) * precision;
+    const northing = n100k * 100000 + Number(nDigits) * precision;
+    if (!isOnGrid(easting, northing)) return null;
+
+    return { easting, northing, precision };
+}
+
+/**
+ * Recognise a location typed as a grid reference or as raw eastings/northings
+ * ("SJ 123 456", "533000, 180000", "E 533000 N 180000")
+ * Returns { type: 'gridref' | 'eastingNorthing', easting, northing, precision, coordinates: [lon, lat], gridReference } or null
+ */
+export function parseGridQuery(text) {
+    const query = String(text).trim();
+
+    const gridRef = parseGridReference(query);
+    if (gridRef) {
+        // Centre of the referenced square
+        const easting = gridRef.easting + gridRef.precision / 2;
+        const northing = gridRef.northing + gridRef.precision / 2;
+        return {
+            type: 'gridref',
+            easting,
+            northing,
+            precision: gridRef.precision,
+            coordinates: osgbToWgs84(easting, northing),
+            gridReference: formatGridReference(gridRef.easting, gridRef.northing, 2 * (5 - Math.log10(gridRef.precision)))
+        };
+    }
+
+    const pair = query.match(/^E?\s*(\d{5,6}(?:\.\d+)?)\s*(?:,\s*|\s+)N?\s*(\d{5,7}(?:\.\d+)?)$/i);
+    if (pair) {
+        const easting = Number(pair[1]);
+        const northing = Number(pair[2]);
+        if (!isOnGrid(easting, northing)) return null;
+
+        return {
+            type: 'eastingNorthing',
+            easting,
+            northing,
+            precision: 1,
+            coordinates: osgbToWgs84(easting, northing),
+            gridReference: formatGridReference(easting, northing)
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Easting, northing and grid reference for a WGS84 position, ready for display or export
+ * Positions off the grid return nulls
+ */
+export function describeBNG(lon, lat, digits = 10) {
+    // The grid reference is built from the rounded metres shown beside it, so the two always agree
+    const [easting, northing] = wgs84ToOsgb(lon, lat).map(Math.round);
+    if (!isOnGrid(easting, northing)) {
+        return { easting: null, northing: null, gridReference: null };
+    }
+
+    return {
+        easting,
+        northing,
+        gridReference: formatGridReference(easting, northing, digits)
+    };
+}
+
+function meridionalArc(phi) {
+    const { a, b } = AIRY_1830;
+    const n = (a - b) / (a + b), n2 = n * n, n3 = n2 * n;
+    const dPhi = phi - LAT0, sPhi = phi + LAT0;
+
+    const Ma = (1 + n + (5 / 4) * n2 + (5 / 4) * n3) * dPhi;
+    const Mb = (3 * n + 3 * n2 + (21 / 8) * n3) * Math.sin(dPhi) * Math.cos(sPhi);
+    const Mc = ((15 / 8) * n2 + (15 / 8) * n3) * Math.sin(2 * dPhi) * Math.cos(2 * sPhi);
+    const Md = (35 / 24) * n3 * Math.sin(3 * dPhi) * Math.cos(3 * sPhi);
+
+    return b * F0 * (Ma - Mb + Mc - Md);
+}
+
+function toCartesian(lat, lon, { a, b }) {
+    const e2 = 1 - (b * b) / (a * a);
+    const sinLat = Math.sin(lat), cosLat = Math.cos(lat);
+    const nu = a / Math.sqrt(1 - e2 * sinLat * sinLat);
+
+    return {
+        x: nu * cosLat * Math.cos(lon),
+        y: nu * cosLat * Math.sin(lon),
+        z: nu * (1 - e2) * sinLat
+    };
+}
+
+function toGeodetic({ x, y, z }, { a, b }) {
+    const e2 = 1 - (b * b) / (a * a);
+    const p = Math.sqrt(x * x + y * y);
+
+    let lat = Math.atan2(z, p * (1 - e2));
+    for (let i = 0; i < 10; i++) {
+        const nu = a / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+        lat = Math.atan2(z + e2 * nu * Math.sin(lat), p);
+    }
+
+    return { lat, lon: Math.atan2(y, x) };
+}
+
+function helmert({ x, y, z }, params) {
+    const s = params.s * 1e-6;
+    const arcsec = Math.PI / (180 * 3600);
+    const rx = params.rx * arcsec, ry = params.ry * arcsec, rz = params.rz * arcsec;
+
+    return {
+        x: params.tx + (1 + s) * x - rz * y + ry * z,
+        y: params.ty + rz * x + (1 + s) * y - rx * z,
+        z: params.tz - ry * x + rx * y + (1 + s) * z
+    };
+}
+
+function invertHelmert(params) {
+    return Object.fromEntries(Object.entries(params).map(([key, value]) => [key, -value]));
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
@@ -0,0 +1,155 @@
+import { FEEDSTOCK_TYPES, ENERGY_ASSUMPTIONS, defaultEnergyAssumptions } from '../data/feedstockYields.js';
+
+/**
+ * EnergyModel - Biogas, biomethane and power from a feedstock mix
+ * A mix is { feedstockId: tonnes per year } over FEEDSTOCK_TYPES. Settings are
+ * { assumptions: { key: value }, yields: { feedstockId: { biogasYield, methaneContent } } }; anything not
+ * set falls back to the documented defaults in src/data/feedstockYields.js.
+ *
+ * Methane (m³/yr) = Σ tonnes × biogasYield × methaneContent. The model reports both routes:
+ * - CHP: fuel energy × efficiencies gives electricity and heat; rated kWe is electricity over full-load hours
+ * - Grid injection: methane less upgrading losses, as biomethane at its CH4 content; capacity in Nm³/h
+ *   over injection hours
+ */
+
+const feedstockType = (id) => FEEDSTOCK_TYPES.find(type => type.id === id) || null;
+
+const validNumber = (value, min = -Infinity, max = Infinity) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= min && number <= max ? number : null;
+};
+
+/**
+ * Settings with defaults filled in; unknown keys and non-numeric or out-of-range values are dropped
+ */
+export function resolveEnergySettings(settings = {}) {
+    const assumptions = defaultEnergyAssumptions();
+    Object.entries(settings.assumptions || {}).forEach(([key, value]) => {
+        const definition = ENERGY_ASSUMPTIONS[key];
+        const number = definition ? validNumber(value, definition.min, definition.max) : null;
+        if (number !== null) assumptions[key] = number;
+    });
+
+    const yields = Object.fromEntries(FEEDSTOCK_TYPES.map(type => {
+        const override = settings.yields?.[type.id] || {};
+        return [type.id, {
+            biogasYield: validNumber(override.biogasYield, 0) ?? type.biogasYield,
+            methaneContent: validNumber(override.methaneContent, 0, 1) ?? type.methaneContent
+        }];
+    }));
+
+    return { assumptions, yields };
+}
+
+/**
+ * Feedstock mix of an AD plant record from its per-feedstock tonnages. Tonnage in the published total
+ * that is not broken down is counted as 'unspecified'.
+ */
+export function plantFeedstockMix(plant) {
+    const mix = {};
+    FEEDSTOCK_TYPES.filter(type => type.plantField).forEach(type => {
+        const tonnes = Number(plant[type.plantField]);
+        if (Number.isFinite(tonnes) && tonnes > 0) mix[type.id] = tonnes;
+    });
+
+    const listed = Object.values(mix).reduce((sum, tonnes) => sum + tonnes, 0);
+    const total = Number(plant.totalFeedstockTpa);
+    if (Number.isFinite(total) && total > listed) {
+        mix.unspecified = total - listed;
+    }
+    return mix;
+}
+
+/**
+ * Feedstock mix from a catchment analysis: available (net) manure by livestock category
+ */
+export function catchmentFeedstockMix(result) {
+    const mix = {};
+    Object.entries(result?.breakdown || {}).forEach(([id, entry]) => {
+        if (feedstockType(id) && entry.netTonnes > 0) mix[id] = entry.netTonnes;
+    });
+    return mix;
+}
+
+/**
+ * Energy outputs of a feedstock mix
+ */
+export function modelEnergy(mix, settings = {}) {
+    const { assumptions: a, yields } = resolveEnergySettings(settings);
+
+    const feedstocks = Object.entries(mix)
+        .map(([id, tonnes]) => ({ id, type: feedstockType(id), tonnes: Number(tonnes) }))
+        .filter(({ id, type, tonnes }) => {
+            if (!type) console.warn(`⚠️ Unknown feedstock type ignored: ${id}`);
+            return type && Number.isFinite(tonnes) && tonnes > 0;
+        })
+        .map(({ type, tonnes }) => {
+            const { biogasYield, methaneContent } = yields[type.id];
+            const biogasM3 = tonnes * biogasYield;
+            return { id: type.id, label: type.label, tonnes, biogasYield, methaneContent, biogasM3, methaneM3: biogasM3 * methaneContent };
+        });
+
+    const tonnes = feedstocks.reduce((sum, row) => sum + row.tonnes, 0);
+    const biogasM3 = feedstocks.reduce((sum, row) => sum + row.biogasM3, 0);
+    const methaneM3 = feedstocks.reduce((sum, row) => sum + row.methaneM3, 0);
+    const fuelMWh = methaneM3 * a.methaneEnergy / 1000;
+
+    const electricityMWh = fuelMWh * a.chpElectricalEfficiency;
+    const heatMWh = fuelMWh * a.chpHeatEfficiency;
+    const injectedMethaneM3 = methaneM3 * (1 - a.upgradingMethaneLoss);
+    const biomethaneM3 = injectedMethaneM3 / a.biomethaneMethaneContent;
+
+    return {
+        feedstocks,
+        totals: {
+            tonnes,
+            biogasM3,
+            methaneM3,
+            methaneContent: biogasM3 > 0 ? methaneM3 / biogasM3 : null,
+            fuelMWh
+        },
+        chp: {
+            electricalKwe: electricityMWh * 1000 / a.chpOperatingHours,
+            electricityMWh,
+            exportElectricityMWh: electricityMWh * (1 - a.parasiticElectricity),
+            heatMWh,
+            surplusHeatMWh: heatMWh * (1 - a.parasiticHeat)
+        },
+        gridInjection: {
+            biomethaneM3,
+            capacityNm3h: biomethaneM3 / a.injectionOperatingHours,
+            energyMWh: injectedMethaneM3 * a.methaneEnergy / 1000,
+            upgradingElectricityMWh: biogasM3 * a.upgradingElectricity / 1000
+        },
+        assumptions: a
+    };
+}
+
+/**
+ * Published and modelled capacity of an AD plant. Published figures win; the model fills in plants
+ * that report feedstock tonnage but no capacity. Grid-injection plants are modelled on that route.
+ */
+export function plantEnergyProfile(plant, settings = {}) {
+    const mix = plantFeedstockMix(plant);
+    const model = Object.keys(mix).length > 0 ? modelEnergy(mix, settings) : null;
+    const reportedKwe = Number.isFinite(plant.capacityKwe) ? plant.capacityKwe : null;
+    const reportedNm3h = Number.isFinite(plant.biomethaneNm3h) ? plant.biomethaneNm3h : null;
+    const reportedGwh = Number.isFinite(plant.gwh) ? plant.gwh : null;
+    const route = plant.gasToGrid || reportedNm3h !== null ? 'gridInjection' : 'chp';
+    const modelledMWh = model ? (route === 'gridInjection' ? model.gridInjection.energyMWh : model.chp.electricityMWh) : null;
+
+    return {
+        mix,
+        model,
+        route,
+        electricalKwe: reportedKwe ?? (model && route === 'chp' ? model.chp.electricalKwe : null),
+        biomethaneNm3h: reportedNm3h ?? (model && route === 'gridInjection' ? model.gridInjection.capacityNm3h : null),
+        energyMWh: reportedGwh !== null ? reportedGwh * 1000 : modelledMWh,
+        modelled: {
+            electricalKwe: reportedKwe === null && model !== null && route === 'chp',
+            biomethaneNm3h: reportedNm3h === null && model !== null && route === 'gridInjection',
+            energyMWh: reportedGwh === null && modelledMWh !== null
+        }
+    };
+}
@@ -0,0 +1,321 @@
+/**
+ * FeatureIndex - Grid index over a GeoJSON FeatureCollection for point sampling on the main thread
+ * Answers "which polygons contain this point" and "how far is the nearest feature" for points,
+ * lines and polygons (with holes). Distances use a local equirectangular projection, which is
+ * accurate to well under 1% over the tens of kilometres constraint checks look at.
+ */
+
+const KM_PER_DEGREE = 111.32;
+const DEFAULT_CELL_DEGREES = 0.05;
+
+/**
+ * Bucket each feature into every grid cell its bounding box touches
+ */
+export function buildFeatureIndex(collection, cellDegrees = DEFAULT_CELL_DEGREES) {
+    const cells = new Map();
+    const entries = [];
+
+    (collection?.features || []).forEach(feature => {
+        if (!feature?.geometry) return;
+
+        const bbox = geometryBBox(feature.geometry);
+        if (!bbox) return;
+
+        const entry = { feature, bbox };
+        entries.push(entry);
+        for (let cx = Math.floor(bbox[0] / cellDegrees); cx <= Math.floor(bbox[2] / cellDegrees); cx++) {
+            for (let cy = Math.floor(bbox[1] / cellDegrees); cy <= Math.floor(bbox[3] / cellDegrees); cy++) {
+                const key = `${cx},${cy}`;
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(entry);
+            }
+        }
+    });
+
+    return { cells, cellDegrees, size: entries.length };
+}
+
+/**
+ * Polygon features containing the point
+ */
+export function featuresContaining(index, point) {
+    const [x, y] = point;
+    const entries = index.cells.get(`${Math.floor(x / index.cellDegrees)},${Math.floor(y / index.cellDegrees)}`) || [];
+
+    return entries
+        .filter(({ feature, bbox }) =>
+            x >= bbox[0] && x <= bbox[2] && y >= bbox[1] && y <= bbox[3] && pointInGeometry(point, feature.geometry))
+        .map(({ feature }) => feature);
+}
+
+/**
+ * Nearest feature within maxKm: { km, feature } (km is 0 inside a polygon) or null.
+ * The search square doubles from one cell until a feature is found inside it.
+ */
+export function nearestFeature(index, point, maxKm = 50) {
+    const seen = new Set();
+    let best = null;
+    let reachKm = index.cellDegrees * KM_PER_DEGREE;
+
+    while (true) {
+        const searchKm = Math.min(reachKm, maxKm);
+        forEachCell(index, point, searchKm, (entries) => {
+            entries.forEach(entry => {
+                if (seen.has(entry)) return;
+                seen.add(entry);
+
+                const km = distanceToGeometryKm(point, entry.feature.geometry);
+                if (km <= maxKm && (!best || km < best.km)) {
+                    best = { km, feature: entry.feature };
+                }
+            });
+        });
+
+        if ((best && best.km <= searchKm) || searchKm >= maxKm) {
+            return best;
+        }
+        reachKm *= 2;
+    }
+}
+
+/**
+ * Features within maxKm of a geometry (a parcel polygon), nearest first: [{ km, feature }].
+ * km is 0 where the two overlap, so a feature is within d of a parcel exactly when the parcel
+ * intersects the feature buffered by d.
+ */
+export function featuresNearGeometry(index, geometry, maxKm) {
+    const bbox = geometryBBox(geometry);
+    if (!bbox) return [];
+
+    const kx = KM_PER_DEGREE * Math.cos((bbox[1] + bbox[3]) / 2 * Math.PI / 180);
+    const padX = maxKm / kx;
+    const padY = maxKm / KM_PER_DEGREE;
+    const seen = new Set();
+    const found = [];
+
+    for (let cx = Math.floor((bbox[0] - padX) / index.cellDegrees); cx <= Math.floor((bbox[2] + padX) / index.cellDegrees); cx++) {
+        for (let cy = Math.floor((bbox[1] - padY) / index.cellDegrees); cy <= Math.floor((bbox[3] + padY) / index.cellDegrees); cy++) {
+            (index.cells.get(`${cx},${cy}`) || []).forEach(entry => {
+                if (seen.has(entry)) return;
+                seen.add(entry);
+
+                const [minX, minY, maxX, maxY] = entry.bbox;
+                if (minX > bbox[2] + padX || maxX < bbox[0] - padX || minY > bbox[3] + padY || maxY < bbox[1] - padY) return;
+
+                const km = geometryDistanceKm(geometry, entry.feature.geometry);
+                if (km <= maxKm) {
+                    found.push({ km, feature: entry.feature });
+                }
+            });
+        }
+    }
+    return found.sort((a, b) => a.km - b.km);
+}
+
+/**
+ * Shortest distance (km) between two geometries; 0 when they touch, cross or one contains the other
+ */
+export function geometryDistanceKm(a, b) {
+    const verticesA = verticesOf(a);
+    const verticesB = verticesOf(b);
+    if (verticesA.length === 0 || verticesB.length === 0) return Infinity;
+
+    // Containment: one vertex inside the other polygon is enough once edges are known not to cross
+    if (pointInGeometry(verticesA[0], b) || pointInGeometry(verticesB[0], a)) return 0;
+
+    const segmentsA = segmentsOf(a);
+    const segmentsB = segmentsOf(b);
+    const kx = KM_PER_DEGREE * Math.cos(verticesA[0][1] * Math.PI / 180);
+    const project = ([x, y]) => [x * kx, y * KM_PER_DEGREE];
+
+    let min = Infinity;
+    for (const [a1, a2] of segmentsA) {
+        const p1 = project(a1);
+        const p2 = project(a2);
+        for (const [b1, b2] of segmentsB) {
+            min = Math.min(min, segmentToSegmentKm(p1, p2, project(b1), project(b2)));
+            if (min === 0) return 0;
+        }
+    }
+    return min;
+}
+
+/**
+ * Distance (km) from a point to a geometry; 0 when a polygon contains it
+ */
+export function distanceToGeometryKm(point, geometry) {
+    switch (geometry.type) {
+        case 'Point':
+            return segmentDistanceKm(point, geometry.coordinates, geometry.coordinates);
+        case 'MultiPoint':
+            return Math.min(...geometry.coordinates.map(coordinate => segmentDistanceKm(point, coordinate, coordinate)));
+        case 'LineString':
+            return lineDistanceKm(point, geometry.coordinates);
+        case 'MultiLineString':
+            return Math.min(...geometry.coordinates.map(line => lineDistanceKm(point, line)));
+        case 'Polygon':
+        case 'MultiPolygon':
+            if (pointInGeometry(point, geometry)) return 0;
+            return Math.min(...polygonsOf(geometry).flat().map(ring => lineDistanceKm(point, ring)));
+        case 'GeometryCollection':
+            return Math.min(...geometry.geometries.map(part => distanceToGeometryKm(point, part)));
+        default:
+            return Infinity;
+    }
+}
+
+/**
+ * Point-in-polygon (even-odd per polygon, so holes are excluded) for Polygon and MultiPolygon
+ */
+export function pointInGeometry(point, geometry) {
+    if (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon') return false;
+
+    return polygonsOf(geometry).some(rings => {
+        if (!pointInRing(point, rings[0])) return false;
+        return !rings.slice(1).some(hole => pointInRing(point, hole));
+    });
+}
+
+/**
+ * [minX, minY, maxX, maxY] of any geometry, or null if it has no coordinates
+ */
+export function geometryBBox(geometry) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    const visit = (coordinates) => {
+        if (typeof coordinates[0] === 'number') {
+            bbox[0] = Math.min(bbox[0], coordinates[0]);
+            bbox[1] = Math.min(bbox[1], coordinates[1]);
+            bbox[2] = Math.max(bbox[2], coordinates[0]);
+            bbox[3] = Math.max(bbox[3], coordinates[1]);
+            return;
+        }
+        coordinates.forEach(visit);
+    };
+
+    if (geometry.type === 'GeometryCollection') {
+        geometry.geometries.forEach(part => visit(part.coordinates));
+    } else if (geometry.coordinates) {
+        visit(geometry.coordinates);
+    }
+    return Number.isFinite(bbox[0]) ? bbox : null;
+}
+
+function polygonsOf(geometry) {
+    return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+}
+
+function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function lineDistanceKm(point, line) {
+    if (line.length === 1) return segmentDistanceKm(point, line[0], line[0]);
+
+    let min = Infinity;
+    for (let i = 0; i < line.length - 1; i++) {
+        min = Math.min(min, segmentDistanceKm(point, line[i], line[i + 1]));
+    }
+    return min;
+}
+
+function segmentDistanceKm([px, py], [ax, ay], [bx, by]) {
+    const kx = KM_PER_DEGREE * Math.cos(py * Math.PI / 180);
+    const ky = KM_PER_DEGREE;
+    const [x, y] = [(px - ax) * kx, (py - ay) * ky];
+    const [dx, dy] = [(bx - ax) * kx, (by - ay) * ky];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (x * dx + y * dy) / lengthSquared)) : 0;
+    return Math.hypot(x - t * dx, y - t * dy);
+}
+
+function verticesOf(geometry) {
+    const vertices = [];
+    const visit = (coordinates) => {
+        if (typeof coordinates[0] === 'number') {
+            vertices.push(coordinates);
+        } else {
+            coordinates.forEach(visit);
+        }
+    };
+    if (geometry.type === 'GeometryCollection') {
+        geometry.geometries.forEach(part => visit(part.coordinates));
+    } else if (geometry.coordinates) {
+        visit(geometry.coordinates);
+    }
+    return vertices;
+}
+
+/**
+ * Line segments of a geometry; a point is a zero-length segment
+ */
+function segmentsOf(geometry) {
+    const lines = {
+        Point: () => [[geometry.coordinates]],
+        MultiPoint: () => geometry.coordinates.map(point => [point]),
+        LineString: () => [geometry.coordinates],
+        MultiLineString: () => geometry.coordinates,
+        Polygon: () => geometry.coordinates,
+        MultiPolygon: () => geometry.coordinates.flat(),
+        GeometryCollection: () => []
+    }[geometry.type]?.() || [];
+
+    const segments = [];
+    lines.forEach(line => {
+        if (line.length === 1) {
+            segments.push([line[0], line[0]]);
+        }
+        for (let i = 0; i < line.length - 1; i++) {
+            segments.push([line[i], line[i + 1]]);
+        }
+    });
+    if (geometry.type === 'GeometryCollection') {
+        geometry.geometries.forEach(part => segments.push(...segmentsOf(part)));
+    }
+    return segments;
+}
+
+function segmentToSegmentKm(a1, a2, b1, b2) {
+    const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+    const d1 = cross(b1, b2, a1);
+    const d2 = cross(b1, b2, a2);
+    const d3 = cross(a1, a2, b1);
+    const d4 = cross(a1, a2, b2);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+        return 0;
+    }
+    return Math.min(
+        planarPointSegment(a1, b1, b2),
+        planarPointSegment(a2, b1, b2),
+        planarPointSegment(b1, a1, a2),
+        planarPointSegment(b2, a1, a2)
+    );
+}
+
+function planarPointSegment([px, py], [ax, ay], [bx, by]) {
+    const [dx, dy] = [bx - ax, by - ay];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared)) : 0;
+    return Math.hypot(px - ax - t * dx, py - ay - t * dy);
+}
+
+function forEachCell(index, [x, y], reachKm, callback) {
+    const latCells = Math.ceil(reachKm / KM_PER_DEGREE / index.cellDegrees);
+    const lonCells = Math.ceil(reachKm / (KM_PER_DEGREE * Math.cos(y * Math.PI / 180)) / index.cellDegrees);
+    const cx = Math.floor(x / index.cellDegrees);
+    const cy = Math.floor(y / index.cellDegrees);
+
+    for (let i = cx - lonCells; i <= cx + lonCells; i++) {
+        for (let j = cy - latCells; j <= cy + latCells; j++) {
+            const entries = index.cells.get(`${i},${j}`);
+            if (entries) callback(entries);
+        }
+    }
+}
@@ -0,0 +1,181 @@
+import { FINANCIAL_ASSUMPTIONS, DEFAULT_HAUL_DISTANCE_KM, defaultFinancialAssumptions } from '../data/financialAssumptions.js';
+import { UNKNOWN_DEFAULTS } from './SiteScoring.js';
+
+/**
+ * FinancialAppraisal - Capex, opex, revenues and a discounted cash flow for an AD project
+ * Energy volumes come from EnergyModel.modelEnergy(); `route` picks CHP (electricity and heat) or grid
+ * injection (biomethane with Green Gas Support Scheme payments). Capex is spent in year 0. Operating years
+ * run 1..projectYears at year-1 prices indexed each year; support payments stop after supportYears.
+ */
+
+const sum = (values) => Object.values(values).reduce((total, value) => total + value, 0);
+
+/**
+ * Assumptions with defaults filled in; unknown keys and non-numeric or out-of-range values are dropped
+ */
+export function resolveFinancialAssumptions(overrides = {}) {
+    const assumptions = defaultFinancialAssumptions();
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        const definition = FINANCIAL_ASSUMPTIONS[key];
+        if (!definition || value === null || value === undefined || value === '') return;
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < (definition.min ?? -Infinity) || number > (definition.max ?? Infinity)) return;
+        assumptions[key] = number;
+    });
+    return assumptions;
+}
+
+export function netPresentValue(rate, flows) {
+    return flows.reduce((total, flow, year) => total + flow / Math.pow(1 + rate, year), 0);
+}
+
+/**
+ * Internal rate of return, or null when there is none. Flows that turn negative again (e.g. when support
+ * payments end) can have several roots; the one nearest zero is returned.
+ */
+export function internalRateOfReturn(flows) {
+    if (!flows.some(flow => flow > 0) || !flows.some(flow => flow < 0)) return null;
+
+    // Bracket a root scanning outwards from 0%, upwards first
+    const upwards = Array.from({ length: 200 }, (_, i) => i * 0.01).concat(Array.from({ length: 90 }, (_, i) => 2 + i * 0.1));
+    const downwards = Array.from({ length: 99 }, (_, i) => -i * 0.01);
+    let bracket = null;
+    for (const rates of [upwards, downwards]) {
+        for (let i = 1; i < rates.length && !bracket; i++) {
+            if (Math.sign(netPresentValue(rates[i - 1], flows)) !== Math.sign(netPresentValue(rates[i], flows))) {
+                bracket = [rates[i - 1], rates[i]];
+            }
+        }
+        if (bracket) break;
+    }
+    if (!bracket) return null;
+
+    let [low, high] = bracket;
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (Math.sign(netPresentValue(mid, flows)) === Math.sign(netPresentValue(low, flows))) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Years until cumulative cash flow turns positive (interpolated within the year), or null if it never does
+ */
+export function paybackPeriod(flows) {
+    let cumulative = flows[0];
+    for (let year = 1; year < flows.length; year++) {
+        const next = cumulative + flows[year];
+        if (cumulative < 0 && next >= 0) {
+            return year - 1 + (-cumulative / flows[year]);
+        }
+        cumulative = next;
+    }
+    return null;
+}
+
+/**
+ * Green Gas Support Scheme payment (£) for a year's injected biomethane, tier by tier
+ */
+export function supportPayment(energyMWh, a) {
+    const tier1 = Math.min(energyMWh, a.supportTier1Limit);
+    const tier2 = Math.min(Math.max(energyMWh - a.supportTier1Limit, 0), a.supportTier2Limit);
+    const tier3 = Math.max(energyMWh - a.supportTier1Limit - a.supportTier2Limit, 0);
+    return tier1 * a.supportTier1Tariff + tier2 * a.supportTier2Tariff + tier3 * a.supportTier3Tariff;
+}
+
+/**
+ * Appraise a project
+ * energy: modelEnergy() result; route: 'chp' | 'gridInjection'; areaHa: site area for the land cost;
+ * gridDistance / gasDistance: metres to the nearest connection point (unknown: the scoring defaults);
+ * haulDistanceKm: average one-way haul for feedstock and digestate
+ */
+export function appraiseProject({ energy, route = 'chp', areaHa = null, gridDistance = null, gasDistance = null, haulDistanceKm = DEFAULT_HAUL_DISTANCE_KM, assumptions = {} }) {
+    const a = resolveFinancialAssumptions(assumptions);
+    const chp = route === 'chp';
+    const tonnes = energy.totals.tonnes;
+    const tonnesOf = (id) => energy.feedstocks.filter(row => row.id === id).reduce((total, row) => total + row.tonnes, 0);
+
+    // Digester sizing
+    const throughputTpd = tonnes / 365;
+    const digesterVolumeM3 = throughputTpd / a.feedstockDensity * a.retentionDays * a.digesterHeadroom;
+
+    const measuredDistance = (chp ? gridDistance : gasDistance) ?? null;
+    const connectionDistance = measuredDistance ?? (chp ? UNKNOWN_DEFAULTS.gridDistance : UNKNOWN_DEFAULTS.gasDistance);
+    const plant = {
+        digester: digesterVolumeM3 * a.digesterCostPerM3,
+        balanceOfPlant: tonnes > 0 ? a.plantFixedCost : 0,
+        conversion: chp ? energy.chp.electricalKwe * a.chpCostPerKwe : energy.gridInjection.capacityNm3h * a.upgradingCostPerNm3h
+    };
+    const connection = chp
+        ? a.gridConnectionFixed + connectionDistance / 1000 * a.gridConnectionPerKm
+        : a.gasConnectionFixed + connectionDistance / 1000 * a.gasConnectionPerKm;
+    const base = sum(plant) + connection;
+    const capex = {
+        ...plant,
+        connection,
+        land: (areaHa ?? 0) * a.landCostPerHa,
+        development: base * a.developmentShare,
+        contingency: base * a.contingencyShare
+    };
+    const totalCapex = sum(capex);
+
+    // Year-1 operating costs and revenues
+    const digestateTonnes = tonnes * a.digestateYield;
+    const opex = {
+        maintenance: sum(plant) * a.maintenanceShare,
+        staff: tonnes > 0 ? a.staffCost : 0,
+        insurance: totalCapex * a.insuranceShare,
+        feedstockPurchase: tonnesOf('crop') * a.cropPrice,
+        importedElectricity: chp ? 0 : energy.gridInjection.upgradingElectricityMWh * a.importElectricityPrice,
+        digestateHandling: digestateTonnes * a.digestateHandlingCost,
+        haulage: (tonnes + digestateTonnes * a.digestateHauledShare) * haulDistanceKm * a.haulageCostPerTonneKm
+    };
+    const revenue = {
+        electricity: chp ? energy.chp.exportElectricityMWh * a.electricityPrice : 0,
+        heat: chp ? energy.chp.surplusHeatMWh * a.heatUtilisation * a.heatPrice : 0,
+        biomethane: chp ? 0 : energy.gridInjection.energyMWh * a.biomethanePrice,
+        support: chp ? 0 : supportPayment(energy.gridInjection.energyMWh, a),
+        gateFees: tonnesOf('foodWaste') * a.foodWasteGateFee + tonnesOf('otherWaste') * a.otherWasteGateFee,
+        digestate: digestateTonnes * a.digestateValue
+    };
+
+    const cashFlow = [];
+    let cumulative = 0;
+    let cumulativeDiscounted = 0;
+    for (let year = 0; year <= a.projectYears; year++) {
+        const index = Math.pow(1 + a.indexation, Math.max(0, year - 1));
+        const yearRevenue = year === 0 ? 0 : (sum(revenue) - (year > a.supportYears ? revenue.support : 0)) * index;
+        const yearOpex = year === 0 ? 0 : sum(opex) * index;
+        const yearCapex = year === 0 ? totalCapex : 0;
+        const net = yearRevenue - yearOpex - yearCapex;
+        const discounted = net / Math.pow(1 + a.discountRate, year);
+        cumulative += net;
+        cumulativeDiscounted += discounted;
+        cashFlow.push({ year, capex: yearCapex, revenue: yearRevenue, opex: yearOpex, net, cumulative, discounted, cumulativeDiscounted });
+    }
+    const flows = cashFlow.map(row => row.net);
+
+    return {
+        route,
+        inputs: {
+            tonnes,
+            areaHa,
+            haulDistanceKm,
+            connectionDistance,
+            connectionDistanceAssumed: measuredDistance === null
+        },
+        sizing: { throughputTpd, digesterVolumeM3 },
+        capex: { ...capex, total: totalCapex },
+        opex: { ...opex, total: sum(opex) },
+        revenue: { ...revenue, total: sum(revenue) },
+        cashFlow,
+        npv: netPresentValue(a.discountRate, flows),
+        irr: internalRateOfReturn(flows),
+        paybackYears: paybackPeriod(flows),
+        assumptions: a
+    };
+}
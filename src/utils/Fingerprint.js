@@ -0,0 +1,18 @@
+/**
+ * Fingerprint - Content hash of JSON-serialisable data (64-bit FNV-1a over its JSON form, as 16 hex digits)
+ * Used to identify dataset contents and analysis results in run manifests; not a cryptographic hash.
+ */
+export function fingerprint(value) {
+    const text = typeof value === 'string' ? value : (JSON.stringify(value) ?? '');
+
+    // Two 32-bit FNV-1a lanes with different offset bases stand in for a 64-bit hash
+    let low = 0x811c9dc5;
+    let high = 0xcbf29ce4;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        low = Math.imul(low ^ code, 0x01000193);
+        high = Math.imul(high ^ code ^ (low >>> 24), 0x01000193);
+    }
+
+    return (high >>> 0).toString(16).padStart(8, '0') + (low >>> 0).toString(16).padStart(8, '0');
+}
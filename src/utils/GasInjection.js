@@ -0,0 +1,58 @@
+import { PRESSURE_TIERS, GAS_INJECTION_DEFAULTS } from '../data/gasNetwork.js';
+import { resolveFinancialAssumptions } from './FinancialAppraisal.js';
+
+/**
+ * GasInjection - Whether a site's biomethane can be injected into the gas network, and where
+ * Each candidate connection is the nearest main of one pressure tier. It is costed from the pipe length
+ * (straight-line distance × route factor) with the financial appraisal's gas connection assumptions plus the
+ * tier's entry cost, and checked against the tier's entry flow limits:
+ * - notInjectable / aboveCapacity block the connection
+ * - belowMinimumFlow is flagged but leaves it possible
+ * The recommended connection is the cheapest one that is not blocked.
+ */
+
+/**
+ * Cost and flow checks of one candidate connection: { tier, distance (m), feature?, source? }
+ */
+export function gasConnectionOption({ tier, distance, feature = null, source = null }, flowNm3h, { assumptions = {}, pipeRouteFactor = GAS_INJECTION_DEFAULTS.pipeRouteFactor } = {}) {
+    const definition = PRESSURE_TIERS[tier];
+    const a = resolveFinancialAssumptions(assumptions);
+    const pipeLengthM = distance * pipeRouteFactor;
+
+    const issues = [];
+    if (!definition.injectable) {
+        issues.push({ type: 'notInjectable', blocking: true, message: `${definition.label}s cannot take injected gas` });
+    } else if (definition.maxFlowNm3h !== null && flowNm3h > definition.maxFlowNm3h) {
+        issues.push({ type: 'aboveCapacity', blocking: true, message: `${Math.round(flowNm3h)} Nm³/h is above the ${definition.maxFlowNm3h} Nm³/h a ${definition.label.toLowerCase()} usually absorbs in summer` });
+    }
+    if (definition.injectable && flowNm3h < definition.minFlowNm3h) {
+        issues.push({ type: 'belowMinimumFlow', blocking: false, message: `${Math.round(flowNm3h)} Nm³/h is below the ${definition.minFlowNm3h} Nm³/h that usually justifies a ${definition.label} entry` });
+    }
+
+    return {
+        tier,
+        label: definition.label,
+        pressure: definition.pressure,
+        distance,
+        pipeLengthM,
+        cost: a.gasConnectionFixed + definition.entryCost + pipeLengthM / 1000 * a.gasConnectionPerKm,
+        issues,
+        feasible: !issues.some(issue => issue.blocking),
+        feature,
+        source
+    };
+}
+
+/**
+ * Assess every candidate connection for an entry flow (Nm³/h). Returns { flowNm3h, options (cheapest first),
+ * connection (recommended option, or null), feasible }.
+ */
+export function assessGasInjection({ connections, flowNm3h, assumptions = {}, pipeRouteFactor = GAS_INJECTION_DEFAULTS.pipeRouteFactor }) {
+    const options = connections
+        .filter(connection => PRESSURE_TIERS[connection.tier])
+        .map(connection => gasConnectionOption(connection, flowNm3h, { assumptions, pipeRouteFactor }))
+        .sort((a, b) => a.cost - b.cost);
+    const connection = options.find(option => option.feasible) || null;
+
+    return { flowNm3h, options, connection, feasible: Boolean(connection) };
+}
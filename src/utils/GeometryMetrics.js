@@ -0,0 +1,138 @@
+import { pointInGeometry } from './FeatureIndex.js';
+
+/**
+ * GeometryMetrics - Area, perimeter, compactness and label points for parcel polygons
+ * Areas are geodesic (spherical excess on the WGS84 mean radius), matching what Land Registry
+ * and the brownfield registers report to within a fraction of a percent at parcel scale.
+ */
+
+const EARTH_RADIUS_M = 6371008.8;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Area of a Polygon or MultiPolygon in hectares (holes subtracted)
+ */
+export function areaHectares(geometry) {
+    return polygonsOf(geometry).reduce((total, rings) =>
+        total + rings.reduce((sum, ring, index) => sum + (index === 0 ? 1 : -1) * ringAreaM2(ring), 0), 0) / 10000;
+}
+
+/**
+ * Perimeter of a Polygon or MultiPolygon in metres, including hole boundaries
+ */
+export function perimeterMetres(geometry) {
+    return polygonsOf(geometry).flat().reduce((total, ring) => {
+        let length = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+            length += haversineM(ring[i], ring[i + 1]);
+        }
+        return total + length;
+    }, 0);
+}
+
+/**
+ * Polsby-Popper compactness 4πA/P²: 1 for a circle, about 0.79 for a square, near 0 for slivers and strips
+ */
+export function compactness(geometry) {
+    const perimeter = perimeterMetres(geometry);
+    if (perimeter <= 0) return 0;
+    return Math.min(1, 4 * Math.PI * areaHectares(geometry) * 10000 / (perimeter * perimeter));
+}
+
+/**
+ * A point guaranteed to lie inside the polygon: the centroid of the largest part when it falls inside,
+ * otherwise the middle of the widest span across that part's middle latitude (L- and U-shaped parcels)
+ */
+export function interiorPoint(geometry) {
+    const rings = polygonsOf(geometry)
+        .map(polygon => ({ polygon, area: ringAreaM2(polygon[0]) }))
+        .sort((a, b) => b.area - a.area)[0]?.polygon;
+    if (!rings?.[0]?.length) return null;
+
+    const centroid = ringCentroid(rings[0]);
+    if (centroid && pointInGeometry(centroid, { type: 'Polygon', coordinates: rings })) {
+        return centroid;
+    }
+
+    const ys = rings[0].map(([, y]) => y);
+    const y = (Math.min(...ys) + Math.max(...ys)) / 2;
+    const crossings = [];
+    rings.forEach(ring => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y)) {
+                crossings.push(xi + (y - yi) * (xj - xi) / (yj - yi));
+            }
+        }
+    });
+    crossings.sort((a, b) => a - b);
+
+    let best = null;
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+        if (!best || crossings[i + 1] - crossings[i] > best[1] - best[0]) {
+            best = [crossings[i], crossings[i + 1]];
+        }
+    }
+    return best ? [(best[0] + best[1]) / 2, y] : rings[0][0];
+}
+
+/**
+ * Circle of the given radius as a Polygon, for register entries that only record a point and an area
+ */
+export function circlePolygon([lng, lat], radiusM, steps = 32) {
+    const ring = [];
+    const dLat = radiusM / EARTH_RADIUS_M * 180 / Math.PI;
+    const dLng = dLat / Math.cos(toRadians(lat));
+    for (let i = 0; i <= steps; i++) {
+        const angle = 2 * Math.PI * (i % steps) / steps;
+        ring.push([lng + dLng * Math.cos(angle), lat + dLat * Math.sin(angle)]);
+    }
+    return { type: 'Polygon', coordinates: [ring] };
+}
+
+/**
+ * Radius (m) of a circle with the given area in hectares
+ */
+export function radiusForHectares(hectares) {
+    return Math.sqrt(hectares * 10000 / Math.PI);
+}
+
+function polygonsOf(geometry) {
+    if (geometry?.type === 'Polygon') return [geometry.coordinates];
+    if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+}
+
+function ringAreaM2(ring) {
+    let total = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[i + 1];
+        total += toRadians(x2 - x1) * (2 + Math.sin(toRadians(y1)) + Math.sin(toRadians(y2)));
+    }
+    return Math.abs(total * EARTH_RADIUS_M * EARTH_RADIUS_M / 2);
+}
+
+function ringCentroid(ring) {
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[i + 1];
+        const cross = x1 * y2 - x2 * y1;
+        area += cross;
+        cx += (x1 + x2) * cross;
+        cy += (y1 + y2) * cross;
+    }
+    if (area === 0) return null;
+    return [cx / (3 * area), cy / (3 * area)];
+}
+
+function haversineM([lng1, lat1], [lng2, lat2]) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
@@ -0,0 +1,136 @@
+import { GHG_FACTORS, GRID_INTENSITY, MANURE_STORAGE_METHANE, METHANE_DENSITY, defaultGhgFactors, latestGridYear } from '../data/emissionFactors.js';
+import { plantEnergyProfile, resolveEnergySettings } from './EnergyModel.js';
+
+/**
+ * GhgModel - Lifecycle greenhouse gas balance of an AD plant (t CO2e per year)
+ * Settings are { year, factors: { key: value }, gridIntensity: { year: kg CO2e/kWh } }; anything not set
+ * falls back to src/data/emissionFactors.js. Savings count positive:
+ * - avoided: manure storage methane, and the grid electricity, natural gas or boiler heat displaced
+ * - emitted: fugitive methane, CHP slip, upgrading losses, haulage and electricity imported for upgrading
+ * Net = avoided − emitted.
+ */
+
+const validNumber = (value, min = -Infinity, max = Infinity) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= min && number <= max ? number : null;
+};
+
+const sum = (values) => Object.values(values).reduce((total, value) => total + value, 0);
+
+/**
+ * Settings with defaults filled in; unknown keys and non-numeric or out-of-range values are dropped
+ */
+export function resolveGhgSettings(settings = {}) {
+    const factors = defaultGhgFactors();
+    Object.entries(settings.factors || {}).forEach(([key, value]) => {
+        const definition = GHG_FACTORS[key];
+        const number = definition ? validNumber(value, definition.min, definition.max) : null;
+        if (number !== null) factors[key] = number;
+    });
+
+    const gridIntensity = { ...GRID_INTENSITY };
+    Object.entries(settings.gridIntensity || {}).forEach(([year, value]) => {
+        const number = validNumber(value, 0);
+        if (/^\d{4}$/.test(year) && number !== null) gridIntensity[year] = number;
+    });
+
+    const year = validNumber(settings.year, 1990, 2100) ?? latestGridYear();
+    return { year, factors, gridIntensity, intensity: gridIntensityFor(year, gridIntensity) };
+}
+
+/**
+ * Grid intensity (kg CO2e/kWh) for a year, from the nearest year in the table
+ */
+export function gridIntensityFor(year, table = GRID_INTENSITY) {
+    const nearest = Object.keys(table).map(Number).sort((a, b) => Math.abs(a - year) - Math.abs(b - year) || b - a)[0];
+    return table[nearest];
+}
+
+/**
+ * GHG balance of a modelled plant: energy is an EnergyModel.modelEnergy() result and route 'chp' or 'gridInjection'
+ */
+export function modelGhg(energy, route, settings = {}) {
+    const { year, factors: f, intensity } = resolveGhgSettings(settings);
+    const methaneTonnes = (m3) => m3 * METHANE_DENSITY / 1000;
+    const co2e = (ch4Tonnes) => ch4Tonnes * f.methaneGwp;
+    const chp = route === 'chp';
+    const methaneM3 = energy.totals.methaneM3;
+
+    // kg CO2e/kWh is t CO2e/MWh
+    const avoided = {
+        manureMethane: co2e(energy.feedstocks.reduce((total, row) => total + row.tonnes * (MANURE_STORAGE_METHANE[row.id] || 0), 0) / 1000),
+        electricity: chp ? energy.chp.exportElectricityMWh * intensity : 0,
+        heat: chp ? energy.chp.surplusHeatMWh * f.heatUsedShare * f.naturalGas / f.boilerEfficiency : 0,
+        naturalGas: chp ? 0 : energy.gridInjection.energyMWh * f.naturalGas
+    };
+    const emitted = {
+        fugitiveMethane: co2e(methaneTonnes(methaneM3 * f.fugitiveMethaneLoss)),
+        chpSlip: chp ? co2e(methaneTonnes(methaneM3 * f.chpMethaneSlip)) : 0,
+        upgradingLoss: chp ? 0 : co2e(methaneTonnes(methaneM3 * energy.assumptions.upgradingMethaneLoss)),
+        transport: energy.totals.tonnes * (1 + f.digestateHaulage) * f.haulDistanceKm * f.haulageEmissions / 1000,
+        importedElectricity: chp ? 0 : energy.gridInjection.upgradingElectricityMWh * intensity
+    };
+
+    return {
+        route,
+        year,
+        gridIntensity: intensity,
+        avoided,
+        emitted,
+        totals: {
+            avoided: sum(avoided),
+            emitted: sum(emitted),
+            net: sum(avoided) - sum(emitted)
+        },
+        partial: false
+    };
+}
+
+/**
+ * GHG balance of an AD plant record. Plants with feedstock tonnages are modelled in full; plants that
+ * publish only their output are credited with the energy they displace (partial). Null when neither is known.
+ */
+export function plantGhg(plant, { energySettings = {}, ghgSettings = {} } = {}) {
+    const profile = plantEnergyProfile(plant, energySettings);
+    if (profile.model) {
+        return modelGhg(profile.model, profile.route, ghgSettings);
+    }
+    if (profile.energyMWh === null) return null;
+
+    const { year, factors: f, intensity } = resolveGhgSettings(ghgSettings);
+    const chp = profile.route === 'chp';
+    const avoided = {
+        manureMethane: 0,
+        // Published CHP output is generation; the plant's own use is not exported
+        electricity: chp ? profile.energyMWh * (1 - resolveEnergySettings(energySettings).assumptions.parasiticElectricity) * intensity : 0,
+        heat: 0,
+        naturalGas: chp ? 0 : profile.energyMWh * f.naturalGas
+    };
+    return {
+        route: profile.route,
+        year,
+        gridIntensity: intensity,
+        avoided,
+        emitted: { fugitiveMethane: 0, chpSlip: 0, upgradingLoss: 0, transport: 0, importedElectricity: 0 },
+        totals: { avoided: sum(avoided), emitted: 0, net: sum(avoided) },
+        partial: true
+    };
+}
+
+/**
+ * Sum plant balances by a grouping key (e.g. LAD or region): [{ key, plants, avoided, emitted, net }], largest net first
+ */
+export function aggregateGhg(rows, keyOf) {
+    const groups = new Map();
+    rows.forEach(({ plant, ghg }) => {
+        const key = keyOf(plant) || 'Unknown';
+        const group = groups.get(key) || { key, plants: 0, avoided: 0, emitted: 0, net: 0 };
+        group.plants++;
+        group.avoided += ghg.totals.avoided;
+        group.emitted += ghg.totals.emitted;
+        group.net += ghg.totals.net;
+        groups.set(key, group);
+    });
+    return [...groups.values()].sort((a, b) => b.net - a.net);
+}
@@ -0,0 +1,18 @@
+/**
+ * Html - Escaping for user-entered and imported text written into innerHTML
+ */
+
+const HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Text safe to place in element content or a quoted attribute; null and undefined become ''
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, character => HTML_ENTITIES[character]);
+}
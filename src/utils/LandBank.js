@@ -0,0 +1,120 @@
+import { FEEDSTOCK_TYPES } from '../data/feedstockYields.js';
+import { NITROGEN_LIMITS, FEEDSTOCK_NITROGEN, SPREADABLE_ALC_GRADES, LAND_BANK_DEFAULTS } from '../data/digestateLimits.js';
+import { CONSTRAINT_SOURCES, normalizeAlcGrade, readSourceField } from '../data/constraintSources.js';
+import { featuresContaining } from './FeatureIndex.js';
+
+/**
+ * LandBank - Land needed to spread a plant's digestate and the land available for it around the plant
+ * Digestate nitrogen comes from the feedstock mix. Land within the haul radius is sampled on a square
+ * grid against the ALC and NVZ layers, so each cell is spreadable inside an NVZ (170 kg N/ha), spreadable
+ * outside one (250 kg N/ha), unspreadable, or unknown where the ALC layer has no coverage.
+ */
+
+const KM_PER_DEGREE = 111.32;
+const HECTARES_PER_KM2 = 100;
+
+export const LAND_CLASSES = ['nvz', 'outsideNvz', 'unspreadable', 'unknown'];
+
+/**
+ * Total digestate N (kg/yr) of a feedstock mix, by feedstock
+ */
+export function digestateNitrogen(mix) {
+    const byFeedstock = Object.entries(mix)
+        .map(([id, tonnes]) => ({ id, tonnes: Number(tonnes), kgPerTonne: FEEDSTOCK_NITROGEN[id] }))
+        .filter(({ id, tonnes, kgPerTonne }) => {
+            if (kgPerTonne === undefined) console.warn(`⚠️ No nitrogen content for feedstock: ${id}`);
+            return kgPerTonne !== undefined && Number.isFinite(tonnes) && tonnes > 0;
+        })
+        .map(row => ({
+            ...row,
+            label: FEEDSTOCK_TYPES.find(type => type.id === row.id)?.label || row.id,
+            nitrogenKg: row.tonnes * row.kgPerTonne
+        }));
+
+    return {
+        byFeedstock,
+        feedstockTonnes: byFeedstock.reduce((sum, row) => sum + row.tonnes, 0),
+        nitrogenKg: byFeedstock.reduce((sum, row) => sum + row.nitrogenKg, 0)
+    };
+}
+
+/**
+ * Grid cell size (km) giving about targetCells cells over the haul circle
+ */
+export function landBankCellKm(radiusKm, { targetCells = LAND_BANK_DEFAULTS.targetCells, minCellKm = LAND_BANK_DEFAULTS.minCellKm } = {}) {
+    return Math.max(minCellKm, radiusKm * Math.sqrt(Math.PI / targetCells));
+}
+
+/**
+ * Classify land within radiusKm of the origin. alcIndex / nvzIndex are FeatureIndex indexes; without the
+ * NVZ layer all spreadable land is treated as NVZ land (the stricter limit).
+ * Returns { cells: [{ center, landClass }], cellKm, areas: { landClass: ha } }.
+ */
+export function sampleLandBank({ origin, radiusKm, alcIndex, nvzIndex = null, cellKm = landBankCellKm(radiusKm) }) {
+    const [lng, lat] = origin;
+    const kmPerLng = KM_PER_DEGREE * Math.cos(lat * Math.PI / 180);
+    const steps = Math.ceil(radiusKm / cellKm);
+    const cellHa = cellKm * cellKm * HECTARES_PER_KM2;
+
+    const cells = [];
+    const areas = Object.fromEntries(LAND_CLASSES.map(landClass => [landClass, 0]));
+
+    for (let i = -steps; i <= steps; i++) {
+        for (let j = -steps; j <= steps; j++) {
+            const [x, y] = [i * cellKm, j * cellKm];
+            if (Math.hypot(x, y) > radiusKm) continue;
+
+            const center = [lng + x / kmPerLng, lat + y / KM_PER_DEGREE];
+            const landClass = classifyLand(center, alcIndex, nvzIndex);
+            cells.push({ center, landClass });
+            areas[landClass] += cellHa;
+        }
+    }
+
+    return { cells, cellKm, areas };
+}
+
+function classifyLand(point, alcIndex, nvzIndex) {
+    const alc = featuresContaining(alcIndex, point)[0];
+    if (!alc) return 'unknown';
+
+    const grade = normalizeAlcGrade(readSourceField(CONSTRAINT_SOURCES.alc, alc.properties));
+    if (!SPREADABLE_ALC_GRADES.includes(grade)) return 'unspreadable';
+
+    return !nvzIndex || featuresContaining(nvzIndex, point).length > 0 ? 'nvz' : 'outsideNvz';
+}
+
+/**
+ * Compare digestate N with the capacity of the available land. Land outside NVZs takes more N per
+ * hectare, so it is used first when working out the area needed.
+ */
+export function assessLandBank({ nitrogenKg, areas, availableShare = LAND_BANK_DEFAULTS.availableShare, limits = NITROGEN_LIMITS }) {
+    const available = {
+        nvz: areas.nvz * availableShare,
+        outsideNvz: areas.outsideNvz * availableShare
+    };
+    const capacity = {
+        nvz: available.nvz * limits.nvz,
+        outsideNvz: available.outsideNvz * limits.outsideNvz
+    };
+    const capacityKg = capacity.nvz + capacity.outsideNvz;
+
+    const outsideUsedHa = Math.min(available.outsideNvz, nitrogenKg / limits.outsideNvz);
+    const remainingKg = Math.max(0, nitrogenKg - outsideUsedHa * limits.outsideNvz);
+
+    return {
+        // Area needed were all the digestate spread inside, or all outside, an NVZ
+        requiredHa: {
+            nvz: nitrogenKg / limits.nvz,
+            outsideNvz: nitrogenKg / limits.outsideNvz
+        },
+        availableHa: available,
+        capacityKg,
+        // Area needed here: land outside NVZs first, then NVZ land (may exceed what is available)
+        neededHa: outsideUsedHa + remainingKg / limits.nvz,
+        coverage: nitrogenKg > 0 ? capacityKg / nitrogenKg : null,
+        sufficient: capacityKg >= nitrogenKg,
+        limits,
+        availableShare
+    };
+}
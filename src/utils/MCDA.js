@@ -0,0 +1,162 @@
+/**
+ * MCDA - Multi-criteria weighting and ranking shared by SiteFinder and siteAnalysisWorker
+ * AHP derives weights from pairwise judgments; weighted sum, TOPSIS and ELECTRE rank alternatives
+ * from a decision matrix whose columns are benefit criteria scored 0-10 (higher is better).
+ */
+
+export const MCDA_METHODS = {
+    weightedSum: {
+        label: 'Weighted sum',
+        description: 'Weighted average of the criterion scores'
+    },
+    topsis: {
+        label: 'TOPSIS',
+        description: 'Closeness to the ideal site and distance from the worst, over vector-normalised scores'
+    },
+    electre: {
+        label: 'ELECTRE I',
+        description: 'Pairwise outranking: a site outranks another when enough weight agrees and no criterion strongly disagrees',
+        parameters: { concordance: 0.65, discordance: 0.35 }
+    }
+};
+
+export const DEFAULT_MCDA_METHOD = 'weightedSum';
+
+/**
+ * Saaty's random consistency index by matrix size
+ */
+export const RANDOM_INDEX = [0, 0, 0, 0.58, 0.9, 1.12, 1.24, 1.32, 1.41, 1.45, 1.49];
+
+/**
+ * Judgments above this consistency ratio should be revised
+ */
+export const MAX_CONSISTENCY_RATIO = 0.1;
+
+/**
+ * Build a reciprocal pairwise matrix from upper-triangle judgments { 'a|b': value }, where value > 1 means
+ * a is more important than b on Saaty's 1-9 scale and value < 1 the reverse. Missing pairs count as equal.
+ */
+export function pairwiseMatrix(keys, judgments = {}) {
+    return keys.map((row, i) => keys.map((column, j) => {
+        if (i === j) return 1;
+        if (i < j) return judgments[`${row}|${column}`] ?? 1;
+        return 1 / (judgments[`${column}|${row}`] ?? 1);
+    }));
+}
+
+/**
+ * Principal eigenvector weights of a pairwise matrix with its consistency ratio:
+ * { weights, lambdaMax, consistencyIndex, consistencyRatio }
+ */
+export function ahpWeights(matrix, iterations = 100) {
+    const n = matrix.length;
+    let weights = new Array(n).fill(1 / n);
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const next = matrix.map(row => row.reduce((sum, value, j) => sum + value * weights[j], 0));
+        const total = next.reduce((a, b) => a + b, 0);
+        const normalised = next.map(value => value / total);
+        const change = normalised.reduce((max, value, i) => Math.max(max, Math.abs(value - weights[i])), 0);
+        weights = normalised;
+        if (change < 1e-10) break;
+    }
+
+    const lambdaMax = n > 0
+        ? matrix.reduce((sum, row, i) => sum + row.reduce((acc, value, j) => acc + value * weights[j], 0) / weights[i], 0) / n
+        : 0;
+    const consistencyIndex = n > 2 ? (lambdaMax - n) / (n - 1) : 0;
+    const randomIndex = RANDOM_INDEX[n] ?? RANDOM_INDEX[RANDOM_INDEX.length - 1];
+
+    return {
+        weights,
+        lambdaMax,
+        consistencyIndex,
+        consistencyRatio: randomIndex > 0 ? Math.max(0, consistencyIndex / randomIndex) : 0
+    };
+}
+
+/**
+ * Score every alternative (row of `matrix`, values 0-10) with the given method; returns scores in 0-1,
+ * higher is better, in row order
+ */
+export function rankAlternatives(matrix, weights, method = DEFAULT_MCDA_METHOD, parameters = {}) {
+    switch (method) {
+        case 'topsis':
+            return topsis(matrix, weights);
+        case 'electre':
+            return electre(matrix, weights, { ...MCDA_METHODS.electre.parameters, ...parameters });
+        case 'weightedSum':
+            return weightedSum(matrix, weights);
+        default:
+            throw new Error(`Unknown MCDA method: ${method}`);
+    }
+}
+
+export function weightedSum(matrix, weights) {
+    const total = weights.reduce((a, b) => a + b, 0) || 1;
+    return matrix.map(row => row.reduce((sum, value, j) => sum + value * weights[j], 0) / total / 10);
+}
+
+/**
+ * TOPSIS closeness coefficient: distance to the anti-ideal over the sum of distances to ideal and anti-ideal
+ */
+export function topsis(matrix, weights) {
+    if (matrix.length === 0) return [];
+
+    const columns = weights.length;
+    const norms = Array.from({ length: columns }, (_, j) => Math.sqrt(matrix.reduce((sum, row) => sum + row[j] * row[j], 0)) || 1);
+    const weighted = matrix.map(row => row.map((value, j) => value / norms[j] * weights[j]));
+    const ideal = Array.from({ length: columns }, (_, j) => Math.max(...weighted.map(row => row[j])));
+    const antiIdeal = Array.from({ length: columns }, (_, j) => Math.min(...weighted.map(row => row[j])));
+
+    return weighted.map(row => {
+        const toIdeal = Math.sqrt(row.reduce((sum, value, j) => sum + (value - ideal[j]) ** 2, 0));
+        const toAntiIdeal = Math.sqrt(row.reduce((sum, value, j) => sum + (value - antiIdeal[j]) ** 2, 0));
+        return toIdeal + toAntiIdeal > 0 ? toAntiIdeal / (toIdeal + toAntiIdeal) : 1;
+    });
+}
+
+/**
+ * ELECTRE I outranking. a outranks b when the weight of criteria on which a is at least as good as b reaches
+ * the concordance threshold and b's largest advantage (as a share of that criterion's range) stays within the
+ * discordance threshold. Scores are net outranking flows rescaled to 0-1.
+ */
+export function electre(matrix, weights, { concordance, discordance }) {
+    const n = matrix.length;
+    if (n < 2) return matrix.map(() => 1);
+
+    const total = weights.reduce((a, b) => a + b, 0) || 1;
+    const columns = weights.length;
+    const ranges = Array.from({ length: columns }, (_, j) => {
+        const values = matrix.map(row => row[j]);
+        return (Math.max(...values) - Math.min(...values)) || 1;
+    });
+
+    const net = new Array(n).fill(0);
+    for (let a = 0; a < n; a++) {
+        for (let b = a + 1; b < n; b++) {
+            const rowA = matrix[a];
+            const rowB = matrix[b];
+            let concordAB = 0;
+            let concordBA = 0;
+            let discordAB = 0;
+            let discordBA = 0;
+            for (let j = 0; j < columns; j++) {
+                const difference = (rowA[j] - rowB[j]) / ranges[j];
+                if (difference >= 0) concordAB += weights[j];
+                if (difference <= 0) concordBA += weights[j];
+                discordAB = Math.max(discordAB, -difference);
+                discordBA = Math.max(discordBA, difference);
+            }
+            if (concordAB / total >= concordance && discordAB <= discordance) {
+                net[a]++;
+                net[b]--;
+            }
+            if (concordBA / total >= concordance && discordBA <= discordance) {
+                net[b]++;
+                net[a]--;
+            }
+        }
+    }
+    return net.map(value => (value + (n - 1)) / (2 * (n - 1)));
+}
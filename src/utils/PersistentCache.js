@@ -0,0 +1,225 @@
+/**
+ * PersistentCache - IndexedDB-backed dataset cache
+ * Stores decoded datasets with their HTTP validators (ETag/Last-Modified), tracks size and evicts least recently used entries.
+ * Payloads and entry metadata live in separate stores so size accounting never reads the payloads.
+ */
+export class PersistentCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'uk-ad-mapping-cache';
+        this.payloadStore = 'payloads';
+        this.entryStore = 'entries';
+        this.maxBytes = options.maxBytes || 250 * 1024 * 1024; // 250 MB
+        this.dbPromise = null;
+        this.available = typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create on first use) the cache database
+     */
+    open() {
+        if (!this.available) {
+            return Promise.resolve(null);
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.payloadStore)) {
+                        db.createObjectStore(this.payloadStore, { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains(this.entryStore)) {
+                        db.createObjectStore(this.entryStore, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    // Private browsing and locked-down profiles can refuse IndexedDB; run memory-only
+                    console.warn('⚠️ IndexedDB unavailable, persistent cache disabled:', request.error);
+                    this.available = false;
+                    resolve(null);
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run requests in one transaction over both stores; resolves with the operation's return value
+     * (IDBRequests in it are replaced by their results once the transaction completes)
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.payloadStore, this.entryStore], mode);
+            const requests = operation(
+                transaction.objectStore(this.payloadStore),
+                transaction.objectStore(this.entryStore)
+            ) || {};
+            transaction.oncomplete = () => {
+                resolve(Object.fromEntries(Object.entries(requests).map(([name, request]) => [name, request.result])));
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a cached entry: { key, data, validators, cacheVersion, meta, size, storedAt, lastAccessed }
+     */
+    async get(key) {
+        try {
+            const stored = await this.transaction('readonly', (payloads, entries) => ({
+                payload: payloads.get(key),
+                entry: entries.get(key)
+            }));
+            if (!stored || !stored.entry || !stored.payload) return null;
+
+            const entry = { ...stored.entry, lastAccessed: Date.now() };
+            await this.transaction('readwrite', (payloads, entries) => {
+                entries.put(entry);
+            });
+            return { ...entry, data: stored.payload.data };
+        } catch (error) {
+            console.warn(`⚠️ Persistent cache read failed for ${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a dataset and evict older entries if the cache is over its size budget
+     */
+    async set(key, data, { validators = {}, cacheVersion = 1, meta = {} } = {}) {
+        try {
+            const size = this.estimateSize(data);
+            if (size > this.maxBytes) {
+                console.warn(`⚠️ ${key} (${this.formatBytes(size)}) exceeds the cache budget and was not persisted`);
+                return false;
+            }
+
+            const now = Date.now();
+            await this.transaction('readwrite', (payloads, entries) => {
+                payloads.put({ key, data });
+                entries.put({
+                    key,
+                    validators,
+                    cacheVersion,
+                    meta,
+                    size,
+                    storedAt: now,
+                    lastAccessed: now
+                });
+            });
+
+            await this.evict(key);
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Persistent cache write failed for ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove a single entry
+     */
+    async delete(key) {
+        try {
+            await this.transaction('readwrite', (payloads, entries) => {
+                payloads.delete(key);
+                entries.delete(key);
+            });
+        } catch (error) {
+            console.warn(`⚠️ Persistent cache delete failed for ${key}:`, error);
+        }
+    }
+
+    /**
+     * Remove every entry
+     */
+    async clear() {
+        try {
+            await this.transaction('readwrite', (payloads, entries) => {
+                payloads.clear();
+                entries.clear();
+            });
+        } catch (error) {
+            console.warn('⚠️ Persistent cache clear failed:', error);
+        }
+    }
+
+    /**
+     * Size accounting per entry and in total
+     */
+    async getUsage() {
+        const entries = await this.listEntries();
+        const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+        return {
+            available: this.available,
+            entries: entries.length,
+            totalBytes,
+            maxBytes: this.maxBytes,
+            byKey: Object.fromEntries(entries.map(entry => [entry.key, {
+                size: entry.size,
+                storedAt: entry.storedAt,
+                lastAccessed: entry.lastAccessed,
+                validators: entry.validators
+            }]))
+        };
+    }
+
+    /**
+     * Evict least recently accessed entries until the total size fits the budget
+     */
+    async evict(keepKey = null) {
+        const entries = await this.listEntries();
+        let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        if (totalBytes <= this.maxBytes) return [];
+
+        const evicted = [];
+        const candidates = entries
+            .filter(entry => entry.key !== keepKey)
+            .sort((a, b) => a.lastAccessed - b.lastAccessed);
+
+        for (const entry of candidates) {
+            if (totalBytes <= this.maxBytes) break;
+            await this.delete(entry.key);
+            totalBytes -= entry.size;
+            evicted.push(entry.key);
+        }
+
+        if (evicted.length > 0) {
+            console.log(`🧹 Evicted from persistent cache: ${evicted.join(', ')}`);
+        }
+        return evicted;
+    }
+
+    /**
+     * Entry metadata without the (potentially large) data payloads
+     */
+    async listEntries() {
+        const stored = await this.transaction('readonly', (payloads, entries) => ({
+            entries: entries.getAll()
+        }));
+        return stored ? stored.entries : [];
+    }
+
+    /**
+     * Approximate stored size in bytes (UTF-8 length of the JSON form)
+     */
+    estimateSize(data) {
+        const json = JSON.stringify(data) || '';
+        return typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(json).length : json.length;
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+}
@@ -0,0 +1,531 @@
+/**
+ * RoadGraph - Routing over a GeoJSON road network with class-based speeds
+ * Used by routingWorker (graph, shortest paths, isochrones) and on the main thread for
+ * nearest-road distances. Coordinates are [lng, lat] (WGS84).
+ */
+
+/**
+ * Road classes drawn by LayerManager; speeds are typical HGV averages used for haulage times
+ */
+export const ROAD_CLASSES = {
+    M: { label: 'Motorway', speedKmh: 90 },
+    A: { label: 'A road', speedKmh: 65 },
+    B: { label: 'B road', speedKmh: 50 },
+    Minor: { label: 'Minor road', speedKmh: 30 }
+};
+
+/**
+ * Speed off the network (farm track / yard to the nearest road) and how far that leg may be
+ */
+export const ACCESS_SPEED_KMH = 20;
+export const MAX_ACCESS_KM = 5;
+
+const KM_PER_DEGREE = 111.32;
+const INDEX_CELL_DEGREES = 0.01;
+
+/**
+ * Map a road's attributes onto M/A/B/Minor. Understands the app's road_class, OS Open Roads
+ * (class/roadClassification: 'Motorway', 'A Road', 'B Road', ...) and falls back on the road number.
+ */
+export function normalizeRoadClass(properties = {}) {
+    const raw = String(properties.road_class ?? properties.roadClassification ?? properties.class ?? properties.function ?? '')
+        .trim()
+        .toLowerCase();
+
+    if (raw === 'm' || raw.startsWith('motorway')) return 'M';
+    if (raw === 'a' || /^a[ _-]?road/.test(raw)) return 'A';
+    if (raw === 'b' || /^b[ _-]?road/.test(raw)) return 'B';
+
+    const number = String(properties.road_name ?? properties.roadNumber ?? properties.road_number ?? '').trim().toUpperCase();
+    const match = number.match(/^([MAB])\d/);
+    return match ? match[1] : 'Minor';
+}
+
+/**
+ * Great-circle distance in km
+ */
+export function haversineKm([lng1, lat1], [lng2, lat2]) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Build an undirected graph: nodes are shared vertices, edges are [to, minutes, km, roadClass]
+ */
+export function buildRoadGraph(collection) {
+    const nodeIds = new Map();
+    const lon = [];
+    const lat = [];
+    const edges = [];
+    const stats = { nodes: 0, edges: 0, km: 0, kmByClass: { M: 0, A: 0, B: 0, Minor: 0 } };
+
+    const nodeFor = ([x, y]) => {
+        const key = `${x.toFixed(6)},${y.toFixed(6)}`;
+        let id = nodeIds.get(key);
+        if (id === undefined) {
+            id = lon.length;
+            nodeIds.set(key, id);
+            lon.push(x);
+            lat.push(y);
+            edges.push([]);
+        }
+        return id;
+    };
+
+    (collection?.features || []).forEach(feature => {
+        const roadClass = ROAD_CLASSES[feature.properties?.road_class] ? feature.properties.road_class : normalizeRoadClass(feature.properties);
+        const speed = ROAD_CLASSES[roadClass].speedKmh;
+
+        lineStrings(feature.geometry).forEach(line => {
+            for (let i = 0; i < line.length - 1; i++) {
+                const from = nodeFor(line[i]);
+                const to = nodeFor(line[i + 1]);
+                if (from === to) continue;
+
+                const km = haversineKm(line[i], line[i + 1]);
+                const minutes = km / speed * 60;
+                edges[from].push([to, minutes, km, roadClass]);
+                edges[to].push([from, minutes, km, roadClass]);
+
+                stats.edges++;
+                stats.km += km;
+                stats.kmByClass[roadClass] += km;
+            }
+        });
+    });
+
+    stats.nodes = lon.length;
+    return { lon, lat, edges, index: buildPointIndex(lon, lat), stats };
+}
+
+/**
+ * Nearest graph node to a point within maxKm: { node, km } or null
+ */
+export function nearestNode(graph, [x, y], maxKm = MAX_ACCESS_KM) {
+    let best = null;
+
+    forEachIndexCell(graph.index, [x, y], maxKm, (nodes) => {
+        nodes.forEach(node => {
+            const km = haversineKm([x, y], [graph.lon[node], graph.lat[node]]);
+            if (km <= maxKm && (!best || km < best.km)) {
+                best = { node, km };
+            }
+        });
+    });
+
+    return best;
+}
+
+/**
+ * Dijkstra from one or more start nodes ([{ node, minutes }]) up to maxMinutes
+ * Returns { times: Float64Array (Infinity when unreached), previous: Int32Array, edgeTo: Array }
+ */
+export function travelTimes(graph, starts, maxMinutes = Infinity, target = -1) {
+    const count = graph.lon.length;
+    const times = new Float64Array(count).fill(Infinity);
+    const previous = new Int32Array(count).fill(-1);
+    const edgeTo = new Array(count);
+    const heap = new MinHeap();
+
+    starts.forEach(({ node, minutes }) => {
+        if (minutes < times[node]) {
+            times[node] = minutes;
+            heap.push(minutes, node);
+        }
+    });
+
+    while (heap.size > 0) {
+        const [minutes, node] = heap.pop();
+        if (minutes > times[node]) continue;
+        if (node === target) break;
+
+        for (const edge of graph.edges[node]) {
+            const [to, edgeMinutes] = edge;
+            const arrival = minutes + edgeMinutes;
+            if (arrival < times[to] && arrival <= maxMinutes) {
+                times[to] = arrival;
+                previous[to] = node;
+                edgeTo[to] = edge;
+                heap.push(arrival, to);
+            }
+        }
+    }
+
+    return { times, previous, edgeTo };
+}
+
+/**
+ * Fastest route between two points, including the off-network legs at either end
+ * Returns { coordinates, minutes, distanceKm, kmByClass, accessKm }
+ */
+export function shortestPath(graph, from, to) {
+    const start = nearestNode(graph, from);
+    const end = nearestNode(graph, to);
+    if (!start) throw new Error(`No road within ${MAX_ACCESS_KM} km of the start point`);
+    if (!end) throw new Error(`No road within ${MAX_ACCESS_KM} km of the destination`);
+
+    const accessMinutes = (km) => km / ACCESS_SPEED_KMH * 60;
+    const { times, previous, edgeTo } = travelTimes(graph, [{ node: start.node, minutes: accessMinutes(start.km) }], Infinity, end.node);
+    if (!Number.isFinite(times[end.node])) {
+        throw new Error('The destination is not connected to the start by the road network');
+    }
+
+    const nodes = [];
+    const kmByClass = { M: 0, A: 0, B: 0, Minor: 0 };
+    let distanceKm = start.km + end.km;
+    for (let node = end.node; node !== -1; node = previous[node]) {
+        nodes.push(node);
+        if (edgeTo[node]) {
+            kmByClass[edgeTo[node][3]] += edgeTo[node][2];
+            distanceKm += edgeTo[node][2];
+        }
+    }
+    nodes.reverse();
+
+    return {
+        coordinates: [from, ...nodes.map(node => [graph.lon[node], graph.lat[node]]), to],
+        minutes: times[end.node] + accessMinutes(end.km),
+        distanceKm,
+        kmByClass,
+        accessKm: start.km + end.km
+    };
+}
+
+/**
+ * Drive-time isochrones from a point as a FeatureCollection of MultiPolygons, largest band first.
+ * Travel times are spread from reached roads onto a grid at access speed (up to accessKm from a road)
+ * and each band's cells are traced into polygons.
+ */
+export function isochronePolygons(graph, origin, bands = [15, 30, 60], { accessKm = 1.5, maxCells = 250000 } = {}) {
+    const start = nearestNode(graph, origin);
+    if (!start) throw new Error(`No road within ${MAX_ACCESS_KM} km of this location`);
+
+    const sortedBands = [...bands].sort((a, b) => a - b);
+    const maxMinutes = sortedBands[sortedBands.length - 1];
+    const startMinutes = start.km / ACCESS_SPEED_KMH * 60;
+    const { times } = travelTimes(graph, [{ node: start.node, minutes: startMinutes }], maxMinutes);
+
+    // Points carrying a travel time: reached nodes plus samples along long edges
+    const samples = [[origin[0], origin[1], 0]];
+    let [minX, minY, maxX, maxY] = [origin[0], origin[1], origin[0], origin[1]];
+    times.forEach((minutes, node) => {
+        if (!Number.isFinite(minutes)) return;
+        const x = graph.lon[node];
+        const y = graph.lat[node];
+        samples.push([x, y, minutes]);
+        if (x < minX) minX = x;
+        if (y < minY) minY = y;
+        if (x > maxX) maxX = x;
+        if (y > maxY) maxY = y;
+    });
+
+    const latScale = Math.cos(origin[1] * Math.PI / 180);
+    const extentKm = Math.max((maxX - minX) * KM_PER_DEGREE * latScale, (maxY - minY) * KM_PER_DEGREE) + 2 * accessKm;
+    const cellKm = Math.max(0.2, extentKm / Math.sqrt(maxCells));
+
+    times.forEach((minutes, node) => {
+        if (!Number.isFinite(minutes)) return;
+        graph.edges[node].forEach(([to, edgeMinutes, km]) => {
+            const steps = Math.floor(km / cellKm);
+            for (let step = 1; step <= steps; step++) {
+                const fraction = step / (steps + 1);
+                const sampleMinutes = minutes + edgeMinutes * fraction;
+                if (sampleMinutes > maxMinutes) break;
+                samples.push([
+                    graph.lon[node] + (graph.lon[to] - graph.lon[node]) * fraction,
+                    graph.lat[node] + (graph.lat[to] - graph.lat[node]) * fraction,
+                    sampleMinutes
+                ]);
+            }
+        });
+    });
+
+    // Grid of the best arrival time per cell
+    const dLat = cellKm / KM_PER_DEGREE;
+    const dLon = cellKm / (KM_PER_DEGREE * latScale);
+    const padCells = Math.ceil(accessKm / cellKm) + 1;
+    const x0 = minX - padCells * dLon;
+    const y0 = minY - padCells * dLat;
+    const columns = Math.ceil((maxX - minX) / dLon) + 2 * padCells + 1;
+    const rows = Math.ceil((maxY - minY) / dLat) + 2 * padCells + 1;
+    const grid = new Float32Array(columns * rows).fill(Infinity);
+
+    samples.forEach(([x, y, minutes]) => {
+        const column = Math.floor((x - x0) / dLon);
+        const row = Math.floor((y - y0) / dLat);
+        const reachKm = Math.min(accessKm, (maxMinutes - minutes) / 60 * ACCESS_SPEED_KMH);
+        const radius = Math.floor(reachKm / cellKm);
+
+        for (let j = Math.max(0, row - radius); j <= Math.min(rows - 1, row + radius); j++) {
+            for (let i = Math.max(0, column - radius); i <= Math.min(columns - 1, column + radius); i++) {
+                const km = Math.hypot((i - column) * cellKm, (j - row) * cellKm);
+                if (km > reachKm + 1e-9) continue;
+                const arrival = minutes + km / ACCESS_SPEED_KMH * 60;
+                if (arrival < grid[j * columns + i]) grid[j * columns + i] = arrival;
+            }
+        }
+    });
+
+    const corner = (i, j) => [
+        Math.round((x0 + i * dLon) * 1e6) / 1e6,
+        Math.round((y0 + j * dLat) * 1e6) / 1e6
+    ];
+
+    const features = sortedBands.slice().reverse().map(minutes => {
+        const inside = (i, j) => i >= 0 && j >= 0 && i < columns && j < rows && grid[j * columns + i] <= minutes;
+        const cellCount = grid.reduce((count, value) => value <= minutes ? count + 1 : count, 0);
+
+        return {
+            type: 'Feature',
+            geometry: { type: 'MultiPolygon', coordinates: traceCells(columns, rows, inside, corner) },
+            properties: {
+                minutes,
+                label: `${minutes} min`,
+                areaKm2: Math.round(cellCount * cellKm * cellKm * 10) / 10,
+                origin
+            }
+        };
+    });
+
+    return {
+        type: 'FeatureCollection',
+        features,
+        properties: { origin, accessKm: start.km, cellKm }
+    };
+}
+
+/**
+ * Segment index for nearest-road lookups (cheaper than a full graph; main thread)
+ */
+export function buildSegmentIndex(collection) {
+    const cells = new Map();
+    let segments = 0;
+
+    (collection?.features || []).forEach(feature => {
+        const roadClass = ROAD_CLASSES[feature.properties?.road_class] ? feature.properties.road_class : normalizeRoadClass(feature.properties);
+
+        lineStrings(feature.geometry).forEach(line => {
+            for (let i = 0; i < line.length - 1; i++) {
+                const segment = [line[i], line[i + 1], roadClass];
+                const [ax, ay] = line[i];
+                const [bx, by] = line[i + 1];
+                for (let cx = Math.floor(Math.min(ax, bx) / INDEX_CELL_DEGREES); cx <= Math.floor(Math.max(ax, bx) / INDEX_CELL_DEGREES); cx++) {
+                    for (let cy = Math.floor(Math.min(ay, by) / INDEX_CELL_DEGREES); cy <= Math.floor(Math.max(ay, by) / INDEX_CELL_DEGREES); cy++) {
+                        const key = `${cx},${cy}`;
+                        if (!cells.has(key)) cells.set(key, []);
+                        cells.get(key).push(segment);
+                    }
+                }
+                segments++;
+            }
+        });
+    });
+
+    return { cells, segments };
+}
+
+/**
+ * Distance to the nearest road segment within maxKm: { km, roadClass } or null
+ */
+export function nearestRoad(segmentIndex, point, maxKm = 10) {
+    let best = null;
+    const seen = new Set();
+
+    forEachIndexCell(segmentIndex.cells, point, maxKm, (segments) => {
+        segments.forEach(segment => {
+            if (seen.has(segment)) return;
+            seen.add(segment);
+
+            const km = pointToSegmentKm(point, segment[0], segment[1]);
+            if (km <= maxKm && (!best || km < best.km)) {
+                best = { km, roadClass: segment[2] };
+            }
+        });
+    });
+
+    return best;
+}
+
+function lineStrings(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'LineString') return [geometry.coordinates];
+    if (geometry.type === 'MultiLineString') return geometry.coordinates;
+    return [];
+}
+
+function buildPointIndex(lon, lat) {
+    const cells = new Map();
+    lon.forEach((x, node) => {
+        const key = `${Math.floor(x / INDEX_CELL_DEGREES)},${Math.floor(lat[node] / INDEX_CELL_DEGREES)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(node);
+    });
+    return cells;
+}
+
+function forEachIndexCell(cells, [x, y], maxKm, callback) {
+    const latCells = Math.ceil(maxKm / KM_PER_DEGREE / INDEX_CELL_DEGREES);
+    const lonCells = Math.ceil(maxKm / (KM_PER_DEGREE * Math.cos(y * Math.PI / 180)) / INDEX_CELL_DEGREES);
+    const cx = Math.floor(x / INDEX_CELL_DEGREES);
+    const cy = Math.floor(y / INDEX_CELL_DEGREES);
+
+    for (let i = cx - lonCells; i <= cx + lonCells; i++) {
+        for (let j = cy - latCells; j <= cy + latCells; j++) {
+            const items = cells.get(`${i},${j}`);
+            if (items) callback(items);
+        }
+    }
+}
+
+/**
+ * Point to segment distance on a local equirectangular projection (accurate at road scales)
+ */
+function pointToSegmentKm([px, py], [ax, ay], [bx, by]) {
+    const kx = KM_PER_DEGREE * Math.cos(py * Math.PI / 180);
+    const ky = KM_PER_DEGREE;
+    const [x, y] = [(px - ax) * kx, (py - ay) * ky];
+    const [dx, dy] = [(bx - ax) * kx, (by - ay) * ky];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (x * dx + y * dy) / lengthSquared)) : 0;
+    return Math.hypot(x - t * dx, y - t * dy);
+}
+
+/**
+ * Trace the boundary of the cells where inside(i, j) is true into MultiPolygon coordinates
+ * (outer rings counter-clockwise, holes clockwise)
+ */
+function traceCells(columns, rows, inside, corner) {
+    // Directed boundary edges with the inside cell on their left, keyed by start vertex
+    const outgoing = new Map();
+    const addEdge = (from, to) => {
+        const key = `${from[0]},${from[1]}`;
+        if (!outgoing.has(key)) outgoing.set(key, []);
+        outgoing.get(key).push(to);
+    };
+
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < columns; i++) {
+            if (!inside(i, j)) continue;
+            if (!inside(i, j - 1)) addEdge([i, j], [i + 1, j]);
+            if (!inside(i + 1, j)) addEdge([i + 1, j], [i + 1, j + 1]);
+            if (!inside(i, j + 1)) addEdge([i + 1, j + 1], [i, j + 1]);
+            if (!inside(i - 1, j)) addEdge([i, j + 1], [i, j]);
+        }
+    }
+
+    const rings = [];
+    outgoing.forEach((targets, startKey) => {
+        while (targets.length > 0) {
+            const start = startKey.split(',').map(Number);
+            const ring = [start];
+            let current = targets.pop();
+
+            while (`${current[0]},${current[1]}` !== startKey) {
+                ring.push(current);
+                const next = outgoing.get(`${current[0]},${current[1]}`);
+                if (!next || next.length === 0) break;
+                current = next.pop();
+            }
+
+            const simplified = removeCollinear(ring);
+            if (simplified.length >= 3) {
+                rings.push(simplified);
+            }
+        }
+    });
+
+    const outers = [];
+    const holes = [];
+    rings.forEach(ring => (ringArea(ring) > 0 ? outers : holes).push(ring));
+
+    const polygons = outers.map(ring => [ring]);
+    holes.forEach(hole => {
+        const owner = polygons.find(([outer]) => pointInRing(hole[0], outer));
+        if (owner) owner.push(hole);
+    });
+
+    return polygons.map(polygon => polygon.map(ring => {
+        const coordinates = ring.map(([i, j]) => corner(i, j));
+        coordinates.push(coordinates[0]);
+        return coordinates;
+    }));
+}
+
+function removeCollinear(ring) {
+    return ring.filter((point, index) => {
+        const previous = ring[(index - 1 + ring.length) % ring.length];
+        const next = ring[(index + 1) % ring.length];
+        return (point[0] - previous[0]) * (next[1] - point[1]) !== (point[1] - previous[1]) * (next[0] - point[0]);
+    });
+}
+
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] * ring[i][1]) - (ring[i][0] * ring[j][1]);
+    }
+    return area / 2;
+}
+
+function pointInRing([x, y], ring) {
+    // Ring vertices sit on grid corners; test the centre of the cell diagonally next to the vertex
+    const [px, py] = [x + 0.5, y - 0.5];
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if (((yi > py) !== (yj > py)) && (px < (xj - xi) * (py - yi) / (yj - yi) + xi)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Binary min-heap of [priority, value] pairs for Dijkstra
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(priority, value) {
+        const items = this.items;
+        items.push([priority, value]);
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (items[parent][0] <= items[index][0]) break;
+            [items[parent], items[index]] = [items[index], items[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+                if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+                if (smallest === index) break;
+                [items[smallest], items[index]] = [items[index], items[smallest]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
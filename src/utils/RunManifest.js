@@ -0,0 +1,142 @@
+import { version as packageVersion } from '../../package.json';
+import { fingerprint } from './Fingerprint.js';
+
+/**
+ * RunManifest - Everything needed to repeat a Site Finder run, and diffs between runs
+ * A manifest records the seed, the version and content fingerprint of every input dataset, the constraints,
+ * criteria weights, ranking method and scoring curves, the basis of the sites' gas entry flows with the energy
+ * model settings they were modelled with, and the app version. Re-running a manifest against
+ * the same datasets reproduces its results exactly; resultsFingerprint confirms it.
+ */
+
+export const APP_VERSION = packageVersion;
+export const MANIFEST_SCHEMA = 2;
+export const DEFAULT_RUN_SEED = 1;
+
+const clone = (value) => JSON.parse(JSON.stringify(value ?? null));
+
+/**
+ * What a stored run keeps of each ranked site
+ */
+export function compactResults(sites) {
+    return sites.map(site => ({
+        id: site.id,
+        rank: site.rank,
+        score: site.score,
+        parcelSource: site.properties?.parcelSource ?? null,
+        parcelRef: site.properties?.parcelRef ?? null,
+        coordinates: site.coordinates
+    }));
+}
+
+/**
+ * Fingerprint of a ranking: site ids, ranks and exact scores in order
+ */
+export function resultsFingerprint(sites) {
+    return fingerprint(sites.map(site => [site.id, site.rank, site.score]));
+}
+
+export function createManifest({ seed, options, appliedFilters, datasets, constraints, criteria, method, gasFlow = null, processingMethod, results, totalAnalyzed, excluded }) {
+    const createdAt = new Date().toISOString();
+    const ranking = resultsFingerprint(results);
+
+    return {
+        schema: MANIFEST_SCHEMA,
+        id: `run_${createdAt.replace(/\D/g, '').slice(0, 14)}_${ranking.slice(0, 6)}`,
+        createdAt,
+        appVersion: APP_VERSION,
+        seed,
+        options: clone(options),
+        appliedFilters: clone(appliedFilters),
+        datasets: clone(datasets),
+        constraints: clone(constraints),
+        criteria: clone(criteria),
+        method: clone(method),
+        gasFlow: gasFlow ? { basis: gasFlow.basis, designFlowNm3h: gasFlow.designFlowNm3h, radiusKm: gasFlow.radiusKm, reason: gasFlow.reason } : null,
+        energySettings: clone(gasFlow?.energySettings),
+        processingMethod,
+        summary: {
+            totalAnalyzed,
+            suitableSites: results.length,
+            excluded
+        },
+        resultsFingerprint: ranking
+    };
+}
+
+/**
+ * Leaf values of a nested object keyed by dotted path
+ */
+function flatten(value, prefix = '', leaves = {}) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, leaves));
+    } else {
+        leaves[prefix] = value;
+    }
+    return leaves;
+}
+
+/**
+ * Inputs that differ between two manifests: [{ field, before, after }]. Datasets are compared by content
+ * fingerprint; timestamps that do not affect results are ignored.
+ */
+export function diffManifests(before, after) {
+    const compared = (manifest) => flatten({
+        appVersion: manifest.appVersion,
+        seed: manifest.seed,
+        options: manifest.options,
+        constraints: manifest.constraints,
+        criteria: manifest.criteria,
+        method: { ...manifest.method, ahp: manifest.method?.ahp ? { judgments: manifest.method.ahp.judgments } : null },
+        gasFlow: { basis: manifest.gasFlow?.basis ?? null, designFlowNm3h: manifest.gasFlow?.designFlowNm3h ?? null, radiusKm: manifest.gasFlow?.radiusKm ?? null },
+        energySettings: manifest.energySettings ?? null,
+        datasets: Object.fromEntries(Object.entries(manifest.datasets || {}).map(([name, dataset]) => [name, dataset?.fingerprint ?? null]))
+    });
+
+    const a = compared(before);
+    const b = compared(after);
+    return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+        .filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+        .map(field => ({ field, before: a[field] ?? null, after: b[field] ?? null }));
+}
+
+/**
+ * Ranking changes between two runs' compact results: sites that entered or left, and rank moves
+ */
+export function diffRuns(before, after) {
+    const previous = new Map(before.map(site => [site.id, site]));
+    const next = new Map(after.map(site => [site.id, site]));
+
+    const entered = after.filter(site => !previous.has(site.id));
+    const left = before.filter(site => !next.has(site.id));
+    const moved = after
+        .filter(site => previous.has(site.id) && previous.get(site.id).rank !== site.rank)
+        .map(site => ({ ...site, previousRank: previous.get(site.id).rank, change: previous.get(site.id).rank - site.rank }))
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || a.rank - b.rank);
+    const rescored = after.filter(site => {
+        const earlier = previous.get(site.id);
+        return earlier && earlier.rank === site.rank && earlier.score !== site.score;
+    }).length;
+
+    return {
+        identical: entered.length === 0 && left.length === 0 && moved.length === 0 && rescored === 0,
+        entered,
+        left,
+        moved,
+        rescored,
+        unchanged: after.length - entered.length - moved.length
+    };
+}
+
+/**
+ * Full comparison of two stored runs ({ manifest, results })
+ */
+export function compareRunRecords(before, after) {
+    return {
+        before: before.manifest.id,
+        after: after.manifest.id,
+        identical: before.manifest.resultsFingerprint === after.manifest.resultsFingerprint,
+        inputChanges: diffManifests(before.manifest, after.manifest),
+        ranking: diffRuns(before.results, after.results)
+    };
+}
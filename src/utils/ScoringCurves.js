@@ -0,0 +1,176 @@
+/**
+ * ScoringCurves - Configurable value-to-score curves (0-10, higher is better) for Site Finder criteria
+ * that depend on a single measured attribute. Curves are plain JSON so they can be saved with the analysis
+ * config and sent to siteAnalysisWorker, which evaluates them with the same code.
+ */
+
+export const CURVE_TYPES = {
+    linear: {
+        label: 'Linear',
+        description: 'Straight line between two points, flat beyond them',
+        parameters: ['start', 'startScore', 'end', 'endScore']
+    },
+    step: {
+        label: 'Step',
+        description: 'Fixed score up to each threshold',
+        parameters: ['steps', 'otherwise']
+    },
+    exponentialDecay: {
+        label: 'Exponential decay',
+        description: 'Full score up to an offset, then halving every half-distance',
+        parameters: ['offset', 'halfDistance', 'maxScore', 'minScore']
+    },
+    sigmoid: {
+        label: 'Sigmoid',
+        description: 'S-curve centred on a midpoint; a negative scale makes it rise instead of fall',
+        parameters: ['midpoint', 'scale', 'maxScore', 'minScore']
+    },
+    piecewise: {
+        label: 'Piecewise (custom)',
+        description: 'Straight lines through your own points, flat beyond the first and last',
+        parameters: ['points']
+    }
+};
+
+/**
+ * Criteria scored by a curve: the attribute they read, its unit and a sensible plotting range.
+ * Defaults: distances decay exponentially (as the site selection spec asks); costs and area keep their steps.
+ */
+export const CURVE_CRITERIA = {
+    roadAccess: {
+        attribute: 'roadDistance',
+        unit: 'm',
+        domain: [0, 10000],
+        defaultCurve: { type: 'exponentialDecay', offset: 0, halfDistance: 3000, maxScore: 10, minScore: 0 }
+    },
+    gridConnection: {
+        attribute: 'gridDistance',
+        unit: 'm',
+        domain: [0, 50000],
+        defaultCurve: { type: 'exponentialDecay', offset: 0, halfDistance: 15000, maxScore: 10, minScore: 0 }
+    },
+    // Pipe length to the cheapest gas main that can take the site's flow (GasInjection)
+    gasConnection: {
+        attribute: 'gasConnectionLength',
+        unit: 'm',
+        domain: [0, 30000],
+        defaultCurve: { type: 'exponentialDecay', offset: 0, halfDistance: 10000, maxScore: 10, minScore: 0 }
+    },
+    landCost: {
+        attribute: 'landCost',
+        unit: '£/ha',
+        domain: [0, 60000],
+        defaultCurve: { type: 'step', steps: [[10000, 10], [20000, 8], [30000, 6], [40000, 4]], otherwise: 2 }
+    },
+    developmentCost: {
+        attribute: 'developmentCost',
+        unit: '£',
+        domain: [0, 300000],
+        defaultCurve: { type: 'step', steps: [[50000, 10], [100000, 8], [150000, 6], [200000, 4]], otherwise: 2 }
+    },
+    jobCreation: {
+        attribute: 'area',
+        unit: 'ha',
+        domain: [0, 50],
+        defaultCurve: { type: 'step', steps: [[5, 2], [10, 4], [20, 6], [30, 8]], otherwise: 10 }
+    }
+};
+
+export function defaultScoringCurves() {
+    return Object.fromEntries(Object.entries(CURVE_CRITERIA).map(([key, { defaultCurve }]) => [key, JSON.parse(JSON.stringify(defaultCurve))]));
+}
+
+const clampScore = (score) => Math.max(0, Math.min(10, score));
+
+/**
+ * Score (0-10) of a value on a curve
+ */
+export function evaluateCurve(curve, value) {
+    switch (curve.type) {
+        case 'linear': {
+            const { start, startScore, end, endScore } = curve;
+            if (end === start) return clampScore(value <= start ? startScore : endScore);
+            const t = Math.max(0, Math.min(1, (value - start) / (end - start)));
+            return clampScore(startScore + (endScore - startScore) * t);
+        }
+        case 'step': {
+            const steps = [...curve.steps].sort((a, b) => a[0] - b[0]);
+            const match = steps.find(([upTo]) => value <= upTo);
+            return clampScore(match ? match[1] : curve.otherwise);
+        }
+        case 'exponentialDecay': {
+            const { offset = 0, halfDistance, maxScore = 10, minScore = 0 } = curve;
+            const excess = Math.max(0, value - offset);
+            return clampScore(minScore + (maxScore - minScore) * Math.pow(0.5, excess / halfDistance));
+        }
+        case 'sigmoid': {
+            const { midpoint, scale, maxScore = 10, minScore = 0 } = curve;
+            return clampScore(minScore + (maxScore - minScore) / (1 + Math.exp((value - midpoint) / scale)));
+        }
+        case 'piecewise': {
+            const points = [...curve.points].sort((a, b) => a[0] - b[0]);
+            if (value <= points[0][0]) return clampScore(points[0][1]);
+            for (let i = 1; i < points.length; i++) {
+                const [x1, y1] = points[i];
+                if (value <= x1) {
+                    const [x0, y0] = points[i - 1];
+                    return clampScore(x1 === x0 ? y1 : y0 + (y1 - y0) * (value - x0) / (x1 - x0));
+                }
+            }
+            return clampScore(points[points.length - 1][1]);
+        }
+        default:
+            throw new Error(`Unknown scoring curve type: ${curve.type}`);
+    }
+}
+
+const scoreRangeErrors = (curve) => ['maxScore', 'minScore']
+    .filter(name => curve[name] !== undefined && !Number.isFinite(curve[name]))
+    .map(name => `${name} must be a number`);
+
+/**
+ * Problems with a curve definition, or an empty list when it can be evaluated
+ */
+export function validateCurve(curve) {
+    const errors = [];
+    const finite = (value) => typeof value === 'number' && Number.isFinite(value);
+    const pairs = (list) => Array.isArray(list) && list.length > 0 && list.every(pair => Array.isArray(pair) && pair.length === 2 && pair.every(finite));
+
+    switch (curve?.type) {
+        case 'linear':
+            ['start', 'startScore', 'end', 'endScore'].forEach(name => {
+                if (!finite(curve[name])) errors.push(`${name} must be a number`);
+            });
+            break;
+        case 'step':
+            if (!pairs(curve.steps)) errors.push('steps must be a list of [threshold, score] pairs');
+            if (!finite(curve.otherwise)) errors.push('otherwise must be a number');
+            break;
+        case 'exponentialDecay':
+            if (!finite(curve.halfDistance) || curve.halfDistance <= 0) errors.push('halfDistance must be greater than 0');
+            if (curve.offset !== undefined && !finite(curve.offset)) errors.push('offset must be a number');
+            errors.push(...scoreRangeErrors(curve));
+            break;
+        case 'sigmoid':
+            if (!finite(curve.midpoint)) errors.push('midpoint must be a number');
+            if (!finite(curve.scale) || curve.scale === 0) errors.push('scale must be a non-zero number');
+            errors.push(...scoreRangeErrors(curve));
+            break;
+        case 'piecewise':
+            if (!pairs(curve.points) || curve.points.length < 2) errors.push('points must be at least two [value, score] pairs');
+            break;
+        default:
+            errors.push(`Unknown curve type: ${curve?.type}`);
+    }
+    return errors;
+}
+
+/**
+ * Sample a curve across a domain for plotting: [[value, score], ...]
+ */
+export function sampleCurve(curve, [min, max], samples = 100) {
+    return Array.from({ length: samples + 1 }, (_, i) => {
+        const value = min + (max - min) * (i / samples);
+        return [value, evaluateCurve(curve, value)];
+    });
+}
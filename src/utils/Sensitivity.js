@@ -0,0 +1,208 @@
+import { rankAlternatives, DEFAULT_MCDA_METHOD } from './MCDA.js';
+
+/**
+ * Sensitivity - How robust Site Finder rankings are to the criterion weights, shared by SiteFinder and
+ * siteAnalysisWorker. Works on a decision matrix of sub-criterion scores (rows are sites, columns carry
+ * global weights from criteriaColumns); a "factor" is one sub-criterion or a whole category.
+ */
+
+export const SENSITIVITY_DEFAULTS = {
+    maxSites: 100,      // Highest-ranked sites analysed; ranks are within this set
+    range: 0.5,         // One-at-a-time perturbation: each weight ×(1 ± range)
+    steps: 11,
+    iterations: 500,    // Monte Carlo draws
+    spread: 0.3,        // Monte Carlo: each sub-criterion weight ×U(1 - spread, 1 + spread)
+    topN: 5,            // Sites whose rank probabilities and rank reversals are reported
+    seed: 1,
+    thresholdStep: 0.01 // Weight-share resolution of the rank-reversal search
+};
+
+/**
+ * Deterministic PRNG (mulberry32) so Monte Carlo runs can be repeated from their seed
+ */
+export function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Perturbable factors: every category (all its columns together) and every sub-criterion
+ */
+export function sensitivityFactors(columns) {
+    const categories = [...new Set(columns.map(column => column.category))];
+    return [
+        ...categories.map(category => ({
+            key: category,
+            level: 'category',
+            columns: columns.map((column, i) => column.category === category ? i : -1).filter(i => i >= 0)
+        })),
+        ...columns.map((column, i) => ({ key: column.key, category: column.category, level: 'subCriterion', columns: [i] }))
+    ];
+}
+
+/**
+ * Weights with the factor's combined share set to `share`, the other weights rescaled proportionally
+ * so the total is unchanged
+ */
+export function withFactorShare(weights, factorColumns, share) {
+    const total = weights.reduce((a, b) => a + b, 0) || 1;
+    const current = factorColumns.reduce((sum, i) => sum + weights[i], 0) / total;
+    const inside = current > 0 ? share / current : 0;
+    const outside = current < 1 ? (1 - share) / (1 - current) : 0;
+    return weights.map((weight, i) => weight * (factorColumns.includes(i) ? inside : outside));
+}
+
+/**
+ * 1-based ranks for scores (higher is better); ties keep input order
+ */
+export function ranksFromScores(scores) {
+    const order = scores.map((score, i) => i).sort((a, b) => scores[b] - scores[a] || a - b);
+    const ranks = new Array(scores.length);
+    order.forEach((siteIndex, position) => {
+        ranks[siteIndex] = position + 1;
+    });
+    return ranks;
+}
+
+/**
+ * One-at-a-time sensitivity. For each factor, the ranks of every site as its weight moves across
+ * ×(1 ± range), and for each of the top N sites the smallest decrease and increase in its weight share
+ * that move the site from its current rank (for the leader: that displace it from first place).
+ * Returns { factors: [{ key, level, category, share, steps: [{ factor, share, ranks }],
+ *   reversals: [{ site, rank, decrease, increase }] }] }, reversals ordered by rank; a threshold is
+ * { share, change, newRank, takenBy (site now holding the rank) } or null when no share reaches it.
+ */
+export function weightSensitivity(matrix, weights, factors, mcda = {}, options = {}, onProgress = null) {
+    const { range, steps, thresholdStep, topN } = { ...SENSITIVITY_DEFAULTS, ...options };
+    const method = mcda.method || DEFAULT_MCDA_METHOD;
+    const rank = (w) => ranksFromScores(rankAlternatives(matrix, w, method, mcda.parameters || {}));
+    const total = weights.reduce((a, b) => a + b, 0) || 1;
+    const baseRanks = rank(weights);
+    const leader = baseRanks.indexOf(1);
+    const tracked = baseRanks
+        .map((baseRank, site) => ({ site, rank: baseRank }))
+        .filter(({ rank: baseRank }) => baseRank <= topN)
+        .sort((a, b) => a.rank - b.rank);
+
+    const results = factors.map((factor, index) => {
+        const share = factor.columns.reduce((sum, i) => sum + weights[i], 0) / total;
+        const factorSteps = Array.from({ length: steps }, (_, step) => {
+            const multiplier = 1 - range + (2 * range * step) / Math.max(1, steps - 1);
+            const stepShare = Math.min(1, share * multiplier);
+            return {
+                factor: multiplier,
+                share: stepShare,
+                ranks: rank(withFactorShare(weights, factor.columns, stepShare))
+            };
+        });
+
+        // Walk the share down to 0 and up to 1 until every tracked site has moved from its rank
+        const findReversals = (direction) => {
+            const found = new Map();
+            const limit = Math.floor((direction > 0 ? 1 - share : share) / thresholdStep);
+            for (let step = 1; step <= limit && found.size < tracked.length; step++) {
+                const next = Math.round((share + direction * step * thresholdStep) * 10000) / 10000;
+                const ranks = rank(withFactorShare(weights, factor.columns, next));
+                tracked.forEach(({ site, rank: baseRank }) => {
+                    if (!found.has(site) && ranks[site] !== baseRank) {
+                        found.set(site, {
+                            share: next,
+                            change: share > 0 ? (next - share) / share : null,
+                            newRank: ranks[site],
+                            takenBy: ranks.indexOf(baseRank)
+                        });
+                    }
+                });
+            }
+            return found;
+        };
+        const decreases = findReversals(-1);
+        const increases = findReversals(1);
+
+        if (onProgress) onProgress(((index + 1) / factors.length) * 100);
+
+        return {
+            key: factor.key,
+            level: factor.level,
+            category: factor.category || null,
+            share,
+            steps: factorSteps,
+            reversals: tracked.map(({ site, rank: baseRank }) => ({
+                site,
+                rank: baseRank,
+                decrease: decreases.get(site) || null,
+                increase: increases.get(site) || null
+            }))
+        };
+    });
+
+    return { baseRanks, leader, factors: results };
+}
+
+/**
+ * Monte Carlo over weight uncertainty: each draw scales every sub-criterion weight by U(1 - spread, 1 + spread).
+ * Per site: probability of ranking in the top N, probability of each rank 1..N, mean rank and 5th-95th percentile.
+ */
+export function monteCarloRanks(matrix, weights, mcda = {}, options = {}, onProgress = null) {
+    const { iterations, spread, topN, seed } = { ...SENSITIVITY_DEFAULTS, ...options };
+    const method = mcda.method || DEFAULT_MCDA_METHOD;
+    const random = seededRandom(seed);
+    const n = matrix.length;
+    const rankDraws = Array.from({ length: n }, () => new Array(iterations));
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        const drawn = weights.map(weight => weight * (1 + spread * (2 * random() - 1)));
+        const ranks = ranksFromScores(rankAlternatives(matrix, drawn, method, mcda.parameters || {}));
+        ranks.forEach((rank, i) => {
+            rankDraws[i][iteration] = rank;
+        });
+
+        if (onProgress && iteration % 50 === 0) onProgress((iteration / iterations) * 100);
+    }
+
+    const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+    return rankDraws.map(draws => {
+        const rankProbabilities = new Array(topN).fill(0);
+        draws.forEach(rank => {
+            if (rank <= topN) rankProbabilities[rank - 1]++;
+        });
+        const sorted = [...draws].sort((a, b) => a - b);
+        return {
+            topN: rankProbabilities.reduce((a, b) => a + b, 0) / iterations,
+            rankProbabilities: rankProbabilities.map(count => count / iterations),
+            meanRank: draws.reduce((a, b) => a + b, 0) / iterations,
+            p5: percentile(sorted, 0.05),
+            p95: percentile(sorted, 0.95)
+        };
+    });
+}
+
+/**
+ * Full robustness analysis of a scored site set: { siteIds, factors, leader, monteCarlo, options }
+ */
+export function analyzeRankSensitivity({ siteIds, matrix, columns, mcda }, options = {}, onProgress = null) {
+    const settings = { ...SENSITIVITY_DEFAULTS, ...options };
+    const weights = columns.map(column => column.weight);
+    const factors = sensitivityFactors(columns);
+
+    const oneAtATime = weightSensitivity(matrix, weights, factors, mcda, settings,
+        onProgress ? (progress) => onProgress(progress * 0.5) : null);
+    const monteCarlo = monteCarloRanks(matrix, weights, mcda, settings,
+        onProgress ? (progress) => onProgress(50 + progress * 0.5) : null);
+
+    return {
+        siteIds,
+        baseRanks: oneAtATime.baseRanks,
+        leader: oneAtATime.leader,
+        factors: oneAtATime.factors,
+        monteCarlo,
+        options: settings
+    };
+}
@@ -0,0 +1,136 @@
+import { ALC_SUITABILITY } from '../data/constraintSources.js';
+import { rankAlternatives, weightedSum, DEFAULT_MCDA_METHOD } from './MCDA.js';
+import { CURVE_CRITERIA, evaluateCurve } from './ScoringCurves.js';
+
+/**
+ * SiteScoring - Sub-criterion scores (0-10, higher is better) and site ranking shared by SiteFinder and
+ * siteAnalysisWorker, so main-thread and worker runs rank identically.
+ * Attributes without a sampled source are null and take the neutral defaults below. Criteria listed in
+ * CURVE_CRITERIA are scored by a configurable curve rather than a fixed function.
+ */
+
+export const UNKNOWN_DEFAULTS = {
+    soilQuality: 5,
+    waterAvailability: 5,
+    biodiversity: 5,
+    floodRisk: 5,
+    roadDistance: 2000,
+    gridDistance: 10000,
+    gasDistance: 5000,
+    gasConnectionLength: 6000,
+    landCost: 20000,
+    developmentCost: 100000,
+    area: 10
+};
+
+/**
+ * Fixed score functions per sub-criterion, keyed as in SiteFinder.criteria; CURVE_CRITERIA use curveScore
+ */
+export const SUB_CRITERION_SCORES = {
+    // Development suitability by ALC grade (5 when unknown)
+    soilQuality: (props) => ALC_SUITABILITY[props.alcGrade] ?? UNKNOWN_DEFAULTS.soilQuality,
+    waterAvailability: (props) => Math.min(10, props.waterAvailability ?? UNKNOWN_DEFAULTS.waterAvailability),
+    biodiversity: (props) => props.biodiversity ?? UNKNOWN_DEFAULTS.biodiversity,
+    // Inverted: lower risk scores higher
+    floodRisk: (props) => Math.max(0, 10 - (props.floodRisk ?? UNKNOWN_DEFAULTS.floodRisk)),
+    waterSupply: (props) => Math.min(10, props.waterAvailability ?? UNKNOWN_DEFAULTS.waterAvailability),
+    operationalCost: (props) => {
+        let score = 7;
+        if (props.gridDistance > 10000) score -= 2;
+        if (props.gasDistance > 5000) score -= 1;
+        if (props.roadDistance > 2000) score -= 1;
+        return Math.max(1, score);
+    },
+    revenuePotential: (props) => {
+        let score = 6;
+        if (props.area > 20) score += 2;
+        if (props.waterAvailability > 7) score += 1;
+        if (props.biodiversity > 7) score += 1;
+        return Math.min(10, score);
+    },
+    communityAcceptance: (props) => {
+        let score = 6;
+        if (props.residentialDistance > 2000) score += 2;
+        if (props.protectedAreaDistance > 3000) score += 1;
+        if (props.conservationAreaDistance > 4000) score += 1;
+        return Math.min(10, score);
+    },
+    localBenefits: (props) => {
+        let score = 6;
+        if (props.area > 15) score += 2;
+        if (props.waterAvailability > 6) score += 1;
+        if (props.biodiversity > 6) score += 1;
+        return Math.min(10, score);
+    }
+};
+
+/**
+ * Score of a curve criterion; unknown attribute values take their neutral default
+ */
+export function curveScore(key, props, curves = {}) {
+    const { attribute, defaultCurve } = CURVE_CRITERIA[key];
+    return evaluateCurve(curves[key] || defaultCurve, props[attribute] ?? UNKNOWN_DEFAULTS[attribute]);
+}
+
+/**
+ * Decision-matrix columns for a criteria tree: one per sub-criterion, with its global weight
+ * (category weight × sub-criterion weight, each level normalised to sum to 1)
+ */
+export function criteriaColumns(criteria) {
+    const categoryTotal = Object.values(criteria).reduce((sum, category) => sum + category.weight, 0) || 1;
+
+    return Object.entries(criteria).flatMap(([category, { weight, subCriteria }]) => {
+        const subTotal = Object.values(subCriteria).reduce((sum, sub) => sum + sub.weight, 0) || 1;
+        return Object.entries(subCriteria).map(([key, sub]) => ({
+            category,
+            key,
+            weight: (weight / categoryTotal) * (sub.weight / subTotal)
+        }));
+    });
+}
+
+/**
+ * Sub-criterion scores (0-10) for one site, using the given curves for curve criteria
+ */
+export function subCriterionScores(props, columns, curves = {}) {
+    return Object.fromEntries(columns.map(({ key }) => {
+        if (CURVE_CRITERIA[key]) return [key, curveScore(key, props, curves)];
+        const score = SUB_CRITERION_SCORES[key];
+        return [key, score ? score(props) : 5];
+    }));
+}
+
+/**
+ * Score a set of sites with the chosen MCDA method. Each site gets subScores (0-10), category scores and
+ * the weighted sum (0-1) for display, and `score` from the method (0-1, higher ranks first). TOPSIS and
+ * ELECTRE score sites relative to each other, so the whole set is scored together. `curves` overrides the
+ * default scoring curves by sub-criterion key.
+ */
+export function scoreSiteSet(sites, criteria, { method = DEFAULT_MCDA_METHOD, parameters = {}, curves = {} } = {}) {
+    const columns = criteriaColumns(criteria);
+    const weights = columns.map(column => column.weight);
+    const subScores = sites.map(site => subCriterionScores(site.properties, columns, curves));
+    const matrix = subScores.map(scores => columns.map(({ key }) => scores[key]));
+    const methodScores = rankAlternatives(matrix, weights, method, parameters);
+    const sums = weightedSum(matrix, weights);
+
+    return sites.map((site, index) => {
+        const categories = {};
+        Object.keys(criteria).forEach(category => {
+            const categoryColumns = columns.filter(column => column.category === category);
+            const categoryWeight = categoryColumns.reduce((sum, column) => sum + column.weight, 0) || 1;
+            categories[category] = categoryColumns.reduce((sum, column) => sum + subScores[index][column.key] * column.weight, 0) / categoryWeight / 10;
+        });
+
+        return {
+            ...site,
+            subScores: subScores[index],
+            scores: {
+                ...categories,
+                weightedSum: sums[index],
+                total: methodScores[index]
+            },
+            score: methodScores[index]
+        };
+    });
+}
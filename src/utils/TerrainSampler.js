@@ -0,0 +1,101 @@
+/**
+ * TerrainSampler - Elevation and slope from a Terrarium-encoded DEM tile set
+ * Tiles are fetched on demand, decoded once and kept in a small LRU cache. Missing tiles
+ * (outside the tile set's coverage) are remembered so they are not requested again.
+ */
+export class TerrainSampler {
+    constructor({ tiles, zoom = 12, maxTiles = 64 } = {}) {
+        this.tiles = tiles;
+        this.zoom = zoom;
+        this.maxTiles = maxTiles;
+        this.cache = new Map();
+    }
+
+    /**
+     * Elevation (m) and slope (degrees) at a point, or null where there is no tile
+     */
+    async sample([lng, lat]) {
+        const { tileX, tileY, offsetX, offsetY } = this.locate(lng, lat);
+        const tile = await this.getTile(tileX, tileY);
+        if (!tile) return null;
+
+        const { size, heights } = tile;
+        const at = (x, y) => heights[Math.min(size - 1, Math.max(0, y)) * size + Math.min(size - 1, Math.max(0, x))];
+        const px = Math.floor(offsetX * size);
+        const py = Math.floor(offsetY * size);
+
+        // Horn's method over the 3×3 neighbourhood; edges are clamped to the tile
+        const metresPerPixel = 40075016.686 * Math.cos(lat * Math.PI / 180) / (2 ** this.zoom * size);
+        const dzdx = ((at(px + 1, py - 1) + 2 * at(px + 1, py) + at(px + 1, py + 1)) -
+            (at(px - 1, py - 1) + 2 * at(px - 1, py) + at(px - 1, py + 1))) / (8 * metresPerPixel);
+        const dzdy = ((at(px - 1, py + 1) + 2 * at(px, py + 1) + at(px + 1, py + 1)) -
+            (at(px - 1, py - 1) + 2 * at(px, py - 1) + at(px + 1, py - 1))) / (8 * metresPerPixel);
+
+        return {
+            elevation: Math.round(at(px, py) * 10) / 10,
+            slope: Math.round(Math.atan(Math.hypot(dzdx, dzdy)) * 180 / Math.PI * 10) / 10,
+            resolutionM: Math.round(metresPerPixel)
+        };
+    }
+
+    /**
+     * Web Mercator tile of a point at the sampler's zoom, and the point's fractional offset within it
+     */
+    locate(lng, lat) {
+        const scale = 2 ** this.zoom;
+        const x = (lng + 180) / 360 * scale;
+        const sinLat = Math.sin(lat * Math.PI / 180);
+        const y = (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale;
+        const tileX = Math.floor(x);
+        const tileY = Math.floor(y);
+
+        return { tileX, tileY, offsetX: x - tileX, offsetY: y - tileY };
+    }
+
+    async getTile(x, y) {
+        const key = `${this.zoom}/${x}/${y}`;
+        if (this.cache.has(key)) {
+            const cached = this.cache.get(key);
+            this.cache.delete(key);
+            this.cache.set(key, cached);
+            return cached;
+        }
+
+        const pending = this.fetchTile(x, y).catch(error => {
+            console.warn(`⚠️ DEM tile ${key} unavailable:`, error.message);
+            return null;
+        });
+        this.cache.set(key, pending);
+        const tile = await pending;
+        this.cache.set(key, tile);
+
+        while (this.cache.size > this.maxTiles) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return tile;
+    }
+
+    async fetchTile(x, y) {
+        const url = this.tiles.replace('{z}', this.zoom).replace('{x}', x).replace('{y}', y);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const bitmap = await createImageBitmap(await response.blob());
+        const size = bitmap.width;
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(size, size)
+            : Object.assign(document.createElement('canvas'), { width: size, height: size });
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(bitmap, 0, 0);
+        const { data } = context.getImageData(0, 0, size, size);
+
+        // Terrarium: elevation = R * 256 + G + B / 256 - 32768
+        const heights = new Float32Array(size * size);
+        for (let i = 0; i < heights.length; i++) {
+            heights[i] = data[i * 4] * 256 + data[i * 4 + 1] + data[i * 4 + 2] / 256 - 32768;
+        }
+        return { size, heights };
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * TileArchive - Single-file vector tile archives (PMTiles or MBTiles), read one tile at a time
+ * PMTiles archives are read with HTTP range requests through the pmtiles library (CDN global), so only the
+ * directory and the tiles in view are downloaded. MBTiles archives are SQLite databases: the file is fetched
+ * once and queried with sql.js (CDN global), which suits regional extracts rather than national coverage.
+ * open() resolves { format, minZoom, maxZoom, bounds, vectorLayers }; getTile() resolves uncompressed MVT
+ * bytes, or null when the archive has no tile there.
+ */
+
+const SQL_JS_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.10.3';
+
+export class PMTilesArchive {
+    constructor(url) {
+        this.url = url;
+        this.archive = null;
+    }
+
+    async open() {
+        if (typeof pmtiles === 'undefined') {
+            throw new Error('PMTiles library not loaded');
+        }
+
+        this.archive = new pmtiles.PMTiles(this.url);
+        const header = await this.archive.getHeader();
+        if (header.tileType !== pmtiles.TileType.Mvt) {
+            throw new Error(`${this.url} does not contain vector (MVT) tiles`);
+        }
+        const metadata = await this.archive.getMetadata().catch(() => null);
+
+        return {
+            format: 'pmtiles',
+            minZoom: header.minZoom,
+            maxZoom: header.maxZoom,
+            bounds: [header.minLon, header.minLat, header.maxLon, header.maxLat],
+            vectorLayers: (metadata?.vector_layers || []).map(layer => layer.id)
+        };
+    }
+
+    async getTile(z, x, y, signal) {
+        const tile = await this.archive.getZxy(z, x, y, signal);
+        return tile ? new Uint8Array(tile.data) : null;
+    }
+}
+
+export class MBTilesArchive {
+    constructor(url) {
+        this.url = url;
+        this.db = null;
+        this.statement = null;
+    }
+
+    async open() {
+        if (typeof initSqlJs === 'undefined') {
+            throw new Error('sql.js library not loaded');
+        }
+
+        const [SQL, response] = await Promise.all([
+            initSqlJs({ locateFile: (file) => `${SQL_JS_CDN}/${file}` }),
+            fetch(this.url)
+        ]);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${this.url}`);
+        }
+
+        this.db = new SQL.Database(new Uint8Array(await response.arrayBuffer()));
+        this.statement = this.db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+
+        const metadata = Object.fromEntries(this.db.exec('SELECT name, value FROM metadata')[0]?.values || []);
+        if (metadata.format && metadata.format !== 'pbf') {
+            throw new Error(`${this.url} contains ${metadata.format} tiles, not vector (pbf) tiles`);
+        }
+        const json = metadata.json ? JSON.parse(metadata.json) : {};
+
+        return {
+            format: 'mbtiles',
+            minZoom: Number(metadata.minzoom ?? 0),
+            maxZoom: Number(metadata.maxzoom ?? 14),
+            bounds: metadata.bounds ? metadata.bounds.split(',').map(Number) : null,
+            vectorLayers: (json.vector_layers || []).map(layer => layer.id)
+        };
+    }
+
+    async getTile(z, x, y) {
+        // MBTiles rows are numbered from the south (TMS)
+        this.statement.bind([z, x, (1 << z) - 1 - y]);
+        const data = this.statement.step() ? this.statement.get()[0] : null;
+        this.statement.reset();
+        return data ? gunzip(data) : null;
+    }
+}
+
+/**
+ * MBTiles vector tiles are usually gzipped; PMTiles tiles are decompressed by the library
+ */
+async function gunzip(bytes) {
+    if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) return bytes;
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Archive reader for a URL, chosen by extension (.mbtiles, otherwise PMTiles)
+ */
+export function openTileArchive(url) {
+    return /\.mbtiles(\?|$)/i.test(url) ? new MBTilesArchive(url) : new PMTilesArchive(url);
+}
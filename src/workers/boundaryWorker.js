@@ -0,0 +1,297 @@
+/**
+ * WebWorker for Boundary Decoding - Fetches and decodes LAD/LPA and manure-grid TopoJSON off the main thread
+ * Each topology is decoded once; the resulting GeoJSON is shared by DataManager and LayerManager
+ */
+
+import { feature } from 'topojson-client';
+import { MANURE_CATEGORIES, MANURE_CLASS_COUNT, manureProperties, biomethanePotential } from '../data/manureSchema.js';
+
+// Worker message handler
+self.onmessage = async function(e) {
+    const { type, data, id } = e.data;
+
+    try {
+        switch (type) {
+            case 'DECODE_TOPOLOGY':
+                const decoded = await decodeTopology(data);
+                self.postMessage({
+                    type: 'DECODE_COMPLETE',
+                    id: id,
+                    results: decoded
+                });
+                break;
+
+            case 'DECODE_MANURE':
+                const grid = await decodeManureGrid(data);
+                self.postMessage({
+                    type: 'DECODE_COMPLETE',
+                    id: id,
+                    results: grid
+                });
+                break;
+
+            default:
+                throw new Error(`Unknown message type: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({
+            type: 'ERROR',
+            id: id,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Fetch a TopoJSON file and decode it into a GeoJSON FeatureCollection
+ * data: { url, level: 'LAD' | 'LPA', objectName?, validators?: { etag, lastModified } }
+ * With validators the request is conditional; a 304 resolves { level, notModified: true }
+ */
+async function decodeTopology(data) {
+    const { level } = data;
+
+    const fetched = await fetchTopology(data);
+    if (fetched.notModified) {
+        return { level, notModified: true };
+    }
+    const { collection, objectName, validators } = fetched;
+
+    const skipped = [];
+
+    collection.features = collection.features.filter((boundary, index) => {
+        const properties = normalizeBoundaryProperties(boundary.properties || {}, level);
+        if (!properties.code || !boundary.geometry) {
+            skipped.push({ index, properties: boundary.properties || {} });
+            return false;
+        }
+
+        boundary.properties = properties;
+        boundary.bbox = calculateBBox(boundary.geometry);
+        return true;
+    });
+
+    return {
+        level,
+        notModified: false,
+        validators,
+        objectName,
+        collection,
+        skipped
+    };
+}
+
+/**
+ * Fetch and decode the manure volume hex grid. Each hex gets per-category tonnage, grazing tonnage
+ * and biomethane potential (see manureSchema.js) plus totals; raw attributes are dropped.
+ * data: { url, objectName?, validators? }; a 304 resolves { notModified: true }
+ */
+async function decodeManureGrid(data) {
+    const fetched = await fetchTopology(data);
+    if (fetched.notModified) {
+        return { notModified: true };
+    }
+    const { collection, objectName, validators } = fetched;
+
+    const values = Object.fromEntries(MANURE_CATEGORIES.map(category => [category.id, []]));
+    const totals = Object.fromEntries(MANURE_CATEGORIES.map(category => [category.id, { tonnes: 0, biomethane: 0, hexes: 0 }]));
+    let skipped = 0;
+
+    collection.features = collection.features.filter((hex, index) => {
+        if (!hex.geometry) {
+            skipped++;
+            return false;
+        }
+
+        const raw = hex.properties || {};
+        const properties = {
+            hexId: raw.hex_id ?? raw.HEX_ID ?? raw.id ?? raw.ID ?? index,
+            total_tonnes: 0,
+            biomethane_m3: 0
+        };
+
+        MANURE_CATEGORIES.forEach(category => {
+            const keys = manureProperties(category.id);
+            const tonnes = readManureTonnes(raw, category);
+            const grazing = sumFields(raw, category.grazingFields);
+            const biomethane = biomethanePotential(category, tonnes);
+
+            properties[keys.tonnes] = round(tonnes, 1);
+            properties[keys.grazing] = round(grazing, 1);
+            properties[keys.biomethane] = Math.round(biomethane);
+            properties.total_tonnes += tonnes;
+            properties.biomethane_m3 += biomethane;
+
+            if (tonnes > 0) {
+                values[category.id].push(tonnes);
+                totals[category.id].tonnes += tonnes;
+                totals[category.id].biomethane += biomethane;
+                totals[category.id].hexes++;
+            }
+        });
+
+        properties.total_tonnes = round(properties.total_tonnes, 1);
+        properties.biomethane_m3 = Math.round(properties.biomethane_m3);
+
+        hex.id = index;
+        hex.properties = properties;
+        return true;
+    });
+
+    const breaks = Object.fromEntries(Object.entries(values).map(([id, list]) => [id, quantileBreaks(list, MANURE_CLASS_COUNT)]));
+
+    return {
+        notModified: false,
+        validators,
+        objectName,
+        collection,
+        breaks,
+        totals,
+        skipped
+    };
+}
+
+/**
+ * Fetch a topology (conditionally when validators are given) and decode one of its objects
+ * Resolves { notModified: true } on a 304, otherwise { collection, objectName, validators }
+ */
+async function fetchTopology({ url, objectName, validators }) {
+    const headers = {};
+    if (validators?.etag) headers['If-None-Match'] = validators.etag;
+    if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    const response = await fetch(url, { headers });
+    if (response.status === 304) {
+        return { notModified: true };
+    }
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+    }
+    const topology = await response.json();
+
+    if (topology.type !== 'Topology' || !topology.objects) {
+        throw new Error(`${url} is not a TopoJSON topology`);
+    }
+
+    const name = objectName && topology.objects[objectName] ? objectName : Object.keys(topology.objects)[0];
+    const decoded = feature(topology, topology.objects[name]);
+    const collection = decoded.type === 'FeatureCollection'
+        ? decoded
+        : { type: 'FeatureCollection', features: [decoded] };
+
+    return {
+        notModified: false,
+        collection,
+        objectName: name,
+        validators: {
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified')
+        }
+    };
+}
+
+/**
+ * Collectable tonnes for a category: the pre-aggregated field when present, else the component fields
+ */
+function readManureTonnes(properties, category) {
+    const aggregated = Number(properties[category.tonnesField]);
+    if (properties[category.tonnesField] !== undefined && properties[category.tonnesField] !== null && Number.isFinite(aggregated)) {
+        return Math.max(0, aggregated);
+    }
+    return sumFields(properties, category.fields);
+}
+
+function sumFields(properties, fields) {
+    return fields.reduce((sum, field) => {
+        const value = Number(properties[field]);
+        return Number.isFinite(value) && value > 0 ? sum + value : sum;
+    }, 0);
+}
+
+/**
+ * Quantile class breaks (classes - 1 ascending, de-duplicated thresholds) over positive values
+ */
+function quantileBreaks(values, classes) {
+    if (values.length === 0) return [];
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const breaks = [];
+    for (let i = 1; i < classes; i++) {
+        const value = round(sorted[Math.min(sorted.length - 1, Math.floor((i / classes) * sorted.length))], 1);
+        if (value > sorted[0] && (breaks.length === 0 || value > breaks[breaks.length - 1])) {
+            breaks.push(value);
+        }
+    }
+    return breaks;
+}
+
+function round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Add normalised code/name/type properties, keeping the original attributes (e.g. LAD23CD, LAD23NM)
+ */
+function normalizeBoundaryProperties(properties, level) {
+    const prefix = level.toUpperCase();
+    const keys = Object.keys(properties);
+
+    const findKey = (patterns) => {
+        for (const pattern of patterns) {
+            const key = keys.find(k => pattern.test(k));
+            if (key && properties[key] !== null && properties[key] !== '') return key;
+        }
+        return null;
+    };
+
+    const codeKey = findKey([
+        new RegExp(`^${prefix}\\d{0,2}CD$`, 'i'),
+        new RegExp(`^${prefix}_?code$`, 'i'),
+        new RegExp(`^${prefix}$`, 'i'),
+        /^code$/i
+    ]);
+    const nameKey = findKey([
+        new RegExp(`^${prefix}\\d{0,2}NM$`, 'i'),
+        new RegExp(`^${prefix}_?name$`, 'i'),
+        /^name$/i
+    ]);
+
+    const code = codeKey ? String(properties[codeKey]).trim() : null;
+
+    return {
+        ...properties,
+        code,
+        name: nameKey ? String(properties[nameKey]).trim() : code,
+        type: prefix
+    };
+}
+
+/**
+ * Calculate [minX, minY, maxX, maxY] for a Polygon or MultiPolygon
+ */
+function calculateBBox(geometry) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+    polygons.forEach(polygon => {
+        polygon.forEach(ring => {
+            ring.forEach(([x, y]) => {
+                if (x < bbox[0]) bbox[0] = x;
+                if (y < bbox[1]) bbox[1] = y;
+                if (x > bbox[2]) bbox[2] = x;
+                if (y > bbox[3]) bbox[3] = y;
+            });
+        });
+    });
+
+    return bbox;
+}
+
+// Export for use in main thread
+self.exports = {
+    decodeTopology,
+    decodeManureGrid,
+    quantileBreaks,
+    normalizeBoundaryProperties,
+    calculateBBox
+};
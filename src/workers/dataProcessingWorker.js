@@ -3,8 +3,11 @@
  * This improves UI responsiveness by offloading data processing tasks
  */
 
+import Papa from 'papaparse';
+import { osgbToWgs84 } from '../utils/BritishNationalGrid.js';
+
 // Worker message handler
-self.onmessage = function(e) {
+self.onmessage = async function(e) {
     const { type, data, id } = e.data;
     
     try {
@@ -45,6 +48,15 @@ self.onmessage = function(e) {
                 });
                 break;
                 
+            case 'IMPORT_DATA':
+                const importedData = await importData({ ...data, id });
+                self.postMessage({
+                    type: 'IMPORT_COMPLETE',
+                    id: id,
+                    results: importedData
+                });
+                break;
+                
             default:
                 throw new Error(`Unknown message type: ${type}`);
         }
@@ -475,10 +487,880 @@ function aggregateData(data) {
     return Object.values(results);
 }
 
+/**
+ * File extensions accepted by importData and the parser each one uses
+ */
+const IMPORT_FORMATS = {
+    csv: 'csv',
+    tsv: 'csv',
+    txt: 'csv',
+    geojson: 'geojson',
+    json: 'geojson',
+    kml: 'kml',
+    kmz: 'zip',
+    zip: 'zip'
+};
+
+/**
+ * Import a user file as a GeoJSON FeatureCollection
+ * data: { fileName, content: string | ArrayBuffer (kmz/zip), bounds: { minLon, maxLon, minLat, maxLat }, postcodeApiUrl, id }
+ * Parsed features go through validateData (location inside bounds) and cleanData (trimmed text, rounded point coordinates)
+ */
+async function importData(data) {
+    const { fileName, content, bounds, postcodeApiUrl, id } = data;
+    const extension = (fileName.split('.').pop() || '').toLowerCase();
+    const format = IMPORT_FORMATS[extension];
+    if (!format) {
+        throw new Error(`Unsupported file type: .${extension}`);
+    }
+
+    const parsed = await parseImportContent(format, content, { postcodeApiUrl, id });
+    if (parsed.features.length === 0) {
+        throw new Error(`No features found in ${fileName}`);
+    }
+
+    // Flatten each feature to a record with a representative location so the generic validation/cleaning steps apply
+    const records = parsed.features.map((entry, row) => {
+        const record = { ...entry.properties, _row: row };
+        if (entry.geometry) {
+            const [minX, minY, maxX, maxY] = geometryBBox(entry.geometry);
+            const lon = (minX + maxX) / 2;
+            const lat = (minY + maxY) / 2;
+            if (Number.isFinite(lon) && Number.isFinite(lat)) {
+                record._lon = lon;
+                record._lat = lat;
+            }
+        }
+        return record;
+    });
+
+    const validation = validateData({
+        dataset: records,
+        schema: {
+            _lon: { required: true, type: 'number', min: bounds.minLon, max: bounds.maxLon },
+            _lat: { required: true, type: 'number', min: bounds.minLat, max: bounds.maxLat }
+        },
+        id
+    });
+
+    const cleaningRules = { _lon: { round: 6 }, _lat: { round: 6 } };
+    validation.valid.forEach(record => {
+        Object.entries(record).forEach(([field, value]) => {
+            if (typeof value === 'string') cleaningRules[field] = { trim: true };
+        });
+    });
+    const cleaning = cleanData({ dataset: validation.valid, cleaningRules, id });
+
+    const collectionBBox = [Infinity, Infinity, -Infinity, -Infinity];
+    const features = cleaning.cleaned.map((record, index) => {
+        const { _row, _lon, _lat, ...properties } = record;
+        const source = parsed.features[_row];
+        const geometry = source.geometry.type === 'Point'
+            ? { type: 'Point', coordinates: [_lon, _lat] }
+            : source.geometry;
+
+        const bbox = geometryBBox(geometry);
+        collectionBBox[0] = Math.min(collectionBBox[0], bbox[0]);
+        collectionBBox[1] = Math.min(collectionBBox[1], bbox[1]);
+        collectionBBox[2] = Math.max(collectionBBox[2], bbox[2]);
+        collectionBBox[3] = Math.max(collectionBBox[3], bbox[3]);
+
+        return { type: 'Feature', id: index, geometry, properties };
+    });
+
+    const errors = validation.invalid.map(({ item, errors: itemErrors }) => {
+        const source = parsed.features[item._row];
+        let reason = source.error;
+        if (!reason) {
+            reason = itemErrors.some(error => error.type === 'range_error')
+                ? 'Location is outside the UK'
+                : itemErrors.map(error => error.message).join('; ');
+        }
+
+        return {
+            row: item._row + 1,
+            name: featureLabel(source.properties),
+            field: itemErrors[0]?.field || null,
+            value: itemErrors[0] ? item[itemErrors[0].field] ?? null : null,
+            reason,
+            severity: 'error'
+        };
+    });
+
+    return {
+        collection: {
+            type: 'FeatureCollection',
+            bbox: features.length > 0 ? collectionBBox : null,
+            features
+        },
+        report: {
+            fileName,
+            format: parsed.format,
+            sourceCrs: parsed.sourceCrs,
+            columns: parsed.columns || null,
+            locatedBy: parsed.locatedBy,
+            totalRows: records.length,
+            validRows: features.length,
+            excludedRows: validation.summary.invalid,
+            fixedRows: cleaning.summary.fixed,
+            errors
+        }
+    };
+}
+
+/**
+ * Parse file content into row-aligned entries: { format, sourceCrs, locatedBy, columns?, features: [{ geometry, properties, error? }] }
+ */
+async function parseImportContent(format, content, options) {
+    switch (format) {
+        case 'csv':
+            return parseDelimitedImport(content, options);
+        case 'geojson':
+            return parseGeoJSONImport(content);
+        case 'kml':
+            return parseKMLImport(content);
+        case 'zip':
+            return parseZipImport(content, options);
+        default:
+            throw new Error(`Unknown import format: ${format}`);
+    }
+}
+
+/**
+ * CSV/TSV with latitude/longitude, easting/northing (OSGB36) or postcode columns
+ * Rows without coordinates fall back to the postcode column when there is one
+ */
+async function parseDelimitedImport(text, { postcodeApiUrl, id }) {
+    const rows = parseDelimitedText(text);
+    if (rows.length < 2) {
+        throw new Error('CSV file has no data rows');
+    }
+
+    const headers = rows[0].map((header, index) => header.trim() || `column_${index + 1}`);
+    const dataRows = rows.slice(1);
+    const columns = detectLocationColumns(headers, dataRows);
+    if (!columns.lat && !columns.easting && !columns.postcode) {
+        throw new Error('No latitude/longitude, easting/northing or postcode columns found');
+    }
+
+    const locatedBy = { coordinates: 0, grid: 0, postcode: 0 };
+    const pending = new Map();
+
+    const features = dataRows.map(values => {
+        const properties = {};
+        headers.forEach((header, index) => {
+            properties[header] = coerceImportValue(values[index]);
+        });
+        const entry = { geometry: null, properties, error: null };
+
+        if (columns.lat) {
+            const lon = parseCoordinate(properties[columns.lon]);
+            const lat = parseCoordinate(properties[columns.lat]);
+            if (Number.isFinite(lon) && Number.isFinite(lat)) {
+                entry.geometry = { type: 'Point', coordinates: [lon, lat] };
+                locatedBy.coordinates++;
+                return entry;
+            }
+        }
+
+        if (columns.easting) {
+            const easting = parseCoordinate(properties[columns.easting]);
+            const northing = parseCoordinate(properties[columns.northing]);
+            if (Number.isFinite(easting) && Number.isFinite(northing)) {
+                entry.geometry = { type: 'Point', coordinates: osgbToWgs84(easting, northing) };
+                locatedBy.grid++;
+                return entry;
+            }
+        }
+
+        const rawPostcode = columns.postcode ? properties[columns.postcode] : null;
+        const postcode = rawPostcode ? normalizePostcode(rawPostcode) : null;
+        if (postcode) {
+            if (!pending.has(postcode)) pending.set(postcode, []);
+            pending.get(postcode).push(entry);
+        } else {
+            entry.error = rawPostcode ? `Invalid postcode "${rawPostcode}"` : 'No coordinates or postcode';
+        }
+        return entry;
+    });
+
+    if (pending.size > 0) {
+        const { located, failed } = await geocodePostcodes([...pending.keys()], postcodeApiUrl, id);
+        pending.forEach((entries, postcode) => {
+            entries.forEach(entry => {
+                if (located.has(postcode)) {
+                    entry.geometry = { type: 'Point', coordinates: located.get(postcode) };
+                    locatedBy.postcode++;
+                } else {
+                    entry.error = failed.has(postcode)
+                        ? `Postcode lookup failed for ${postcode}`
+                        : `Postcode ${postcode} not found`;
+                }
+            });
+        });
+    }
+
+    return {
+        format: 'csv',
+        sourceCrs: locatedBy.grid > 0 ? 'EPSG:27700' : 'EPSG:4326',
+        columns,
+        locatedBy,
+        features
+    };
+}
+
+/**
+ * Split delimited text into rows of fields with Papa Parse (the delimiter is detected from the text)
+ * The worker has no access to the page's CDN global, so Papa Parse is imported from the package here
+ */
+function parseDelimitedText(text) {
+    const { data } = Papa.parse(text.replace(/^\uFEFF/, ''), {
+        header: false,
+        skipEmptyLines: 'greedy',
+        dynamicTyping: false
+    });
+    return data;
+}
+
+/**
+ * Find location columns by header name; generic X/Y columns are eastings/northings when the values are metres
+ */
+function detectLocationColumns(headers, dataRows) {
+    const find = (pattern) => headers.find(header => pattern.test(header)) || null;
+
+    const columns = {
+        lat: find(/^(lat|latitude|lat_?wgs84|wgs84_?lat)$/i),
+        lon: find(/^(lon|lng|long|longitude|lon_?wgs84|wgs84_?lon)$/i),
+        easting: find(/^(easting|eastings|east|bng_?e(asting)?|x_?bng|os_?x)$/i),
+        northing: find(/^(northing|northings|north|bng_?n(orthing)?|y_?bng|os_?y)$/i),
+        postcode: find(/^(post_?code|postal_?code|pcds?|pc)$/i)
+    };
+
+    const x = find(/^x$/i);
+    const y = find(/^y$/i);
+    if (x && y) {
+        const xIndex = headers.indexOf(x);
+        const sample = dataRows.map(values => parseCoordinate(values[xIndex])).find(Number.isFinite);
+        if (Math.abs(sample) > 180) {
+            columns.easting = columns.easting || x;
+            columns.northing = columns.northing || y;
+        } else {
+            columns.lon = columns.lon || x;
+            columns.lat = columns.lat || y;
+        }
+    }
+
+    // Coordinates are only usable as complete pairs
+    if (!columns.lat || !columns.lon) {
+        columns.lat = null;
+        columns.lon = null;
+    }
+    if (!columns.easting || !columns.northing) {
+        columns.easting = null;
+        columns.northing = null;
+    }
+
+    return columns;
+}
+
+/**
+ * Convert numeric-looking text to numbers, keeping codes with leading zeros (e.g. "01234") as text
+ */
+function coerceImportValue(value) {
+    if (value === undefined || value === null) return null;
+
+    const trimmed = String(value).trim();
+    if (trimmed === '') return null;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed) && !/^[-+]?0\d/.test(trimmed)) {
+        return Number(trimmed);
+    }
+    return value;
+}
+
+function parseCoordinate(value) {
+    if (typeof value === 'number') return value;
+    if (value === null || value === undefined || String(value).trim() === '') return NaN;
+    return Number(String(value).trim());
+}
+
+/**
+ * Canonical "OUTWARD INWARD" form of a UK postcode, or null if it is not one
+ */
+function normalizePostcode(value) {
+    const compact = String(value).toUpperCase().replace(/\s+/g, '');
+    if (!/^[A-Z]{1,2}\d[A-Z\d]?\d[A-Z]{2}$/.test(compact)) return null;
+    return `${compact.slice(0, -3)} ${compact.slice(-3)}`;
+}
+
+/**
+ * Bulk geocode postcodes (100 per request, the postcodes.io limit)
+ * Returns { located: Map postcode -> [lon, lat], failed: Set of postcodes whose batch request failed }
+ */
+async function geocodePostcodes(postcodes, apiUrl, id) {
+    const located = new Map();
+    const failed = new Set();
+    const batchSize = 100;
+
+    for (let i = 0; i < postcodes.length; i += batchSize) {
+        const batch = postcodes.slice(i, i + batchSize);
+
+        try {
+            const response = await fetch(`${apiUrl}/postcodes`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ postcodes: batch })
+            });
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+
+            const { result } = await response.json();
+            (result || []).forEach(({ query, result: match }) => {
+                if (match && Number.isFinite(match.longitude) && Number.isFinite(match.latitude)) {
+                    located.set(normalizePostcode(query), [match.longitude, match.latitude]);
+                }
+            });
+        } catch (error) {
+            console.warn(`⚠️ Postcode lookup failed for batch ${i / batchSize + 1}:`, error.message);
+            batch.forEach(postcode => failed.add(postcode));
+        }
+
+        self.postMessage({
+            type: 'PROGRESS',
+            id: id,
+            progress: (Math.min(i + batchSize, postcodes.length) / postcodes.length) * 100
+        });
+    }
+
+    return { located, failed };
+}
+
+/**
+ * GeoJSON FeatureCollection, Feature or bare geometry; EPSG:27700 coordinates are converted to WGS84
+ */
+function parseGeoJSONImport(text) {
+    let geojson;
+    try {
+        geojson = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid GeoJSON: ${error.message}`);
+    }
+
+    let features;
+    if (geojson.type === 'FeatureCollection') {
+        features = geojson.features || [];
+    } else if (geojson.type === 'Feature') {
+        features = [geojson];
+    } else if (geojson.coordinates || geojson.geometries) {
+        features = [{ type: 'Feature', geometry: geojson, properties: {} }];
+    } else {
+        throw new Error('File is not a GeoJSON FeatureCollection, Feature or geometry');
+    }
+
+    const crsName = geojson.crs?.properties?.name || '';
+    let sourceCrs;
+    if (/27700/.test(crsName)) {
+        sourceCrs = 'EPSG:27700';
+    } else if (!crsName || /4326|CRS84/i.test(crsName)) {
+        sourceCrs = guessSourceCrs(features.map(feature => feature.geometry));
+    } else {
+        throw new Error(`Unsupported GeoJSON CRS: ${crsName}`);
+    }
+
+    return {
+        format: 'geojson',
+        sourceCrs,
+        locatedBy: 'geometry',
+        features: features.map(feature => {
+            const properties = { ...(feature.properties || {}) };
+            if (!feature.geometry) {
+                return { geometry: null, properties, error: 'Feature has no geometry' };
+            }
+            return {
+                geometry: sourceCrs === 'EPSG:27700' ? transformGeometry(feature.geometry, osgbToWgs84) : feature.geometry,
+                properties
+            };
+        })
+    };
+}
+
+/**
+ * KML Placemarks: name, description, ExtendedData and Point/LineString/Polygon/MultiGeometry
+ */
+function parseKMLImport(text) {
+    const placemarks = text.match(/<Placemark\b[\s\S]*?<\/Placemark>/g) || [];
+
+    const features = placemarks.map(placemark => {
+        const properties = {};
+
+        const name = placemark.match(/<name>([\s\S]*?)<\/name>/);
+        if (name) properties.name = decodeXmlText(name[1]);
+        const description = placemark.match(/<description>([\s\S]*?)<\/description>/);
+        if (description) properties.description = markupToText(decodeXmlText(description[1]));
+
+        for (const match of placemark.matchAll(/<Data\s+name="([^"]*)"[^>]*>[\s\S]*?<value>([\s\S]*?)<\/value>[\s\S]*?<\/Data>/g)) {
+            properties[match[1]] = coerceImportValue(decodeXmlText(match[2]));
+        }
+        for (const match of placemark.matchAll(/<SimpleData\s+name="([^"]*)"[^>]*>([\s\S]*?)<\/SimpleData>/g)) {
+            properties[match[1]] = coerceImportValue(decodeXmlText(match[2]));
+        }
+
+        const geometry = parseKMLGeometry(placemark);
+        return geometry
+            ? { geometry, properties }
+            : { geometry: null, properties, error: 'Placemark has no geometry' };
+    });
+
+    return { format: 'kml', sourceCrs: 'EPSG:4326', locatedBy: 'geometry', features };
+}
+
+function parseKMLGeometry(placemark) {
+    const geometries = [];
+
+    // Polygons are taken out first so their LinearRing coordinates are not read again as lines
+    const remaining = placemark.replace(/<Polygon\b[\s\S]*?<\/Polygon>/g, polygon => {
+        const outer = polygon.match(/<outerBoundaryIs>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/);
+        if (outer) {
+            const holes = [...polygon.matchAll(/<innerBoundaryIs>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/g)]
+                .map(match => parseKMLCoordinates(match[1]));
+            geometries.push({ type: 'Polygon', coordinates: [parseKMLCoordinates(outer[1]), ...holes] });
+        }
+        return '';
+    });
+
+    for (const match of remaining.matchAll(/<LineString\b[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/g)) {
+        geometries.push({ type: 'LineString', coordinates: parseKMLCoordinates(match[1]) });
+    }
+    for (const match of remaining.matchAll(/<Point\b[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/g)) {
+        const [coordinate] = parseKMLCoordinates(match[1]);
+        if (coordinate) geometries.push({ type: 'Point', coordinates: coordinate });
+    }
+
+    const usable = geometries.filter(geometry => geometry.coordinates.length > 0);
+    if (usable.length === 0) return null;
+    if (usable.length === 1) return usable[0];
+    if (usable.every(geometry => geometry.type === usable[0].type)) {
+        return { type: `Multi${usable[0].type}`, coordinates: usable.map(geometry => geometry.coordinates) };
+    }
+    return { type: 'GeometryCollection', geometries: usable };
+}
+
+function parseKMLCoordinates(text) {
+    return text.trim().split(/\s+/)
+        .map(tuple => tuple.split(',').slice(0, 2).map(Number))
+        .filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat));
+}
+
+function decodeXmlText(text) {
+    const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    if (cdata) return cdata[1].trim();
+
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * KML descriptions are usually HTML; keep only their text (line breaks preserved) so they are never shown as markup
+ */
+function markupToText(markup) {
+    return decodeXmlText(markup
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' '))
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\s*\n\s*/g, '\n');
+}
+
+/**
+ * Zipped Shapefile (or KMZ); archives without a .shp fall back to a KML, GeoJSON or CSV inside
+ */
+async function parseZipImport(buffer, options) {
+    const files = readZipEntries(buffer)
+        .filter(entry => !entry.name.endsWith('/') && !entry.name.startsWith('__MACOSX/'));
+    const withExtension = (extension) => files.filter(entry => entry.name.toLowerCase().endsWith(`.${extension}`));
+
+    const shapefiles = withExtension('shp');
+    if (shapefiles.length > 0) {
+        return parseShapefileImport(shapefiles, files);
+    }
+
+    for (const extension of ['kml', 'geojson', 'json', 'csv']) {
+        const [entry] = withExtension(extension);
+        if (entry) {
+            const text = new TextDecoder().decode(await entry.read());
+            return parseImportContent(IMPORT_FORMATS[extension], text, options);
+        }
+    }
+
+    throw new Error('Archive contains no shapefile, KML, GeoJSON or CSV');
+}
+
+/**
+ * List entries in a zip archive from its central directory; entry.read() resolves the uncompressed bytes
+ */
+function readZipEntries(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Not a valid zip archive');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('Corrupt zip central directory');
+        }
+
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        entries.push({
+            name,
+            read: async () => {
+                const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                const data = bytes.subarray(start, start + compressedSize);
+                if (method === 0) return data;
+                if (method !== 8) {
+                    throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+                }
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                return new Uint8Array(await new Response(stream).arrayBuffer());
+            }
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Read .shp geometries with their .dbf attributes; .prj decides between OSGB36 grid and geographic coordinates
+ */
+async function parseShapefileImport(shapefiles, files) {
+    const companion = (shp, extension) => {
+        const base = shp.name.slice(0, -4).toLowerCase();
+        return files.find(entry => entry.name.toLowerCase() === `${base}.${extension}`);
+    };
+    const readText = async (entry) => new TextDecoder().decode(await entry.read());
+
+    const features = [];
+    let sourceCrs = 'EPSG:4326';
+
+    for (const shp of shapefiles) {
+        const layer = shp.name.split('/').pop().slice(0, -4);
+        const dbf = companion(shp, 'dbf');
+        const prj = companion(shp, 'prj');
+        const cpg = companion(shp, 'cpg');
+
+        const geometries = readShp(await shp.read());
+        const records = dbf ? readDbf(await dbf.read(), cpg ? (await readText(cpg)).trim() : null) : [];
+        const crs = prj ? detectPrjCrs(await readText(prj)) : guessSourceCrs(geometries);
+        if (crs === 'EPSG:27700') sourceCrs = crs;
+
+        geometries.forEach((geometry, index) => {
+            const properties = { ...(records[index] || {}) };
+            if (shapefiles.length > 1) properties.layer = layer;
+
+            if (!geometry) {
+                features.push({ geometry: null, properties, error: 'Null shape' });
+            } else {
+                features.push({
+                    geometry: crs === 'EPSG:27700' ? transformGeometry(geometry, osgbToWgs84) : geometry,
+                    properties
+                });
+            }
+        });
+    }
+
+    return { format: 'shapefile', sourceCrs, locatedBy: 'geometry', features };
+}
+
+function detectPrjCrs(wkt) {
+    if (/^\s*GEOGCS/i.test(wkt)) return 'EPSG:4326';
+    if (/OSGB|British_National_Grid|27700/i.test(wkt)) return 'EPSG:27700';
+
+    const name = (wkt.match(/PROJCS\["([^"]+)"/) || [])[1] || 'unknown';
+    throw new Error(`Unsupported shapefile projection: ${name}`);
+}
+
+/**
+ * Decode .shp records (Point, MultiPoint, PolyLine, Polygon and their Z/M variants); null shapes stay as null
+ */
+function readShp(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getInt32(0, false) !== 9994) {
+        throw new Error('Invalid .shp file');
+    }
+
+    const geometries = [];
+    let offset = 100;
+    while (offset + 8 <= bytes.byteLength) {
+        const contentLength = view.getInt32(offset + 4, false) * 2; // 16-bit words
+        geometries.push(readShpRecord(view, offset + 8));
+        offset += 8 + contentLength;
+    }
+
+    return geometries;
+}
+
+function readShpRecord(view, offset) {
+    const shapeType = view.getInt32(offset, true);
+    if (shapeType === 0) return null;
+    if (shapeType === 31) {
+        throw new Error('MultiPatch shapefiles are not supported');
+    }
+
+    const point = (at) => [view.getFloat64(at, true), view.getFloat64(at + 8, true)];
+
+    switch (shapeType % 10) {
+        case 1:
+            return { type: 'Point', coordinates: point(offset + 4) };
+
+        case 8: {
+            const count = view.getInt32(offset + 36, true);
+            const coordinates = [];
+            for (let i = 0; i < count; i++) {
+                coordinates.push(point(offset + 40 + i * 16));
+            }
+            return { type: 'MultiPoint', coordinates };
+        }
+
+        case 3:
+        case 5: {
+            const numParts = view.getInt32(offset + 36, true);
+            const numPoints = view.getInt32(offset + 40, true);
+            const partsStart = offset + 44;
+            const pointsStart = partsStart + numParts * 4;
+
+            const parts = [];
+            for (let p = 0; p < numParts; p++) {
+                const from = view.getInt32(partsStart + p * 4, true);
+                const to = p + 1 < numParts ? view.getInt32(partsStart + (p + 1) * 4, true) : numPoints;
+                const part = [];
+                for (let i = from; i < to; i++) {
+                    part.push(point(pointsStart + i * 16));
+                }
+                parts.push(part);
+            }
+
+            if (shapeType % 10 === 3) {
+                return parts.length === 1
+                    ? { type: 'LineString', coordinates: parts[0] }
+                    : { type: 'MultiLineString', coordinates: parts };
+            }
+            return buildShpPolygon(parts);
+        }
+
+        default:
+            throw new Error(`Unsupported shape type ${shapeType}`);
+    }
+}
+
+/**
+ * Group shapefile rings into polygons: clockwise rings are outer boundaries, counter-clockwise rings are holes
+ */
+function buildShpPolygon(rings) {
+    const polygons = [];
+    const holes = [];
+
+    rings.forEach(ring => {
+        if (signedRingArea(ring) < 0) {
+            polygons.push([ring]);
+        } else {
+            holes.push(ring);
+        }
+    });
+
+    holes.forEach(hole => {
+        const owner = polygons.find(polygon => pointInRing(hole[0], polygon[0]));
+        if (owner) {
+            owner.push(hole);
+        } else {
+            // Some writers ignore the winding rule; treat unowned rings as outer boundaries
+            polygons.push([hole]);
+        }
+    });
+
+    if (polygons.length === 0) return null;
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons };
+}
+
+function signedRingArea(ring) {
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        sum += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    }
+    return sum / 2;
+}
+
+function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Decode .dbf attribute records; the .cpg code page (default Windows-1252) sets the text encoding
+ * Deleted records keep their slot so attributes stay aligned with .shp records
+ */
+function readDbf(bytes, codePage) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const recordCount = view.getUint32(4, true);
+    const headerLength = view.getUint16(8, true);
+    const recordLength = view.getUint16(10, true);
+    const decoder = createDbfDecoder(codePage);
+
+    const fields = [];
+    for (let offset = 32; offset < headerLength - 1 && bytes[offset] !== 0x0D; offset += 32) {
+        const nameBytes = bytes.subarray(offset, offset + 11);
+        const nameEnd = nameBytes.indexOf(0);
+        fields.push({
+            name: decoder.decode(nameBytes.subarray(0, nameEnd < 0 ? 11 : nameEnd)).trim(),
+            type: String.fromCharCode(bytes[offset + 11]),
+            length: bytes[offset + 16]
+        });
+    }
+
+    const records = [];
+    for (let r = 0; r < recordCount; r++) {
+        let position = headerLength + r * recordLength + 1; // skip deletion flag
+        if (position - 1 + recordLength > bytes.byteLength) break;
+
+        const record = {};
+        fields.forEach(field => {
+            const raw = decoder.decode(bytes.subarray(position, position + field.length)).trim();
+            record[field.name] = parseDbfValue(raw, field.type);
+            position += field.length;
+        });
+        records.push(record);
+    }
+
+    return records;
+}
+
+function createDbfDecoder(codePage) {
+    let label = 'windows-1252';
+    if (codePage) {
+        label = /^\d+$/.test(codePage) ? `windows-${codePage}` : codePage;
+    }
+
+    try {
+        return new TextDecoder(label);
+    } catch (error) {
+        return new TextDecoder('windows-1252');
+    }
+}
+
+function parseDbfValue(raw, type) {
+    if (raw === '') return null;
+
+    switch (type) {
+        case 'N':
+        case 'F': {
+            const value = Number(raw);
+            return Number.isFinite(value) ? value : null;
+        }
+        case 'L':
+            if (/^[YyTt]$/.test(raw)) return true;
+            if (/^[NnFf]$/.test(raw)) return false;
+            return null;
+        case 'D':
+            return /^\d{8}$/.test(raw) ? `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6)}` : raw;
+        default:
+            return raw;
+    }
+}
+
+/**
+ * Projected coordinates (beyond ±180/±90) are assumed to be British National Grid
+ */
+function guessSourceCrs(geometries) {
+    const geometry = geometries.find(Boolean);
+    if (!geometry) return 'EPSG:4326';
+
+    const [minX, minY, maxX, maxY] = geometryBBox(geometry);
+    const projected = Math.max(Math.abs(minX), Math.abs(maxX)) > 180 || Math.max(Math.abs(minY), Math.abs(maxY)) > 90;
+    return projected ? 'EPSG:27700' : 'EPSG:4326';
+}
+
+function transformGeometry(geometry, transform) {
+    if (geometry.type === 'GeometryCollection') {
+        return { ...geometry, geometries: geometry.geometries.map(part => transformGeometry(part, transform)) };
+    }
+
+    const mapCoordinates = (coordinates) => typeof coordinates[0] === 'number'
+        ? transform(coordinates[0], coordinates[1])
+        : coordinates.map(mapCoordinates);
+    return { ...geometry, coordinates: mapCoordinates(geometry.coordinates) };
+}
+
+/**
+ * Calculate [minX, minY, maxX, maxY] for any geometry type
+ */
+function geometryBBox(geometry) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+
+    const visit = (coordinates) => {
+        if (!Array.isArray(coordinates)) return;
+        if (typeof coordinates[0] === 'number') {
+            const [x, y] = coordinates;
+            if (x < bbox[0]) bbox[0] = x;
+            if (y < bbox[1]) bbox[1] = y;
+            if (x > bbox[2]) bbox[2] = x;
+            if (y > bbox[3]) bbox[3] = y;
+            return;
+        }
+        coordinates.forEach(visit);
+    };
+
+    const parts = geometry.type === 'GeometryCollection' ? geometry.geometries : [geometry];
+    parts.forEach(part => visit(part.coordinates));
+
+    return bbox;
+}
+
+function featureLabel(properties) {
+    const key = Object.keys(properties).find(field => /^(name|site ?name|title|label)$/i.test(field));
+    return key && properties[key] !== null ? String(properties[key]) : null;
+}
+
 // Export for use in main thread
 self.exports = {
     validateData,
     cleanData,
     transformData,
-    aggregateData
+    aggregateData,
+    importData
 };
@@ -0,0 +1,101 @@
+/**
+ * WebWorker for Routing - Holds the road graph and answers drive-time queries off the main thread
+ * The graph is rebuilt whenever RoutingManager sends a new road network version
+ */
+
+import { buildRoadGraph, isochronePolygons, shortestPath } from '../utils/RoadGraph.js';
+
+let graph = null;
+let graphVersion = null;
+
+// Worker message handler
+self.onmessage = function(e) {
+    const { type, data, id } = e.data;
+
+    try {
+        switch (type) {
+            case 'BUILD_GRAPH':
+                const stats = buildGraph(data);
+                self.postMessage({
+                    type: 'BUILD_GRAPH_COMPLETE',
+                    id: id,
+                    results: stats
+                });
+                break;
+
+            case 'ISOCHRONES':
+                const isochrones = computeIsochrones(data);
+                self.postMessage({
+                    type: 'ISOCHRONES_COMPLETE',
+                    id: id,
+                    results: isochrones
+                });
+                break;
+
+            case 'ROUTE':
+                const route = computeRoute(data);
+                self.postMessage({
+                    type: 'ROUTE_COMPLETE',
+                    id: id,
+                    results: route
+                });
+                break;
+
+            default:
+                throw new Error(`Unknown message type: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({
+            type: 'ERROR',
+            id: id,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Build the graph from a road network FeatureCollection
+ * data: { collection, version }
+ */
+function buildGraph({ collection, version }) {
+    const startTime = performance.now();
+    graph = buildRoadGraph(collection);
+    graphVersion = version;
+
+    return {
+        version,
+        ...graph.stats,
+        buildMs: Math.round(performance.now() - startTime)
+    };
+}
+
+/**
+ * data: { origin: [lng, lat], minutes: [15, 30, 60] }
+ */
+function computeIsochrones({ origin, minutes }) {
+    requireGraph();
+    const collection = isochronePolygons(graph, origin, minutes);
+    collection.properties.graphVersion = graphVersion;
+    return collection;
+}
+
+/**
+ * data: { from: [lng, lat], to: [lng, lat] }
+ */
+function computeRoute({ from, to }) {
+    requireGraph();
+    return { ...shortestPath(graph, from, to), graphVersion };
+}
+
+function requireGraph() {
+    if (!graph) {
+        throw new Error('Road network graph has not been built');
+    }
+}
+
+// Export for use in main thread
+self.exports = {
+    buildGraph,
+    computeIsochrones,
+    computeRoute
+};
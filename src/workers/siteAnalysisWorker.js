@@ -4,8 +4,12 @@
  * 
  * Note: This worker uses custom geometric calculations instead of external libraries
  * to maintain compatibility with module workers and avoid importScripts issues.
+ * Site scoring comes from the shared SiteScoring module so worker and main-thread rankings match.
  */
 
+import { scoreSiteSet } from '../utils/SiteScoring.js';
+import { analyzeRankSensitivity } from '../utils/Sensitivity.js';
+
 // Worker message handler
 self.onmessage = function(e) {
     const { type, data, id } = e.data;
@@ -48,6 +52,21 @@ self.onmessage = function(e) {
                 });
                 break;
                 
+            case 'SENSITIVITY_ANALYSIS':
+                const sensitivity = analyzeRankSensitivity(data, data.options, (progress) => {
+                    self.postMessage({
+                        type: 'PROGRESS',
+                        id: id,
+                        progress: progress
+                    });
+                });
+                self.postMessage({
+                    type: 'SENSITIVITY_COMPLETE',
+                    id: id,
+                    results: sensitivity
+                });
+                break;
+                
             default:
                 throw new Error(`Unknown message type: ${type}`);
         }
@@ -61,199 +80,11 @@ self.onmessage = function(e) {
 };
 
 /**
- * Analyze sites using advanced algorithms
+ * Score sites with the shared MCDA scoring (identical to SiteFinder on the main thread)
  */
 function analyzeSites(data) {
-    const { sites, constraints, criteria } = data;
-    const results = [];
-    
-    for (let i = 0; i < sites.length; i++) {
-        const site = sites[i];
-        const analysis = performSiteAnalysis(site, constraints, criteria);
-        results.push({
-            ...site,
-            analysis: analysis
-        });
-        
-        // Report progress every 100 sites
-        if (i % 100 === 0) {
-            self.postMessage({
-                type: 'PROGRESS',
-                id: data.id,
-                progress: (i / sites.length) * 100
-            });
-        }
-    }
-    
-    return results;
-}
-
-/**
- * Perform detailed analysis for a single site
- */
-function performSiteAnalysis(site, constraints, criteria) {
-    const props = site.properties;
-    
-    // Environmental analysis
-    const environmentalScore = calculateEnvironmentalScore(props, constraints);
-    
-    // Infrastructure analysis
-    const infrastructureScore = calculateInfrastructureScore(props, constraints);
-    
-    // Economic analysis
-    const economicScore = calculateEconomicScore(props, constraints);
-    
-    // Social analysis
-    const socialScore = calculateSocialScore(props, constraints);
-    
-    // Calculate weighted total score
-    const totalScore = (
-        environmentalScore * criteria.environmental.weight +
-        infrastructureScore * criteria.infrastructure.weight +
-        economicScore * criteria.economic.weight +
-        socialScore * criteria.social.weight
-    );
-    
-    return {
-        environmental: environmentalScore,
-        infrastructure: infrastructureScore,
-        economic: economicScore,
-        social: socialScore,
-        total: totalScore
-    };
-}
-
-/**
- * Calculate environmental score
- */
-function calculateEnvironmentalScore(props, constraints) {
-    let score = 0;
-    
-    // Soil quality (1-10 scale)
-    const soilQuality = props.soilQuality || 5;
-    score += (soilQuality / 10) * 0.4;
-    
-    // Water availability (1-10 scale)
-    const waterAvailability = props.waterAvailability || 5;
-    score += (waterAvailability / 10) * 0.3;
-    
-    // Biodiversity (1-10 scale)
-    const biodiversity = props.biodiversity || 5;
-    score += (biodiversity / 10) * 0.2;
-    
-    // Flood risk (inverted - lower is better)
-    const floodRisk = props.floodRisk || 5;
-    score += ((10 - floodRisk) / 10) * 0.1;
-    
-    return score;
-}
-
-/**
- * Calculate infrastructure score
- */
-function calculateInfrastructureScore(props, constraints) {
-    let score = 0;
-    
-    // Road access
-    const roadDistance = props.roadDistance || 2000;
-    if (roadDistance <= 500) score += 1.0;
-    else if (roadDistance <= 1000) score += 0.9;
-    else if (roadDistance <= 2000) score += 0.7;
-    else if (roadDistance <= 3000) score += 0.5;
-    else score += 0.3;
-    
-    // Grid connection
-    const gridDistance = props.gridDistance || 10000;
-    if (gridDistance <= 5000) score += 1.0;
-    else if (gridDistance <= 10000) score += 0.8;
-    else if (gridDistance <= 15000) score += 0.6;
-    else score += 0.4;
-    
-    // Gas connection
-    const gasDistance = props.gasDistance || 5000;
-    if (gasDistance <= 2000) score += 1.0;
-    else if (gasDistance <= 5000) score += 0.8;
-    else if (gasDistance <= 10000) score += 0.6;
-    else score += 0.4;
-    
-    // Water supply
-    const waterAvailability = props.waterAvailability || 5;
-    score += (waterAvailability / 10);
-    
-    // Normalize to 0-1 range
-    return score / 4;
-}
-
-/**
- * Calculate economic score
- */
-function calculateEconomicScore(props, constraints) {
-    let score = 0;
-    
-    // Land cost (inverted - lower cost = higher score)
-    const landCost = props.landCost || 20000;
-    if (landCost <= 10000) score += 1.0;
-    else if (landCost <= 20000) score += 0.8;
-    else if (landCost <= 30000) score += 0.6;
-    else if (landCost <= 40000) score += 0.4;
-    else score += 0.2;
-    
-    // Development cost (inverted)
-    const developmentCost = props.developmentCost || 100000;
-    if (developmentCost <= 50000) score += 1.0;
-    else if (developmentCost <= 100000) score += 0.8;
-    else if (developmentCost <= 150000) score += 0.6;
-    else if (developmentCost <= 200000) score += 0.4;
-    else score += 0.2;
-    
-    // Operational cost (simplified)
-    let operationalScore = 0.7; // Base score
-    if (props.gridDistance > 10000) operationalScore -= 0.2;
-    if (props.gasDistance > 5000) operationalScore -= 0.1;
-    if (props.roadDistance > 2000) operationalScore -= 0.1;
-    score += Math.max(0.1, operationalScore);
-    
-    // Revenue potential
-    let revenueScore = 0.6; // Base score
-    if (props.area > 20) revenueScore += 0.2;
-    if (props.waterAvailability > 7) revenueScore += 0.1;
-    if (props.biodiversity > 7) revenueScore += 0.1;
-    score += Math.min(1.0, revenueScore);
-    
-    // Normalize to 0-1 range
-    return score / 4;
-}
-
-/**
- * Calculate social score
- */
-function calculateSocialScore(props, constraints) {
-    let score = 0;
-    
-    // Community acceptance
-    let communityScore = 0.6; // Base score
-    if (props.residentialDistance > 2000) communityScore += 0.2;
-    if (props.protectedAreaDistance > 3000) communityScore += 0.1;
-    if (props.conservationAreaDistance > 4000) communityScore += 0.1;
-    score += Math.min(1.0, communityScore);
-    
-    // Job creation
-    const area = props.area || 10;
-    if (area > 30) score += 1.0;
-    else if (area > 20) score += 0.8;
-    else if (area > 10) score += 0.6;
-    else if (area > 5) score += 0.4;
-    else score += 0.2;
-    
-    // Local benefits
-    let benefitsScore = 0.6; // Base score
-    if (area > 15) benefitsScore += 0.2;
-    if (props.waterAvailability > 6) benefitsScore += 0.1;
-    if (props.biodiversity > 6) benefitsScore += 0.1;
-    score += Math.min(1.0, benefitsScore);
-    
-    // Normalize to 0-1 range
-    return score / 3;
+    const { sites, criteria, mcda } = data;
+    return scoreSiteSet(sites, criteria, mcda);
 }
 
 /**
@@ -334,31 +165,11 @@ function calculateHaversineDistance(coord1, coord2) {
 }
 
 /**
- * Score sites based on criteria
+ * Score sites based on criteria and rank them
  */
 function scoreSites(data) {
-    const { sites, criteria } = data;
-    const results = [];
-    
-    for (let i = 0; i < sites.length; i++) {
-        const site = sites[i];
-        const scores = calculateSiteScores(site, criteria);
-        
-        results.push({
-            ...site,
-            scores: scores,
-            score: scores.total
-        });
-        
-        // Report progress
-        if (i % 100 === 0) {
-            self.postMessage({
-                type: 'PROGRESS',
-                id: data.id,
-                progress: (i / sites.length) * 100
-            });
-        }
-    }
+    const { sites, criteria, mcda } = data;
+    const results = scoreSiteSet(sites, criteria, mcda);
     
     // Sort by score (highest first)
     results.sort((a, b) => b.score - a.score);
@@ -371,41 +182,6 @@ function scoreSites(data) {
     return results;
 }
 
-/**
- * Calculate scores for a single site
- */
-function calculateSiteScores(site, criteria) {
-    const props = site.properties;
-    
-    // Environmental score
-    const environmentalScore = calculateEnvironmentalScore(props, {});
-    
-    // Infrastructure score
-    const infrastructureScore = calculateInfrastructureScore(props, {});
-    
-    // Economic score
-    const economicScore = calculateEconomicScore(props, {});
-    
-    // Social score
-    const socialScore = calculateSocialScore(props, {});
-    
-    // Calculate weighted total
-    const totalScore = (
-        environmentalScore * criteria.environmental.weight +
-        infrastructureScore * criteria.infrastructure.weight +
-        economicScore * criteria.economic.weight +
-        socialScore * criteria.social.weight
-    );
-    
-    return {
-        environmental: environmentalScore,
-        infrastructure: infrastructureScore,
-        economic: economicScore,
-        social: socialScore,
-        total: totalScore
-    };
-}
-
 /**
  * Apply filters to sites
  */
@@ -421,28 +197,29 @@ function applyFilters(data) {
         let passes = true;
         
         // Area filtering
-        if (filters.minArea && props.area < filters.minArea) passes = false;
-        if (filters.maxArea && props.area > filters.maxArea) passes = false;
+        if (below(props.area, filters.minArea)) passes = false;
+        if (above(props.area, filters.maxArea)) passes = false;
+        if (below(props.compactness, filters.minCompactness)) passes = false;
         
         // Distance filtering
-        if (filters.minDistanceFromRoad && props.roadDistance < filters.minDistanceFromRoad) passes = false;
-        if (filters.maxDistanceFromRoad && props.roadDistance > filters.maxDistanceFromRoad) passes = false;
+        if (below(props.roadDistance, filters.minDistanceFromRoad)) passes = false;
+        if (above(props.roadDistance, filters.maxDistanceFromRoad)) passes = false;
         
-        if (filters.minDistanceFromGrid && props.gridDistance < filters.minDistanceFromGrid) passes = false;
-        if (filters.maxDistanceFromGrid && props.gridDistance > filters.maxDistanceFromGrid) passes = false;
+        if (below(props.gridDistance, filters.minDistanceFromGrid)) passes = false;
+        if (above(props.gridDistance, filters.maxDistanceFromGrid)) passes = false;
         
-        if (filters.minDistanceFromGas && props.gasDistance < filters.minDistanceFromGas) passes = false;
-        if (filters.maxDistanceFromGas && props.gasDistance > filters.maxDistanceFromGas) passes = false;
+        if (below(props.gasDistance, filters.minDistanceFromGas)) passes = false;
+        if (above(props.gasDistance, filters.maxDistanceFromGas)) passes = false;
         
         // Environmental filtering
-        if (filters.maxSlope && props.slope > filters.maxSlope) passes = false;
-        if (filters.minSoilQuality && props.soilQuality < filters.minSoilQuality) passes = false;
-        if (filters.maxFloodRisk && props.floodRisk > filters.maxFloodRisk) passes = false;
-        if (filters.minWaterAvailability && props.waterAvailability < filters.minWaterAvailability) passes = false;
+        if (above(props.slope, filters.maxSlope)) passes = false;
+        if (below(props.soilQuality, filters.minSoilQuality)) passes = false;
+        if (above(props.floodRisk, filters.maxFloodRisk)) passes = false;
+        if (below(props.waterAvailability, filters.minWaterAvailability)) passes = false;
         
         // Elevation filtering
-        if (filters.minElevation && props.elevation < filters.minElevation) passes = false;
-        if (filters.maxElevation && props.elevation > filters.maxElevation) passes = false;
+        if (below(props.elevation, filters.minElevation)) passes = false;
+        if (above(props.elevation, filters.maxElevation)) passes = false;
         
         if (passes) {
             results.push(site);
@@ -461,6 +238,17 @@ function applyFilters(data) {
     return results;
 }
 
+/**
+ * Limit checks that let unknown (null) attributes through, matching SiteFinder
+ */
+function below(value, limit) {
+    return Boolean(limit) && value !== null && value !== undefined && value < limit;
+}
+
+function above(value, limit) {
+    return Boolean(limit) && value !== null && value !== undefined && value > limit;
+}
+
 // Export for use in main thread
 self.exports = {
     analyzeSites,
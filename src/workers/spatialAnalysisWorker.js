@@ -45,6 +45,15 @@ self.onmessage = function(e) {
                 });
                 break;
                 
+            case 'CATCHMENT_ANALYSIS':
+                const catchmentResults = performCatchmentAnalysis({ ...data, id });
+                self.postMessage({
+                    type: 'CATCHMENT_ANALYSIS_COMPLETE',
+                    id: id,
+                    results: catchmentResults
+                });
+                break;
+                
             case 'CLUSTER_ANALYSIS':
                 const clusterResults = performClusterAnalysis(data);
                 self.postMessage({
@@ -131,7 +140,7 @@ function createBuffer(feature, distance, units) {
  */
 function createPointBuffer(coordinates, distance, units) {
     const [lng, lat] = coordinates;
-    const radiusInDegrees = convertDistanceToDegrees(distance, units, lat);
+    const radiusInDegrees = convertDistanceToDegrees(distance, units);
     
     // Create a simple circular buffer (approximation)
     const points = [];
@@ -163,7 +172,7 @@ function createPointBuffer(coordinates, distance, units) {
  * Create buffer around a line
  */
 function createLineBuffer(coordinates, distance, units) {
-    const radiusInDegrees = convertDistanceToDegrees(distance, units, 0);
+    const radiusInDegrees = convertDistanceToDegrees(distance, units);
     const bufferPoints = [];
     
     // For each line segment, create perpendicular offset lines
@@ -211,7 +220,7 @@ function createLineBuffer(coordinates, distance, units) {
  * Create buffer around a polygon
  */
 function createPolygonBuffer(coordinates, distance, units) {
-    const radiusInDegrees = convertDistanceToDegrees(distance, units, 0);
+    const radiusInDegrees = convertDistanceToDegrees(distance, units);
     const expandedCoordinates = [];
     
     // Expand each ring of the polygon
@@ -283,9 +292,10 @@ function calculateNormalVector(prevX, prevY, x, y, nextX, nextY) {
 }
 
 /**
- * Convert distance to degrees based on units and latitude
+ * Convert distance to degrees of latitude based on units
+ * (point buffers widen the longitude offset by 1/cos(latitude) themselves)
  */
-function convertDistanceToDegrees(distance, units, latitude) {
+function convertDistanceToDegrees(distance, units) {
     const earthRadius = 6371000; // Earth's radius in meters
     
     // Convert to meters
@@ -307,7 +317,7 @@ function convertDistanceToDegrees(distance, units, latitude) {
     
     // Convert to degrees (approximate)
     const degreesPerMeter = 1 / (earthRadius * Math.PI / 180);
-    return distanceInMeters * degreesPerMeter / Math.cos(latitude * Math.PI / 180);
+    return distanceInMeters * degreesPerMeter;
 }
 
 /**
@@ -673,10 +683,155 @@ function featuresIntersect(feature1, feature2) {
  * Check if one feature is within another
  */
 function featureWithin(innerFeature, outerFeature) {
-    if (innerFeature.geometry.type === 'Point' && outerFeature.geometry.type === 'Polygon') {
-        return pointInPolygon(innerFeature.geometry.coordinates, outerFeature.geometry.coordinates[0]);
+    if (innerFeature.geometry.type !== 'Point') {
+        return false; // Simplified implementation
     }
-    return false; // Simplified implementation
+    
+    const point = innerFeature.geometry.coordinates;
+    const polygons = outerFeature.geometry.type === 'MultiPolygon'
+        ? outerFeature.geometry.coordinates
+        : outerFeature.geometry.type === 'Polygon' ? [outerFeature.geometry.coordinates] : [];
+    
+    // Inside an outer ring and outside its holes
+    return polygons.some(rings => pointInPolygon(point, rings[0]) && !rings.slice(1).some(hole => pointInPolygon(point, hole)));
+}
+
+/**
+ * Feedstock catchment: manure tonnage and biomethane potential by livestock type inside a radius
+ * buffer (or a supplied catchment polygon such as a drive-time band), less the share competing
+ * AD plants are expected to draw from the same hexes.
+ *
+ * data: {
+ *   origin: [lng, lat], radiusKm, catchment?: polygon Feature,
+ *   hexes: [{ id, centroid: [lng, lat], tonnes: { [categoryId]: t } }],
+ *   categories: [{ id, biogasYield, methaneContent }],
+ *   competitors: [{ id, name, status, coordinates, demandTonnes, radiusKm }]
+ * }
+ *
+ * Each competitor's manure demand is spread over the hexes in its own supply radius in proportion
+ * to their tonnage; claims on a hex are capped at what it produces, and the claims falling inside
+ * the catchment are deducted.
+ */
+function performCatchmentAnalysis(data) {
+    const { origin, radiusKm, hexes = [], categories = [], competitors = [], id } = data;
+    
+    const catchment = data.catchment || performBufferAnalysis({
+        features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: origin }, properties: {} }],
+        bufferDistance: radiusKm,
+        bufferUnits: 'kilometers',
+        id
+    })[0].bufferedFeature;
+    
+    const hexPoints = hexes.map((hex, index) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: hex.centroid },
+        properties: { index }
+    }));
+    const inside = new Set(performSpatialJoin({
+        leftFeatures: hexPoints,
+        rightFeatures: [catchment],
+        spatialPredicate: 'within',
+        id
+    }).map(result => result.leftFeature.properties.index));
+    const hexTotal = (hex) => categories.reduce((sum, category) => sum + (hex.tonnes[category.id] || 0), 0);
+    
+    // Competitor claims per hex and category
+    const claims = new Map();
+    const competitorResults = competitors.map(competitor => {
+        const supplyArea = createPointBuffer(competitor.coordinates, competitor.radiusKm, 'kilometers');
+        const nearby = hexPoints.filter(point =>
+            calculatePointDistance(point.geometry.coordinates, competitor.coordinates, 'kilometers') <= competitor.radiusKm * 1.05
+        );
+        const supplyHexes = performSpatialJoin({
+            leftFeatures: nearby,
+            rightFeatures: [supplyArea],
+            spatialPredicate: 'within',
+            id
+        }).map(result => result.leftFeature.properties.index);
+        
+        const supplyTonnes = supplyHexes.reduce((sum, index) => sum + hexTotal(hexes[index]), 0);
+        const drawShare = supplyTonnes > 0 ? Math.min(1, competitor.demandTonnes / supplyTonnes) : 0;
+        
+        supplyHexes.forEach(index => {
+            const hexClaims = claims.get(index) || {};
+            categories.forEach(category => {
+                hexClaims[category.id] = (hexClaims[category.id] || 0) + (hexes[index].tonnes[category.id] || 0) * drawShare;
+            });
+            claims.set(index, hexClaims);
+        });
+        
+        return {
+            id: competitor.id,
+            name: competitor.name,
+            status: competitor.status,
+            coordinates: competitor.coordinates,
+            distanceKm: calculatePointDistance(origin, competitor.coordinates, 'kilometers'),
+            demandTonnes: competitor.demandTonnes,
+            drawShare,
+            supplyHexes,
+            overlapTonnes: 0
+        };
+    });
+    
+    const breakdown = Object.fromEntries(categories.map(category => [category.id, {
+        grossTonnes: 0,
+        competingTonnes: 0,
+        netTonnes: 0,
+        grossBiomethane: 0,
+        netBiomethane: 0
+    }]));
+    
+    // Where several plants claim more than a hex produces, scale their claims down pro rata
+    const claimScale = new Map();
+    inside.forEach(index => {
+        const hex = hexes[index];
+        const hexClaims = claims.get(index) || {};
+        const scale = {};
+        
+        categories.forEach(category => {
+            const tonnes = hex.tonnes[category.id] || 0;
+            const claimed = hexClaims[category.id] || 0;
+            const entry = breakdown[category.id];
+            
+            scale[category.id] = claimed > tonnes ? tonnes / claimed : 1;
+            entry.grossTonnes += tonnes;
+            entry.competingTonnes += Math.min(tonnes, claimed);
+        });
+        claimScale.set(index, scale);
+    });
+    
+    // Attribute the deducted tonnage inside the catchment back to each competitor
+    competitorResults.forEach(result => {
+        result.overlapTonnes = result.supplyHexes
+            .filter(index => inside.has(index))
+            .reduce((sum, index) => sum + categories.reduce((hexSum, category) =>
+                hexSum + (hexes[index].tonnes[category.id] || 0) * result.drawShare * claimScale.get(index)[category.id], 0), 0);
+        delete result.supplyHexes;
+    });
+    
+    const totals = { grossTonnes: 0, competingTonnes: 0, netTonnes: 0, grossBiomethane: 0, netBiomethane: 0 };
+    categories.forEach(category => {
+        const entry = breakdown[category.id];
+        const yieldPerTonne = category.biogasYield * category.methaneContent;
+        
+        entry.netTonnes = Math.max(0, entry.grossTonnes - entry.competingTonnes);
+        entry.grossBiomethane = entry.grossTonnes * yieldPerTonne;
+        entry.netBiomethane = entry.netTonnes * yieldPerTonne;
+        
+        Object.keys(totals).forEach(key => {
+            totals[key] += entry[key];
+        });
+    });
+    
+    return {
+        catchment,
+        hexCount: inside.size,
+        breakdown,
+        totals,
+        competitors: competitorResults
+            .filter(result => result.overlapTonnes > 0)
+            .sort((a, b) => b.overlapTonnes - a.overlapTonnes)
+    };
 }
 
 /**
@@ -943,5 +1098,6 @@ self.exports = {
     performIntersectionAnalysis,
     performProximityAnalysis,
     performSpatialJoin,
+    performCatchmentAnalysis,
     performClusterAnalysis
 };